@@ -0,0 +1,139 @@
+const path = require("path");
+const { OPCUAServer, StatusCodes, nodesets } = require("node-opcua");
+const { MODEL_NODESET_FILE, expectedModel, loadCNCModel, operationResultArgument } = require("./lib/model");
+const {
+    SECURITY_MODES,
+    SECURITY_POLICIES,
+    loadSecurityConfig,
+    loadUsersConfig,
+    createUserManager,
+    createCertificateManagers,
+    installMethodPermissions
+} = require("./lib/security");
+const { loadAggregatorConfig, UpstreamMirror } = require("./lib/aggregator");
+
+// Browse path di tutti i metodi delle CNC dichiarati nel modello (es. "MacchinaCNCType/Mandrino/CambiareVelocita"),
+// sui tipi dei componenti e sui componenti dei tipi delle macchine
+const machineMethodPaths = () => {
+    const { objectTypes } = expectedModel;
+    const paths = [];
+    for (const [typeName, expected] of Object.entries(objectTypes)) {
+        if (typeName === "MachineGroupType") continue;
+        paths.push(...Object.keys(expected.methods || {}).map(method => `${typeName}/${method}`));
+        for (const [objName, objType] of Object.entries(expected.objects || {})) {
+            paths.push(...Object.keys(objectTypes[objType].methods || {}).map(method => `${typeName}/${objName}/${method}`));
+        }
+    }
+    return paths;
+};
+
+/**
+ * Avvia l'aggregatore: un server OPC UA che riunisce in un solo address space le CNC di più server CNC
+ * (uno per cella), copiate nella cartella Objects/<Nome> di ogni server. Letture e sottoscrizioni vengono
+ * servite dalla copia, tenuta allineata con una sottoscrizione per server; le chiamate ai metodi vengono
+ * inoltrate al server della CNC.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - variabili d'ambiente da cui leggere la configurazione
+ * @param {number} [options.port] - porta TCP dell'endpoint (CNC_AGGREGATOR_PORT se non indicata)
+ * @returns {Promise<{ server: OPCUAServer, endpointUrl: string, upstreams: UpstreamMirror[], shutdown: () => Promise<void> }>}
+ */
+const startAggregator = async ({ env = process.env, port } = {}) => {
+    // Server CNC da riunire, identità e sicurezza delle connessioni verso di essi (variabili d'ambiente CNC_AGGREGATOR_*)
+    const config = loadAggregatorConfig(env);
+
+    // Utenti, ruoli e sicurezza degli endpoint dell'aggregatore, come per server.js; la PKI è in <CNC_PKI_DIR>/aggregator
+    const securityConfig = loadSecurityConfig(env);
+    const usersConfig = loadUsersConfig(securityConfig.usersFile);
+    const pkiDir = path.join(securityConfig.pkiDir, "aggregator");
+
+    const server = new OPCUAServer({
+        port: port ?? config.port,
+        resourcePath: "/UA/CNC",
+        buildInfo: {
+            productName: "CNC Aggregator",
+            buildNumber: "7658",
+            buildDate: new Date(2025, 5, 30)
+        },
+        // Stesso modello dei server CNC: le copie sono istanze degli stessi ObjectType
+        nodeset_filename: [nodesets.standard, MODEL_NODESET_FILE],
+        securityModes: securityConfig.securityModes.map(mode => SECURITY_MODES[mode]),
+        securityPolicies: SECURITY_POLICIES,
+        allowAnonymous: usersConfig.allowAnonymous,
+        userManager: createUserManager(usersConfig),
+        ...createCertificateManagers({ ...securityConfig, pkiDir })
+    });
+    await server.initialize();
+    const addressSpace = server.engine.addressSpace;
+
+    const upstreams = [];
+
+    // Ogni metodo delle CNC viene inoltrato al server che possiede l'oggetto su cui è chiamato
+    const forward = (methodName) => async (inputArguments, context, callback) => {
+        for (const upstream of upstreams) {
+            const result = await upstream.call(context.object, methodName, inputArguments);
+            if (result) return callback(null, result);
+        }
+        callback(null, {
+            statusCode: StatusCodes.BadNodeIdUnknown,
+            outputArguments: [operationResultArgument(addressSpace, StatusCodes.BadNodeIdUnknown, `${context.object.browseName.name} is not a mirrored machine`)]
+        });
+    };
+    // L'aggregatore copia solo le macchine, non le cartelle Plant/Line/Cell dei server con i metodi dei gruppi
+    const notSupported = async (inputArguments, context, callback) => callback(null, {
+        statusCode: StatusCodes.BadNotSupported,
+        outputArguments: [operationResultArgument(addressSpace, StatusCodes.BadNotSupported, "Machine groups are not available on the aggregator")]
+    });
+
+    const model = loadCNCModel(addressSpace, {
+        ...Object.fromEntries(machineMethodPaths().map(methodPath => [methodPath, forward(methodPath.split("/").pop())])),
+        ...Object.fromEntries(Object.keys(expectedModel.objectTypes.MachineGroupType.methods)
+            .map(method => [`MachineGroupType/${method}`, notSupported]))
+    });
+
+    for (const upstreamConfig of config.upstreams) {
+        const upstream = new UpstreamMirror(addressSpace, model, upstreamConfig, config, path.join(pkiDir, "client"));
+        // I permessi per ruolo non vengono copiati sulle nuove istanze: vanno applicati a ogni copia
+        upstream.on("synchronized", () => installMethodPermissions(addressSpace, [model.namespaceIndex, addressSpace.getOwnNamespace().index]));
+        upstreams.push(upstream);
+    }
+    installMethodPermissions(addressSpace, [model.namespaceIndex, addressSpace.getOwnNamespace().index]);
+
+    await server.start();
+    const endpointUrl = server.getEndpointUrl();
+    console.log(`Aggregatore OPC UA in ascolto su: ${endpointUrl}`);
+
+    // Le connessioni ai server CNC proseguono in background: un server spento non blocca l'avvio
+    for (const upstream of upstreams) {
+        console.log(`Aggregatore: collegamento a ${upstream.name} (${upstream.endpointUrl})...`);
+        upstream.start();
+    }
+
+    const shutdown = async () => {
+        await Promise.all(upstreams.map(upstream => upstream.close()));
+        await server.shutdown();
+    };
+
+    return { server, endpointUrl, upstreams, shutdown };
+};
+
+// Avvio da riga di comando (node aggregator.js); con require("./aggregator") si usa startAggregator
+if (require.main === module) {
+    startAggregator().then(({ shutdown }) => {
+        console.log("Per terminare, premere Ctrl+C.");
+
+        process.once("SIGINT", async () => {
+            console.log("Segnale SIGINT ricevuto. Spegnimento dell'aggregatore...");
+            await shutdown();
+            console.log("Aggregatore spento.");
+            process.exit(0);
+        });
+    }).catch((error) => {
+        console.error("Errore critico durante l'avvio dell'aggregatore:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startAggregator
+};
@@ -1,167 +1,813 @@
+const path = require("path");
+const readline = require("readline");
 const {
-    OPCUAClient,
     AttributeIds,
     TimestampsToReturn,
-    DataType,
-    NodeClass,
+    ObjectIds,
+    ObjectTypeIds,
+    constructEventFilter,
+    ofType,
+    AggregateFunction,
+    StatusCodes,
 } = require("node-opcua");
+const {
+    DEFAULT_ENDPOINT_URL,
+    CNCStatus,
+    SpindleSpeeds,
+    SnapshotVariables,
+    SecurityModes,
+    CncClient,
+    CncClientError,
+    createUserIdentity
+} = require("./lib/cncClient");
 
-const endpointUrl = "opc.tcp://localhost:4334/UA/CNC";
+const pkiDir = path.join(process.env.CNC_PKI_DIR || path.join(__dirname, "pki"), "client");
 
-const CNCStatusEnumValues = { 0: "Off", 1: "On", 2: "Alarm" };
-const MandrinoVelocitaEnumValues = { 1: "Speed 1", 2: "Speed 2", 3: "Speed 3", 4: "Speed 4", 5: "Speed 5" };
+const CNCStatusNames = Object.fromEntries(Object.entries(CNCStatus).map(([name, value]) => [value, name]));
+const CNCNamespaceUri = "http://yourorganisation.org/CNC/";
+const AuditEventFields = ["SourceName", "Time", "ClientUserId", "Message", "Status", "InputArguments"];
+const ShiftSummaryFields = ["ShiftName", "ShiftStart", "ShiftEnd", "OnTime", "OffTime", "AlarmTime", "GoodParts", "RejectedParts",
+    "EnergyConsumed", "Availability", "Performance", "Quality", "OEE", "EnergyPerPart"];
+const HistoryAggregates = {
+    Average: AggregateFunction.Average,
+    Minimum: AggregateFunction.Minimum,
+    Maximum: AggregateFunction.Maximum,
+    Count: AggregateFunction.Count
+};
+const HistoryUsage = "Usage: node client.js history <machine> <variable> [--from <date>] [--to <date>] " +
+    `[--aggregate ${Object.keys(HistoryAggregates).join("|")}] [--interval <seconds>]\n` +
+    "  e.g. node client.js history CNC1 ConsumoEnergetico --aggregate Average --interval 60\n" +
+    "       node client.js history CNC1 Mandrino/Velocita --from 2025-06-30T08:00:00Z";
 
-(async () => {
-    const client = OPCUAClient.create({ endpointMustExist: false });
-    
-    client.on("backoff", (retry, delay) =>
-        console.log(`Reconnecting: retry ${retry}, next in ${delay / 1000}s`)
-    );
+const ConnectionFlags = {
+    "--endpoint": "endpoint",
+    "--security": "security",
+    "--user": "user",
+    "--password": "password",
+    "--cert": "cert",
+    "--key": "key",
+    "--locale": "locale"
+};
 
-    let globalSession = null;
-    let globalCNCInstances = [];
+// Exit codes: the OPC UA StatusCode returned by the server for a method call, or the kind of failure
+const ExitCodes = {
+    Good: 0,
+    Error: 1,
+    Usage: 2,
+    ConnectionFailed: 3,
+    BadNotFound: 4,
+    BadUserAccessDenied: 10,
+    BadInvalidState: 11,
+    BadInvalidArgument: 12,
+    BadOutOfRange: 12,
+    BadMethodInvalid: 13,
+    BadStatusCode: 19 // any other non-Good StatusCode
+};
 
-    const readVariable = async (parentNodeId, varName) => {
-        const ref = (await globalSession.browse(parentNodeId)).references.find(
-            r => r.browseName.name === varName && r.nodeClass === NodeClass.Variable
-        );
-        if (!ref) return { value: { value: "N/A" } };
-        return await globalSession.read({ nodeId: ref.nodeId, attributeId: AttributeIds.Value });
-    };
+// Labels of the variables printed by status, snapshot, watch and the demo, by locale and CncClient snapshot field.
+// The names of the enumeration values (status, job state, spindle speed) are read from the server in the same locale
+const FieldLabels = {
+    en: {
+        status: "Status",
+        previousStatus: "Previous status",
+        lastTransitionTime: "Last transition",
+        alarmReason: "Alarm reason",
+        alarmAcknowledged: "Alarm acknowledged",
+        tool: "Tool",
+        toolWear: "Tool wear %",
+        partsProduced: "Parts",
+        energyConsumption: "Energy kW",
+        spindleSpeed: "Spindle speed",
+        spindleRPM: "Spindle RPM",
+        spindleTargetRPM: "Spindle target RPM",
+        spindleCurrentLoad: "Spindle current load %",
+        spindleBearingTemperature: "Spindle bearing temperature °C",
+        spindleVibration: "Spindle vibration mm/s",
+        statusAI: "Status AI",
+        operatingHours: "Operating hours",
+        healthScore: "Health score",
+        estimatedTimeToMaintenance: "Hours to maintenance",
+        spindleLoad: "Spindle load %",
+        energyAnomalyScore: "Energy anomaly z-score",
+        jobId: "Job",
+        jobState: "Job state",
+        jobPartsProduced: "Job parts",
+        jobTargetQuantity: "Job target quantity",
+        jobProgress: "Job progress %",
+        jobEstimatedCompletion: "Job estimated completion",
+        shiftName: "Shift",
+        shiftStart: "Shift counted since",
+        availability: "Availability %",
+        performance: "Performance %",
+        quality: "Quality %",
+        oee: "OEE %",
+        goodParts: "Good parts (shift)",
+        rejectedParts: "Rejected parts (shift)",
+        shiftEnergy: "Energy kWh (shift)",
+        energyPerPart: "Energy per good part kWh"
+    },
+    it: {
+        status: "Stato",
+        previousStatus: "Stato precedente",
+        lastTransitionTime: "Ultima transizione",
+        alarmReason: "Motivo allarme",
+        alarmAcknowledged: "Allarme riconosciuto",
+        tool: "Utensile",
+        toolWear: "Usura utensile %",
+        partsProduced: "Pezzi",
+        energyConsumption: "Energia kW",
+        spindleSpeed: "Velocità mandrino",
+        spindleRPM: "Giri mandrino",
+        spindleTargetRPM: "Giri obiettivo mandrino",
+        spindleCurrentLoad: "Carico attuale mandrino %",
+        spindleBearingTemperature: "Temperatura cuscinetti mandrino °C",
+        spindleVibration: "Vibrazione mandrino mm/s",
+        statusAI: "Stato AI",
+        operatingHours: "Ore di funzionamento",
+        healthScore: "Indice di salute",
+        estimatedTimeToMaintenance: "Ore alla manutenzione",
+        spindleLoad: "Carico medio mandrino %",
+        energyAnomalyScore: "Anomalia energetica z-score",
+        jobId: "Commessa",
+        jobState: "Stato commessa",
+        jobPartsProduced: "Pezzi commessa",
+        jobTargetQuantity: "Quantità obiettivo commessa",
+        jobProgress: "Avanzamento commessa %",
+        jobEstimatedCompletion: "Completamento stimato commessa",
+        shiftName: "Turno",
+        shiftStart: "Turno conteggiato dal",
+        availability: "Disponibilità %",
+        performance: "Efficienza %",
+        quality: "Qualità %",
+        oee: "OEE %",
+        goodParts: "Pezzi buoni (turno)",
+        rejectedParts: "Pezzi scartati (turno)",
+        shiftEnergy: "Energia kWh (turno)",
+        energyPerPart: "Energia per pezzo buono kWh"
+    }
+};
+const Locales = Object.keys(FieldLabels);
 
-    const readObject = async (parentNodeId, objName) => {
-        const ref = (await globalSession.browse(parentNodeId)).references.find(
-            r => r.browseName.name === objName && r.nodeClass === NodeClass.Object
-        );
-        return ref;
-    };
+const ConnectionUsage = `Connection options: [--endpoint <url>] [--security ${Object.keys(SecurityModes).join("|")}] ` +
+    `[--user <name> --password <password> | --cert <certificate.pem> --key <private_key.pem>] [--locale ${Locales.join("|")}] [--json]\n` +
+    "  [--accept-unknown-certificate] (trust any server certificate with Sign and SignAndEncrypt, development only)\n" +
+    "  defaults from CNC_ENDPOINT, CNC_SECURITY_MODE, CNC_USER, CNC_PASSWORD, CNC_LOCALE and CNC_ACCEPT_UNKNOWN_CERTIFICATE;\n" +
+    "  e.g. node client.js ls --user operatore --password operatore";
 
-    const displayAllCNCStatuses = async () => {
-        if (!globalSession || globalCNCInstances.length === 0) return;
+/**
+ * Wrong command line: printed with the usage and mapped to exit code 2.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
 
-        console.log("\n--- CNC MACHINE STATUSES ---");
-        for (const cnc of globalCNCInstances) {
-            try {
-                const status = await readVariable(cnc.nodeId, "Status");
-                const utensile = await readVariable(cnc.nodeId, "Utensile");
-                const pezziProdotti = await readVariable(cnc.nodeId, "PezziProdotti");
-                const consumoEnergetico = await readVariable(cnc.nodeId, "ConsumoEnergetico");
-                const statusAI = await readVariable(cnc.nodeId, "StatusAI");
-
-                let mandrinoSpeed = { value: { value: "N/A" } };
-                const mandrinoObj = await readObject(cnc.nodeId, "Mandrino");
-                if (mandrinoObj) {
-                    mandrinoSpeed = await readVariable(mandrinoObj.nodeId, "Velocita");
-                }
-
-                console.log(
-                    `  ${cnc.browseName.name}: ` +
-                    `Status: ${CNCStatusEnumValues[status.value.value] || "Unknown"}, ` +
-                    `Utensile: ${utensile.value.value}, ` +
-                    `Pezzi: ${pezziProdotti.value.value}, ` +
-                    `Energia: ${consumoEnergetico.value.value} kW, ` +
-                    `Mandrino: ${MandrinoVelocitaEnumValues[mandrinoSpeed.value.value] || "Unknown"}` +
-                    (statusAI.value.value !== "N/A" ? `, AI: ${statusAI.value.value}` : '')
-                );
-            } catch (error) {
-                console.error(`Error reading ${cnc.browseName.name}: ${error.message}`);
-            }
+const exitCodeFor = (err) =>
+    err instanceof UsageError ? ExitCodes.Usage :
+    err instanceof CncClientError ? ExitCodes[err.statusCode.name] || ExitCodes.BadStatusCode :
+    ExitCodes.Error;
+
+// `labels` are the labels of the session locale (see createLabels)
+const formatValue = (labels, varName, value) =>
+    varName === "Status" ? labels.status[CNCStatusNames[value]] || "Unknown" :
+    varName === "Velocita" ? labels.spindleSpeed[value] || "Unknown" :
+    value;
+
+const formatField = (labels, field, value) =>
+    field === "status" || field === "previousStatus" ? labels.status[value] || value :
+    field === "jobState" ? labels.jobState[value] || value :
+    field === "spindleSpeed" ? labels.spindleSpeed[value] || "Unknown" :
+    value instanceof Date ? value.toISOString() :
+    value;
+
+// history <machine> <variable> [--from <date>] [--to <date>] [--aggregate <name>] [--interval <seconds>]
+const parseHistoryArgs = (args) => {
+    const [machine, variable, ...flags] = args;
+    if (!machine || !variable) throw new UsageError(HistoryUsage);
+
+    const options = { machine, variable, to: new Date(), aggregate: null, interval: 60 };
+    options.from = new Date(options.to.getTime() - 60 * 60 * 1000);
+    for (let i = 0; i < flags.length; i += 2) {
+        const [flag, value] = [flags[i], flags[i + 1]];
+        if (value === undefined) throw new UsageError(`Missing value for ${flag}\n${HistoryUsage}`);
+        if (flag === "--from" || flag === "--to") {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) throw new UsageError(`Invalid date for ${flag}: ${value}`);
+            options[flag.slice(2)] = date;
+        } else if (flag === "--aggregate") {
+            if (!(value in HistoryAggregates)) throw new UsageError(`Unknown aggregate ${value}, expected one of ${Object.keys(HistoryAggregates).join(", ")}`);
+            options.aggregate = value;
+        } else if (flag === "--interval") {
+            options.interval = Number(value);
+            if (!(options.interval > 0)) throw new UsageError(`Invalid interval: ${value}`);
+        } else {
+            throw new UsageError(`Unknown option ${flag}\n${HistoryUsage}`);
         }
-        console.log("---------------------------\n");
+    }
+    return options;
+};
+
+// Connection options may appear anywhere on the command line; the remaining arguments are the command
+const parseConnectionArgs = (argv, env = process.env) => {
+    const options = {
+        endpoint: env.CNC_ENDPOINT || DEFAULT_ENDPOINT_URL,
+        security: env.CNC_SECURITY_MODE || "None",
+        user: env.CNC_USER,
+        password: env.CNC_PASSWORD,
+        cert: null,
+        key: null,
+        locale: env.CNC_LOCALE || "en",
+        acceptUnknownCertificate: env.CNC_ACCEPT_UNKNOWN_CERTIFICATE === "on",
+        json: false
     };
+    const rest = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--json") {
+            options.json = true;
+            continue;
+        }
+        if (argv[i] === "--accept-unknown-certificate") {
+            options.acceptUnknownCertificate = true;
+            continue;
+        }
+        if (!(argv[i] in ConnectionFlags)) {
+            rest.push(argv[i]);
+            continue;
+        }
+        if (argv[i + 1] === undefined) throw new UsageError(`Missing value for ${argv[i]}\n${ConnectionUsage}`);
+        options[ConnectionFlags[argv[i]]] = argv[++i];
+    }
+    if (!/^opc\.tcp:\/\/.+/.test(options.endpoint)) throw new UsageError(`Invalid endpoint ${options.endpoint}, expected opc.tcp://host:port/path`);
+    if (!(options.security in SecurityModes)) throw new UsageError(`Unknown security mode ${options.security}\n${ConnectionUsage}`);
+    if (![undefined, "on", "off"].includes(env.CNC_ACCEPT_UNKNOWN_CERTIFICATE)) {
+        throw new UsageError(`Invalid CNC_ACCEPT_UNKNOWN_CERTIFICATE ${env.CNC_ACCEPT_UNKNOWN_CERTIFICATE}, expected on or off`);
+    }
+    if (!Locales.includes(options.locale)) throw new UsageError(`Unknown locale ${options.locale}, expected one of ${Locales.join(", ")}`);
+    if (!options.cert !== !options.key) throw new UsageError(`--cert and --key must be given together\n${ConnectionUsage}`);
+    if (options.cert && options.user) throw new UsageError(`Use either --user or --cert, not both\n${ConnectionUsage}`);
+    if (options.user && options.password === undefined) throw new UsageError(`Missing password for user ${options.user}\n${ConnectionUsage}`);
+    return { options, rest };
+};
 
-    const monitorVariable = async (subscription, parentNodeId, varName, cncName, label) => {
-        const ref = (await globalSession.browse(parentNodeId)).references.find(
-            r => r.browseName.name === varName && r.nodeClass === NodeClass.Variable
-        );
-        if (!ref) return console.warn(`${varName} not found for ${cncName}`);
+// Username/password, X.509 certificate (PEM files) or anonymous
+const userIdentityFor = (options) =>
+    createUserIdentity({ user: options.user, password: options.password, cert: options.cert, key: options.key });
 
-        const item = await subscription.monitor(
-            { nodeId: ref.nodeId, attributeId: AttributeIds.Value },
-            { samplingInterval: 1000, discardOldest: true, queueSize: 10 },
-            TimestampsToReturn.Both
-        );
-        
-        item.on("changed", (dataValue) => {
-            const value = varName === "Status" ? CNCStatusEnumValues[dataValue.value.value] || "Unknown" :
-                          varName === "Velocita" ? MandrinoVelocitaEnumValues[dataValue.value.value] || "Unknown" :
-                          dataValue.value.value;
-            console.log(`[${cncName} CHANGE] ${label}: ${value} at ${new Date().toLocaleTimeString()}`);
-        });
-    };
+// Labels of the session locale: the field labels of the client and the enumeration values read from the server
+const createLabels = (locale, enumLabels) => ({ fields: FieldLabels[locale], ...enumLabels });
+
+// One line per machine: the unit of the field labels is printed with the values
+const formatSnapshot = (labels, snapshot) => {
+    const { fields } = labels;
+    const label = (field) => fields[field].replace(/ (%|kW)$/, "");
+    return `  ${snapshot.machine}: ` +
+        `${label("status")}: ${formatField(labels, "status", snapshot.status)}, ` +
+        `${label("tool")}: ${snapshot.tool}, ` +
+        `${label("partsProduced")}: ${snapshot.partsProduced}, ` +
+        `${label("energyConsumption")}: ${snapshot.energyConsumption} kW, ` +
+        `${label("spindleSpeed")}: ${formatField(labels, "spindleSpeed", snapshot.spindleSpeed)}` +
+        (snapshot.spindleRPM !== null ? ` (${snapshot.spindleRPM} rpm)` : "") +
+        (snapshot.statusAI !== null ? `, ${label("statusAI")}: ${snapshot.statusAI}` : "") +
+        (snapshot.healthScore !== null ? `, ${label("healthScore")}: ${snapshot.healthScore}` : "") +
+        (snapshot.jobId ? `, ${label("jobId")}: ${snapshot.jobId} ${formatField(labels, "jobState", snapshot.jobState)} ${snapshot.jobProgress}%` : "") +
+        (snapshot.oee !== null ? `, ${label("oee")}: ${snapshot.oee}%` : "");
+};
 
-    const callMethod = async (objectNodeId, methodName, inputArgs = []) => {
-        const methodRef = (await globalSession.browse(objectNodeId)).references.find(
-            r => r.browseName.name === methodName && r.nodeClass === NodeClass.Method
+// Snapshot field of a variable given by name ("ConsumoEnergetico", "Mandrino/Velocita", "Velocita") or by field ("energyConsumption")
+const fieldForVariable = (name) => {
+    const field = Object.keys(SnapshotVariables).find(f =>
+        f === name || SnapshotVariables[f] === name || SnapshotVariables[f].split("/").pop() === name);
+    if (!field) {
+        throw new UsageError(`Unknown variable ${name}, expected one of ${Object.values(SnapshotVariables).join(", ")}`);
+    }
+    return field;
+};
+
+const parseStatus = (value) => {
+    const status = Object.keys(CNCStatus).find(name => name.toLowerCase() === String(value).toLowerCase());
+    if (!status) throw new UsageError(`Invalid status ${value}, expected one of ${Object.keys(CNCStatus).map(s => s.toLowerCase()).join(", ")}`);
+    return status;
+};
+
+const parseSpeed = (value) => {
+    const speed = Number(value);
+    if (!SpindleSpeeds.includes(speed)) throw new UsageError(`Invalid speed ${value}, expected one of ${SpindleSpeeds.join(", ")}`);
+    return speed;
+};
+
+// Raw values, or one aggregate value per interval, of a historized variable
+const readHistory = async (cnc, options) => {
+    const nodeId = await cnc.resolve(options.machine, options.variable);
+    if (!nodeId) throw new CncClientError(`${options.variable} not found on ${options.machine}`, { machine: options.machine, statusCode: StatusCodes.BadNotFound });
+
+    const result = options.aggregate
+        ? (await cnc.session.readAggregateValue(
+            [{ nodeId }], options.from, options.to,
+            [HistoryAggregates[options.aggregate]], options.interval * 1000))[0]
+        : await cnc.session.readHistoryValue({ nodeId }, options.from, options.to);
+    if (!result.statusCode.isGood()) {
+        throw new CncClientError(`History read failed: ${result.statusCode.name}`, { machine: options.machine, statusCode: result.statusCode });
+    }
+
+    // Intervals without any raw value are not printed
+    return (result.historyData?.dataValues || []).filter(dv => dv.statusCode.name !== "BadNoData");
+};
+
+const printHistory = (output, options, dataValues) => {
+    const varName = options.variable.split("/").pop();
+    if (output.json) {
+        return output.print(dataValues.map(dataValue => ({
+            sourceTimestamp: dataValue.sourceTimestamp,
+            value: dataValue.value.value,
+            statusCode: dataValue.statusCode.name
+        })));
+    }
+    output.print(
+        `${options.machine} ${options.variable} ` +
+        (options.aggregate ? `${options.aggregate} every ${options.interval}s ` : "") +
+        `from ${options.from.toISOString()} to ${options.to.toISOString()}: ${dataValues.length} values`
+    );
+    for (const dataValue of dataValues) {
+        const value = options.aggregate ? dataValue.value.value : formatValue(output.labels, varName, dataValue.value.value);
+        output.print(
+            `  ${dataValue.sourceTimestamp?.toISOString()}  ${value}` +
+            (dataValue.statusCode.isGoodish() ? "" : `  (${dataValue.statusCode.name})`)
         );
-        if (!methodRef) return console.warn(`${methodName} method not found`);
+    }
+};
+
+// Audit trail: CNCMethodAuditEventType events for every method call on the CNCs
+const monitorAuditEvents = async (cnc, output) => {
+    const { session } = cnc;
+    const eventTypeId = await cnc.findObjectType("CNCMethodAuditEventType", ObjectTypeIds.AuditUpdateMethodEventType);
+    const namespaceArray = (await session.read({ nodeId: "ns=0;i=2255", attributeId: AttributeIds.Value })).value.value;
+    const namespaceIndex = namespaceArray.indexOf(CNCNamespaceUri);
+    if (namespaceIndex < 0) throw new CncClientError(`Namespace ${CNCNamespaceUri} not found on the server`, { statusCode: StatusCodes.BadNotFound });
+
+    const subscription = await session.createSubscription2({
+        requestedPublishingInterval: 500, maxNotificationsPerPublish: 1000, publishingEnabled: true
+    });
+    const fields = [...AuditEventFields, `${namespaceIndex}:Changes`];
+    const item = await subscription.monitor(
+        { nodeId: ObjectIds.Server, attributeId: AttributeIds.EventNotifier },
+        {
+            samplingInterval: 0, discardOldest: true, queueSize: 100,
+            filter: constructEventFilter(fields, ofType(eventTypeId))
+        },
+        TimestampsToReturn.Neither
+    );
+
+    item.on("changed", (eventFields) => {
+        const event = Object.fromEntries(AuditEventFields.map((name, i) => [name, eventFields[i].value]));
+        const changes = JSON.parse(eventFields[AuditEventFields.length].value || "[]");
+        const args = (event.InputArguments || []).map(variant => variant.value);
+        if (output.json) {
+            return output.print({
+                machine: event.SourceName, time: event.Time, user: event.ClientUserId,
+                message: event.Message?.text, success: event.Status, inputArguments: args, changes
+            });
+        }
+        output.print(`[${event.SourceName} AUDIT] ${event.Time?.toISOString()} ${event.Message?.text} (${args.join(", ")})`);
+        for (const { variable, before, after } of changes) {
+            output.print(`    ${variable}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+        }
+    });
+};
+
+// Shift summary events (ShiftSummaryEventType) of every machine: at the end of each shift and on ResetShiftCounters
+const monitorShiftSummaries = async (cnc, output) => {
+    const { session } = cnc;
+    const eventTypeId = await cnc.findObjectType("ShiftSummaryEventType");
+    const namespaceArray = (await session.read({ nodeId: "ns=0;i=2255", attributeId: AttributeIds.Value })).value.value;
+    const namespaceIndex = namespaceArray.indexOf(CNCNamespaceUri);
+    if (namespaceIndex < 0) throw new CncClientError(`Namespace ${CNCNamespaceUri} not found on the server`, { statusCode: StatusCodes.BadNotFound });
+
+    const subscription = await session.createSubscription2({
+        requestedPublishingInterval: 500, maxNotificationsPerPublish: 1000, publishingEnabled: true
+    });
+    const fields = ["SourceName", "Message", ...ShiftSummaryFields.map(name => `${namespaceIndex}:${name}`)];
+    const item = await subscription.monitor(
+        { nodeId: ObjectIds.Server, attributeId: AttributeIds.EventNotifier },
+        {
+            samplingInterval: 0, discardOldest: true, queueSize: 100,
+            filter: constructEventFilter(fields, ofType(eventTypeId))
+        },
+        TimestampsToReturn.Neither
+    );
+
+    item.on("changed", (eventFields) => {
+        const [machine, message] = [eventFields[0].value, eventFields[1].value?.text];
+        // NaN: KPI not computable in the shift (e.g. the quality without parts)
+        const event = Object.fromEntries(ShiftSummaryFields.map((name, i) =>
+            [name, Number.isNaN(eventFields[i + 2].value) ? null : eventFields[i + 2].value]));
+        if (output.json) return output.print({ machine, message, ...event });
+        output.print(`[${machine} SHIFT] ${message}`);
+        output.print(`    ${event.ShiftName} ${event.ShiftStart?.toISOString()} - ${event.ShiftEnd?.toISOString()}: ` +
+            `On ${event.OnTime} h, Off ${event.OffTime} h, Alarm ${event.AlarmTime} h, ` +
+            `${event.GoodParts} good / ${event.RejectedParts} rejected parts, ${event.EnergyConsumed} kWh`);
+        const percent = (value) => value === null ? "n/a" : `${value}%`;
+        output.print(`    Availability ${percent(event.Availability)}, Performance ${percent(event.Performance)}, ` +
+            `Quality ${percent(event.Quality)}, OEE ${percent(event.OEE)}, ${event.EnergyPerPart ?? "n/a"} kWh per good part`);
+    });
+};
+
+const printCallResult = (output, result) =>
+    output.print(output.json ? result
+        : `${result.method} on ${result.machine}: ${result.statusCode}${result.message ? ` (${result.message})` : ""}`);
+
+// Group methods: the summary, then one line per machine of the group
+const printGroupResult = (output, result) => {
+    if (output.json) return output.print(result);
+    output.print(`${result.method} on ${result.group}: ${result.message}`);
+    for (const { machine, statusCode, message } of result.results) {
+        output.print(`  ${machine.padEnd(10)} ${statusCode.padEnd(16)} ${message}`);
+    }
+};
+
+// <group> [--dry-run] (the flag may come anywhere after the command)
+const parseGroupArgs = (args, usage) => {
+    const positional = args.filter(arg => arg !== "--dry-run");
+    if (positional.length === 0) throw new UsageError(`Usage: ${usage}`);
+    return { positional, dryRun: args.includes("--dry-run") };
+};
+
+// Method call examples: failures (e.g. a role without access) are printed and the demo goes on
+const runDemo = async (cnc, output) => {
+    const machines = await cnc.listMachines();
+    output.print("\n--- CNC MACHINE STATUSES ---");
+    for (const machine of machines) {
+        try {
+            output.print(formatSnapshot(output.labels, await cnc.getSnapshot(machine.name)));
+        } catch (error) {
+            output.error(`Error reading ${machine.name}: ${error.message}`);
+        }
+    }
+    output.print("---------------------------\n");
+
+    await cnc.watch();
 
-        const callRequest = { objectId: objectNodeId, methodId: methodRef.nodeId, inputArguments: inputArgs };
-        const result = await globalSession.call([callRequest]);
-        return result[0]?.outputArguments[0]?.value;
+    const demoCall = async (label, call) => {
+        output.print(`\n${label}...`);
+        try {
+            const result = await call();
+            output.print(`Result: ${result.success}`);
+        } catch (err) {
+            output.error(err.message);
+        }
     };
+    if (machines.some(m => m.name === "CNC1")) {
+        await demoCall("Calling ChangeStatus on CNC1 to 'On'", () => cnc.setStatus("CNC1", "On"));
+        await demoCall("Calling CambiareVelocita on CNC1's Mandrino to speed 3", () => cnc.setSpindleSpeed("CNC1", 3));
+    }
+    if (machines.some(m => m.name === "CNCPro1")) {
+        await demoCall("Calling ManutenzionePredittiva on CNCPro1", () => cnc.runPredictiveMaintenance("CNCPro1"));
+    }
+};
 
-    await client.withSubscriptionAsync(
-        endpointUrl,
-        { maxNotificationsPerPublish: 1000, publishingEnabled: true, requestedPublishingInterval: 1000 },
-        async (session, subscription) => {
-            globalSession = session;
-            try {
-                const rootFolder = await session.browse("RootFolder");
-                const objectsNode = rootFolder.references.find(r => r.browseName.name === "Objects");
-                
-                if (!objectsNode) return console.warn("Objects folder not found");
-
-                const cncInstances = (await session.browse(objectsNode.nodeId))
-                    .references.filter(r => 
-                        (r.browseName.name.startsWith("CNC") || r.browseName.name.startsWith("CNCPro")) && 
-                        r.nodeClass === NodeClass.Object
-                    );
-                
-                globalCNCInstances = cncInstances;
-
-                // Setup monitoring
-                for (const cnc of cncInstances) {
-                    await monitorVariable(subscription, cnc.nodeId, "Status", cnc.browseName.name, "Status");
-                    await monitorVariable(subscription, cnc.nodeId, "ConsumoEnergetico", cnc.browseName.name, "Energia");
-                    await monitorVariable(subscription, cnc.nodeId, "StatusAI", cnc.browseName.name, "Status AI");
-
-                    const mandrinoObj = await readObject(cnc.nodeId, "Mandrino");
-                    if (mandrinoObj) {
-                        await monitorVariable(subscription, mandrinoObj.nodeId, "Velocita", cnc.browseName.name + " Mandrino", "Velocità");
-                    }
-                }
-
-                await displayAllCNCStatuses();
-
-                // Method call examples
-                const cnc1 = globalCNCInstances.find(c => c.browseName.name === "CNC1");
-                if (cnc1) {
-                    console.log("\nCalling ChangeStatus on CNC1 to 'On'...");
-                    const result = await callMethod(cnc1.nodeId, "ChangeStatus", [{ dataType: DataType.Int32, value: 1 }]);
-                    console.log(`Result: ${result}`);
-
-                    const mandrinoObj = await readObject(cnc1.nodeId, "Mandrino");
-                    if (mandrinoObj) {
-                        console.log("\nCalling CambiareVelocita on CNC1's Mandrino to speed 3...");
-                        const speedResult = await callMethod(mandrinoObj.nodeId, "CambiareVelocita", [{ dataType: DataType.Int32, value: 3 }]);
-                        console.log(`Result: ${speedResult}`);
-                    }
-                }
-
-                const cncPro1 = globalCNCInstances.find(c => c.browseName.name === "CNCPro1");
-                if (cncPro1) {
-                    console.log("\nCalling ManutenzionePredittiva on CNCPro1...");
-                    const maintResult = await callMethod(cncPro1.nodeId, "ManutenzionePredittiva");
-                    console.log(`Result: ${maintResult}`);
-                }
+/**
+ * CLI commands. `streaming` commands keep printing after they return (until Ctrl+C, or `unwatch` in the shell).
+ */
+const Commands = {
+    ls: {
+        usage: "ls",
+        description: "list the machines",
+        run: async (cnc, args, output) => {
+            const machines = await cnc.listMachines();
+            if (output.json) {
+                return output.print(machines.map(m => ({ ...m, nodeId: m.nodeId.toString() })));
+            }
+            for (const machine of machines) {
+                output.print(`${machine.name.padEnd(10)} ${machine.type.padEnd(20)} ${machine.path}`);
+            }
+        }
+    },
+    status: {
+        usage: "status [machine]",
+        description: "current values of a machine, or a summary of all machines",
+        run: async (cnc, [machine], output) => {
+            const names = machine ? [machine] : (await cnc.listMachines()).map(m => m.name);
+            const snapshots = [];
+            for (const name of names) snapshots.push(await cnc.getSnapshot(name));
+            if (output.json) {
+                return output.print(machine ? snapshots[0] : snapshots);
+            }
+            if (!machine) {
+                return snapshots.forEach(snapshot => output.print(formatSnapshot(output.labels, snapshot)));
+            }
+            const [snapshot] = snapshots;
+            output.print(`${snapshot.machine} (${snapshot.type})`);
+            for (const field of Object.keys(SnapshotVariables)) {
+                if (snapshot[field] !== null) output.print(`  ${output.labels.fields[field]}: ${formatField(output.labels, field, snapshot[field])}`);
+            }
+        }
+    },
+    snapshot: {
+        usage: "snapshot <machine>",
+        description: "call GetSnapshot: the main values read by the server at the same instant",
+        run: async (cnc, [machine], output) => {
+            if (!machine) throw new UsageError("Usage: snapshot <machine>");
+            const snapshot = await cnc.getMachineSnapshot(machine);
+            if (output.json) return output.print(snapshot);
+            output.print(`${snapshot.machine} at ${snapshot.timestamp.toISOString()}`);
+            for (const field of ["status", "tool", "partsProduced", "energyConsumption", "spindleSpeed", "statusAI"]) {
+                output.print(`  ${output.labels.fields[field]}: ${formatField(output.labels, field, snapshot[field])}`);
+            }
+        }
+    },
+    "set-status": {
+        usage: "set-status <machine> on|off|alarm",
+        description: "call ChangeStatus",
+        run: async (cnc, [machine, status], output) => {
+            if (!machine || !status) throw new UsageError("Usage: set-status <machine> on|off|alarm");
+            printCallResult(output, await cnc.setStatus(machine, parseStatus(status)));
+        }
+    },
+    speed: {
+        usage: "speed <machine> <1-5>",
+        description: "call CambiareVelocita on the spindle",
+        run: async (cnc, [machine, speed], output) => {
+            if (!machine || !speed) throw new UsageError("Usage: speed <machine> <1-5>");
+            printCallResult(output, await cnc.setSpindleSpeed(machine, parseSpeed(speed)));
+        }
+    },
+    groups: {
+        usage: "groups",
+        description: "list the machine groups (Plant/Line/Cell folders and tags)",
+        run: async (cnc, args, output) => {
+            const groups = await cnc.listGroups();
+            if (output.json) {
+                return output.print(groups.map(g => ({ ...g, nodeId: g.nodeId.toString() })));
+            }
+            for (const group of groups) {
+                output.print(`${group.path.padEnd(32)} ${group.machines.join(", ")}`);
+            }
+        }
+    },
+    "start-all": {
+        usage: "start-all <group> [--dry-run]",
+        description: "call StartAll: switch On every machine of the group",
+        run: async (cnc, args, output) => {
+            const { positional: [group], dryRun } = parseGroupArgs(args, "start-all <group> [--dry-run]");
+            printGroupResult(output, await cnc.startAll(group, { dryRun }));
+        }
+    },
+    "stop-all": {
+        usage: "stop-all <group> [--dry-run]",
+        description: "call StopAll: switch Off every machine of the group",
+        run: async (cnc, args, output) => {
+            const { positional: [group], dryRun } = parseGroupArgs(args, "stop-all <group> [--dry-run]");
+            printGroupResult(output, await cnc.stopAll(group, { dryRun }));
+        }
+    },
+    "speed-all": {
+        usage: "speed-all <group> <1-5> [--dry-run]",
+        description: "call SetSpindleSpeedAll on the group",
+        run: async (cnc, args, output) => {
+            const { positional: [group, speed], dryRun } = parseGroupArgs(args, "speed-all <group> <1-5> [--dry-run]");
+            if (!speed) throw new UsageError("Usage: speed-all <group> <1-5> [--dry-run]");
+            printGroupResult(output, await cnc.setSpindleSpeedAll(group, parseSpeed(speed), { dryRun }));
+        }
+    },
+    "load-job": {
+        usage: "load-job <machine> <job> <part> <quantity> <tool> <1-5>",
+        description: "call LoadJob: load a work order on the machine",
+        run: async (cnc, [machine, jobId, partNumber, quantity, requiredTool, speed], output) => {
+            if (!speed) throw new UsageError("Usage: load-job <machine> <job> <part> <quantity> <tool> <1-5>");
+            const targetQuantity = Number(quantity);
+            if (!Number.isInteger(targetQuantity) || targetQuantity <= 0) throw new UsageError(`Invalid quantity ${quantity}, expected a positive integer`);
+            printCallResult(output, await cnc.loadJob(machine, { jobId, partNumber, targetQuantity, requiredTool, spindleSpeed: parseSpeed(speed) }));
+        }
+    },
+    "start-job": {
+        usage: "start-job <machine>",
+        description: "call StartJob: start or resume the loaded job",
+        run: async (cnc, [machine], output) => {
+            if (!machine) throw new UsageError("Usage: start-job <machine>");
+            printCallResult(output, await cnc.startJob(machine));
+        }
+    },
+    "pause-job": {
+        usage: "pause-job <machine>",
+        description: "call PauseJob",
+        run: async (cnc, [machine], output) => {
+            if (!machine) throw new UsageError("Usage: pause-job <machine>");
+            printCallResult(output, await cnc.pauseJob(machine));
+        }
+    },
+    "abort-job": {
+        usage: "abort-job <machine>",
+        description: "call AbortJob",
+        run: async (cnc, [machine], output) => {
+            if (!machine) throw new UsageError("Usage: abort-job <machine>");
+            printCallResult(output, await cnc.abortJob(machine));
+        }
+    },
+    "reset-shift": {
+        usage: "reset-shift <machine>",
+        description: "call ResetShiftCounters: close the KPI counting of the shift and restart it",
+        run: async (cnc, [machine], output) => {
+            if (!machine) throw new UsageError("Usage: reset-shift <machine>");
+            printCallResult(output, await cnc.resetShiftCounters(machine));
+        }
+    },
+    maint: {
+        usage: "maint <machine>",
+        description: "call ManutenzionePredittiva (CNC Pro only)",
+        run: async (cnc, [machine], output) => {
+            if (!machine) throw new UsageError("Usage: maint <machine>");
+            const result = await cnc.runPredictiveMaintenance(machine);
+            if (output.json) return output.print(result);
+            const { healthScore, estimatedTimeToMaintenance, topFactors, recommendation } = result.report;
+            printCallResult(output, result);
+            output.print(`  Health score: ${healthScore}`);
+            output.print(`  Hours to maintenance: ${estimatedTimeToMaintenance ?? "unknown"}`);
+            for (const factor of topFactors) output.print(`  - ${factor}`);
+            output.print(`  ${recommendation}`);
+        }
+    },
+    watch: {
+        usage: "watch [machine] [variable...]",
+        description: "print the changes of the main variables (all machines by default) and the alarms",
+        streaming: true,
+        run: async (cnc, [machine, ...variables], output) => {
+            const options = variables.length ? { fields: variables.map(fieldForVariable) } : {};
+            await cnc.watch(machine ? [machine] : null, options);
+        }
+    },
+    unwatch: {
+        usage: "unwatch",
+        description: "stop watch (shell only)",
+        run: async (cnc) => cnc.unwatch()
+    },
+    history: {
+        usage: "history <machine> <variable> [--from <date>] [--to <date>] [--aggregate <name>] [--interval <seconds>]",
+        description: "history of a variable",
+        run: async (cnc, args, output) => {
+            const options = parseHistoryArgs(args);
+            printHistory(output, options, await readHistory(cnc, options));
+        }
+    },
+    audit: {
+        usage: "audit",
+        description: "print the audit events of every method call",
+        streaming: true,
+        run: async (cnc, args, output) => monitorAuditEvents(cnc, output)
+    },
+    shifts: {
+        usage: "shifts",
+        description: "print the KPI summary of every machine at the end of each shift",
+        streaming: true,
+        run: async (cnc, args, output) => monitorShiftSummaries(cnc, output)
+    },
+    demo: {
+        usage: "demo",
+        description: "print all machines, watch them and call the demonstration methods",
+        streaming: true,
+        run: async (cnc, args, output) => runDemo(cnc, output)
+    }
+};
+
+const CommandsUsage = "Usage: node client.js [command] [connection options]\n" +
+    Object.values(Commands).map(c => `  ${c.usage.padEnd(32)} ${c.description}`).join("\n") +
+    "\nWithout a command an interactive shell is started.\n" + ConnectionUsage;
+
+// `labels` (createLabels) are set once the session is open, in the locale chosen with --locale
+const createOutput = (json, labels = null) => ({
+    json,
+    labels,
+    print: (value) => console.log(json && typeof value !== "string" ? JSON.stringify(value) : value),
+    error: (message, err) => console.error(json ? JSON.stringify({ error: message, statusCode: err?.statusCode?.name }) : message)
+});
+
+const printEvents = (cnc, output) => {
+    cnc.on("change", (change) => output.print(output.json ? change :
+        `[${change.machine} CHANGE] ${output.labels.fields[change.field]}: ${formatField(output.labels, change.field, change.value)} at ${new Date().toLocaleTimeString()}`
+    ));
+    cnc.on("alarm", (event) => output.print(output.json ? event :
+        `[${event.machine} EVENT] ${event.condition} (severity ${event.severity}): ${event.message} ` +
+        `[${event.active}, ${event.acked}] at ${event.time?.toLocaleTimeString()}`
+    ));
+};
 
+const runCommand = async (cnc, [name, ...args], output) => {
+    if (name === "help") return output.print(CommandsUsage);
+    if (!(name in Commands)) throw new UsageError(`Unknown command ${name}\n${CommandsUsage}`);
+    await Commands[name].run(cnc, args, output);
+    return Commands[name];
+};
+
+// Interactive shell: one command per line on the same session, run in order (also when lines are piped)
+const runShell = async (cnc, output) => {
+    const shell = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: "cnc> ",
+        completer: (line) => {
+            const names = [...Object.keys(Commands), "help", "exit"];
+            const hits = names.filter(n => n.startsWith(line));
+            return [hits.length ? hits : names, line];
+        }
+    });
+    output.print(`Connected to ${cnc.endpointUrl}. Type "help" for the commands, "exit" to quit.`);
+    shell.prompt();
+    for await (const line of shell) {
+        const words = line.trim().split(/\s+/).filter(Boolean);
+        if (words[0] === "exit" || words[0] === "quit") break;
+        if (words.length) {
+            try {
+                await runCommand(cnc, words.filter(w => w !== "--json"), words.includes("--json") ? createOutput(true, output.labels) : output);
             } catch (err) {
-                console.error("Error:", err.message);
+                output.error(err.message, err);
             }
-
-            console.log("\nPress CTRL+C to stop...");
-            await new Promise(() => {});
         }
+        shell.prompt();
+    }
+    shell.close();
+};
+
+(async () => {
+    let connection;
+    try {
+        const { options, rest } = parseConnectionArgs(process.argv.slice(2));
+        connection = { options, rest, userIdentity: userIdentityFor(options) };
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = exitCodeFor(err);
+        return;
+    }
+    const output = createOutput(connection.options.json);
+    const [command] = connection.rest;
+    if (command === "help") {
+        console.log(CommandsUsage);
+        return;
+    }
+    if (command && !(command in Commands)) {
+        console.error(`Unknown command ${command}\n${CommandsUsage}`);
+        process.exitCode = ExitCodes.Usage;
+        return;
+    }
+
+    // Sign and SignAndEncrypt need the client certificate (created in pki/client on first use) to be trusted by the server,
+    // and the server certificate to be trusted in pki/client/trusted/certs
+    const cnc = new CncClient({
+        endpointUrl: connection.options.endpoint,
+        securityMode: connection.options.security,
+        userIdentity: connection.userIdentity,
+        pkiDir,
+        acceptUnknownCertificate: connection.options.acceptUnknownCertificate,
+        // Give up after a few attempts instead of retrying forever when the server is not reachable
+        connectionStrategy: { maxRetry: 3, initialDelay: 500, maxDelay: 2000 },
+        // Display names, descriptions and method messages in the chosen language
+        locale: connection.options.locale
+    });
+    cnc.on("backoff", (retry, delay) =>
+        console.error(`Reconnecting: retry ${retry}, next in ${delay / 1000}s`)
     );
-})();
\ No newline at end of file
+
+    // Most commands need a user allowed by the server (anonymous access is usually disabled)
+    try {
+        await cnc.connect();
+    } catch (err) {
+        output.error(`Connection failed: ${err.message}\n${ConnectionUsage}`);
+        process.exitCode = ExitCodes.ConnectionFailed;
+        return;
+    }
+    try {
+        output.labels = createLabels(connection.options.locale, await cnc.getEnumLabels());
+    } catch (err) {
+        output.error(`Reading the enumerations of the model failed: ${err.message}`, err);
+        process.exitCode = exitCodeFor(err);
+        await cnc.disconnect();
+        return;
+    }
+    printEvents(cnc, output);
+
+    if (!command) {
+        await runShell(cnc, output);
+        await cnc.disconnect();
+        return;
+    }
+
+    let streaming = false;
+    try {
+        streaming = (await runCommand(cnc, connection.rest, output)).streaming;
+    } catch (err) {
+        output.error(err.message, err);
+        process.exitCode = exitCodeFor(err);
+    }
+    if (!streaming || process.exitCode) {
+        await cnc.disconnect();
+        return;
+    }
+    if (!output.json) output.print("\nPress CTRL+C to stop...");
+    process.on("SIGINT", async () => {
+        await cnc.disconnect();
+        process.exit(ExitCodes.Good);
+    });
+})().catch((err) => {
+    // Unexpected failure (e.g. the session lost during disconnect): the client may still hold the connection open
+    console.error(`Error: ${err.message}`);
+    process.exit(exitCodeFor(err));
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const path = require("path");
+const { DEFAULT_ENDPOINT_URL, CncClient, userIdentityFromEnv } = require("./lib/cncClient");
+const { loadGatewayConfig, createGateway } = require("./lib/gateway");
+
+const pkiDir = path.join(process.env.CNC_PKI_DIR || path.join(__dirname, "pki"), "gateway");
+
+/**
+ * Gateway REST/WebSocket: una sessione OPC UA verso il server CNC per le letture e lo stream,
+ * più una sessione per ogni utente che chiama i metodi delle macchine.
+ */
+(async () => {
+    const config = loadGatewayConfig();
+    const endpointUrl = process.env.CNC_ENDPOINT || DEFAULT_ENDPOINT_URL;
+    const securityMode = process.env.CNC_SECURITY_MODE || "None";
+    // Con Sign e SignAndEncrypt il certificato del server va messo in pki/client/trusted/certs
+    const acceptUnknownCertificate = process.env.CNC_ACCEPT_UNKNOWN_CERTIFICATE === "on";
+
+    // Identità del gateway per le letture e lo stream (CNC_USER_CERT/CNC_USER_KEY, CNC_USER/CNC_PASSWORD o anonima):
+    // basta un utente in sola lettura, i metodi vengono chiamati con l'utente di ogni richiesta
+    const cnc = new CncClient({
+        endpointUrl,
+        securityMode,
+        userIdentity: userIdentityFromEnv(process.env),
+        pkiDir,
+        acceptUnknownCertificate
+    });
+    cnc.on("backoff", (retry, delay) => console.warn(`Server OPC UA ${endpointUrl} non raggiungibile: tentativo ${retry}, prossimo tra ${delay / 1000} s.`));
+    cnc.on("connectionLost", () => console.warn(`Connessione a ${endpointUrl} persa, riconnessione in corso.`));
+    cnc.on("connectionReestablished", () => console.log(`Connessione a ${endpointUrl} ristabilita.`));
+
+    await cnc.connect();
+    console.log(`Gateway connesso al server OPC UA ${endpointUrl}.`);
+
+    // Le variazioni di tutte le CNC vengono inoltrate ai client WebSocket
+    await cnc.watch();
+
+    // Sessioni degli utenti delle richieste: pochi tentativi, la richiesta HTTP resta in attesa
+    const connectAs = async (userIdentity) => {
+        const userClient = new CncClient({
+            endpointUrl,
+            securityMode,
+            userIdentity,
+            pkiDir,
+            acceptUnknownCertificate,
+            connectionStrategy: { maxRetry: 3, initialDelay: 500, maxDelay: 2000 }
+        });
+        await userClient.connect();
+        console.log(`Sessione OPC UA aperta per l'utente ${userIdentity.userName}.`);
+        return userClient;
+    };
+
+    const gateway = createGateway(cnc, { connectAs });
+    await new Promise((resolve, reject) => {
+        gateway.server.once("error", reject);
+        gateway.server.listen(config.port, config.host, resolve);
+    });
+    const { port } = gateway.server.address();
+    console.log(`Gateway REST in ascolto su http://${config.host}:${port} (OpenAPI su /openapi.json, WebSocket su /stream).`);
+
+    process.once("SIGINT", async () => {
+        console.log("Arresto del gateway...");
+        await gateway.close();
+        await cnc.disconnect();
+        console.log("Gateway arrestato.");
+        process.exit(0);
+    });
+})().catch((error) => {
+    console.error("Errore critico durante l'avvio del gateway:", error.message);
+    process.exit(1);
+});
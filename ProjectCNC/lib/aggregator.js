@@ -0,0 +1,427 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const {
+    AttributeIds,
+    BrowseDirection,
+    DataType,
+    NodeClass,
+    StatusCodes,
+    TimestampsToReturn,
+    VariantArrayType,
+    makeNodeId
+} = require("node-opcua");
+const { CncClient, SecurityModes, createUserIdentity } = require("./cncClient");
+const { MODEL_NAMESPACE_URI, constructStructure, operationResultArgument } = require("./model");
+
+const DEFAULT_AGGREGATOR_CONFIG = {
+    port: 4340,
+    upstreams: [], // [{ name, endpointUrl }]: un server CNC per cella
+    securityMode: "None", // modalità di sicurezza delle connessioni verso i server CNC
+    user: null, // utente (e password) con cui l'aggregatore si collega ai server CNC; null = anonimo
+    password: "",
+    userCert: null, // in alternativa, certificato X.509 (PEM) e chiave privata dell'utente
+    userKey: null,
+    acceptUnknownCertificate: false, // true = si fida di qualunque certificato dei server CNC (solo per sviluppo)
+    samplingInterval: 500, // ms, campionamento delle variabili sui server CNC
+    staleTimeout: 60000 // ms di disconnessione dopo cui gli ultimi valori non sono più utilizzabili
+};
+
+// Riconnessione ai server CNC: a tempo indeterminato, con attesa crescente fino a 10 s
+const RECONNECT_STRATEGY = { maxRetry: Number.MAX_SAFE_INTEGER, initialDelay: 1000, maxDelay: 10000 };
+
+const UPSTREAM_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Errore sollevato quando le variabili d'ambiente dell'aggregatore non sono valide.
+ */
+class AggregatorConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione dell'aggregatore non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "AggregatorConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione dell'aggregatore dalle variabili d'ambiente: CNC_AGGREGATOR_UPSTREAMS
+ * (obbligatoria, "Nome=opc.tcp://host:porta/UA/CNC,..."), CNC_AGGREGATOR_PORT, CNC_AGGREGATOR_SECURITY_MODE,
+ * CNC_AGGREGATOR_USER e CNC_AGGREGATOR_PASSWORD (o CNC_AGGREGATOR_USER_CERT e CNC_AGGREGATOR_USER_KEY),
+ * CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE, CNC_AGGREGATOR_SAMPLING_INTERVAL e CNC_AGGREGATOR_STALE_TIMEOUT.
+ *
+ * @returns {{ port: number, upstreams: Array<{ name: string, endpointUrl: string }>, securityMode: string,
+ *            user: string|null, password: string, userCert: string|null, userKey: string|null,
+ *            acceptUnknownCertificate: boolean, samplingInterval: number, staleTimeout: number }}
+ * @throws {AggregatorConfigError} se un valore non è valido
+ */
+const loadAggregatorConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_AGGREGATOR_CONFIG, upstreams: [] };
+
+    if (!env.CNC_AGGREGATOR_UPSTREAMS || !env.CNC_AGGREGATOR_UPSTREAMS.trim()) {
+        errors.push("CNC_AGGREGATOR_UPSTREAMS: nessun server CNC indicato (atteso Nome=opc.tcp://host:porta/percorso,...)");
+    } else {
+        for (const entry of env.CNC_AGGREGATOR_UPSTREAMS.split(",")) {
+            const separator = entry.indexOf("=");
+            const name = entry.slice(0, separator).trim();
+            const endpointUrl = entry.slice(separator + 1).trim();
+            if (separator < 0 || !UPSTREAM_NAME_PATTERN.test(name) || !endpointUrl.startsWith("opc.tcp://")) {
+                errors.push(`CNC_AGGREGATOR_UPSTREAMS: server ${JSON.stringify(entry)} non valido (atteso Nome=opc.tcp://host:porta/percorso, ` +
+                    "nome di sole lettere, cifre, _ e -)");
+            } else if (config.upstreams.some(upstream => upstream.name === name)) {
+                errors.push(`CNC_AGGREGATOR_UPSTREAMS: server ${name} ripetuto`);
+            } else if (config.upstreams.some(upstream => upstream.endpointUrl === endpointUrl)) {
+                errors.push(`CNC_AGGREGATOR_UPSTREAMS: endpoint ${endpointUrl} ripetuto`);
+            } else {
+                config.upstreams.push({ name, endpointUrl });
+            }
+        }
+    }
+
+    const readNumber = (name, key, isValid, expected) => {
+        if (env[name] === undefined) return;
+        const value = Number(env[name]);
+        if (env[name].trim() === "" || !isValid(value)) {
+            errors.push(`${name}: valore ${JSON.stringify(env[name])} non valido (atteso ${expected})`);
+        }
+        config[key] = value;
+    };
+    readNumber("CNC_AGGREGATOR_PORT", "port", v => Number.isInteger(v) && v >= 0 && v <= 65535, "un intero da 0 a 65535");
+    readNumber("CNC_AGGREGATOR_SAMPLING_INTERVAL", "samplingInterval", v => Number.isInteger(v) && v >= 0, "un intero maggiore o uguale a 0");
+    readNumber("CNC_AGGREGATOR_STALE_TIMEOUT", "staleTimeout", v => Number.isInteger(v) && v >= 0, "un intero maggiore o uguale a 0");
+
+    if (env.CNC_AGGREGATOR_SECURITY_MODE !== undefined) {
+        if (!(env.CNC_AGGREGATOR_SECURITY_MODE in SecurityModes)) {
+            errors.push(`CNC_AGGREGATOR_SECURITY_MODE: valore ${JSON.stringify(env.CNC_AGGREGATOR_SECURITY_MODE)} non valido ` +
+                `(ammessi: ${Object.keys(SecurityModes).join(", ")})`);
+        }
+        config.securityMode = env.CNC_AGGREGATOR_SECURITY_MODE;
+    }
+    if (env.CNC_AGGREGATOR_USER) {
+        config.user = env.CNC_AGGREGATOR_USER;
+        config.password = env.CNC_AGGREGATOR_PASSWORD || "";
+    }
+    if (env.CNC_AGGREGATOR_USER_CERT || env.CNC_AGGREGATOR_USER_KEY) {
+        for (const name of ["CNC_AGGREGATOR_USER_CERT", "CNC_AGGREGATOR_USER_KEY"]) {
+            if (!env[name] || !fs.existsSync(env[name])) {
+                errors.push(`${name}: file ${JSON.stringify(env[name] || "")} non trovato (certificato e chiave vanno indicati insieme)`);
+            }
+        }
+        config.userCert = env.CNC_AGGREGATOR_USER_CERT;
+        config.userKey = env.CNC_AGGREGATOR_USER_KEY;
+    }
+    if (env.CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE !== undefined) {
+        if (!["on", "off"].includes(env.CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE)) {
+            errors.push(`CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE: valore ${JSON.stringify(env.CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE)} ` +
+                "non valido (ammessi: on, off)");
+        }
+        config.acceptUnknownCertificate = env.CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE === "on";
+    }
+
+    if (errors.length > 0) {
+        throw new AggregatorConfigError(errors);
+    }
+    return config;
+};
+
+// Identità dell'aggregatore sui server CNC: certificato X.509, utente/password o anonima
+const userIdentityFor = (config) =>
+    createUserIdentity({ user: config.user, password: config.password, cert: config.userCert, key: config.userKey });
+
+// Gli argomenti di uscita strutturati (OperationResult, MachineSnapshot, ...) arrivano decodificati con i tipi
+// della sessione verso il server CNC: vanno ricostruiti con i DataType dell'address space dell'aggregatore
+const toLocalVariant = (addressSpace, variant) => {
+    if (variant.dataType !== DataType.ExtensionObject) return variant;
+    const convert = (value) => value && value.schema ? constructStructure(addressSpace, value.schema.name, value) : value;
+    return {
+        dataType: DataType.ExtensionObject,
+        arrayType: variant.arrayType,
+        value: variant.arrayType === VariantArrayType.Array ? Array.from(variant.value || [], convert) : convert(variant.value)
+    };
+};
+
+/**
+ * Copia delle CNC di un server a valle (una cella) nell'address space dell'aggregatore.
+ *
+ * Le istanze di MacchinaCNCType/MacchinaCNCProType del server vengono ricreate, con lo stesso tipo e gli stessi
+ * BrowseName, nella cartella del server (Objects/<Nome>); i componenti che il tipo non prevede (es. le tasche
+ * del magazzino utensili) vengono aggiunti come sul server. Le variabili seguono il server con una sottoscrizione
+ * e le chiamate ai metodi vengono inoltrate al nodo corrispondente del server.
+ *
+ * Mentre il server è irraggiungibile le variabili mantengono l'ultimo valore con UncertainLastUsableValue;
+ * dopo `staleTimeout` ms passano a BadNotConnected. Una copia non riuscita viene ritentata con attesa crescente,
+ * come la riconnessione; le CNC non più presenti sul server vengono tolte dalla cartella.
+ *
+ * Emette "synchronized" ({ machines }) a ogni copia completata, anche dopo una riconnessione,
+ * e "disconnected" quando il server non è più raggiungibile.
+ */
+class UpstreamMirror extends EventEmitter {
+
+    /**
+     * @param {AddressSpace} addressSpace
+     * @param {Object} model - tipi restituiti da loadCNCModel
+     * @param {{ name: string, endpointUrl: string }} upstream
+     * @param {Object} config - configurazione restituita da loadAggregatorConfig
+     * @param {string} pkiDir - PKI del client verso il server CNC
+     */
+    constructor(addressSpace, model, { name, endpointUrl }, config, pkiDir) {
+        super();
+        this.addressSpace = addressSpace;
+        this.model = model;
+        this.name = name;
+        this.endpointUrl = endpointUrl;
+        this.config = config;
+        this.connected = false;
+        this.closed = false;
+        // Variabili copiate: nodo dell'aggregatore -> NodeId sul server
+        this.variables = new Map();
+        // Oggetti con metodi: NodeId (stringa) dell'oggetto copiato -> { objectId, methods: nome -> NodeId del metodo sul server }
+        this.objects = new Map();
+        this.subscription = null;
+        this.staleTimer = null;
+        // Copia in corso e nuovo tentativo dopo una copia non riuscita
+        this.synchronizing = null;
+        this.retryTimer = null;
+        this.retryDelay = RECONNECT_STRATEGY.initialDelay;
+
+        const namespace = addressSpace.getOwnNamespace();
+        this.folder = namespace.addFolder(addressSpace.rootFolder.objects, { browseName: name, nodeId: `s=${name}` });
+        namespace.addVariable({
+            propertyOf: this.folder,
+            browseName: "EndpointUrl",
+            dataType: "String",
+            value: { dataType: DataType.String, value: endpointUrl }
+        });
+        this.connectedVariable = namespace.addVariable({
+            propertyOf: this.folder,
+            browseName: "Connected",
+            dataType: "Boolean",
+            value: { dataType: DataType.Boolean, value: false }
+        });
+
+        this.cnc = new CncClient({
+            endpointUrl,
+            securityMode: config.securityMode,
+            userIdentity: userIdentityFor(config),
+            pkiDir,
+            acceptUnknownCertificate: config.acceptUnknownCertificate,
+            connectionStrategy: RECONNECT_STRATEGY
+        });
+        this.cnc.on("connectionLost", () => this._onDisconnected(`connessione a ${endpointUrl} persa`));
+        this.cnc.on("connectionReestablished", () => this._connectAndSynchronize());
+    }
+
+    /**
+     * Si collega al server in background (ritentando finché non risponde) e copia le sue CNC.
+     * La promessa restituita si risolve alla prima copia completata.
+     */
+    start() {
+        this.ready = new Promise(resolve => this.once("synchronized", resolve));
+        this._connectAndSynchronize();
+        return this.ready;
+    }
+
+    async close() {
+        this.closed = true;
+        clearTimeout(this.staleTimer);
+        clearTimeout(this.retryTimer);
+        await this.cnc.disconnect().catch(() => {});
+    }
+
+    /**
+     * Inoltra al server la chiamata a un metodo di un oggetto copiato.
+     *
+     * @returns {Promise<Object|null>} risultato della chiamata, null se l'oggetto non appartiene a questo server
+     */
+    async call(object, methodName, inputArguments) {
+        const target = this.objects.get(object.nodeId.toString());
+        if (!target) return null;
+        const failure = (statusCode, message) => ({
+            statusCode,
+            outputArguments: [operationResultArgument(this.addressSpace, statusCode, message)]
+        });
+        if (!this.connected) {
+            return failure(StatusCodes.BadNotConnected, `Upstream server ${this.name} (${this.endpointUrl}) is not connected`);
+        }
+        const methodId = target.methods.get(methodName);
+        if (!methodId) {
+            return failure(StatusCodes.BadMethodInvalid, `${methodName} not found on upstream server ${this.name}`);
+        }
+        try {
+            const [result] = await this.cnc.session.call([{ objectId: target.objectId, methodId, inputArguments }]);
+            return {
+                statusCode: result.statusCode,
+                outputArguments: (result.outputArguments || []).map(variant => toLocalVariant(this.addressSpace, variant)),
+                inputArgumentResults: result.inputArgumentResults || undefined,
+                inputArgumentDiagnosticInfos: result.inputArgumentDiagnosticInfos || undefined
+            };
+        } catch (error) {
+            console.warn(`Aggregatore: chiamata a ${methodName} su ${this.name} non riuscita: ${error.message}`);
+            return failure(StatusCodes.BadCommunicationError, `${methodName} could not be forwarded to ${this.name}: ${error.message}`);
+        }
+    }
+
+    // Collega il client, se non ha ancora una sessione, e copia le CNC; in caso di errore ritenta più tardi.
+    // Una sola copia alla volta: un errore di quella in corso pianifica comunque un nuovo tentativo
+    _connectAndSynchronize() {
+        if (this.closed || this.synchronizing) return;
+        clearTimeout(this.retryTimer);
+        this.synchronizing = (async () => {
+            try {
+                if (!this.cnc.session) await this.cnc.connect();
+                await this._synchronize();
+                this.retryDelay = RECONNECT_STRATEGY.initialDelay;
+            } catch (error) {
+                this._onSyncError(error);
+            } finally {
+                this.synchronizing = null;
+            }
+        })();
+    }
+
+    // Copia (o aggiorna dopo una riconnessione) le CNC del server e sottoscrive le loro variabili
+    async _synchronize() {
+        if (this.closed) return;
+        this.cnc.invalidateCache();
+        const namespaceArray = (await this.cnc.session.read({ nodeId: "ns=0;i=2255", attributeId: AttributeIds.Value })).value.value;
+        this.upstreamModelIndex = namespaceArray.indexOf(MODEL_NAMESPACE_URI);
+
+        this.variables = new Map();
+        this.objects = new Map();
+        const machines = await this.cnc.listMachines();
+        for (const machine of machines) {
+            const instance = this._machineInstance(machine);
+            await this._mirrorChildren(machine.nodeId, instance);
+        }
+        this._removeMissingMachines(machines);
+        await this._subscribe();
+
+        clearTimeout(this.staleTimer);
+        this.connected = true;
+        this.connectedVariable.setValueFromSource({ dataType: DataType.Boolean, value: true });
+        console.log(`Aggregatore: ${this.name} (${this.endpointUrl}) collegato, ${machines.length} CNC ` +
+            `(${machines.map(machine => machine.name).join(", ")}), ${this.variables.size} variabili copiate.`);
+        this.emit("synchronized", { machines: machines.map(machine => machine.name) });
+    }
+
+    // Istanza della CNC nella cartella del server, creata alla prima copia con lo stesso tipo
+    _machineInstance(machine) {
+        const existing = this.folder.getFolderElementByName(machine.name);
+        if (existing) return existing;
+        const type = machine.type === "MacchinaCNCProType" ? this.model.CNCProType : this.model.CNCType;
+        return type.instantiate({
+            browseName: machine.name,
+            nodeId: `s=${this.name}.${machine.name}`,
+            organizedBy: this.folder
+        });
+    }
+
+    // Toglie dalla cartella del server le CNC copiate in precedenza che il server non ha più
+    _removeMissingMachines(machines) {
+        const names = new Set(machines.map(machine => machine.name));
+        for (const instance of this.folder.findReferencesAsObject("Organizes", true)) {
+            if (names.has(instance.browseName.name)) continue;
+            console.log(`Aggregatore: ${instance.browseName.name} non è più su ${this.name}, copia rimossa.`);
+            this.addressSpace.deleteNode(instance);
+        }
+    }
+
+    // Percorre i componenti e le proprietà di un nodo del server, abbinandoli per BrowseName ai nodi della copia
+    async _mirrorChildren(upstreamId, node) {
+        const [{ references }] = await this.cnc.session.browse([{
+            nodeId: upstreamId,
+            referenceTypeId: "Aggregates",
+            browseDirection: BrowseDirection.Forward,
+            includeSubtypes: true,
+            resultMask: 63
+        }]);
+        for (const ref of references || []) {
+            const name = ref.browseName.name;
+            if (ref.nodeClass === NodeClass.Method) {
+                if (!this.objects.has(node.nodeId.toString())) {
+                    this.objects.set(node.nodeId.toString(), { objectId: upstreamId, methods: new Map() });
+                }
+                this.objects.get(node.nodeId.toString()).methods.set(name, ref.nodeId);
+                continue;
+            }
+            const child = node.getChildByName(name) || this._addComponent(node, ref);
+            if (!child) continue;
+            if (ref.nodeClass === NodeClass.Variable) {
+                this.variables.set(child, ref.nodeId);
+            }
+            await this._mirrorChildren(ref.nodeId, child);
+        }
+    }
+
+    // Componente del server che il tipo non prevede (es. una tasca del magazzino): viene creato se il suo tipo
+    // è del modello CNC; gli altri (es. gli allarmi) non vengono copiati
+    _addComponent(node, ref) {
+        if (ref.nodeClass !== NodeClass.Object || ref.typeDefinition.namespace !== this.upstreamModelIndex) return null;
+        const type = this.addressSpace.findNode(makeNodeId(ref.typeDefinition.value, this.model.namespaceIndex));
+        if (!type || type.nodeClass !== NodeClass.ObjectType) return null;
+        return type.instantiate({ browseName: ref.browseName.name, componentOf: node });
+    }
+
+    async _subscribe() {
+        if (this.subscription) {
+            await this.subscription.terminate().catch(() => {});
+        }
+        this.subscription = await this.cnc.session.createSubscription2({
+            requestedPublishingInterval: this.config.samplingInterval,
+            maxNotificationsPerPublish: 10000,
+            publishingEnabled: true
+        });
+        const variables = [...this.variables.entries()];
+        const group = await this.subscription.monitorItems(
+            variables.map(([, nodeId]) => ({ nodeId, attributeId: AttributeIds.Value })),
+            { samplingInterval: this.config.samplingInterval, discardOldest: true, queueSize: 10 },
+            TimestampsToReturn.Both
+        );
+        group.on("changed", (monitoredItem, dataValue, index) => {
+            const [variable] = variables[index];
+            try {
+                variable.setValueFromSource(dataValue.value, dataValue.statusCode, dataValue.sourceTimestamp);
+            } catch (error) {
+                console.warn(`Aggregatore: valore di ${this.name}/${variable.browseName.name} non copiato: ${error.message}`);
+            }
+        });
+    }
+
+    _onDisconnected(reason) {
+        if (this.closed || !this.connected) return;
+        this.connected = false;
+        this.connectedVariable.setValueFromSource({ dataType: DataType.Boolean, value: false });
+        console.warn(`Aggregatore: ${this.name} non raggiungibile (${reason}), ultimi valori mantenuti come UncertainLastUsableValue.`);
+        for (const variable of this.variables.keys()) {
+            const { value, statusCode, sourceTimestamp } = variable.readValue();
+            if (statusCode.isGoodish()) {
+                variable.setValueFromSource(value, StatusCodes.UncertainLastUsableValue, sourceTimestamp);
+            }
+        }
+        this.staleTimer = setTimeout(() => this._markNotConnected(), this.config.staleTimeout);
+        this.emit("disconnected");
+    }
+
+    _markNotConnected() {
+        console.warn(`Aggregatore: ${this.name} non raggiungibile da ${this.config.staleTimeout} ms, variabili in BadNotConnected.`);
+        for (const variable of this.variables.keys()) {
+            const { value, sourceTimestamp } = variable.readValue();
+            variable.setValueFromSource(value, StatusCodes.BadNotConnected, sourceTimestamp);
+        }
+    }
+
+    _onSyncError(error) {
+        if (this.closed) return;
+        console.error(`Aggregatore: copia delle CNC di ${this.name} (${this.endpointUrl}) non riuscita: ${error.message}; ` +
+            `nuovo tentativo tra ${this.retryDelay} ms.`);
+        this._onDisconnected(error.message);
+        this.retryTimer = setTimeout(() => this._connectAndSynchronize(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, RECONNECT_STRATEGY.maxDelay);
+    }
+}
+
+module.exports = {
+    DEFAULT_AGGREGATOR_CONFIG,
+    AggregatorConfigError,
+    loadAggregatorConfig,
+    UpstreamMirror
+};
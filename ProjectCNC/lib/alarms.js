@@ -0,0 +1,141 @@
+const { ConditionInfo, StatusCodes } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { DEFAULT_LOCALE_CONFIG, localize, message } = require("./i18n");
+const { statusText } = require("./stateMachine");
+
+// Severità OPC UA (1-1000) degli allarmi delle CNC
+const STATUS_ALARM_SEVERITY = 800;
+const ENERGY_ALARM_SEVERITY = 500;
+const NORMAL_SEVERITY = 100;
+
+// Le notifiche degli eventi non hanno la sessione del client: i messaggi sono nella lingua predefinita del server
+const localizedText = (text, locale) => ({ locale, text: localize(text, locale) });
+
+/**
+ * Allarme `StatusAlarm` (AlarmConditionType) di una CNC, attivo finché Status vale Alarm.
+ * È guidato dalla macchina a stati, così lo stato A&C resta coerente con ChangeStatus.
+ */
+const installStatusAlarm = (namespace, instance, stateMachine, locale) => {
+    const name = instance.browseName.name;
+    const alarm = namespace.instantiateAlarmCondition("AlarmConditionType", {
+        browseName: "StatusAlarm",
+        componentOf: instance,
+        conditionSource: instance,
+        conditionName: "StatusAlarm",
+        inputNode: instance.getChildByName("Status"),
+        optionals: ["ConfirmedState", "Confirm"]
+    });
+
+    // Una CNC può essere già in Alarm all'installazione, con lo stato ripristinato dopo un riavvio
+    if (stateMachine.getStatus(instance) === CNCStatusEnumValues.Alarm) {
+        alarm.activateAlarm();
+        alarm.raiseNewCondition({
+            message: localizedText(message("statusAlarmActive", { machine: name, reason: stateMachine.alarmReason(instance) }), locale),
+            severity: STATUS_ALARM_SEVERITY,
+            quality: StatusCodes.Good,
+            retain: true
+        });
+        if (instance.getChildByName("AlarmAcknowledged").readValue().value.value) {
+            alarm.acknowledgeAndAutoConfirmBranch(alarm.currentBranch(), localizedText(message("acknowledgedBeforeRestart"), locale));
+        }
+    }
+
+    stateMachine.on("transition", ({ machine, from, to, reason }) => {
+        if (machine !== instance) return;
+        if (to === CNCStatusEnumValues.Alarm) {
+            alarm.activateAlarm();
+            alarm.raiseNewCondition({
+                message: localizedText(message("statusAlarmActive", { machine: name, reason }), locale),
+                severity: STATUS_ALARM_SEVERITY,
+                quality: StatusCodes.Good,
+                retain: true
+            });
+        } else if (from === CNCStatusEnumValues.Alarm) {
+            // L'allarme resta visibile (retain) finché non è stato riconosciuto
+            const acked = alarm.currentBranch().getAckedState();
+            alarm.deactivateAlarm(!acked);
+            alarm.raiseNewCondition({
+                message: localizedText(message("statusAlarmInactive", { machine: name, status: statusText(to) }), locale),
+                severity: NORMAL_SEVERITY,
+                quality: StatusCodes.Good,
+                retain: !acked
+            });
+        }
+    });
+
+    // AcknowledgeAlarm sulla CNC -> Acknowledge (e Confirm automatico) della condizione
+    stateMachine.on("acknowledged", ({ machine }) => {
+        if (machine !== instance) return;
+        const branch = alarm.currentBranch();
+        if (!branch.getAckedState()) {
+            alarm.acknowledgeAndAutoConfirmBranch(branch, localizedText(message("acknowledgedWithMethod"), locale));
+        }
+    });
+
+    // Acknowledge della condizione da un client A&C -> riconoscimento dell'allarme della CNC
+    alarm.on("acknowledged", () => {
+        const alarmAcknowledged = instance.getChildByName("AlarmAcknowledged").readValue().value.value;
+        if (stateMachine.getStatus(instance) === CNCStatusEnumValues.Alarm && !alarmAcknowledged) {
+            stateMachine.acknowledge(instance);
+        }
+    });
+
+    return alarm;
+};
+
+/**
+ * Allarme `EnergyAlarm` (NonExclusiveLimitAlarmType) di una CNC, attivo quando
+ * ConsumoEnergetico supera la soglia configurata per la macchina.
+ */
+const installEnergyAlarm = (namespace, instance, threshold, locale) => {
+    const name = instance.browseName.name;
+    const alarm = namespace.instantiateNonExclusiveLimitAlarm("NonExclusiveLimitAlarmType", {
+        browseName: "EnergyAlarm",
+        componentOf: instance,
+        conditionSource: instance,
+        conditionName: "EnergyAlarm",
+        inputNode: instance.getChildByName("ConsumoEnergetico"),
+        highLimit: threshold,
+        optionals: ["ConfirmedState", "Confirm"]
+    });
+
+    alarm.calculateConditionInfo = (stateName, isActive, value) => new ConditionInfo({
+        message: localizedText(message(isActive ? "energyAlarmActive" : "energyAlarmInactive", { machine: name, value, threshold }), locale),
+        severity: isActive ? ENERGY_ALARM_SEVERITY : NORMAL_SEVERITY,
+        quality: StatusCodes.Good,
+        // Dopo il rientro sotto soglia l'allarme resta visibile finché non è stato riconosciuto
+        retain: isActive || !alarm.currentBranch().getAckedState()
+    });
+
+    return alarm;
+};
+
+/**
+ * Installa il servizio Alarms & Conditions e, per ogni CNC della flotta,
+ * gli allarmi StatusAlarm e EnergyAlarm.
+ *
+ * @param {AddressSpace} addressSpace
+ * @param {Array<{ config: Object, instance: UAObject }>} fleet - istanze restituite da buildFleet
+ * @param {MachineStateMachine} stateMachine
+ * @param {{ locale?: string }} [options] - lingua dei messaggi degli eventi, di solito CNC_DEFAULT_LOCALE
+ * @returns {Map<UAObject, { statusAlarm: UAAlarmCondition, energyAlarm: UANonExclusiveLimitAlarm }>}
+ */
+const installMachineAlarms = (addressSpace, fleet, stateMachine, { locale = DEFAULT_LOCALE_CONFIG.defaultLocale } = {}) => {
+    addressSpace.installAlarmsAndConditionsService();
+    const namespace = addressSpace.getOwnNamespace();
+
+    const alarms = new Map();
+    for (const { config, instance } of fleet) {
+        alarms.set(instance, {
+            statusAlarm: installStatusAlarm(namespace, instance, stateMachine, locale),
+            energyAlarm: installEnergyAlarm(namespace, instance, config.energyThreshold, locale)
+        });
+    }
+    return alarms;
+};
+
+module.exports = {
+    STATUS_ALARM_SEVERITY,
+    ENERGY_ALARM_SEVERITY,
+    installMachineAlarms
+};
@@ -0,0 +1,385 @@
+const fs = require("fs");
+const path = require("path");
+const { DataType, ExtensionObject, NodeClass, StatusCode, StatusCodes, VariantArrayType } = require("node-opcua");
+const { DEFAULT_LOCALE_CONFIG, localize, message } = require("./i18n");
+const { statusText } = require("./stateMachine");
+
+// Metodi registrati nell'audit trail: i metodi del modello CNC che agiscono sulla macchina (non GetSnapshot)
+// e i metodi A&C degli allarmi delle CNC
+const AUDITED_METHODS = [
+    "ChangeStatus",
+    "AcknowledgeAlarm",
+    "CambiareVelocita",
+    "LoadTool",
+    "UnloadTool",
+    "ChangeTool",
+    "ManutenzionePredittiva",
+    "LoadJob",
+    "StartJob",
+    "PauseJob",
+    "AbortJob",
+    "ResetShiftCounters",
+    "Acknowledge",
+    "Confirm",
+    "AddComment"
+];
+
+// Metodi di gruppo (MachineGroupType) registrati nell'audit trail con una voce per ogni CNC del gruppo
+const AUDITED_GROUP_METHODS = [
+    "StartAll",
+    "StopAll",
+    "SetSpindleSpeedAll"
+];
+
+// Severità OPC UA degli eventi di audit: chiamata riuscita o rifiutata
+const AUDIT_SEVERITY = 100;
+const AUDIT_FAILURE_SEVERITY = 300;
+
+const DEFAULT_AUDIT_CONFIG = {
+    file: path.join(__dirname, "../data/audit.jsonl"),
+    maxBytes: 10 * 1024 * 1024, // dimensione oltre la quale il file viene ruotato
+    maxFiles: 5 // file ruotati conservati (audit.jsonl.1 ... audit.jsonl.5)
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente dell'audit trail non sono valide.
+ */
+class AuditConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione dell'audit trail non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "AuditConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione dell'audit trail dalle variabili d'ambiente:
+ * CNC_AUDIT_FILE, CNC_AUDIT_MAX_BYTES e CNC_AUDIT_MAX_FILES.
+ *
+ * @returns {{ file: string, maxBytes: number, maxFiles: number }}
+ * @throws {AuditConfigError} se un valore non è valido
+ */
+const loadAuditConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_AUDIT_CONFIG };
+
+    if (env.CNC_AUDIT_FILE !== undefined) {
+        if (!env.CNC_AUDIT_FILE.trim()) {
+            errors.push("CNC_AUDIT_FILE: percorso vuoto");
+        }
+        config.file = path.resolve(env.CNC_AUDIT_FILE);
+    }
+    const readInteger = (name, key, min) => {
+        if (env[name] === undefined) return;
+        const value = Number(env[name]);
+        if (env[name].trim() === "" || !Number.isInteger(value) || value < min) {
+            errors.push(`${name}: valore ${JSON.stringify(env[name])} non valido (atteso un intero maggiore o uguale a ${min})`);
+        } else {
+            config[key] = value;
+        }
+    };
+    readInteger("CNC_AUDIT_MAX_BYTES", "maxBytes", 1024);
+    readInteger("CNC_AUDIT_MAX_FILES", "maxFiles", 1);
+
+    if (errors.length > 0) {
+        throw new AuditConfigError(errors);
+    }
+    return config;
+};
+
+/**
+ * Log di audit append-only (JSON lines) con rotazione per dimensione: quando il file supererebbe
+ * `maxBytes` diventa `<file>.1`, i file già ruotati scorrono di una posizione e oltre `maxFiles` vengono eliminati.
+ */
+class AuditLog {
+    constructor({ file, maxBytes, maxFiles }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+
+    append(entry) {
+        const line = JSON.stringify(entry) + "\n";
+        const length = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + length > this.maxBytes) {
+            this._rotate();
+        }
+        fs.appendFileSync(this.file, line);
+        this.size += length;
+    }
+
+    _rotate() {
+        fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${this.file}.${index}`)) {
+                fs.renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+            }
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+        this.size = 0;
+    }
+
+    close() {
+    }
+}
+
+// Valore di una variabile o di un argomento in una forma serializzabile in JSON
+const toJSONValue = (value) => {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) return Array.from(value, toJSONValue);
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString("base64");
+    if (value instanceof StatusCode) return value.name;
+    // Strutture del modello (es. OperationResult): un oggetto con i campi della struttura
+    if (value instanceof ExtensionObject && value.schema) {
+        return Object.fromEntries(value.schema.fields.map(field => [field.name, toJSONValue(value[field.name])]));
+    }
+    if (typeof value === "object") return value.text !== undefined ? value.text : value.toString();
+    return value;
+};
+
+/**
+ * Variabili di una CNC indicizzate per percorso relativo (es. "Status", "Mandrino/Velocita",
+ * "ToolMagazine/Pocket1/ToolId"); gli allarmi A&C sono esclusi.
+ */
+const collectMachineVariables = (node, conditionType, prefix = "", variables = new Map()) => {
+    for (const child of node.getComponents()) {
+        const name = prefix + child.browseName.name;
+        if (child.nodeClass === NodeClass.Variable) {
+            variables.set(name, child);
+        } else if (child.nodeClass === NodeClass.Object && !child.typeDefinitionObj.isSubtypeOf(conditionType)) {
+            collectMachineVariables(child, conditionType, `${name}/`, variables);
+        }
+    }
+    return variables;
+};
+
+const snapshot = (variables) => {
+    const values = new Map();
+    for (const [name, variable] of variables) {
+        values.set(name, toJSONValue(variable.readValue().value.value));
+    }
+    return values;
+};
+
+const diffSnapshots = (before, after) => {
+    const changes = [];
+    for (const [variable, value] of after) {
+        if (JSON.stringify(before.get(variable)) !== JSON.stringify(value)) {
+            changes.push({ variable, before: before.get(variable), after: value });
+        }
+    }
+    return changes;
+};
+
+const localizedText = (text, locale) => ({ locale, text: localize(text, locale) });
+
+/**
+ * Audit trail delle chiamate ai metodi delle CNC e dei cambi di stato che non vengono da un metodo.
+ *
+ * Intercetta il servizio Call del server (ServerEngine.call), quindi registra anche le chiamate
+ * rifiutate prima di arrivare all'implementazione (es. BadUserAccessDenied per un ruolo non autorizzato).
+ * Per ogni chiamata a un metodo AUDITED_METHODS su una CNC della flotta (o su un suo componente)
+ * scrive una riga nel log di audit e genera un evento CNCMethodAuditEventType (sottotipo di
+ * AuditUpdateMethodEventType) sulla CNC, che risale fino all'oggetto Server.
+ * Le chiamate ai metodi AUDITED_GROUP_METHODS su un gruppo producono una riga e un evento per ogni CNC del gruppo,
+ * con il gruppo, lo StatusCode della singola CNC (da Results) e le sue modifiche.
+ *
+ * Le transizioni della macchina a stati fuori da una chiamata registrata (guasti della simulazione, protezione
+ * del mandrino) producono una riga senza utente né metodo, con il motivo e il cambio di Status, e un evento
+ * CNCStatusAuditEventType (sottotipo di AuditUpdateStateEventType). Le transizioni avvenute durante una chiamata
+ * registrata sulla stessa CNC sono già nelle modifiche della chiamata e non vengono ripetute.
+ *
+ * @param {OPCUAServer} server - server già inizializzato
+ * @param {Array<{ instance: UAObject }>} fleet - istanze restituite da buildFleet
+ * @param {UAObjectType} auditEventType - CNCMethodAuditEventType del modello
+ * @param {AuditLog} auditLog
+ * @param {Map<UAObject, { path: string, machines: UAObject[] }>} [groups] - gruppi di CNC (vedi MachineGroupOperations.install)
+ * @param {{ stateMachine?: MachineStateMachine, statusAuditEventType?: UAObjectType, locale?: string }} [options] -
+ *        macchina a stati e CNCStatusAuditEventType del modello per registrare i cambi di stato,
+ *        lingua dei messaggi degli eventi (di solito CNC_DEFAULT_LOCALE)
+ */
+const installAuditTrail = (server, fleet, auditEventType, auditLog, groups = new Map(),
+    { stateMachine, statusAuditEventType, locale = DEFAULT_LOCALE_CONFIG.defaultLocale } = {}) => {
+    const engine = server.engine;
+    const addressSpace = engine.addressSpace;
+    const conditionType = addressSpace.findEventType("ConditionType");
+    const machines = new Map(fleet.map(({ instance }) => [instance, collectMachineVariables(instance, conditionType)]));
+
+    // La CNC a cui appartiene l'oggetto su cui è chiamato il metodo (la CNC stessa, il mandrino, il magazzino, la commessa, un allarme)
+    const findMachine = (objectId) => {
+        let node = addressSpace.findNode(objectId);
+        while (node && !machines.has(node)) {
+            node = node.parent;
+        }
+        return node;
+    };
+
+    const record = (context, methodToCall, method, machine, result, changes, group = null) => {
+        const time = new Date();
+        const statusCode = result.statusCode;
+        const argumentNames = method.getInputArguments().map(argument => argument.name);
+        const inputArguments = methodToCall.inputArguments || [];
+        const entry = {
+            time: time.toISOString(),
+            user: context.getUserName(),
+            session: context.session ? context.session.getSessionId().toString() : null,
+            clientApplicationUri: context.session && context.session.clientDescription
+                ? context.session.clientDescription.applicationUri : null,
+            machine: machine.browseName.name,
+            ...(group ? { group: group.path } : {}),
+            object: methodToCall.objectId.toString(),
+            method: method.browseName.name,
+            inputArguments: Object.fromEntries(inputArguments.map((argument, index) =>
+                [argumentNames[index] || `Argument${index + 1}`, toJSONValue(argument.value)])),
+            outputArguments: (result.outputArguments || []).map(argument => toJSONValue(argument.value)),
+            statusCode: statusCode.name,
+            changes
+        };
+        auditLog.append(entry);
+
+        machine.raiseEvent(auditEventType, {
+            sourceName: { dataType: DataType.String, value: entry.machine },
+            message: {
+                dataType: DataType.LocalizedText,
+                value: localizedText(message("methodAudit", {
+                    method: entry.method, machine: entry.machine, user: entry.user, statusCode: entry.statusCode
+                }), locale)
+            },
+            severity: { dataType: DataType.UInt16, value: statusCode.isGood() ? AUDIT_SEVERITY : AUDIT_FAILURE_SEVERITY },
+            actionTimeStamp: { dataType: DataType.DateTime, value: time },
+            status: { dataType: DataType.Boolean, value: statusCode.isGood() },
+            serverId: { dataType: DataType.String, value: server.serverInfo.applicationUri },
+            clientUserId: { dataType: DataType.String, value: entry.user },
+            methodId: { dataType: DataType.NodeId, value: method.nodeId },
+            statusCodeId: { dataType: DataType.StatusCode, value: statusCode },
+            inputArguments: { dataType: DataType.Variant, arrayType: VariantArrayType.Array, value: inputArguments },
+            outputArguments: { dataType: DataType.Variant, arrayType: VariantArrayType.Array, value: result.outputArguments || [] },
+            changes: { dataType: DataType.String, value: JSON.stringify(changes) }
+        });
+    };
+
+    // Cambio di stato fuori da una chiamata: non c'è un'istantanea di prima, la modifica è quella di Status
+    const recordTransition = (machine, from, to, reason) => {
+        const time = new Date();
+        const entry = {
+            time: time.toISOString(),
+            user: null,
+            session: null,
+            clientApplicationUri: null,
+            machine: machine.browseName.name,
+            object: machine.nodeId.toString(),
+            method: null,
+            reason: reason ? String(reason) : null,
+            statusCode: StatusCodes.Good.name,
+            changes: [{ variable: "Status", before: from, after: to }]
+        };
+        auditLog.append(entry);
+
+        machine.raiseEvent(statusAuditEventType, {
+            sourceName: { dataType: DataType.String, value: entry.machine },
+            message: {
+                dataType: DataType.LocalizedText,
+                value: localizedText(message("statusAudit", {
+                    machine: entry.machine, from: statusText(from), to: statusText(to), reason
+                }), locale)
+            },
+            severity: { dataType: DataType.UInt16, value: AUDIT_SEVERITY },
+            actionTimeStamp: { dataType: DataType.DateTime, value: time },
+            status: { dataType: DataType.Boolean, value: true },
+            serverId: { dataType: DataType.String, value: server.serverInfo.applicationUri },
+            oldStateId: { dataType: DataType.Int32, value: from },
+            newStateId: { dataType: DataType.Int32, value: to },
+            reason: { dataType: DataType.String, value: entry.reason || "" }
+        });
+    };
+
+    // CNC con una chiamata registrata in corso: le loro transizioni sono nelle modifiche della chiamata
+    const calling = new Map();
+    const whileCalling = async (targets, run) => {
+        for (const machine of targets) {
+            calling.set(machine, (calling.get(machine) || 0) + 1);
+        }
+        try {
+            return await run();
+        } finally {
+            for (const machine of targets) {
+                const count = calling.get(machine) - 1;
+                if (count > 0) calling.set(machine, count); else calling.delete(machine);
+            }
+        }
+    };
+
+    if (stateMachine && statusAuditEventType) {
+        stateMachine.on("transition", ({ machine, from, to, reason }) => {
+            if (!machines.has(machine) || calling.has(machine)) return;
+            try {
+                recordTransition(machine, from, to, reason);
+            } catch (error) {
+                console.error(`Errore nella registrazione dell'audit del cambio di stato di ${machine.browseName.name}:`, error);
+            }
+        });
+    }
+
+    const call = engine.call.bind(engine);
+
+    // Metodo di gruppo: una voce per CNC, con l'esito della CNC in Results o, se il metodo è stato rifiutato, quello della chiamata
+    const recordGroupCall = async (context, methodToCall, method, group) => {
+        const before = group.machines.map(machine => snapshot(machines.get(machine)));
+        const [result] = await whileCalling(group.machines, () => call(context, [methodToCall]));
+        try {
+            const machineResults = result.outputArguments && result.outputArguments[1] ? result.outputArguments[1].value || [] : [];
+            group.machines.forEach((machine, index) => {
+                const machineResult = Array.from(machineResults).find(r => r.machine === machine.browseName.name);
+                const statusCode = result.statusCode.isGood() && machineResult ? machineResult.code : result.statusCode;
+                record(context, methodToCall, method, machine, { statusCode, outputArguments: result.outputArguments },
+                    diffSnapshots(before[index], snapshot(machines.get(machine))), group);
+            });
+        } catch (error) {
+            console.error(`Errore nella registrazione dell'audit di ${method.browseName.name} sul gruppo ${group.path}:`, error);
+        }
+        return result;
+    };
+
+    // Le chiamate di una richiesta vengono eseguite una alla volta, così i valori prima/dopo sono quelli di ogni singola chiamata
+    engine.call = async (context, methodsToCall) => {
+        const results = [];
+        for (const methodToCall of methodsToCall) {
+            const method = addressSpace.findNode(methodToCall.methodId);
+            const group = groups.get(addressSpace.findNode(methodToCall.objectId));
+            if (method && method.nodeClass === NodeClass.Method && AUDITED_GROUP_METHODS.includes(method.browseName.name) && group) {
+                results.push(await recordGroupCall(context, methodToCall, method, group));
+                continue;
+            }
+            const machine = findMachine(methodToCall.objectId);
+            if (!method || method.nodeClass !== NodeClass.Method || !AUDITED_METHODS.includes(method.browseName.name) || !machine) {
+                results.push(...await call(context, [methodToCall]));
+                continue;
+            }
+
+            const variables = machines.get(machine);
+            const before = snapshot(variables);
+            const [result] = await whileCalling([machine], () => call(context, [methodToCall]));
+            try {
+                record(context, methodToCall, method, machine, result, diffSnapshots(before, snapshot(variables)));
+            } catch (error) {
+                // Un errore dell'audit non deve cambiare l'esito della chiamata già eseguita
+                console.error(`Errore nella registrazione dell'audit di ${method.browseName.name} su ${machine.browseName.name}:`, error);
+            }
+            results.push(result);
+        }
+        return results;
+    };
+};
+
+module.exports = {
+    AUDITED_METHODS,
+    AUDITED_GROUP_METHODS,
+    DEFAULT_AUDIT_CONFIG,
+    AuditConfigError,
+    AuditLog,
+    loadAuditConfig,
+    installAuditTrail
+};
@@ -0,0 +1,881 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const {
+    OPCUAClient,
+    OPCUACertificateManager,
+    MessageSecurityMode,
+    SecurityPolicy,
+    UserTokenType,
+    AttributeIds,
+    TimestampsToReturn,
+    DataType,
+    NodeClass,
+    BrowseDirection,
+    ObjectIds,
+    ObjectTypeIds,
+    DataTypeIds,
+    StatusCodes,
+    ActivateSessionRequest,
+    constructEventFilter,
+    coerceInt64toInt32
+} = require("node-opcua");
+
+const DEFAULT_ENDPOINT_URL = "opc.tcp://localhost:4334/UA/CNC";
+const DEFAULT_PKI_DIR = path.join(__dirname, "../pki/client");
+
+const CNCStatus = { Off: 0, On: 1, Alarm: 2 };
+const CNCStatusNames = Object.fromEntries(Object.entries(CNCStatus).map(([name, value]) => [value, name]));
+const SpindleSpeeds = [1, 2, 3, 4, 5];
+const JobState = { None: 0, Loaded: 1, Running: 2, Paused: 3, Completed: 4, Aborted: 5 };
+const JobStateNames = Object.fromEntries(Object.entries(JobState).map(([name, value]) => [value, name]));
+const CNCTypeNames = ["MacchinaCNCType", "MacchinaCNCProType"];
+// Folders browsed for machines: plain folders and machine groups (Plant/Line/Cell folders, Groups/<tag>)
+const FolderTypeNames = ["FolderType", "MachineGroupType"];
+
+const SecurityModes = {
+    None: MessageSecurityMode.None,
+    Sign: MessageSecurityMode.Sign,
+    SignAndEncrypt: MessageSecurityMode.SignAndEncrypt
+};
+
+// Snapshot fields and the machine variables they are read from (path relative to the machine)
+const SnapshotVariables = {
+    status: "Status",
+    previousStatus: "PreviousStatus",
+    lastTransitionTime: "LastTransitionTime",
+    alarmReason: "AlarmReason",
+    alarmAcknowledged: "AlarmAcknowledged",
+    tool: "Utensile",
+    toolWear: "UsuraUtensile",
+    partsProduced: "PezziProdotti",
+    energyConsumption: "ConsumoEnergetico",
+    spindleSpeed: "Mandrino/Velocita",
+    spindleRPM: "Mandrino/ActualRPM",
+    spindleTargetRPM: "Mandrino/TargetRPM",
+    spindleCurrentLoad: "Mandrino/Load",
+    spindleBearingTemperature: "Mandrino/BearingTemperature",
+    spindleVibration: "Mandrino/Vibration",
+    statusAI: "StatusAI",
+    operatingHours: "OperatingHours",
+    healthScore: "HealthScore",
+    estimatedTimeToMaintenance: "EstimatedTimeToMaintenance",
+    spindleLoad: "SpindleLoad",
+    energyAnomalyScore: "EnergyAnomalyScore",
+    jobId: "Job/JobId",
+    jobState: "Job/State",
+    jobPartsProduced: "Job/PartsProduced",
+    jobTargetQuantity: "Job/TargetQuantity",
+    jobProgress: "Job/Progress",
+    jobEstimatedCompletion: "Job/EstimatedCompletion",
+    shiftName: "KPI/ShiftName",
+    shiftStart: "KPI/ShiftStart",
+    availability: "KPI/Availability",
+    performance: "KPI/Performance",
+    quality: "KPI/Quality",
+    oee: "KPI/OEE",
+    goodParts: "KPI/GoodParts",
+    rejectedParts: "KPI/RejectedParts",
+    shiftEnergy: "KPI/EnergyConsumed",
+    energyPerPart: "KPI/EnergyPerPart"
+};
+// Variables monitored by watch() by default
+const WatchedFields = ["status", "alarmReason", "tool", "partsProduced", "energyConsumption", "spindleSpeed", "statusAI", "healthScore"];
+const AlarmEventFields = ["SourceName", "ConditionName", "Time", "Severity", "Message", "ActiveState", "AckedState"];
+
+// Result output argument of the CNC methods (OperationResult structure), as a plain object
+const toOperationResult = (value) => ({ code: value.code.name, message: value.message, timestamp: value.timestamp });
+const isOperationResult = (value) => Boolean(value && value.schema && value.schema.name === "OperationResult");
+
+// Results output argument of the group methods (MachineOperationResult array), as plain objects
+const toMachineOperationResults = (values) => Array.from(values || [], value =>
+    ({ machine: value.machine, statusCode: value.code.name, message: value.message, changed: value.changed }));
+
+// The server publishes NaN for estimates that are not known yet (e.g. EstimatedTimeToMaintenance)
+// and a null DateTime, read as 1601-01-01, for a job without an estimated completion
+const MinDateTime = Date.UTC(1601, 0, 1);
+const toFieldValue = (field, value) =>
+    field === "status" || field === "previousStatus" ? CNCStatusNames[value] || "Unknown" :
+    field === "jobState" ? JobStateNames[value] || "Unknown" :
+    field === "jobEstimatedCompletion" ? (value && value.getTime() > MinDateTime ? value : null) :
+    Number.isNaN(value) ? null :
+    value;
+
+/**
+ * Error raised by CncClient: not connected, unknown machine or variable, invalid argument, failed read.
+ * `statusCode` is the StatusCode returned by the server, or the one describing a client-side failure
+ * (BadNotConnected, BadNotFound, BadInvalidArgument).
+ */
+class CncClientError extends Error {
+    constructor(message, { machine = null, statusCode = StatusCodes.Bad } = {}) {
+        super(message);
+        this.name = "CncClientError";
+        this.machine = machine;
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Error raised when a method call returns a non-Good StatusCode (e.g. BadInvalidState for an
+ * illegal status transition, BadUserAccessDenied for a user without the required role).
+ * `diagnostics` holds the diagnostic messages the server attached to the input arguments.
+ */
+class CncMethodError extends CncClientError {
+    constructor(machine, method, statusCode, diagnostics = []) {
+        super(
+            `${method} on ${machine} failed: ${statusCode.name}${diagnostics.length ? ` - ${diagnostics.join("; ")}` : ""}`,
+            { machine, statusCode }
+        );
+        this.name = "CncMethodError";
+        this.method = method;
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * node-opcua user identity: X.509 user certificate with its private key (PEM files), username/password or anonymous.
+ *
+ * @param {{ user?: string, password?: string, cert?: string, key?: string }} [credentials]
+ */
+const createUserIdentity = ({ user, password = "", cert, key } = {}) =>
+    cert ? {
+        type: UserTokenType.Certificate,
+        certificateData: new crypto.X509Certificate(fs.readFileSync(cert)).raw,
+        privateKey: fs.readFileSync(key, "utf8")
+    } :
+    user ? { type: UserTokenType.UserName, userName: user, password } :
+    { type: UserTokenType.Anonymous };
+
+/**
+ * User identity from CNC_USER_CERT and CNC_USER_KEY, or CNC_USER and CNC_PASSWORD; anonymous without them.
+ */
+const userIdentityFromEnv = (env = process.env) =>
+    createUserIdentity({ user: env.CNC_USER, password: env.CNC_PASSWORD, cert: env.CNC_USER_CERT, key: env.CNC_USER_KEY });
+
+/**
+ * @typedef {Object} MachineInfo
+ * @property {string} name - browse name of the machine, e.g. "CNC1"
+ * @property {string} type - "MacchinaCNCType" or "MacchinaCNCProType"
+ * @property {NodeId} nodeId
+ * @property {string} path - Plant/Line/Cell folders, e.g. "Stabilimento/Linea1/Cella1"
+ */
+
+/**
+ * @typedef {Object} GroupInfo
+ * @property {string} path - path from the Objects folder, e.g. "Stabilimento/Linea1" or "Groups/Fresatrici"
+ * @property {NodeId} nodeId
+ * @property {string[]} machines - names of the machines of the group, also those in its subfolders
+ */
+
+/**
+ * @typedef {Object} GroupCallResult
+ * @property {string} group - path of the group
+ * @property {string} method
+ * @property {string} statusCode - always "Good" (other StatusCodes throw CncMethodError)
+ * @property {boolean} success - true when no machine refused the operation
+ * @property {string} message - summary, e.g. "2 of 4 machines changed, 1 refused"
+ * @property {Date} timestamp
+ * @property {boolean} dryRun
+ * @property {Array<{ machine: string, statusCode: string, message: string, changed: boolean }>} results -
+ *   one per machine of the group; `changed` tells whether the machine changed (would change, in a dry run)
+ */
+
+/**
+ * @typedef {Object} MachineSnapshot
+ * @property {string} machine
+ * @property {string} type
+ * @property {"Off"|"On"|"Alarm"} status
+ * @property {"Off"|"On"|"Alarm"} previousStatus
+ * @property {Date} lastTransitionTime
+ * @property {string} alarmReason
+ * @property {boolean} alarmAcknowledged
+ * @property {string} tool - ToolId of the mounted tool ("" if none)
+ * @property {number} toolWear - %
+ * @property {number} partsProduced
+ * @property {number} energyConsumption - kW
+ * @property {number} spindleSpeed - 1..5 (preset of spindleTargetRPM)
+ * @property {number} spindleRPM - actual spindle RPM, ramping towards spindleTargetRPM
+ * @property {number} spindleTargetRPM - RPM of the spindleSpeed preset, 0 while the machine is not On
+ * @property {number} spindleCurrentLoad - % of the rated spindle load
+ * @property {number} spindleBearingTemperature - °C
+ * @property {number} spindleVibration - mm/s RMS
+ * @property {boolean|null} statusAI - null for machines that are not MacchinaCNCProType
+ *   (as the predictive maintenance fields below)
+ * @property {number|null} operatingHours - simulated hours spent On
+ * @property {number|null} healthScore - 0..100, 100 = no sign of wear
+ * @property {number|null} estimatedTimeToMaintenance - operating hours, null while not enough data
+ * @property {number|null} spindleLoad - % (EWMA of the spindle speed)
+ * @property {number|null} energyAnomalyScore - z-score of the last energy consumption sample
+ * @property {string} jobId - job loaded on the machine ("" if none)
+ * @property {"None"|"Loaded"|"Running"|"Paused"|"Completed"|"Aborted"} jobState
+ * @property {number} jobPartsProduced - parts produced for the job
+ * @property {number} jobTargetQuantity
+ * @property {number} jobProgress - %
+ * @property {Date|null} jobEstimatedCompletion - while the job is Running; time of completion once Completed
+ * @property {string} shiftName - shift of the calendar the KPIs are counted in
+ * @property {Date} shiftStart - start of the shift, or of the counting after the last resetShiftCounters
+ * @property {number|null} availability - %, null until the machine has been On or in Alarm in the shift
+ * @property {number|null} performance - %, null until the machine has been On in the shift
+ * @property {number|null} quality - %, null until a part is produced in the shift
+ * @property {number|null} oee - % (availability × performance × quality)
+ * @property {number} goodParts - parts produced in the shift, rejects excluded
+ * @property {number} rejectedParts
+ * @property {number} shiftEnergy - kWh consumed in the shift
+ * @property {number|null} energyPerPart - kWh per good part
+ * @property {Date} sourceTimestamp - timestamp of the Status value
+ */
+
+/**
+ * @typedef {Object} CallResult
+ * @property {string} machine
+ * @property {string} method
+ * @property {string} statusCode - always "Good" (other StatusCodes throw CncMethodError)
+ * @property {boolean} success - true when the Result output argument (OperationResult) has a Good code
+ * @property {string} message - message of the Result output argument
+ * @property {Date} timestamp - time of the operation, from the Result output argument
+ * @property {Array<*>} outputArguments - values of the output arguments after Result
+ */
+
+/**
+ * @typedef {Object} MachineStructuredSnapshot
+ * @property {string} machine
+ * @property {"Off"|"On"|"Alarm"} status
+ * @property {string} tool - ToolId of the mounted tool ("" if none)
+ * @property {number} partsProduced
+ * @property {number} energyConsumption - kW
+ * @property {number} spindleSpeed - 1..5
+ * @property {boolean} statusAI - always false for machines that are not MacchinaCNCProType
+ * @property {Date} timestamp - time of the reading on the server
+ */
+
+/**
+ * @typedef {Object} PredictiveReport
+ * @property {number} healthScore - 0..100
+ * @property {number|null} estimatedTimeToMaintenance - operating hours, null while not enough data
+ * @property {string[]} topFactors - main causes of the lost health points
+ * @property {string} recommendation
+ */
+
+/**
+ * Reusable client for the CNC server.
+ *
+ * Browse results are cached for the lifetime of the session (machines, variables and methods do not
+ * change while the server runs); call invalidateCache() after a server restart with a different fleet.
+ * Methods throw CncMethodError on a non-Good StatusCode instead of returning the output arguments.
+ *
+ * Events:
+ *   "change" ({ machine, field, variable, value, sourceTimestamp }) - a watched variable changed (see watch())
+ *   "alarm"  ({ machine, condition, severity, message, active, acked, time }) - an alarm event of a machine
+ *   "connectionLost", "connectionReestablished", "backoff" (retry, delay) - forwarded from the OPC UA client
+ *   "close" (error) - the connection is closed: disconnect() or, with a maxRetry, reconnection given up
+ *
+ * @example
+ *   const cnc = new CncClient({ userIdentity: { type: UserTokenType.UserName, userName: "operatore", password: "operatore" } });
+ *   await cnc.connect();
+ *   await cnc.setStatus("CNC1", "On");
+ *   console.log(await cnc.getSnapshot("CNC1"));
+ *   await cnc.disconnect();
+ */
+class CncClient extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.endpointUrl]
+     * @param {"None"|"Sign"|"SignAndEncrypt"} [options.securityMode] - Sign and SignAndEncrypt use Basic256Sha256
+     * @param {Object} [options.userIdentity] - node-opcua user identity, anonymous by default
+     * @param {string} [options.pkiDir] - PKI folder of the client certificate (created on first use); with Sign and
+     *   SignAndEncrypt the server certificate must be in its trusted/certs folder (unknown ones are stored in rejected/)
+     * @param {boolean} [options.acceptUnknownCertificate] - trust any server certificate (development only), false by default
+     * @param {Object} [options.connectionStrategy] - node-opcua reconnection strategy ({ maxRetry, initialDelay, maxDelay }), retries forever by default
+     * @param {string} [options.locale] - locale id of the session (e.g. "it"): display names, descriptions and method
+     *   messages are returned in this language; the server default when omitted
+     */
+    constructor({
+        endpointUrl = DEFAULT_ENDPOINT_URL,
+        securityMode = "None",
+        userIdentity = { type: UserTokenType.Anonymous },
+        pkiDir = DEFAULT_PKI_DIR,
+        acceptUnknownCertificate = false,
+        connectionStrategy = undefined,
+        locale = undefined
+    } = {}) {
+        super();
+        if (!(securityMode in SecurityModes)) {
+            throw new CncClientError(`Unknown security mode ${securityMode}, expected one of ${Object.keys(SecurityModes).join(", ")}`, { statusCode: StatusCodes.BadInvalidArgument });
+        }
+        this.endpointUrl = endpointUrl;
+        this.userIdentity = userIdentity;
+        this.locale = locale;
+        this.client = OPCUAClient.create({
+            endpointMustExist: false,
+            securityMode: SecurityModes[securityMode],
+            securityPolicy: securityMode === "None" ? SecurityPolicy.None : SecurityPolicy.Basic256Sha256,
+            connectionStrategy,
+            clientCertificateManager: new OPCUACertificateManager({ rootFolder: pkiDir, automaticallyAcceptUnknownCertificate: acceptUnknownCertificate })
+        });
+        // node-opcua activates the session with no localeIds: the requested locale is added to the request
+        if (locale) {
+            const performMessageTransaction = this.client.performMessageTransaction.bind(this.client);
+            this.client.performMessageTransaction = (request, callback) => {
+                if (request instanceof ActivateSessionRequest) request.localeIds = [locale];
+                return performMessageTransaction(request, callback);
+            };
+        }
+        const forwardedEvents = { connection_lost: "connectionLost", connection_reestablished: "connectionReestablished", backoff: "backoff", close: "close" };
+        for (const [clientEvent, eventName] of Object.entries(forwardedEvents)) {
+            this.client.on(clientEvent, (...args) => this.emit(eventName, ...args));
+        }
+        this.session = null;
+        this.subscription = null;
+        this.watchedMachines = new Set();
+        this.watchedVariables = new Set();
+        this.invalidateCache();
+    }
+
+    async connect() {
+        await this.client.connect(this.endpointUrl);
+        try {
+            this.session = await this.client.createSession(this.userIdentity);
+        } catch (error) {
+            await this.client.disconnect();
+            throw error;
+        }
+    }
+
+    async disconnect() {
+        await this.unwatch();
+        if (this.session) {
+            await this.session.close();
+            this.session = null;
+        }
+        await this.client.disconnect();
+    }
+
+    invalidateCache() {
+        this.browseCache = new Map();
+        this.machines = null;
+        this.groups = null;
+    }
+
+    _requireSession() {
+        if (!this.session) throw new CncClientError("Not connected: call connect() first", { statusCode: StatusCodes.BadNotConnected });
+        return this.session;
+    }
+
+    // Forward references of a node (cached)
+    async _browse(nodeId, referenceTypeId = "HierarchicalReferences") {
+        const key = `${referenceTypeId}:${nodeId.toString()}`;
+        if (!this.browseCache.has(key)) {
+            const { statusCode, references } = await this._requireSession().browse({
+                nodeId,
+                referenceTypeId,
+                browseDirection: BrowseDirection.Forward,
+                includeSubtypes: true,
+                resultMask: 63
+            });
+            if (!statusCode.isGood()) throw new CncClientError(`Browse of ${key} failed: ${statusCode.name}`, { statusCode });
+            this.browseCache.set(key, references || []);
+        }
+        return this.browseCache.get(key);
+    }
+
+    async _typeName(typeDefinition) {
+        const key = `type:${typeDefinition.toString()}`;
+        if (!this.browseCache.has(key)) {
+            const dataValue = await this._requireSession().read({ nodeId: typeDefinition, attributeId: AttributeIds.BrowseName });
+            this.browseCache.set(key, dataValue.value.value ? dataValue.value.value.name : null);
+        }
+        return this.browseCache.get(key);
+    }
+
+    // Machines are organized in Plant/Line/Cell folders: walk the folders and keep the CNC instances and the
+    // machine groups. A machine is also organized by its tag groups: only the first path found is kept
+    async _findMachines(folderNodeId, folderPath, machines = [], groups = []) {
+        for (const ref of await this._browse(folderNodeId, "Organizes")) {
+            if (ref.nodeClass !== NodeClass.Object || ref.nodeId.namespace === 0) continue;
+            const typeName = await this._typeName(ref.typeDefinition);
+            if (CNCTypeNames.includes(typeName)) {
+                if (!machines.some(machine => machine.nodeId.toString() === ref.nodeId.toString())) {
+                    machines.push({ name: ref.browseName.name, type: typeName, nodeId: ref.nodeId, path: folderPath.join("/") });
+                }
+            } else if (FolderTypeNames.includes(typeName)) {
+                const path = [...folderPath, ref.browseName.name];
+                const group = typeName === "MachineGroupType" ? { path: path.join("/"), nodeId: ref.nodeId, machines: [] } : null;
+                if (group) groups.push(group);
+                const found = [];
+                await this._findMachines(ref.nodeId, path, found, groups);
+                if (group) group.machines = found.map(machine => machine.name);
+                for (const machine of found) {
+                    if (!machines.some(m => m.nodeId.toString() === machine.nodeId.toString())) machines.push(machine);
+                }
+            }
+        }
+        return { machines, groups };
+    }
+
+    async _browseFleet() {
+        if (!this.machines) {
+            const { machines, groups } = await this._findMachines(ObjectIds.ObjectsFolder, []);
+            this.machines = machines;
+            this.groups = groups;
+        }
+    }
+
+    /**
+     * CNC machines of the server, found by type in the Objects folder.
+     *
+     * @returns {Promise<MachineInfo[]>}
+     */
+    async listMachines() {
+        await this._browseFleet();
+        return this.machines;
+    }
+
+    /**
+     * Machine groups of the server (Plant/Line/Cell folders and tag groups), with their machines.
+     *
+     * @returns {Promise<GroupInfo[]>}
+     */
+    async listGroups() {
+        await this._browseFleet();
+        return this.groups;
+    }
+
+    async _group(groupPath) {
+        const group = (await this.listGroups()).find(g => g.path === groupPath);
+        if (!group) throw new CncClientError(`Group ${groupPath} not found`, { machine: groupPath, statusCode: StatusCodes.BadNotFound });
+        return group;
+    }
+
+    async _machine(name) {
+        const machine = (await this.listMachines()).find(m => m.name === name);
+        if (!machine) throw new CncClientError(`Machine ${name} not found`, { machine: name, statusCode: StatusCodes.BadNotFound });
+        return machine;
+    }
+
+    /**
+     * NodeId of a node below a machine, by relative path (e.g. "Status", "Mandrino/Velocita", "ToolMagazine/LoadTool").
+     * Returns null if the machine has no such node (e.g. "StatusAI" on a base machine).
+     */
+    async resolve(machineName, relativePath) {
+        let nodeId = (await this._machine(machineName)).nodeId;
+        for (const name of relativePath.split("/")) {
+            const ref = (await this._browse(nodeId)).find(r => r.browseName.name === name);
+            if (!ref) return null;
+            nodeId = ref.nodeId;
+        }
+        return nodeId;
+    }
+
+    // NodeIds of the snapshot variables of a machine (null for the missing ones), resolved one path at a time
+    // so that the shared parents are browsed only once, then cached
+    async _snapshotNodeIds(machineName) {
+        const key = `snapshot:${machineName}`;
+        if (!this.browseCache.has(key)) {
+            const nodeIds = {};
+            for (const [field, relativePath] of Object.entries(SnapshotVariables)) {
+                nodeIds[field] = await this.resolve(machineName, relativePath);
+            }
+            this.browseCache.set(key, nodeIds);
+        }
+        return this.browseCache.get(key);
+    }
+
+    /**
+     * Names of the values of the CNC enumerations in the language of the session, read from the model
+     * (EnumStrings of CNCTypeEnum and JobStateEnum, descriptions of the EnumValues of VelocitaMandrinoEnum).
+     * Values missing on the server keep their name.
+     *
+     * @returns {Promise<{ status: Object<string, string>, jobState: Object<string, string>, spindleSpeed: Object<number, string> }>}
+     *   e.g. { status: { Off: "Spento", ... }, jobState: { Running: "In esecuzione", ... }, spindleSpeed: { 1: "Velocità 1", ... } }
+     */
+    async getEnumLabels() {
+        const key = "enumLabels";
+        if (!this.browseCache.has(key)) {
+            const enumerations = await this._browse(DataTypeIds.Enumeration, "HasSubtype");
+            const readProperty = async (enumName, propertyName) => {
+                const enumeration = enumerations.find(ref => ref.browseName.name === enumName);
+                const property = enumeration && (await this._browse(enumeration.nodeId, "HasProperty")).find(ref => ref.browseName.name === propertyName);
+                if (!property) return [];
+                const dataValue = await this._requireSession().read({ nodeId: property.nodeId, attributeId: AttributeIds.Value });
+                return dataValue.statusCode.isGood() ? Array.from(dataValue.value.value || []) : [];
+            };
+            const fromEnumStrings = (names, texts) =>
+                Object.fromEntries(Object.entries(names).map(([value, name]) => [name, texts[value] && texts[value].text ? texts[value].text : name]));
+
+            const speedLabels = Object.fromEntries((await readProperty("VelocitaMandrinoEnum", "EnumValues"))
+                .map(enumValue => [coerceInt64toInt32(enumValue.value), (enumValue.description && enumValue.description.text) || enumValue.displayName.text]));
+            this.browseCache.set(key, {
+                status: fromEnumStrings(CNCStatusNames, await readProperty("CNCTypeEnum", "EnumStrings")),
+                jobState: fromEnumStrings(JobStateNames, await readProperty("JobStateEnum", "EnumStrings")),
+                spindleSpeed: Object.fromEntries(SpindleSpeeds.map(speed => [speed, speedLabels[speed] || String(speed)]))
+            });
+        }
+        return this.browseCache.get(key);
+    }
+
+    /**
+     * NodeId of an ObjectType of the CNC model by browse name, among the direct subtypes of `supertypeId`
+     * (e.g. the event types to subscribe to), so that clients do not depend on the NodeIds of the model.
+     *
+     * @param {string} browseName - e.g. "CNCMethodAuditEventType"
+     * @param {NodeIdLike} [supertypeId] - BaseEventType by default
+     * @returns {Promise<NodeId>}
+     */
+    async findObjectType(browseName, supertypeId = ObjectTypeIds.BaseEventType) {
+        const subtype = (await this._browse(supertypeId, "HasSubtype")).find(ref => ref.browseName.name === browseName);
+        if (!subtype) throw new CncClientError(`ObjectType ${browseName} not found on the server`, { statusCode: StatusCodes.BadNotFound });
+        return subtype.nodeId;
+    }
+
+    /**
+     * Current values of a machine, read with a single Read request.
+     *
+     * @returns {Promise<MachineSnapshot>}
+     */
+    async getSnapshot(machineName) {
+        const machine = await this._machine(machineName);
+        const fields = Object.keys(SnapshotVariables);
+        const nodeIds = await this._snapshotNodeIds(machineName);
+        const present = fields.filter(field => nodeIds[field]);
+        const dataValues = await this._requireSession().read(
+            present.map(field => ({ nodeId: nodeIds[field], attributeId: AttributeIds.Value }))
+        );
+
+        const snapshot = { machine: machine.name, type: machine.type };
+        for (const field of fields) snapshot[field] = null;
+        present.forEach((field, i) => {
+            const { statusCode, value } = dataValues[i];
+            if (!statusCode.isGood()) {
+                throw new CncClientError(`Read of ${machineName} ${SnapshotVariables[field]} failed: ${statusCode.name}`, { machine: machineName, statusCode });
+            }
+            snapshot[field] = toFieldValue(field, value.value);
+        });
+        snapshot.sourceTimestamp = dataValues[present.indexOf("status")].sourceTimestamp;
+        return snapshot;
+    }
+
+    /**
+     * Calls a method of a machine or of one of its components.
+     *
+     * @param {string} machineName
+     * @param {string} methodPath - path relative to the machine, e.g. "ChangeStatus" or "Mandrino/CambiareVelocita"
+     * @param {Array<{ dataType: DataType, value: * }>} [inputArguments]
+     * @returns {Promise<CallResult>}
+     * @throws {CncMethodError} if the call does not return a Good StatusCode; the diagnostics are the
+     *   input argument diagnostics of the server or, when there are none, the message of the Result output argument
+     */
+    async call(machineName, methodPath, inputArguments = []) {
+        const methodName = methodPath.split("/").pop();
+        const objectPath = methodPath.split("/").slice(0, -1).join("/");
+        const objectId = objectPath ? await this.resolve(machineName, objectPath) : (await this._machine(machineName)).nodeId;
+        const methodId = objectId && await this.resolve(machineName, methodPath);
+        if (!methodId) {
+            throw new CncMethodError(machineName, methodName, StatusCodes.BadMethodInvalid, [`${methodPath} not found on ${machineName}`]);
+        }
+
+        const [result] = await this._requireSession().call([{ objectId, methodId, inputArguments }]);
+        const outputArguments = (result.outputArguments || []).map(variant => variant.value);
+        const operationResult = isOperationResult(outputArguments[0]) ? toOperationResult(outputArguments.shift()) : null;
+        if (!result.statusCode.isGood()) {
+            const diagnostics = (result.inputArgumentDiagnosticInfos || []).map(d => d && d.additionalInfo).filter(Boolean);
+            if (diagnostics.length === 0 && operationResult && operationResult.message) {
+                diagnostics.push(operationResult.message);
+            }
+            throw new CncMethodError(machineName, methodName, result.statusCode, diagnostics);
+        }
+        return {
+            machine: machineName,
+            method: methodName,
+            statusCode: result.statusCode.name,
+            success: operationResult ? operationResult.code === "Good" : true,
+            message: operationResult ? operationResult.message : "",
+            timestamp: operationResult ? operationResult.timestamp : null,
+            outputArguments
+        };
+    }
+
+    /**
+     * Current values of a machine from its GetSnapshot method, as read together by the server.
+     *
+     * @returns {Promise<MachineStructuredSnapshot>}
+     */
+    async getMachineSnapshot(machineName) {
+        const { outputArguments: [snapshot] } = await this.call(machineName, "GetSnapshot");
+        return {
+            machine: machineName,
+            status: CNCStatusNames[snapshot.status] || "Unknown",
+            tool: snapshot.tool,
+            partsProduced: snapshot.partsProduced,
+            energyConsumption: snapshot.energyConsumption,
+            spindleSpeed: snapshot.spindleSpeed,
+            statusAI: snapshot.statusAI,
+            timestamp: snapshot.timestamp
+        };
+    }
+
+    /**
+     * @param {"Off"|"On"|"Alarm"|number} status
+     * @returns {Promise<CallResult>}
+     */
+    async setStatus(machineName, status) {
+        const value = typeof status === "string" ? CNCStatus[status] : status;
+        if (!(value in CNCStatusNames)) {
+            throw new CncClientError(`Invalid status ${status}, expected one of ${Object.keys(CNCStatus).join(", ")}`, { machine: machineName, statusCode: StatusCodes.BadInvalidArgument });
+        }
+        return this.call(machineName, "ChangeStatus", [{ dataType: DataType.Int32, value }]);
+    }
+
+    /**
+     * @param {number} speed - 1..5; the machine must be On
+     * @returns {Promise<CallResult>}
+     */
+    async setSpindleSpeed(machineName, speed) {
+        if (!SpindleSpeeds.includes(speed)) {
+            throw new CncClientError(`Invalid spindle speed ${speed}, expected one of ${SpindleSpeeds.join(", ")}`, { machine: machineName, statusCode: StatusCodes.BadInvalidArgument });
+        }
+        return this.call(machineName, "Mandrino/CambiareVelocita", [{ dataType: DataType.Int32, value: speed }]);
+    }
+
+    /**
+     * Loads a job on the machine. A job needing another tool than the mounted one is loaded,
+     * but StartJob is refused until the tool is changed.
+     *
+     * @param {{ jobId: string, partNumber: string, targetQuantity: number, requiredTool: string, spindleSpeed: number }} job
+     * @returns {Promise<CallResult>}
+     */
+    async loadJob(machineName, { jobId, partNumber, targetQuantity, requiredTool, spindleSpeed }) {
+        if (!Number.isInteger(targetQuantity) || targetQuantity <= 0) {
+            throw new CncClientError(`Invalid target quantity ${targetQuantity}, expected a positive integer`, { machine: machineName, statusCode: StatusCodes.BadInvalidArgument });
+        }
+        if (!SpindleSpeeds.includes(spindleSpeed)) {
+            throw new CncClientError(`Invalid spindle speed ${spindleSpeed}, expected one of ${SpindleSpeeds.join(", ")}`, { machine: machineName, statusCode: StatusCodes.BadInvalidArgument });
+        }
+        return this.call(machineName, "Job/LoadJob", [
+            { dataType: DataType.String, value: jobId },
+            { dataType: DataType.String, value: partNumber },
+            { dataType: DataType.UInt32, value: targetQuantity },
+            { dataType: DataType.String, value: requiredTool },
+            { dataType: DataType.Int32, value: spindleSpeed }
+        ]);
+    }
+
+    /**
+     * Starts the loaded job, or resumes the paused one. The machine must be On with the required tool mounted.
+     * @returns {Promise<CallResult>}
+     */
+    async startJob(machineName) {
+        return this.call(machineName, "Job/StartJob");
+    }
+
+    /**
+     * @returns {Promise<CallResult>}
+     */
+    async pauseJob(machineName) {
+        return this.call(machineName, "Job/PauseJob");
+    }
+
+    /**
+     * @returns {Promise<CallResult>}
+     */
+    async abortJob(machineName) {
+        return this.call(machineName, "Job/AbortJob");
+    }
+
+    /**
+     * Closes the KPI counting of the shift (the server publishes its summary event) and restarts the counters from zero.
+     * @returns {Promise<CallResult>}
+     */
+    async resetShiftCounters(machineName) {
+        return this.call(machineName, "KPI/ResetShiftCounters");
+    }
+
+    /**
+     * Calls a method of a machine group (StartAll, StopAll, SetSpindleSpeedAll).
+     * The call succeeds even when some machines refuse the operation: check `success` and `results`.
+     *
+     * @param {string} groupPath - e.g. "Stabilimento/Linea1" or "Groups/Fresatrici"
+     * @param {string} methodName
+     * @param {Array<{ dataType: DataType, value: * }>} inputArguments - DryRun is the last one
+     * @returns {Promise<GroupCallResult>}
+     * @throws {CncMethodError} if the call does not return a Good StatusCode (e.g. an invalid spindle speed)
+     */
+    async callGroup(groupPath, methodName, inputArguments) {
+        const group = await this._group(groupPath);
+        const methodRef = (await this._browse(group.nodeId)).find(r => r.browseName.name === methodName);
+        if (!methodRef) {
+            throw new CncMethodError(groupPath, methodName, StatusCodes.BadMethodInvalid, [`${methodName} not found on ${groupPath}`]);
+        }
+
+        const [result] = await this._requireSession().call([{ objectId: group.nodeId, methodId: methodRef.nodeId, inputArguments }]);
+        const [operationResult, results] = (result.outputArguments || []).map(variant => variant.value);
+        const summary = isOperationResult(operationResult) ? toOperationResult(operationResult) : null;
+        if (!result.statusCode.isGood()) {
+            const diagnostics = (result.inputArgumentDiagnosticInfos || []).map(d => d && d.additionalInfo).filter(Boolean);
+            if (diagnostics.length === 0 && summary && summary.message) {
+                diagnostics.push(summary.message);
+            }
+            throw new CncMethodError(groupPath, methodName, result.statusCode, diagnostics);
+        }
+        return {
+            group: groupPath,
+            method: methodName,
+            statusCode: result.statusCode.name,
+            success: summary ? summary.code === "Good" : true,
+            message: summary ? summary.message : "",
+            timestamp: summary ? summary.timestamp : null,
+            dryRun: Boolean(inputArguments[inputArguments.length - 1].value),
+            results: toMachineOperationResults(results)
+        };
+    }
+
+    /**
+     * Switches On every machine of the group.
+     *
+     * @param {{ dryRun?: boolean }} [options] - with dryRun the machines are only checked
+     * @returns {Promise<GroupCallResult>}
+     */
+    async startAll(groupPath, { dryRun = false } = {}) {
+        return this.callGroup(groupPath, "StartAll", [{ dataType: DataType.Boolean, value: dryRun }]);
+    }
+
+    /**
+     * Switches Off every machine of the group.
+     *
+     * @param {{ dryRun?: boolean }} [options] - with dryRun the machines are only checked
+     * @returns {Promise<GroupCallResult>}
+     */
+    async stopAll(groupPath, { dryRun = false } = {}) {
+        return this.callGroup(groupPath, "StopAll", [{ dataType: DataType.Boolean, value: dryRun }]);
+    }
+
+    /**
+     * Sets the spindle speed of every machine of the group (machines that are not On refuse).
+     *
+     * @param {number} speed - 1..5
+     * @param {{ dryRun?: boolean }} [options] - with dryRun the machines are only checked
+     * @returns {Promise<GroupCallResult>}
+     */
+    async setSpindleSpeedAll(groupPath, speed, { dryRun = false } = {}) {
+        if (!SpindleSpeeds.includes(speed)) {
+            throw new CncClientError(`Invalid spindle speed ${speed}, expected one of ${SpindleSpeeds.join(", ")}`, { machine: groupPath, statusCode: StatusCodes.BadInvalidArgument });
+        }
+        return this.callGroup(groupPath, "SetSpindleSpeedAll",
+            [{ dataType: DataType.Int32, value: speed }, { dataType: DataType.Boolean, value: dryRun }]);
+    }
+
+    /**
+     * Predictive maintenance report of the machine. Only available on MacchinaCNCProType machines.
+     *
+     * @returns {Promise<CallResult & { report: PredictiveReport }>}
+     */
+    async runPredictiveMaintenance(machineName) {
+        const result = await this.call(machineName, "ManutenzionePredittiva");
+        const [healthScore, estimatedTimeToMaintenance, topFactors, recommendation] = result.outputArguments;
+        return {
+            ...result,
+            report: {
+                healthScore,
+                estimatedTimeToMaintenance: Number.isNaN(estimatedTimeToMaintenance) ? null : estimatedTimeToMaintenance,
+                topFactors: Array.from(topFactors || []),
+                recommendation
+            }
+        };
+    }
+
+    /**
+     * Starts emitting "change" events for the variables of the given machines (all by default)
+     * and "alarm" events for their alarms. Variables already watched are not monitored twice.
+     *
+     * @param {string[]} [machineNames]
+     * @param {{ fields?: string[], samplingInterval?: number }} [options] - fields are snapshot field names
+     */
+    async watch(machineNames = null, { fields = WatchedFields, samplingInterval = 1000 } = {}) {
+        const unknown = fields.filter(field => !(field in SnapshotVariables));
+        if (unknown.length) {
+            throw new CncClientError(`Unknown field ${unknown.join(", ")}, expected one of ${Object.keys(SnapshotVariables).join(", ")}`, { statusCode: StatusCodes.BadInvalidArgument });
+        }
+        const session = this._requireSession();
+        const machines = machineNames ? await Promise.all(machineNames.map(name => this._machine(name))) : await this.listMachines();
+        machines.forEach(machine => this.watchedMachines.add(machine.name));
+        if (!this.subscription) {
+            this.subscription = await session.createSubscription2({
+                requestedPublishingInterval: samplingInterval,
+                maxNotificationsPerPublish: 1000,
+                publishingEnabled: true
+            });
+            await this._monitorAlarms();
+        }
+
+        for (const machine of machines) {
+            for (const field of fields) {
+                const key = `${machine.name}/${field}`;
+                const nodeId = (await this._snapshotNodeIds(machine.name))[field];
+                if (!nodeId || this.watchedVariables.has(key)) continue;
+                this.watchedVariables.add(key);
+                const item = await this.subscription.monitor(
+                    { nodeId, attributeId: AttributeIds.Value },
+                    { samplingInterval, discardOldest: true, queueSize: 10 },
+                    TimestampsToReturn.Both
+                );
+                item.on("changed", (dataValue) => this.emit("change", {
+                    machine: machine.name,
+                    field,
+                    variable: SnapshotVariables[field],
+                    value: toFieldValue(field, dataValue.value.value),
+                    sourceTimestamp: dataValue.sourceTimestamp
+                }));
+            }
+        }
+    }
+
+    /**
+     * Stops all the monitoring started by watch().
+     */
+    async unwatch() {
+        if (this.subscription) {
+            await this.subscription.terminate();
+            this.subscription = null;
+        }
+        this.watchedMachines.clear();
+        this.watchedVariables.clear();
+    }
+
+    // Alarms & Conditions: every CNC event bubbles up to the Server object
+    async _monitorAlarms() {
+        const item = await this.subscription.monitor(
+            { nodeId: ObjectIds.Server, attributeId: AttributeIds.EventNotifier },
+            { samplingInterval: 0, discardOldest: true, queueSize: 100, filter: constructEventFilter(AlarmEventFields) },
+            TimestampsToReturn.Neither
+        );
+        item.on("changed", (eventFields) => {
+            const event = Object.fromEntries(AlarmEventFields.map((name, i) => [name, eventFields[i].value]));
+            // Conditions report the qualified browse name of their source ("1:CNC1")
+            const machine = event.SourceName?.replace(/^\d+:/, "");
+            if (!event.ConditionName || !this.watchedMachines.has(machine)) return;
+            this.emit("alarm", {
+                machine,
+                condition: event.ConditionName,
+                severity: event.Severity,
+                message: event.Message?.text,
+                active: event.ActiveState?.text,
+                acked: event.AckedState?.text,
+                time: event.Time
+            });
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_ENDPOINT_URL,
+    CNCStatus,
+    SpindleSpeeds,
+    JobState,
+    SnapshotVariables,
+    SecurityModes,
+    CncClientError,
+    CncMethodError,
+    createUserIdentity,
+    userIdentityFromEnv,
+    CncClient
+};
@@ -0,0 +1,427 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    AddressSpace,
+    AttributeIds,
+    BrowseDirection,
+    DataTypeIds,
+    NodeClass,
+    ObjectTypeIds,
+    PseudoSession,
+    ReferenceTypeIds,
+    VariableIds,
+    VariableTypeIds,
+    browseAll,
+    coerceInt64toInt32,
+    generateAddressSpace,
+    nodesets,
+    readNamespaceArray,
+    resolveNodeId
+} = require("node-opcua");
+const { MODEL_NAMESPACE_URI, DESIGN_TYPE_NAMES } = require("./model");
+
+// Radici delle gerarchie dei tipi: i tipi del modello si trovano tra i loro sottotipi (HasSubtype)
+const TYPE_ROOTS = [
+    ObjectTypeIds.BaseObjectType,
+    VariableTypeIds.BaseVariableType,
+    DataTypeIds.BaseDataType,
+    ReferenceTypeIds.References
+];
+
+// Proprietà lette come parte del nodo padre invece che come nodi a sé
+const ENUM_PROPERTIES = ["EnumStrings", "EnumValues"];
+const ARGUMENT_PROPERTIES = { InputArguments: "inputArguments", OutputArguments: "outputArguments" };
+
+const NODE_CLASS_NAMES = Object.fromEntries(
+    ["Object", "Variable", "Method", "ObjectType", "VariableType", "ReferenceType", "DataType"].map(name => [NodeClass[name], name]));
+
+// Legge i nodi a blocchi, nel limite di nodi per richiesta del server
+const readAll = async (session, nodesToRead, maxNodesPerRead) => {
+    const dataValues = [];
+    for (let i = 0; i < nodesToRead.length; i += maxNodesPerRead) {
+        dataValues.push(...await session.read(nodesToRead.slice(i, i + maxNodesPerRead)));
+    }
+    return dataValues;
+};
+
+const browseForward = (session, nodeIds, referenceTypeId, includeSubtypes = true) => browseAll(session, nodeIds.map(nodeId => ({
+    nodeId,
+    referenceTypeId,
+    browseDirection: BrowseDirection.Forward,
+    includeSubtypes,
+    nodeClassMask: 0,
+    resultMask: 0x3f
+})));
+
+/**
+ * Descrive i tipi di un namespace e le loro instance declaration, leggendoli con una sessione OPC UA
+ * (ClientSession verso un server in esecuzione, o PseudoSession su un address space caricato da un NodeSet).
+ *
+ * Ogni nodo è indicato dal suo percorso di browse name a partire dal tipo (es. "MacchinaCNCType/Mandrino/Velocita"),
+ * così i nodi di due sorgenti si confrontano anche se i NodeId o l'indice del namespace sono diversi.
+ * DataType, TypeDefinition e tipi padre sono indicati per browse name.
+ *
+ * @param {IBasicSession} session
+ * @param {string} [namespaceUri] - namespace da descrivere (quello del modello CNC se non indicato)
+ * @returns {Promise<{ namespaceUri: string, nodes: Object<string, Object> }>}
+ */
+const describeModel = async (session, namespaceUri = MODEL_NAMESPACE_URI) => {
+    const namespaceIndex = (await readNamespaceArray(session)).indexOf(namespaceUri);
+    if (namespaceIndex < 0) {
+        throw new Error(`Namespace ${namespaceUri} not found`);
+    }
+    // 0 o assente: nessun limite dichiarato dal server
+    const maxNodesPerRead = await session.read({ nodeId: resolveNodeId(VariableIds.Server_ServerCapabilities_OperationLimits_MaxNodesPerRead), attributeId: AttributeIds.Value });
+    const readLimit = maxNodesPerRead.value.value || 1000;
+
+    const nodes = {};
+    // NodeId dei DataType e dei tipi citati, risolti in browse name alla fine
+    const pendingNames = [];
+    const nameLater = (target, key, nodeId) => pendingNames.push({ target, key, nodeId: nodeId.toString() });
+
+    // Tipi del namespace: visita in ampiezza delle gerarchie HasSubtype
+    const types = [];
+    let frontier = TYPE_ROOTS.map(id => ({ nodeId: resolveNodeId(id) }));
+    while (frontier.length > 0) {
+        const results = await browseForward(session, frontier.map(type => type.nodeId), ReferenceTypeIds.HasSubtype, false);
+        const next = [];
+        results.forEach((result, i) => {
+            for (const reference of result.references || []) {
+                const type = { nodeId: reference.nodeId, nodeClass: reference.nodeClass, name: reference.browseName.name, superType: frontier[i].nodeId };
+                if (reference.nodeId.namespace === namespaceIndex) types.push(type);
+                next.push(type);
+            }
+        });
+        frontier = next;
+    }
+
+    const typeAttributes = await readAll(session, types.flatMap(type => [
+        { nodeId: type.nodeId, attributeId: AttributeIds.IsAbstract },
+        { nodeId: type.nodeId, attributeId: type.nodeClass === NodeClass.DataType ? AttributeIds.DataTypeDefinition : AttributeIds.DataType },
+        { nodeId: type.nodeId, attributeId: AttributeIds.ValueRank }
+    ]), readLimit);
+    types.forEach((type, i) => {
+        const [isAbstract, definitionOrDataType, valueRank] = typeAttributes.slice(i * 3, i * 3 + 3);
+        const node = nodes[type.name] = { nodeClass: NODE_CLASS_NAMES[type.nodeClass], subtypeOf: null, isAbstract: isAbstract.value.value };
+        nameLater(node, "subtypeOf", type.superType);
+        if (type.nodeClass === NodeClass.VariableType) {
+            node.dataType = null;
+            nameLater(node, "dataType", definitionOrDataType.value.value);
+            node.valueRank = valueRank.value.value;
+        }
+        if (type.nodeClass === NodeClass.DataType && definitionOrDataType.statusCode.isGood() && definitionOrDataType.value.value) {
+            const definition = definitionOrDataType.value.value;
+            // Le strutture hanno campi con DataType, le enumerazioni solo nomi e valori
+            if (definition.fields && definition.fields.some(field => field.dataType && !field.dataType.isEmpty())) {
+                node.fields = definition.fields.map(field => {
+                    const described = { name: field.name, valueRank: field.valueRank };
+                    nameLater(described, "dataType", field.dataType);
+                    return described;
+                });
+            } else if (definition.fields) {
+                node.enumValues = Object.fromEntries(definition.fields.map(field => [field.name, coerceInt64toInt32(field.value)]));
+            }
+        }
+        type.path = type.name;
+    });
+
+    // Codifiche delle strutture (Default Binary, Default XML, Default JSON)
+    const dataTypes = types.filter(type => type.nodeClass === NodeClass.DataType);
+    const encodings = await browseForward(session, dataTypes.map(type => type.nodeId), ReferenceTypeIds.HasEncoding);
+    dataTypes.forEach((type, i) => {
+        const names = (encodings[i].references || []).map(reference => reference.browseName.name).sort();
+        if (names.length > 0) nodes[type.path].encodings = names;
+    });
+
+    // Instance declaration: figli (Aggregates) dei tipi, livello per livello
+    let parents = types;
+    while (parents.length > 0) {
+        const results = await browseForward(session, parents.map(parent => parent.nodeId), ReferenceTypeIds.Aggregates);
+        const children = [];
+        const valueProperties = [];
+        results.forEach((result, i) => {
+            const parent = parents[i];
+            for (const reference of result.references || []) {
+                const name = reference.browseName.name;
+                if (parent.nodeClass === NodeClass.DataType && ENUM_PROPERTIES.includes(name)) {
+                    valueProperties.push({ parent, name, nodeId: reference.nodeId });
+                } else if (parent.nodeClass === NodeClass.Method && name in ARGUMENT_PROPERTIES) {
+                    valueProperties.push({ parent, name, nodeId: reference.nodeId });
+                } else {
+                    const child = { nodeId: reference.nodeId, nodeClass: reference.nodeClass, path: `${parent.path}/${name}` };
+                    const node = nodes[child.path] = { nodeClass: NODE_CLASS_NAMES[reference.nodeClass], typeDefinition: null, modellingRule: null };
+                    if (reference.typeDefinition && !reference.typeDefinition.isEmpty()) nameLater(node, "typeDefinition", reference.typeDefinition);
+                    children.push(child);
+                }
+            }
+        });
+
+        // Argomenti dei metodi e valori delle enumerazioni
+        const values = await readAll(session, valueProperties.map(({ nodeId }) => ({ nodeId, attributeId: AttributeIds.Value })), readLimit);
+        valueProperties.forEach(({ parent, name }, i) => {
+            const value = values[i].value.value || [];
+            const node = nodes[parent.path];
+            if (name === "EnumStrings") {
+                node.enumValues = Object.fromEntries(value.map((text, index) => [text.text, index]));
+            } else if (name === "EnumValues") {
+                node.enumValues = Object.fromEntries(value.map(enumValue => [enumValue.displayName.text, coerceInt64toInt32(enumValue.value)]));
+            } else {
+                node[ARGUMENT_PROPERTIES[name]] = value.map(argument => {
+                    const described = { name: argument.name, valueRank: argument.valueRank };
+                    nameLater(described, "dataType", argument.dataType);
+                    return described;
+                });
+            }
+        });
+
+        // Regola di modellazione, e DataType/ValueRank delle variabili
+        const modellingRules = await browseForward(session, children.map(child => child.nodeId), ReferenceTypeIds.HasModellingRule);
+        const variables = children.filter(child => child.nodeClass === NodeClass.Variable);
+        const variableAttributes = await readAll(session, variables.flatMap(variable => [
+            { nodeId: variable.nodeId, attributeId: AttributeIds.DataType },
+            { nodeId: variable.nodeId, attributeId: AttributeIds.ValueRank }
+        ]), readLimit);
+        children.forEach((child, i) => {
+            const [rule] = modellingRules[i].references || [];
+            nodes[child.path].modellingRule = rule ? rule.browseName.name : null;
+        });
+        variables.forEach((variable, i) => {
+            const node = nodes[variable.path];
+            node.dataType = null;
+            nameLater(node, "dataType", variableAttributes[i * 2].value.value);
+            node.valueRank = variableAttributes[i * 2 + 1].value.value;
+        });
+
+        parents = children;
+    }
+
+    // Browse name dei DataType e dei tipi citati
+    const nodeIds = [...new Set(pendingNames.map(({ nodeId }) => nodeId))];
+    const browseNames = await readAll(session, nodeIds.map(nodeId => ({ nodeId, attributeId: AttributeIds.BrowseName })), readLimit);
+    const names = new Map(nodeIds.map((nodeId, i) => [nodeId, browseNames[i].value.value ? browseNames[i].value.value.name : nodeId]));
+    for (const { target, key, nodeId } of pendingNames) {
+        target[key] = names.get(nodeId);
+    }
+
+    return { namespaceUri, nodes };
+};
+
+/**
+ * Carica uno o più NodeSet2 (oltre al namespace standard) in un address space a sé
+ * e ne descrive il namespace indicato con `describeModel`.
+ *
+ * @param {string|string[]} nodeSetFiles
+ * @param {string} [namespaceUri]
+ */
+const describeNodeSet = async (nodeSetFiles, namespaceUri = MODEL_NAMESPACE_URI) => {
+    const addressSpace = AddressSpace.create();
+    try {
+        await generateAddressSpace(addressSpace, [nodesets.standard, ...[].concat(nodeSetFiles)]);
+        return await describeModel(new PseudoSession(addressSpace), namespaceUri);
+    } finally {
+        addressSpace.dispose();
+    }
+};
+
+const xmlAttribute = (attributes, name) => {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+    return match ? match[1] : null;
+};
+
+// Tipi OPC Binary dei campi -> browse name del DataType (i tipi del namespace possono essere rinominati)
+const BINARY_TYPE_NAMES = { CharArray: "String", ExtensionObject: "Structure" };
+
+/**
+ * Descrive i DataType del dizionario dei tipi OPC Binary di un namespace: un file .bsd, oppure il progetto
+ * UAModeler (.ua), che è in formato binario ma contiene il dizionario come testo XML.
+ *
+ * La descrizione è parziale: solo enumerazioni e strutture, senza codifiche. `nodeClasses` lo indica a
+ * compareModels, che confronta solo quello che il riferimento descrive. `typeNames` dà ai tipi del dizionario
+ * il nome che hanno nel modello da confrontare; il nome originale resta in `browseName` e la differenza
+ * viene segnalata.
+ *
+ * @param {string} file
+ * @param {{ namespaceUri?: string, typeNames?: Object<string, string> }} [options]
+ * @returns {{ namespaceUri: string, nodeClasses: string[], nodes: Object<string, Object> }}
+ */
+const describeTypeDictionary = (file, { namespaceUri = MODEL_NAMESPACE_URI, typeNames = {} } = {}) => {
+    const text = fs.readFileSync(file).toString("utf8");
+    const dictionary = (text.match(/<opc:TypeDictionary\b[\s\S]*?<\/opc:TypeDictionary>/g) || [])
+        .find(xml => xmlAttribute(xml.slice(0, xml.indexOf(">")), "TargetNamespace") === namespaceUri);
+    if (!dictionary) {
+        throw new Error(`No OPC Binary type dictionary of ${namespaceUri} in ${file}`);
+    }
+    const rename = (name) => typeNames[name] || name;
+    const typeName = (qualifiedName) => {
+        const [prefix, name] = qualifiedName.split(":");
+        return prefix === "tns" ? rename(name) : BINARY_TYPE_NAMES[name] || name;
+    };
+
+    const nodes = {};
+    for (const [, attributes, body] of dictionary.matchAll(/<opc:EnumeratedType\b([^>]*)>([\s\S]*?)<\/opc:EnumeratedType>/g)) {
+        const name = xmlAttribute(attributes, "Name");
+        const values = [...body.matchAll(/<opc:EnumeratedValue\b([^>]*?)\/?>/g)].map(([, value]) => value);
+        nodes[rename(name)] = {
+            nodeClass: "DataType",
+            browseName: name,
+            subtypeOf: "Enumeration",
+            enumValues: Object.fromEntries(values.map(value => [xmlAttribute(value, "Name"), Number(xmlAttribute(value, "Value"))]))
+        };
+    }
+    for (const [, attributes, body] of dictionary.matchAll(/<opc:StructuredType\b([^>]*)>([\s\S]*?)<\/opc:StructuredType>/g)) {
+        const name = xmlAttribute(attributes, "Name");
+        const fields = [...body.matchAll(/<opc:Field\b([^>]*?)\/?>/g)].map(([, field]) => field);
+        // Gli array hanno un campo lunghezza (NoOf...) indicato da LengthField, che non è un campo del DataType
+        const lengthFields = new Set(fields.map(field => xmlAttribute(field, "LengthField")).filter(Boolean));
+        nodes[rename(name)] = {
+            nodeClass: "DataType",
+            browseName: name,
+            subtypeOf: typeName(xmlAttribute(attributes, "BaseType") || "ua:ExtensionObject"),
+            fields: fields.filter(field => !lengthFields.has(xmlAttribute(field, "Name"))).map(field => ({
+                name: xmlAttribute(field, "Name"),
+                valueRank: xmlAttribute(field, "LengthField") ? 1 : -1,
+                dataType: typeName(xmlAttribute(field, "TypeName"))
+            }))
+        };
+    }
+    return { namespaceUri, nodeClasses: ["DataType"], nodes };
+};
+
+/**
+ * Descrive un modello di riferimento a partire dal file: progetto UAModeler (.ua) o dizionario OPC Binary (.bsd)
+ * con describeTypeDictionary, NodeSet2 XML con describeNodeSet.
+ */
+const describeReference = async (file) =>
+    [".ua", ".bsd"].includes(path.extname(file).toLowerCase())
+        ? describeTypeDictionary(file, { typeNames: DESIGN_TYPE_NAMES })
+        : describeNodeSet(file);
+
+const formatArguments = (args) => `(${args.map(a => `${a.name}: ${a.dataType}${a.valueRank > 0 ? "[]" : ""}`).join(", ")})`;
+const formatFields = (fields) => `(${fields.map(f => `${f.name}: ${f.dataType}${f.valueRank > 0 ? "[]" : ""}`).join(", ")})`;
+
+// Attributi confrontati così come sono, con il tipo di differenza riportato
+const SCALAR_CHECKS = [
+    ["nodeClass", "nodeClass", "NodeClass"],
+    ["subtypeOf", "subtypeOf", "supertype"],
+    ["isAbstract", "isAbstract", "IsAbstract"],
+    ["typeDefinition", "typeDefinition", "TypeDefinition"],
+    ["modellingRule", "modellingRule", "ModellingRule"],
+    ["dataType", "dataType", "DataType"],
+    ["valueRank", "dataType", "ValueRank"]
+];
+
+/**
+ * Confronta la descrizione di un modello (`actual`) con quella di riferimento.
+ * Un riferimento parziale (con `nodeClasses`, vedi describeTypeDictionary) viene confrontato solo per le classi
+ * di nodi e gli attributi che descrive.
+ *
+ * @returns {Array<{ kind: string, path: string, message: string, expected?: any, actual?: any }>}
+ *   una differenza per nodo mancante o in più, regola di modellazione, DataType, valore di enumerazione,
+ *   campi di struttura o argomenti di metodo diversi
+ */
+const compareModels = (reference, actual) => {
+    const differences = [];
+    const add = (kind, path, message, expected, found) => differences.push({ kind, path, message, expected, actual: found });
+    const partial = Array.isArray(reference.nodeClasses);
+    const describes = (expected, key) => !partial || key in expected;
+
+    for (const [path, expected] of Object.entries(reference.nodes)) {
+        const node = actual.nodes[path];
+        if (!node) {
+            add("missing", path, `${expected.nodeClass} missing`, expected, null);
+            continue;
+        }
+        if (expected.browseName && expected.browseName !== path) {
+            add("browseName", path, `BrowseName expected ${expected.browseName}, found ${path}`, expected.browseName, path);
+        }
+        for (const [key, kind, label] of SCALAR_CHECKS) {
+            if (!describes(expected, key)) continue;
+            if ((expected[key] ?? null) !== (node[key] ?? null)) {
+                add(kind, path, `${label} expected ${expected[key] ?? "none"}, found ${node[key] ?? "none"}`, expected[key] ?? null, node[key] ?? null);
+            }
+        }
+        if (describes(expected, "enumValues") && (expected.enumValues || node.enumValues)) {
+            const expectedValues = expected.enumValues || {};
+            const actualValues = node.enumValues || {};
+            for (const name of new Set([...Object.keys(expectedValues), ...Object.keys(actualValues)])) {
+                if (!(name in actualValues)) {
+                    add("enumValue", path, `value ${name} (${expectedValues[name]}) missing`, expectedValues[name], null);
+                } else if (!(name in expectedValues)) {
+                    add("enumValue", path, `value ${name} (${actualValues[name]}) not in the reference`, null, actualValues[name]);
+                } else if (expectedValues[name] !== actualValues[name]) {
+                    add("enumValue", path, `${name} expected ${expectedValues[name]}, found ${actualValues[name]}`, expectedValues[name], actualValues[name]);
+                }
+            }
+        }
+        if (describes(expected, "fields") && (expected.fields || node.fields)) {
+            const [expectedFields, actualFields] = [formatFields(expected.fields || []), formatFields(node.fields || [])];
+            if (expectedFields !== actualFields) {
+                add("dataType", path, `fields expected ${expectedFields}, found ${actualFields}`, expected.fields || [], node.fields || []);
+            }
+        }
+        if (describes(expected, "encodings") && (expected.encodings || []).join() !== (node.encodings || []).join()) {
+            add("dataType", path, `encodings expected (${(expected.encodings || []).join(", ")}), found (${(node.encodings || []).join(", ")})`,
+                expected.encodings || [], node.encodings || []);
+        }
+        for (const key of ["inputArguments", "outputArguments"]) {
+            if (!describes(expected, key)) continue;
+            const [expectedArguments, actualArguments] = [formatArguments(expected[key] || []), formatArguments(node[key] || [])];
+            if (expectedArguments !== actualArguments) {
+                add("methodArguments", path, `${key === "inputArguments" ? "InputArguments" : "OutputArguments"} expected ${expectedArguments}, found ${actualArguments}`,
+                    expected[key] || [], node[key] || []);
+            }
+        }
+    }
+    for (const [path, node] of Object.entries(actual.nodes)) {
+        if (!reference.nodes[path] && (!partial || reference.nodeClasses.includes(node.nodeClass))) {
+            add("extra", path, `${node.nodeClass} not in the reference`, null, node);
+        }
+    }
+    return differences;
+};
+
+/**
+ * Rapporto di conformità: le due sorgenti, il numero di nodi descritti e le differenze.
+ * Con un riferimento parziale `reference.nodeClasses` elenca le sole classi di nodi confrontate
+ * (contro cnc.ua solo i DataType), altrimenti è null.
+ *
+ * @param {{ label: string, model: Object }} reference
+ * @param {{ label: string, model: Object }} target
+ */
+const conformanceReport = (reference, target) => {
+    const differences = compareModels(reference.model, target.model);
+    return {
+        namespaceUri: reference.model.namespaceUri,
+        reference: {
+            source: reference.label,
+            nodes: Object.keys(reference.model.nodes).length,
+            nodeClasses: reference.model.nodeClasses || null
+        },
+        target: { source: target.label, nodes: Object.keys(target.model.nodes).length },
+        conforming: differences.length === 0,
+        differences
+    };
+};
+
+const formatReport = (report) => [
+    `Namespace: ${report.namespaceUri}`,
+    `Reference: ${report.reference.source} (${report.reference.nodes} nodes)`,
+    `Target:    ${report.target.source} (${report.target.nodes} nodes)`,
+    ...(report.reference.nodeClasses ? [
+        `Scope:     only the ${report.reference.nodeClasses.join(", ")} nodes are compared: the reference does not describe ` +
+        "the other node classes, so their drift is not reported"
+    ] : []),
+    report.conforming ? `No drift: the target matches the reference model${report.reference.nodeClasses ? " in the compared scope" : ""}.` :
+        `${report.differences.length} difference${report.differences.length === 1 ? "" : "s"}:\n` +
+        report.differences.map(d => `  ${d.kind.padEnd(16)} ${d.path}: ${d.message}`).join("\n")
+].join("\n");
+
+module.exports = {
+    describeModel,
+    describeNodeSet,
+    describeTypeDictionary,
+    describeReference,
+    compareModels,
+    conformanceReport,
+    formatReport
+};
@@ -0,0 +1,314 @@
+const fs = require("fs");
+const path = require("path");
+const { EventNotifierFlags } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { MAX_SPINDLE_SPEED, computeEnergyConsumption } = require("./stateMachine");
+const { installToolMagazine } = require("./tools");
+
+/**
+ * File di configurazione della flotta usato se non viene indicato CNC_FLEET_CONFIG.
+ */
+const DEFAULT_FLEET_CONFIG_FILE = path.join(__dirname, "../fleet.json");
+
+// Magazzino utensili usato se la macchina non indica "tools": un solo utensile, montato
+const DEFAULT_POCKETS = 8;
+const DEFAULT_TOOLS = [
+    { pocket: 1, id: "Default Utensile", type: "Fresa", diameter: 10, remainingLife: 100 }
+];
+const MAX_POCKETS = 99;
+
+// Soglia di ConsumoEnergetico (kW) oltre la quale viene attivato l'allarme di consumo: il consumo nominale
+// massimo (On alla velocità massima, 190.5 kW) più un margine del 10% per il rumore della simulazione (σ 2%),
+// così il funzionamento normale non attiva l'allarme. Arrotondata a 210 kW.
+const ENERGY_THRESHOLD_MARGIN = 0.1;
+const DEFAULT_ENERGY_THRESHOLD = Math.round(computeEnergyConsumption(CNCStatusEnumValues.On, MAX_SPINDLE_SPEED) * (1 + ENERGY_THRESHOLD_MARGIN));
+
+// Tipi di macchina ammessi nella configurazione e relativo ObjectType del modello
+const MACHINE_TYPES = {
+    base: "MacchinaCNCType",
+    pro: "MacchinaCNCProType"
+};
+
+const MACHINE_KEYS = ["name", "type", "nodeId", "pockets", "tools", "activePocket", "energyThreshold", "plant", "line", "cell", "tags"];
+const TOOL_KEYS = ["pocket", "id", "type", "diameter", "remainingLife"];
+
+// NodeId delle istanze (sempre nel namespace del server, quindi senza "ns=")
+const NODE_ID_PATTERN = /^(i=\d+|s=.+|g=[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}|b=[A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Errore sollevato quando la configurazione della flotta non è valida.
+ * `errors` contiene tutti i problemi trovati, ognuno con il percorso del campo coinvolto.
+ */
+class FleetConfigError extends Error {
+    constructor(file, errors) {
+        super(`Configurazione della flotta non valida (${file}):\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "FleetConfigError";
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Verifica il magazzino utensili di una macchina (pockets, tools, activePocket).
+ */
+const validateToolMagazine = (machine, where, errors) => {
+    const pockets = machine.pockets === undefined ? DEFAULT_POCKETS : machine.pockets;
+    if (!Number.isInteger(pockets) || pockets < 1 || pockets > MAX_POCKETS) {
+        errors.push(`${where}.pockets: deve essere un intero tra 1 e ${MAX_POCKETS}`);
+        return;
+    }
+    const tools = machine.tools === undefined ? DEFAULT_TOOLS : machine.tools;
+    if (!Array.isArray(tools)) {
+        errors.push(`${where}.tools: deve essere un array`);
+        return;
+    }
+
+    const usedPockets = new Map();
+    const toolIds = new Map();
+    tools.forEach((tool, index) => {
+        const toolWhere = `${where}.tools[${index}]`;
+        if (tool === null || typeof tool !== "object" || Array.isArray(tool)) {
+            errors.push(`${toolWhere}: deve essere un oggetto`);
+            return;
+        }
+        for (const key of Object.keys(tool)) {
+            if (!TOOL_KEYS.includes(key)) {
+                errors.push(`${toolWhere}: proprietà sconosciuta '${key}' (ammesse: ${TOOL_KEYS.join(", ")})`);
+            }
+        }
+        if (!Number.isInteger(tool.pocket) || tool.pocket < 1 || tool.pocket > pockets) {
+            errors.push(`${toolWhere}.pocket: deve essere un intero tra 1 e ${pockets}`);
+        } else if (usedPockets.has(tool.pocket)) {
+            errors.push(`${toolWhere}.pocket: tasca ${tool.pocket} già occupata da tools[${usedPockets.get(tool.pocket)}]`);
+        } else {
+            usedPockets.set(tool.pocket, index);
+        }
+        if (!isNonEmptyString(tool.id)) {
+            errors.push(`${toolWhere}.id: obbligatorio, stringa non vuota`);
+        } else if (toolIds.has(tool.id)) {
+            errors.push(`${toolWhere}.id: '${tool.id}' già usato da tools[${toolIds.get(tool.id)}]`);
+        } else {
+            toolIds.set(tool.id, index);
+        }
+        if (!isNonEmptyString(tool.type)) {
+            errors.push(`${toolWhere}.type: obbligatorio, stringa non vuota`);
+        }
+        if (typeof tool.diameter !== "number" || !(tool.diameter > 0)) {
+            errors.push(`${toolWhere}.diameter: deve essere un numero maggiore di 0 (mm)`);
+        }
+        if (tool.remainingLife !== undefined &&
+            (typeof tool.remainingLife !== "number" || !(tool.remainingLife >= 0 && tool.remainingLife <= 100))) {
+            errors.push(`${toolWhere}.remainingLife: deve essere un numero tra 0 e 100 (%)`);
+        }
+    });
+
+    if (machine.activePocket !== undefined && machine.activePocket !== 0 && !usedPockets.has(machine.activePocket)) {
+        errors.push(`${where}.activePocket: deve essere 0 (nessun utensile) o una tasca occupata da un utensile`);
+    }
+};
+
+/**
+ * Verifica la struttura della configurazione.
+ * @returns {string[]} elenco degli errori (vuoto se la configurazione è valida)
+ */
+const validateFleetConfig = (config) => {
+    const errors = [];
+
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+        return ["la radice deve essere un oggetto con la proprietà 'machines'"];
+    }
+    for (const key of Object.keys(config)) {
+        if (key !== "machines") errors.push(`proprietà sconosciuta '${key}'`);
+    }
+    if (!Array.isArray(config.machines)) {
+        errors.push("'machines' deve essere un array");
+        return errors;
+    }
+    if (config.machines.length === 0) {
+        errors.push("'machines' non contiene nessuna macchina");
+    }
+
+    const names = new Map();
+    const nodeIds = new Map();
+
+    config.machines.forEach((machine, index) => {
+        const where = `machines[${index}]`;
+        if (machine === null || typeof machine !== "object" || Array.isArray(machine)) {
+            errors.push(`${where}: deve essere un oggetto`);
+            return;
+        }
+
+        for (const key of Object.keys(machine)) {
+            if (!MACHINE_KEYS.includes(key) && key !== "tool") {
+                errors.push(`${where}: proprietà sconosciuta '${key}' (ammesse: ${MACHINE_KEYS.join(", ")})`);
+            }
+        }
+
+        if (!isNonEmptyString(machine.name)) {
+            errors.push(`${where}.name: obbligatorio, stringa non vuota`);
+        } else if (names.has(machine.name)) {
+            errors.push(`${where}.name: '${machine.name}' già usato da machines[${names.get(machine.name)}]`);
+        } else {
+            names.set(machine.name, index);
+        }
+
+        if (!(machine.type in MACHINE_TYPES)) {
+            errors.push(`${where}.type: valore ${JSON.stringify(machine.type)} non valido (ammessi: ${Object.keys(MACHINE_TYPES).join(", ")})`);
+        }
+
+        if (typeof machine.nodeId !== "string" || !NODE_ID_PATTERN.test(machine.nodeId)) {
+            errors.push(`${where}.nodeId: valore ${JSON.stringify(machine.nodeId)} non valido (atteso ad es. "s=CNC1" o "i=1001", senza "ns=")`);
+        } else if (nodeIds.has(machine.nodeId)) {
+            errors.push(`${where}.nodeId: '${machine.nodeId}' già usato da machines[${nodeIds.get(machine.nodeId)}]`);
+        } else {
+            nodeIds.set(machine.nodeId, index);
+        }
+
+        if (machine.tool !== undefined) {
+            errors.push(`${where}.tool: sostituito dal magazzino utensili, usare 'tools' e 'activePocket'`);
+        }
+        validateToolMagazine(machine, where, errors);
+
+        if (machine.energyThreshold !== undefined &&
+            (typeof machine.energyThreshold !== "number" || !Number.isFinite(machine.energyThreshold) || machine.energyThreshold <= 0)) {
+            errors.push(`${where}.energyThreshold: deve essere un numero maggiore di 0 (kW)`);
+        }
+
+        for (const level of ["plant", "line", "cell"]) {
+            if (!isNonEmptyString(machine[level])) {
+                errors.push(`${where}.${level}: obbligatorio, stringa non vuota`);
+            } else if (machine[level].includes("/")) {
+                errors.push(`${where}.${level}: il carattere '/' non è ammesso`);
+            }
+        }
+
+        if (machine.tags !== undefined) {
+            if (!Array.isArray(machine.tags)) {
+                errors.push(`${where}.tags: deve essere un array di stringhe`);
+            } else {
+                machine.tags.forEach((tag, tagIndex) => {
+                    if (!isNonEmptyString(tag)) {
+                        errors.push(`${where}.tags[${tagIndex}]: deve essere una stringa non vuota`);
+                    } else if (tag.includes("/")) {
+                        errors.push(`${where}.tags[${tagIndex}]: il carattere '/' non è ammesso`);
+                    } else if (machine.tags.indexOf(tag) !== tagIndex) {
+                        errors.push(`${where}.tags[${tagIndex}]: '${tag}' ripetuto`);
+                    }
+                });
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Legge e valida il file di configurazione della flotta.
+ * @param {string} file - percorso del file JSON
+ * @returns {{ machines: Array<{ name: string, type: string, nodeId: string, pockets: number, tools: Array, activePocket: number, energyThreshold: number, plant: string, line: string, cell: string, tags: string[] }> }}
+ * @throws {FleetConfigError} se il file non è leggibile o non è valido
+ */
+const loadFleetConfig = (file = DEFAULT_FLEET_CONFIG_FILE) => {
+    let text;
+    try {
+        text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new FleetConfigError(file, [`impossibile leggere il file: ${error.message}`]);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new FleetConfigError(file, [`JSON non valido: ${error.message}`]);
+    }
+
+    const errors = validateFleetConfig(config);
+    if (errors.length > 0) {
+        throw new FleetConfigError(file, errors);
+    }
+
+    return {
+        machines: config.machines.map(machine => {
+            const tools = (machine.tools === undefined ? DEFAULT_TOOLS : machine.tools)
+                .map(tool => ({ ...tool, remainingLife: tool.remainingLife === undefined ? 100 : tool.remainingLife }));
+            return {
+                ...machine,
+                pockets: machine.pockets === undefined ? DEFAULT_POCKETS : machine.pockets,
+                tools,
+                // Senza activePocket viene montato il primo utensile della lista
+                activePocket: machine.activePocket === undefined ? (tools.length > 0 ? tools[0].pocket : 0) : machine.activePocket,
+                energyThreshold: machine.energyThreshold === undefined ? DEFAULT_ENERGY_THRESHOLD : machine.energyThreshold,
+                tags: machine.tags === undefined ? [] : machine.tags
+            };
+        })
+    };
+};
+
+/**
+ * Crea l'albero di cartelle Plant/Line/Cell sotto Objects e istanzia le macchine della flotta.
+ * Le cartelle sono istanze di MachineGroupType, quindi offrono anche i metodi di gruppo (StartAll, StopAll, ...).
+ *
+ * @param {AddressSpace} addressSpace
+ * @param {{ CNCType: UAObjectType, CNCProType: UAObjectType, toolPocketType: UAObjectType, machineGroupType: UAObjectType }} model - tipi restituiti da loadCNCModel
+ * @param {{ machines: Array }} fleetConfig - configurazione restituita da loadFleetConfig
+ * @returns {Array<{ config: Object, instance: UAObject, folderPath: string, folders: UAObject[] }>} le istanze create,
+ *   nell'ordine della configurazione, con le cartelle Plant, Line e Cell che le contengono
+ */
+const buildFleet = (addressSpace, model, fleetConfig) => {
+    const objectTypes = {
+        base: model.CNCType,
+        pro: model.CNCProType
+    };
+
+    // Le cartelle vengono create una sola volta e riutilizzate per percorso "Plant/Line/Cell".
+    // Ogni cartella è anche un event notifier: la gerarchia Server -> Plant -> Line -> Cell -> CNC
+    // (HasNotifier/HasEventSource) porta gli eventi delle macchine fino all'oggetto Server.
+    const folders = new Map();
+    const getFolder = (parent, notifierParent, parentPath, name) => {
+        const folderPath = parentPath ? `${parentPath}/${name}` : name;
+        if (!folders.has(folderPath)) {
+            const folder = model.machineGroupType.instantiate({
+                browseName: name,
+                organizedBy: parent,
+                notifierOf: notifierParent
+            });
+            folder.setEventNotifier(EventNotifierFlags.SubscribeToEvents);
+            folders.set(folderPath, folder);
+        }
+        return { folder: folders.get(folderPath), folderPath };
+    };
+
+    const serverObject = addressSpace.rootFolder.objects.server;
+
+    return fleetConfig.machines.map(machine => {
+        const plant = getFolder(addressSpace.rootFolder.objects, serverObject, "", machine.plant);
+        const line = getFolder(plant.folder, plant.folder, plant.folderPath, machine.line);
+        const cell = getFolder(line.folder, line.folder, line.folderPath, machine.cell);
+
+        const instance = objectTypes[machine.type].instantiate({
+            browseName: machine.name,
+            nodeId: machine.nodeId,
+            organizedBy: cell.folder,
+            eventSourceOf: cell.folder
+        });
+        instance.setEventNotifier(EventNotifierFlags.SubscribeToEvents);
+
+        // Tasche del magazzino e utensili iniziali; Utensile riflette l'utensile montato
+        installToolMagazine(instance, model.toolPocketType, machine);
+
+        return { config: machine, instance, folderPath: cell.folderPath, folders: [plant.folder, line.folder, cell.folder] };
+    });
+};
+
+module.exports = {
+    DEFAULT_FLEET_CONFIG_FILE,
+    DEFAULT_ENERGY_THRESHOLD,
+    MACHINE_TYPES,
+    FleetConfigError,
+    validateFleetConfig,
+    loadFleetConfig,
+    buildFleet
+};
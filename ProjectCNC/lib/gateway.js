@@ -0,0 +1,412 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { WebSocketServer } = require("ws");
+const { StatusCodes, UserTokenType } = require("node-opcua");
+const { CncClientError, CncMethodError } = require("./cncClient");
+
+const OPENAPI_FILE = path.join(__dirname, "../openapi.json");
+const PUBLIC_DIR = path.join(__dirname, "../public");
+
+// File della dashboard serviti dal gateway: percorso HTTP -> file in public/ e Content-Type
+const STATIC_FILES = {
+    "/": { file: "index.html", contentType: "text/html; charset=utf-8" },
+    "/dashboard.js": { file: "dashboard.js", contentType: "text/javascript; charset=utf-8" },
+    "/dashboard.css": { file: "dashboard.css", contentType: "text/css; charset=utf-8" }
+};
+
+const DEFAULT_GATEWAY_CONFIG = {
+    // Solo l'interfaccia locale: per esporre il gateway in rete va indicato CNC_GATEWAY_HOST
+    host: "127.0.0.1",
+    port: 8080
+};
+
+// Dimensione massima del corpo JSON di una richiesta
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Richiesta di autenticazione HTTP Basic delle risposte 401
+const AUTHENTICATE_HEADERS = { "WWW-Authenticate": 'Basic realm="CNC gateway", charset="UTF-8"' };
+
+// StatusCode OPC UA -> stato HTTP; gli altri StatusCode non Good diventano 502 (errore del server OPC UA)
+const HTTP_STATUS_BY_STATUS_CODE = {
+    BadInvalidArgument: 400,
+    BadOutOfRange: 400,
+    BadIdentityTokenInvalid: 401,
+    BadIdentityTokenRejected: 401,
+    BadUserAccessDenied: 403,
+    BadNotFound: 404,
+    BadMethodInvalid: 404,
+    BadNodeIdUnknown: 404,
+    BadInvalidState: 409,
+    BadNotConnected: 503,
+    BadServerNotConnected: 503,
+    BadConnectionClosed: 503,
+    BadSessionIdInvalid: 503,
+    BadSessionClosed: 503,
+    BadSecureChannelClosed: 503,
+    BadTimeout: 504,
+    BadRequestTimeout: 504
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente del gateway non sono valide.
+ */
+class GatewayConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione del gateway non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "GatewayConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Errore di una richiesta HTTP (percorso, metodo o corpo non validi), restituito al client con `status`.
+ */
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Legge la configurazione del gateway dalle variabili d'ambiente CNC_GATEWAY_HOST e CNC_GATEWAY_PORT.
+ * La connessione al server OPC UA usa le stesse variabili di client.js (CNC_ENDPOINT, CNC_SECURITY_MODE,
+ * CNC_USER, CNC_PASSWORD): con quell'utente il gateway legge le macchine e ne inoltra le variazioni,
+ * mentre i metodi vengono chiamati con l'utente di ogni richiesta.
+ *
+ * @returns {{ host: string, port: number }}
+ * @throws {GatewayConfigError} se un valore non è valido
+ */
+const loadGatewayConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_GATEWAY_CONFIG };
+
+    if (env.CNC_GATEWAY_HOST !== undefined) {
+        if (!env.CNC_GATEWAY_HOST.trim()) {
+            errors.push("CNC_GATEWAY_HOST: valore vuoto");
+        }
+        config.host = env.CNC_GATEWAY_HOST;
+    }
+    if (env.CNC_GATEWAY_PORT !== undefined) {
+        const port = Number(env.CNC_GATEWAY_PORT);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            errors.push(`CNC_GATEWAY_PORT: valore ${JSON.stringify(env.CNC_GATEWAY_PORT)} non valido (attesa una porta TCP da 0 a 65535)`);
+        }
+        config.port = port;
+    }
+
+    if (errors.length > 0) {
+        throw new GatewayConfigError(errors);
+    }
+    return config;
+};
+
+/**
+ * Stato HTTP e corpo JSON della risposta di errore per un errore del gateway o del client OPC UA.
+ */
+const errorResponse = (error) => {
+    if (error instanceof HttpError) {
+        return { status: error.status, body: { error: error.message }, headers: error.headers };
+    }
+    if (error instanceof CncClientError) {
+        const body = { error: error.message, statusCode: error.statusCode.name };
+        if (error instanceof CncMethodError && error.diagnostics.length) {
+            body.diagnostics = error.diagnostics;
+        }
+        const status = HTTP_STATUS_BY_STATUS_CODE[error.statusCode.name] || 502;
+        return { status, body, headers: status === 401 ? AUTHENTICATE_HEADERS : {} };
+    }
+    return { status: 500, body: { error: "Internal gateway error" }, headers: {} };
+};
+
+const sendJson = (response, status, body, headers = {}) => {
+    const payload = JSON.stringify(body);
+    response.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(payload),
+        ...headers
+    });
+    response.end(payload);
+};
+
+// Solo corpi application/json: un form o una fetch "semplice" di un'altra pagina web (text/plain)
+// non può così chiamare i metodi delle macchine
+const readJsonBody = (request) => new Promise((resolve, reject) => {
+    const contentType = (request.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (contentType !== "application/json") {
+        reject(new HttpError(415, "Content-Type must be application/json"));
+        return;
+    }
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new HttpError(413, `Request body larger than ${MAX_BODY_BYTES} bytes`));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        if (!text.trim()) return resolve({});
+        try {
+            const body = JSON.parse(text);
+            if (body === null || typeof body !== "object" || Array.isArray(body)) {
+                return reject(new HttpError(400, "Request body must be a JSON object"));
+            }
+            resolve(body);
+        } catch (error) {
+            reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+        }
+    });
+    request.on("error", reject);
+});
+
+/**
+ * Utente e password OPC UA del chiamante, dall'intestazione Authorization (HTTP Basic).
+ *
+ * @throws {HttpError} 401 se le credenziali mancano o non sono nel formato Basic
+ */
+const readCredentials = (request) => {
+    const match = /^Basic\s+(\S+)$/i.exec(request.headers.authorization || "");
+    const decoded = match ? Buffer.from(match[1], "base64").toString("utf8") : "";
+    const separator = decoded.indexOf(":");
+    if (separator <= 0) {
+        throw new HttpError(401, "Credentials required: HTTP Basic authentication with a user of the CNC server", AUTHENTICATE_HEADERS);
+    }
+    return { userName: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+};
+
+// StatusCode di una chiamata fallita perché la sessione dell'utente è chiusa, scaduta o senza connessione
+const SESSION_LOST_STATUS_CODES = ["BadSessionClosed", "BadSessionIdInvalid", "BadNotConnected"];
+
+const isSessionLost = (error) => SESSION_LOST_STATUS_CODES.some(name =>
+    (error.statusCode && error.statusCode.name === name) || String(error.message).includes(name));
+
+/**
+ * Sessioni OPC UA degli utenti che chiamano i metodi, una per utente e password: aperta alla prima
+ * richiesta e riusata dalle successive, così il server OPC UA applica a ogni chiamata i ruoli del chiamante.
+ * Una sessione che non si apre (es. password errata) non viene conservata; una sessione che perde la connessione,
+ * la chiude o viene chiusa dal server viene scartata e riaperta alla richiesta successiva.
+ */
+class UserSessions {
+    constructor(connectAs) {
+        this.connectAs = connectAs;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Chiama `use` con il client della sessione dell'utente; se la chiamata fallisce per la sessione persa
+     * (SESSION_LOST_STATUS_CODES) la sessione viene riaperta e la chiamata ripetuta una volta.
+     */
+    async call(credentials, use) {
+        const session = this.get(credentials);
+        try {
+            return await use(await session);
+        } catch (error) {
+            if (!isSessionLost(error)) throw error;
+            console.warn(`Sessione OPC UA di ${credentials.userName} persa (${error.message}): riapertura.`);
+            this._evict(this._key(credentials), session);
+            return use(await this.get(credentials));
+        }
+    }
+
+    get(credentials) {
+        const key = this._key(credentials);
+        if (!this.sessions.has(key)) {
+            const { userName, password } = credentials;
+            const session = this.connectAs({ type: UserTokenType.UserName, userName, password }).catch((error) => {
+                this.sessions.delete(key);
+                const message = String(error.message);
+                const rejected = ["BadIdentityTokenRejected", "BadIdentityTokenInvalid", "BadUserAccessDenied"].find(name => message.includes(name));
+                if (rejected) {
+                    throw new CncClientError(`Invalid credentials for user ${userName}`, { statusCode: StatusCodes.BadIdentityTokenRejected });
+                }
+                throw error instanceof CncClientError ? error :
+                    new CncClientError(`Session for user ${userName} not opened: ${message}`, { statusCode: StatusCodes.BadNotConnected });
+            });
+            session.then((cnc) => {
+                // Durante la riconnessione le chiamate resterebbero in attesa: la prossima richiesta apre una nuova sessione
+                cnc.once("connectionLost", () => this._evict(key, session));
+                cnc.once("close", () => this._evict(key, session));
+            }, () => {});
+            this.sessions.set(key, session);
+        }
+        return this.sessions.get(key);
+    }
+
+    _key({ userName, password }) {
+        return JSON.stringify([userName, crypto.createHash("sha256").update(password).digest("hex")]);
+    }
+
+    // Scarta la sessione, se è ancora quella dell'utente, e chiude il suo client
+    _evict(key, session) {
+        if (this.sessions.get(key) !== session) return;
+        this.sessions.delete(key);
+        session.then(cnc => cnc.disconnect()).catch(() => {});
+    }
+
+    async close() {
+        const sessions = await Promise.allSettled(this.sessions.values());
+        this.sessions.clear();
+        await Promise.allSettled(sessions.filter(s => s.status === "fulfilled").map(s => s.value.disconnect()));
+    }
+}
+
+const requireField = (body, name, check, expected) => {
+    if (!(name in body) || !check(body[name])) {
+        throw new HttpError(400, `Field "${name}" is required: ${expected}`);
+    }
+    return body[name];
+};
+
+/**
+ * Percorsi REST: metodo HTTP, espressione del percorso e gestore che riceve il client OPC UA,
+ * i parametri del percorso e il corpo della richiesta.
+ * I GET usano la sessione del gateway; i POST chiamano metodi OPC UA con la sessione del chiamante.
+ */
+const ROUTES = [
+    {
+        method: "GET",
+        pattern: /^\/machines$/,
+        handler: async (cnc) => (await cnc.listMachines()).map(machine => ({ ...machine, nodeId: machine.nodeId.toString() }))
+    },
+    {
+        method: "GET",
+        pattern: /^\/machines\/([^/]+)$/,
+        handler: async (cnc, [name]) => cnc.getSnapshot(name)
+    },
+    {
+        method: "POST",
+        pattern: /^\/machines\/([^/]+)\/status$/,
+        handler: async (cnc, [name], body) =>
+            cnc.setStatus(name, requireField(body, "status", v => typeof v === "string", 'one of "Off", "On", "Alarm"'))
+    },
+    {
+        method: "POST",
+        pattern: /^\/machines\/([^/]+)\/spindle\/speed$/,
+        handler: async (cnc, [name], body) =>
+            cnc.setSpindleSpeed(name, requireField(body, "speed", Number.isInteger, "an integer from 1 to 5"))
+    },
+    {
+        method: "POST",
+        pattern: /^\/machines\/([^/]+)\/maintenance$/,
+        handler: async (cnc, [name]) => cnc.runPredictiveMaintenance(name)
+    }
+];
+
+/**
+ * Gateway HTTP/WebSocket davanti allo spazio degli indirizzi CNC.
+ *
+ * REST: GET /machines, GET /machines/:name, POST /machines/:name/status, POST /machines/:name/spindle/speed,
+ * POST /machines/:name/maintenance (vedi openapi.json, servito su GET /openapi.json). Gli StatusCode OPC UA
+ * non Good diventano errori HTTP (HTTP_STATUS_BY_STATUS_CODE) con il nome dello StatusCode nel corpo.
+ *
+ * WebSocket su /stream (filtrabile con ?machine=CNC1): inoltra gli eventi "change" e "alarm" del client
+ * come messaggi JSON { type: "change" | "alarm", ... }. Il gateway deve aver chiamato cnc.watch().
+ *
+ * Dashboard: GET / serve la pagina di public/, che usa le stesse API REST e lo stream WebSocket.
+ *
+ * I POST richiedono le credenziali HTTP Basic di un utente del server OPC UA (401 senza) e un corpo
+ * application/json (415 altrimenti); il metodo viene chiamato con la sessione di quell'utente.
+ *
+ * @param {CncClient} cnc - client OPC UA già connesso, usato per le letture e lo stream
+ * @param {Object} options
+ * @param {(userIdentity: Object) => Promise<CncClient>} options.connectAs - apre una sessione OPC UA con l'identità
+ *   del chiamante e restituisce il client connesso
+ * @returns {{ server: http.Server, close: () => Promise<void> }}
+ */
+const createGateway = (cnc, { connectAs }) => {
+    const userSessions = new UserSessions(connectAs);
+    const openApi = fs.readFileSync(OPENAPI_FILE, "utf8");
+
+    // Stato della connessione OPC UA per GET /health (la sessione resta aperta durante la riconnessione)
+    let connected = true;
+    cnc.on("connectionLost", () => { connected = false; });
+    cnc.on("connectionReestablished", () => { connected = true; });
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, "http://gateway");
+        try {
+            if (url.pathname === "/openapi.json" && request.method === "GET") {
+                response.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+                return response.end(openApi);
+            }
+            if (url.pathname in STATIC_FILES && request.method === "GET") {
+                const { file, contentType } = STATIC_FILES[url.pathname];
+                response.writeHead(200, { "Content-Type": contentType });
+                return fs.createReadStream(path.join(PUBLIC_DIR, file)).pipe(response);
+            }
+            if (url.pathname === "/health" && request.method === "GET") {
+                return sendJson(response, connected ? 200 : 503, { opcua: connected ? "connected" : "disconnected" });
+            }
+
+            const matches = ROUTES.filter(route => route.pattern.test(url.pathname));
+            if (matches.length === 0) throw new HttpError(404, `No route for ${url.pathname}`);
+            const route = matches.find(r => r.method === request.method);
+            if (!route) {
+                throw new HttpError(405, `Method ${request.method} not allowed on ${url.pathname}`, { Allow: matches.map(r => r.method).join(", ") });
+            }
+
+            // Durante la riconnessione le richieste OPC UA resterebbero in attesa: si risponde subito 503
+            if (!connected) {
+                throw new CncClientError("Not connected to the OPC UA server, reconnecting", { statusCode: StatusCodes.BadNotConnected });
+            }
+
+            const params = route.pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+            if (request.method !== "POST") {
+                return sendJson(response, 200, await route.handler(cnc, params, {}));
+            }
+            const credentials = readCredentials(request);
+            const body = await readJsonBody(request);
+            sendJson(response, 200, await userSessions.call(credentials, cnc => route.handler(cnc, params, body)));
+        } catch (error) {
+            const { status, body, headers } = errorResponse(error);
+            if (status >= 500) {
+                console.error(`Errore del gateway su ${request.method} ${url.pathname}:`, error.message);
+            }
+            sendJson(response, status, body, headers);
+        }
+    });
+
+    const webSockets = new WebSocketServer({ server, path: "/stream" });
+    webSockets.on("connection", (socket, request) => {
+        socket.machine = new URL(request.url, "http://gateway").searchParams.get("machine");
+    });
+    const broadcast = (type) => (event) => {
+        const message = JSON.stringify({ type, ...event });
+        for (const socket of webSockets.clients) {
+            if (socket.readyState === socket.OPEN && (!socket.machine || socket.machine === event.machine)) {
+                socket.send(message);
+            }
+        }
+    };
+    cnc.on("change", broadcast("change"));
+    cnc.on("alarm", broadcast("alarm"));
+
+    return {
+        server,
+        close: async () => {
+            for (const socket of webSockets.clients) socket.terminate();
+            await new Promise(resolve => webSockets.close(resolve));
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await userSessions.close();
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_GATEWAY_CONFIG,
+    HTTP_STATUS_BY_STATUS_CODE,
+    GatewayConfigError,
+    HttpError,
+    loadGatewayConfig,
+    createGateway
+};
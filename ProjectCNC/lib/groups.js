@@ -0,0 +1,134 @@
+const { StatusCodes } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { message } = require("./i18n");
+
+// Cartella sotto Objects che contiene i gruppi per tag della configurazione della flotta
+const TAG_GROUPS_FOLDER = "Groups";
+
+/**
+ * Gruppi di CNC dell'address space: le cartelle Plant/Line/Cell create da buildFleet (con tutte le macchine
+ * contenute, anche nelle sottocartelle) e un gruppo Groups/<tag> per ogni tag della configurazione.
+ * I gruppi per tag sono istanze di MachineGroupType che organizzano (Organizes) le proprie macchine.
+ *
+ * @param {AddressSpace} addressSpace
+ * @param {{ machineGroupType: UAObjectType }} model - tipi restituiti da loadCNCModel
+ * @param {Array<{ config: Object, instance: UAObject, folderPath: string, folders: UAObject[] }>} fleet - istanze restituite da buildFleet
+ * @returns {Map<UAObject, { path: string, machines: UAObject[] }>} gruppo -> percorso da Objects e macchine,
+ *   nell'ordine della configurazione della flotta
+ */
+const buildMachineGroups = (addressSpace, model, fleet) => {
+    const groups = new Map();
+    const addMachine = (group, path, instance) => {
+        if (!groups.has(group)) groups.set(group, { path, machines: [] });
+        groups.get(group).machines.push(instance);
+    };
+
+    for (const { instance, folderPath, folders } of fleet) {
+        const levels = folderPath.split("/");
+        folders.forEach((folder, index) => addMachine(folder, levels.slice(0, index + 1).join("/"), instance));
+    }
+
+    const tags = [...new Set(fleet.flatMap(({ config }) => config.tags))];
+    if (tags.length === 0) return groups;
+
+    const tagsFolder = addressSpace.getOwnNamespace().addFolder(addressSpace.rootFolder.objects, {
+        browseName: TAG_GROUPS_FOLDER,
+        description: "Gruppi di CNC per tag (proprietà tags della configurazione della flotta)"
+    });
+    for (const tag of tags) {
+        const group = model.machineGroupType.instantiate({ browseName: tag, organizedBy: tagsFolder });
+        for (const { config, instance } of fleet) {
+            if (!config.tags.includes(tag)) continue;
+            group.addReference({ referenceType: "Organizes", nodeId: instance.nodeId });
+            addMachine(group, `${TAG_GROUPS_FOLDER}/${tag}`, instance);
+        }
+    }
+    return groups;
+};
+
+/**
+ * Operazioni sulle CNC di un gruppo (StartAll, StopAll, SetSpindleSpeedAll).
+ *
+ * Ogni operazione viene tentata su tutte le macchine del gruppo: il rifiuto di una macchina (es. in Alarm
+ * non riconosciuto) non ferma le altre. In prova (`dryRun`) le macchine vengono solo verificate e il risultato
+ * riporta cosa cambierebbe. Ogni operazione restituisce un risultato per macchina:
+ * { machine, statusCode, message, changed }.
+ */
+class MachineGroupOperations {
+    /**
+     * @param {MachineStateMachine} stateMachine
+     */
+    constructor(stateMachine) {
+        this.stateMachine = stateMachine;
+        this.groups = new Map();
+    }
+
+    /**
+     * Crea i gruppi per tag e registra tutti i gruppi della flotta (vedi buildMachineGroups).
+     * @returns {Map<UAObject, { path: string, machines: UAObject[] }>}
+     */
+    install(addressSpace, model, fleet) {
+        this.groups = buildMachineGroups(addressSpace, model, fleet);
+        return this.groups;
+    }
+
+    /**
+     * Percorso del gruppo da Objects, es. "Stabilimento/Linea1" o "Groups/Fresatrici".
+     */
+    groupPath(groupNode) {
+        return this._group(groupNode).path;
+    }
+
+    startAll(groupNode, { dryRun = false } = {}) {
+        return this._forEachMachine(groupNode, (CNCInstance) => dryRun
+            ? this.stateMachine.check(CNCInstance, CNCStatusEnumValues.On)
+            : this.stateMachine.transition(CNCInstance, CNCStatusEnumValues.On));
+    }
+
+    stopAll(groupNode, { dryRun = false } = {}) {
+        return this._forEachMachine(groupNode, (CNCInstance) => dryRun
+            ? this.stateMachine.check(CNCInstance, CNCStatusEnumValues.Off)
+            : this.stateMachine.transition(CNCInstance, CNCStatusEnumValues.Off));
+    }
+
+    setSpindleSpeedAll(groupNode, newSpeed, { dryRun = false } = {}) {
+        return this._forEachMachine(groupNode, (CNCInstance) => dryRun
+            ? this.stateMachine.checkSpindleSpeed(CNCInstance, newSpeed)
+            : this.stateMachine.setSpindleSpeed(CNCInstance, newSpeed));
+    }
+
+    _group(groupNode) {
+        const group = this.groups.get(groupNode);
+        if (!group) throw new Error(`${groupNode.browseName.toString()} non è un gruppo di CNC della flotta`);
+        return group;
+    }
+
+    _forEachMachine(groupNode, operation) {
+        return this._group(groupNode).machines.map(CNCInstance => {
+            const { statusCode, message, changed } = operation(CNCInstance);
+            return { machine: CNCInstance.browseName.name, statusCode, message, changed };
+        });
+    }
+}
+
+/**
+ * Esito complessivo di un'operazione di gruppo (Result dei metodi di gruppo): Good se nessuna macchina
+ * ha rifiutato, altrimenti UncertainSubNormal; il messaggio riassume i risultati, es. "2 of 4 machines changed, 1 refused".
+ *
+ * @returns {{ statusCode: StatusCode, message: LocalizedMessage }}
+ */
+const summarizeGroupResults = (results, { dryRun = false } = {}) => {
+    const changed = results.filter(result => result.changed).length;
+    const refused = results.filter(result => !result.statusCode.isGood()).length;
+    return {
+        statusCode: refused > 0 ? StatusCodes.UncertainSubNormal : StatusCodes.Good,
+        message: message(dryRun ? "groupDryRunSummary" : "groupSummary", { changed, total: results.length, refused })
+    };
+};
+
+module.exports = {
+    TAG_GROUPS_FOLDER,
+    buildMachineGroups,
+    MachineGroupOperations,
+    summarizeGroupResults
+};
@@ -0,0 +1,341 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    AggregateFunction,
+    DataType,
+    DataValue,
+    Variant,
+    addAggregateSupport,
+    coerceStatusCode,
+    isMinDate
+} = require("node-opcua");
+
+// Variabili storicizzate su ogni CNC (percorso relativo all'istanza)
+const HISTORIZED_VARIABLES = ["Status", "ConsumoEnergetico", "PezziProdotti", "Mandrino/Velocita"];
+
+// Aggregati disponibili per HistoryRead processed (ReadProcessedDetails)
+const HISTORY_AGGREGATES = [
+    AggregateFunction.Average,
+    AggregateFunction.Minimum,
+    AggregateFunction.Maximum,
+    AggregateFunction.Count
+];
+
+const DEFAULT_HISTORY_CONFIG = {
+    storage: "memory",
+    file: path.join(__dirname, "../data/history.jsonl"),
+    maxValues: 10000 // valori tenuti in memoria per ogni variabile
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente dello storico non sono valide.
+ */
+class HistoryConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione dello storico non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "HistoryConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Buffer circolare di capacità fissa: oltre `capacity` valori ogni nuovo valore sovrascrive il più vecchio,
+ * senza spostare gli altri. L'array cresce fino alla capacità solo quando serve.
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.values = [];
+        this.start = 0; // posizione del valore più vecchio
+    }
+
+    get length() {
+        return this.values.length;
+    }
+
+    push(value) {
+        if (this.values.length < this.capacity) {
+            this.values.push(value);
+        } else {
+            this.values[this.start] = value;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Valori dal più vecchio al più recente
+    *[Symbol.iterator]() {
+        for (let index = 0; index < this.values.length; index++) {
+            yield this.values[(this.start + index) % this.values.length];
+        }
+    }
+
+    // Valori dal più recente al più vecchio
+    *reversed() {
+        for (let index = this.values.length - 1; index >= 0; index--) {
+            yield this.values[(this.start + index) % this.values.length];
+        }
+    }
+}
+
+/**
+ * Storage in memoria: per ogni variabile un buffer circolare degli ultimi `maxValues` valori,
+ * nell'ordine in cui sono stati aggiunti (quello dei sourceTimestamp). I dati vanno persi al riavvio del server.
+ */
+class MemoryHistoryStorage {
+    constructor({ maxValues }) {
+        this.maxValues = maxValues;
+        this.timelines = new Map();
+    }
+
+    /**
+     * Aggiunge un valore allo storico della variabile `key`.
+     */
+    append(key, dataValue) {
+        if (!this.timelines.has(key)) {
+            this.timelines.set(key, new RingBuffer(this.maxValues));
+        }
+        this.timelines.get(key).push(dataValue);
+    }
+
+    // Valori conservati in tutto lo storage
+    get size() {
+        let size = 0;
+        for (const timeline of this.timelines.values()) {
+            size += timeline.length;
+        }
+        return size;
+    }
+
+    /**
+     * Valori della variabile `key` compresi tra startTime ed endTime (estremi inclusi;
+     * una data nulla o minima indica un intervallo aperto).
+     *
+     * @param {number} maxNumber - numero massimo di valori (0 = tutti)
+     * @param {boolean} isReversed - se true i valori sono restituiti dal più recente
+     * @returns {DataValue[]}
+     */
+    read(key, startTime, endTime, maxNumber, isReversed) {
+        const isOpen = (date) => !date || isMinDate(date);
+        const inRange = (dataValue) => {
+            const time = dataValue.sourceTimestamp ? dataValue.sourceTimestamp.getTime() : 0;
+            return (isOpen(startTime) || time >= startTime.getTime()) && (isOpen(endTime) || time <= endTime.getTime());
+        };
+
+        const timeline = this.timelines.get(key) || new RingBuffer(0);
+        const ordered = isReversed ? timeline.reversed() : timeline;
+        const result = [];
+        for (const dataValue of ordered) {
+            if (!inRange(dataValue)) continue;
+            result.push(dataValue);
+            if (maxNumber && result.length === maxNumber) break;
+        }
+        return result;
+    }
+
+    close() {
+    }
+}
+
+const encodeRecord = (key, dataValue) => JSON.stringify({
+    node: key,
+    dataType: DataType[dataValue.value.dataType],
+    value: dataValue.value.value,
+    statusCode: dataValue.statusCode.value,
+    sourceTimestamp: dataValue.sourceTimestamp,
+    serverTimestamp: dataValue.serverTimestamp
+}) + "\n";
+
+/**
+ * Storage su file append-only (JSON lines): ogni valore viene aggiunto in fondo al file
+ * e all'avvio il file viene riletto, così lo storico sopravvive ai riavvii del server.
+ * Le letture usano il buffer in memoria (ultimi `maxValues` valori per variabile).
+ *
+ * Quando le righe del file arrivano al doppio dei valori in memoria, il file viene riscritto con i soli
+ * valori in memoria (al più `maxValues` per variabile): la riscrittura avviene su un file temporaneo
+ * che poi sostituisce quello corrente, così un arresto a metà lascia intatto lo storico precedente.
+ */
+class FileHistoryStorage extends MemoryHistoryStorage {
+    constructor({ file, maxValues }) {
+        super({ maxValues });
+        this.file = file;
+        this.lines = 0; // righe nel file
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Le righe non valide vengono tolte subito, prima di aggiungere altre righe dopo di loro
+        if (this._load()) {
+            this.compact();
+        } else {
+            this._compactIfNeeded();
+        }
+    }
+
+    append(key, dataValue) {
+        super.append(key, dataValue);
+        fs.appendFileSync(this.file, encodeRecord(key, dataValue));
+        this.lines++;
+        this._compactIfNeeded();
+    }
+
+    /**
+     * Riscrive il file con i soli valori in memoria.
+     */
+    compact() {
+        const records = [];
+        for (const [key, timeline] of this.timelines) {
+            for (const dataValue of timeline) {
+                records.push(encodeRecord(key, dataValue));
+            }
+        }
+        const temporaryFile = `${this.file}.tmp`;
+        const fd = fs.openSync(temporaryFile, "w");
+        try {
+            fs.writeSync(fd, records.join(""));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(temporaryFile, this.file);
+        this.lines = records.length;
+    }
+
+    _compactIfNeeded() {
+        if (this.lines > 0 && this.lines >= 2 * this.size) {
+            this.compact();
+        }
+    }
+
+    // Rilegge il file nei buffer in memoria; restituisce true se ha ignorato delle righe non valide
+    _load() {
+        if (!fs.existsSync(this.file)) return false;
+        let invalid = false;
+        const lines = fs.readFileSync(this.file, "utf8").split("\n");
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            this.lines++;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // Una riga troncata (ad es. per un arresto durante la scrittura) viene ignorata
+                console.warn(`Storico ${this.file}: riga ${index + 1} non valida ignorata (${error.message}).`);
+                invalid = true;
+                return;
+            }
+            super.append(record.node, new DataValue({
+                value: new Variant({ dataType: DataType[record.dataType], value: record.value }),
+                statusCode: coerceStatusCode(record.statusCode),
+                sourceTimestamp: record.sourceTimestamp ? new Date(record.sourceTimestamp) : null,
+                serverTimestamp: record.serverTimestamp ? new Date(record.serverTimestamp) : null
+            }));
+        });
+        return invalid;
+    }
+}
+
+/**
+ * Storage disponibili, selezionabili con CNC_HISTORY_STORAGE.
+ * Un nuovo storage deve implementare append(key, dataValue), read(key, startTime, endTime, maxNumber, isReversed) e close().
+ */
+const HISTORY_STORAGES = {
+    memory: (config) => new MemoryHistoryStorage(config),
+    file: (config) => new FileHistoryStorage(config)
+};
+
+/**
+ * Legge la configurazione dello storico dalle variabili d'ambiente:
+ * CNC_HISTORY_STORAGE (memory, file), CNC_HISTORY_FILE e CNC_HISTORY_MAX_VALUES.
+ *
+ * @returns {{ storage: string, file: string, maxValues: number }}
+ * @throws {HistoryConfigError} se un valore non è valido
+ */
+const loadHistoryConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_HISTORY_CONFIG };
+
+    if (env.CNC_HISTORY_STORAGE !== undefined) {
+        if (!(env.CNC_HISTORY_STORAGE in HISTORY_STORAGES)) {
+            errors.push(`CNC_HISTORY_STORAGE: valore ${JSON.stringify(env.CNC_HISTORY_STORAGE)} non valido (ammessi: ${Object.keys(HISTORY_STORAGES).join(", ")})`);
+        }
+        config.storage = env.CNC_HISTORY_STORAGE;
+    }
+    if (env.CNC_HISTORY_FILE !== undefined) {
+        if (!env.CNC_HISTORY_FILE.trim()) {
+            errors.push("CNC_HISTORY_FILE: percorso vuoto");
+        }
+        config.file = path.resolve(env.CNC_HISTORY_FILE);
+    }
+    if (env.CNC_HISTORY_MAX_VALUES !== undefined) {
+        const maxValues = Number(env.CNC_HISTORY_MAX_VALUES);
+        if (!Number.isInteger(maxValues) || maxValues <= 0) {
+            errors.push(`CNC_HISTORY_MAX_VALUES: valore ${JSON.stringify(env.CNC_HISTORY_MAX_VALUES)} non valido (atteso un intero maggiore di 0)`);
+        }
+        config.maxValues = maxValues;
+    }
+
+    if (errors.length > 0) {
+        throw new HistoryConfigError(errors);
+    }
+    return config;
+};
+
+const createHistoryStorage = (config) => HISTORY_STORAGES[config.storage](config);
+
+/**
+ * Historian di una variabile (interfaccia IVariableHistorian di node-opcua) che delega
+ * allo storage condiviso, usando il NodeId della variabile come chiave.
+ */
+class StorageHistorian {
+    constructor(node, storage) {
+        this.node = node;
+        this.storage = storage;
+        this.key = node.nodeId.toString();
+    }
+
+    async push(newDataValue) {
+        this.storage.append(this.key, newDataValue);
+    }
+
+    extractDataValues(historyReadRawModifiedDetails, maxNumberToExtract, isReversed, reverseDataValue, callback) {
+        const { startTime, endTime } = historyReadRawModifiedDetails;
+        let dataValues = this.storage.read(this.key, startTime, endTime, maxNumberToExtract, isReversed);
+        if (reverseDataValue) {
+            dataValues = dataValues.reverse();
+        }
+        callback(null, dataValues);
+    }
+}
+
+const resolveVariable = (instance, variablePath) =>
+    variablePath.split("/").reduce((node, name) => node && node.getChildByName(name), instance);
+
+/**
+ * Abilita HistoryRead (raw e processed con Average/Minimum/Maximum/Count)
+ * sulle variabili HISTORIZED_VARIABLES di ogni CNC della flotta.
+ *
+ * @param {AddressSpace} addressSpace
+ * @param {Array<{ instance: UAObject }>} fleet - istanze restituite da buildFleet
+ * @param {MemoryHistoryStorage} storage - storage restituito da createHistoryStorage
+ */
+const installMachineHistory = (addressSpace, fleet, storage) => {
+    addAggregateSupport(addressSpace, HISTORY_AGGREGATES);
+
+    for (const { instance } of fleet) {
+        for (const variablePath of HISTORIZED_VARIABLES) {
+            const variable = resolveVariable(instance, variablePath);
+            addressSpace.installHistoricalDataNode(variable, {
+                historian: new StorageHistorian(variable, storage)
+            });
+        }
+    }
+};
+
+module.exports = {
+    HISTORIZED_VARIABLES,
+    DEFAULT_HISTORY_CONFIG,
+    HistoryConfigError,
+    MemoryHistoryStorage,
+    FileHistoryStorage,
+    HISTORY_STORAGES,
+    loadHistoryConfig,
+    createHistoryStorage,
+    installMachineHistory
+};
@@ -0,0 +1,339 @@
+const {
+    ActivateSessionRequest,
+    Argument,
+    AttributeIds,
+    DataType,
+    DataValue,
+    EnumValueType,
+    NodeClass,
+    ReferenceDescription,
+    Variant,
+    VariantArrayType,
+    coerceInt64toInt32
+} = require("node-opcua");
+const { MODEL_TEXTS, MESSAGES } = require("./translations");
+
+// Lingue del modello e dei messaggi: la prima è quella dei testi del NodeSet e dei log
+const SUPPORTED_LOCALES = ["en", "it"];
+
+const DEFAULT_LOCALE_CONFIG = {
+    // Lingua delle sessioni che non indicano localeIds (o ne indicano solo di non supportati)
+    defaultLocale: "en"
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente della lingua non sono valide.
+ */
+class LocaleConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione della lingua non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "LocaleConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la lingua predefinita del server dalla variabile d'ambiente CNC_DEFAULT_LOCALE (en o it).
+ *
+ * @returns {{ defaultLocale: string }}
+ * @throws {LocaleConfigError} se la lingua non è supportata
+ */
+const loadLocaleConfig = (env = process.env) => {
+    const defaultLocale = env.CNC_DEFAULT_LOCALE === undefined ? DEFAULT_LOCALE_CONFIG.defaultLocale : env.CNC_DEFAULT_LOCALE.trim();
+    if (!SUPPORTED_LOCALES.includes(defaultLocale)) {
+        throw new LocaleConfigError([`CNC_DEFAULT_LOCALE: lingua ${JSON.stringify(env.CNC_DEFAULT_LOCALE)} non supportata ` +
+            `(attesa una tra ${SUPPORTED_LOCALES.join(", ")})`]);
+    }
+    return { defaultLocale };
+};
+
+/**
+ * Sceglie la lingua di una sessione dai localeIds della richiesta, in ordine di preferenza:
+ * vale la prima lingua supportata, anche solo per prefisso ("it-IT" -> "it").
+ */
+const negotiateLocale = (localeIds, defaultLocale = DEFAULT_LOCALE_CONFIG.defaultLocale) => {
+    for (const localeId of localeIds || []) {
+        const language = String(localeId).toLowerCase().split(/[-_]/)[0];
+        if (SUPPORTED_LOCALES.includes(language)) return language;
+    }
+    return defaultLocale;
+};
+
+/**
+ * Testo disponibile in tutte le lingue supportate, tradotto al momento della risposta.
+ * `texts` contiene per ogni lingua una stringa o una funzione dei parametri; i parametri che sono a loro volta
+ * testi traducibili (anche dentro un array) vengono tradotti nella stessa lingua.
+ * Convertito in stringa dà il testo nella prima lingua supportata, quella dei log.
+ */
+class LocalizedMessage {
+    constructor(texts, params = {}) {
+        this.texts = texts;
+        this.params = params;
+    }
+
+    localize(locale) {
+        const text = this.texts[locale] ?? this.texts[SUPPORTED_LOCALES[0]];
+        if (typeof text !== "function") return text;
+        const params = Object.fromEntries(Object.entries(this.params).map(([name, value]) =>
+            [name, Array.isArray(value) ? value.map(item => localize(item, locale)) : localize(value, locale)]));
+        return text(params);
+    }
+
+    toString() {
+        return this.localize(SUPPORTED_LOCALES[0]);
+    }
+}
+
+/**
+ * Messaggio di un metodo, con la chiave di MESSAGES.
+ */
+const message = (key, params) => {
+    if (!MESSAGES[key]) throw new Error(`Messaggio ${key} non presente nelle traduzioni`);
+    return new LocalizedMessage(MESSAGES[key], params);
+};
+
+/**
+ * Nome tradotto di un valore di un'enumerazione del modello, es. enumText("CNCTypeEnum", "Off");
+ * i valori fuori dal catalogo restano come sono.
+ */
+const enumText = (enumName, fieldName) => {
+    const texts = MODEL_TEXTS[enumName]?.values?.[fieldName];
+    return texts ? new LocalizedMessage(texts) : fieldName;
+};
+
+/**
+ * Traduce un testo traducibile; le stringhe e gli altri valori restano come sono.
+ */
+const localize = (value, locale) => value instanceof LocalizedMessage ? value.localize(locale) : value;
+
+const TYPE_NODE_CLASSES = [NodeClass.ObjectType, NodeClass.VariableType, NodeClass.DataType];
+const INSTANCE_NODE_CLASSES = [NodeClass.Object, NodeClass.Variable];
+const ARGUMENT_PROPERTIES = ["InputArguments", "OutputArguments"];
+const ENUM_PROPERTIES = ["EnumStrings", "EnumValues"];
+
+const localizedText = (texts, locale) => ({ locale, text: texts[locale] ?? texts[SUPPORTED_LOCALES[0]] });
+
+// Stessa DataValue con un altro valore (stato e istanti invariati)
+const withValue = (dataValue, value) => new DataValue({
+    statusCode: dataValue.statusCode,
+    sourceTimestamp: dataValue.sourceTimestamp,
+    sourcePicoseconds: dataValue.sourcePicoseconds,
+    serverTimestamp: dataValue.serverTimestamp,
+    serverPicoseconds: dataValue.serverPicoseconds,
+    value
+});
+
+/**
+ * Lingua delle sessioni e traduzione del modello e dei messaggi dei metodi.
+ *
+ * La lingua di una sessione è negoziata dai localeIds di ActivateSession (negotiateLocale); le sessioni
+ * senza localeIds e le chiamate senza sessione (PseudoSession) usano la lingua predefinita.
+ * install applica i testi di MODEL_TEXTS ai nodi del modello e delle CNC: gli attributi DisplayName
+ * e Description, le descrizioni degli argomenti dei metodi, i nomi dei valori delle enumerazioni
+ * e i DisplayName dei risultati di Browse sono serviti nella lingua della sessione. I nodi conservano
+ * i testi della lingua predefinita, usati dall'esportazione NodeSet2.
+ */
+class Localization {
+    constructor(config = DEFAULT_LOCALE_CONFIG) {
+        this.config = config;
+        this._sessionLocales = new WeakMap();
+        // Testi dei nodi tradotti, per nodeId: usati da Browse
+        this._nodeTexts = new Map();
+    }
+
+    /**
+     * Lingua della sessione del contesto di una chiamata o di una lettura.
+     */
+    locale(context) {
+        const session = context && context.session;
+        return (session && this._sessionLocales.get(session)) || this.config.defaultLocale;
+    }
+
+    /**
+     * Traduce un messaggio nella lingua della sessione del contesto.
+     */
+    localize(value, context) {
+        return localize(value, this.locale(context));
+    }
+
+    /**
+     * Registra la negoziazione della lingua e traduce i nodi dei namespace indicati (modello e CNC).
+     */
+    install(server, namespaceIndexes) {
+        const engine = server.engine;
+        const addressSpace = engine.addressSpace;
+
+        // La richiesta viene notificata prima di essere gestita: la sessione esiste già, non ancora attivata
+        server.on("request", (request) => {
+            if (!(request instanceof ActivateSessionRequest) || !request.localeIds || request.localeIds.length === 0) return;
+            const session = engine.getSession(request.requestHeader.authenticationToken);
+            if (session) this._sessionLocales.set(session, negotiateLocale(request.localeIds, this.config.defaultLocale));
+        });
+
+        const inNamespaces = (node) => namespaceIndexes.includes(node.nodeId.namespace);
+        const textsByNode = new Map();
+
+        // Tipi del catalogo da cui un nodo eredita le dichiarazioni: il tipo stesso e i supertipi,
+        // o la definizione di tipo di un'istanza e i suoi supertipi
+        const scopesOf = (node) => {
+            const scopes = [];
+            let type = TYPE_NODE_CLASSES.includes(node.nodeClass) ? node
+                : INSTANCE_NODE_CLASSES.includes(node.nodeClass) ? node.typeDefinitionObj : null;
+            while (type) {
+                if (inNamespaces(type) && MODEL_TEXTS[type.browseName.name]) scopes.push(MODEL_TEXTS[type.browseName.name]);
+                type = type.subtypeOfObj;
+            }
+            return scopes;
+        };
+
+        const textsOf = (node) => {
+            const key = node.nodeId.toString();
+            if (textsByNode.has(key)) return textsByNode.get(key);
+            textsByNode.set(key, null);
+
+            let texts = null;
+            const name = node.browseName.name;
+            if (TYPE_NODE_CLASSES.includes(node.nodeClass) && inNamespaces(node)) {
+                texts = MODEL_TEXTS[name] || null;
+            } else if (node.parent) {
+                texts = scopesOf(node.parent).map(scope => scope.children && scope.children[name]).find(Boolean) || null;
+            }
+            textsByNode.set(key, texts);
+            return texts;
+        };
+
+        for (const namespaceIndex of namespaceIndexes) {
+            for (const node of addressSpace.getNamespace(namespaceIndex).nodeIterator()) {
+                const name = node.browseName.name;
+                const texts = textsOf(node);
+                if (texts) {
+                    this._localizeNode(node, texts);
+                } else if (ARGUMENT_PROPERTIES.includes(name) && node.parent && textsOf(node.parent)?.arguments) {
+                    this._localizeArguments(node, textsOf(node.parent).arguments);
+                } else if (ENUM_PROPERTIES.includes(name) && node.parent && textsOf(node.parent)?.values) {
+                    this._localizeEnumValues(node, textsOf(node.parent).values);
+                }
+            }
+        }
+
+        const browse = engine.browse;
+        engine.browse = async (context, nodesToBrowse) => {
+            const results = await browse.call(engine, context, nodesToBrowse);
+            const locale = this.locale(context);
+            for (const result of results) {
+                if (!result.references) continue;
+                result.references = result.references.map((reference) => {
+                    const texts = this._nodeTexts.get(reference.nodeId.toString());
+                    return texts ? new ReferenceDescription({ ...reference, displayName: localizedText(texts.displayName, locale) }) : reference;
+                });
+            }
+            return results;
+        };
+    }
+
+    /**
+     * Valore String di una variabile nella lingua della sessione: `currentText` restituisce il testo traducibile
+     * del valore corrente (es. il motivo dell'allarme). Il valore viene tradotto solo se è il testo di quel messaggio
+     * nella lingua del NodeSet; le stringhe e i valori scritti in altro modo restano come sono.
+     * Le notifiche delle sottoscrizioni non hanno una sessione e portano il valore della variabile.
+     */
+    localizeValue(node, currentText) {
+        this._wrapRead(node, (dataValue, attributeId, locale, indexRange) => {
+            if (attributeId !== AttributeIds.Value || (indexRange && indexRange.isDefined()) || !dataValue.statusCode.isGood()) return dataValue;
+            const text = currentText();
+            if (!(text instanceof LocalizedMessage) || String(text) !== dataValue.value.value) return dataValue;
+            return withValue(dataValue, { dataType: DataType.String, value: text.localize(locale) });
+        });
+    }
+
+    // DisplayName e Description del nodo nella lingua della sessione
+    _localizeNode(node, texts) {
+        const languageTexts = (index) => Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, texts[locale][index]]));
+        const displayName = languageTexts(0);
+        const description = languageTexts(1);
+        const { defaultLocale } = this.config;
+        node.setDisplayName([defaultLocale, ...SUPPORTED_LOCALES.filter(locale => locale !== defaultLocale)]
+            .map(locale => localizedText(displayName, locale)));
+        node.setDescription(localizedText(description, defaultLocale));
+        this._nodeTexts.set(node.nodeId.toString(), { displayName });
+
+        this._wrapRead(node, (dataValue, attributeId, locale) => {
+            if (attributeId === AttributeIds.DisplayName) {
+                return withValue(dataValue, { dataType: DataType.LocalizedText, value: localizedText(displayName, locale) });
+            }
+            if (attributeId === AttributeIds.Description) {
+                return withValue(dataValue, { dataType: DataType.LocalizedText, value: localizedText(description, locale) });
+            }
+            return dataValue;
+        });
+    }
+
+    // Descrizioni degli argomenti di un metodo (InputArguments/OutputArguments)
+    _localizeArguments(node, argumentTexts) {
+        this._wrapValue(node, (args, locale) => new Variant({
+            dataType: DataType.ExtensionObject,
+            arrayType: VariantArrayType.Array,
+            value: args.map(argument => argumentTexts[argument.name] ? new Argument({
+                name: argument.name,
+                dataType: argument.dataType,
+                valueRank: argument.valueRank,
+                arrayDimensions: argument.arrayDimensions,
+                description: localizedText(argumentTexts[argument.name], locale)
+            }) : argument)
+        }));
+    }
+
+    // Nomi dei valori di un'enumerazione: EnumStrings è tradotto, di EnumValues solo la Description
+    // (il DisplayName resta il nome del valore nel modello, come per EnumStrings in inglese)
+    _localizeEnumValues(node, valueTexts) {
+        this._wrapValue(node, (values, locale) => node.browseName.name === "EnumStrings"
+            ? new Variant({
+                dataType: DataType.LocalizedText,
+                arrayType: VariantArrayType.Array,
+                value: values.map(text => valueTexts[text.text] ? localizedText(valueTexts[text.text], locale) : text)
+            })
+            : new Variant({
+                dataType: DataType.ExtensionObject,
+                arrayType: VariantArrayType.Array,
+                value: values.map((enumValue) => {
+                    const texts = valueTexts[coerceInt64toInt32(enumValue.value)];
+                    return texts ? new EnumValueType({
+                        value: enumValue.value,
+                        displayName: enumValue.displayName,
+                        description: localizedText(texts, locale)
+                    }) : enumValue;
+                })
+            }));
+    }
+
+    // Valore (array) della proprietà tradotto, se letto per intero
+    _wrapValue(node, translate) {
+        this._wrapRead(node, (dataValue, attributeId, locale, indexRange) => {
+            if (attributeId !== AttributeIds.Value || (indexRange && indexRange.isDefined())) return dataValue;
+            if (!dataValue.statusCode.isGood() || !Array.isArray(dataValue.value.value)) return dataValue;
+            return withValue(dataValue, translate(dataValue.value.value, locale));
+        });
+    }
+
+    _wrapRead(node, translate) {
+        const localization = this;
+        const readAttribute = node.readAttribute;
+        node.readAttribute = function (context, attributeId, indexRange, dataEncoding) {
+            const dataValue = readAttribute.call(this, context, attributeId, indexRange, dataEncoding);
+            return translate(dataValue, attributeId, localization.locale(context), indexRange);
+        };
+    }
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE_CONFIG,
+    LocaleConfigError,
+    loadLocaleConfig,
+    negotiateLocale,
+    LocalizedMessage,
+    message,
+    enumText,
+    localize,
+    Localization
+};
@@ -0,0 +1,258 @@
+const { DataType, StatusCodes } = require("node-opcua");
+const { CNCStatusEnumValues, JobStateEnumValues } = require("./model");
+const { MIN_SPINDLE_SPEED, MAX_SPINDLE_SPEED } = require("./stateMachine");
+const { PARTS_PER_MINUTE_PER_SPEED_LEVEL } = require("./simulation");
+const { enumText, message } = require("./i18n");
+
+const jobStateNames = Object.fromEntries(Object.entries(JobStateEnumValues).map(([name, value]) => [value, name]));
+
+// Stati in cui la CNC ha una commessa in corso: non se ne può caricare un'altra finché non è completata o annullata
+const ACTIVE_JOB_STATES = [JobStateEnumValues.Loaded, JobStateEnumValues.Running, JobStateEnumValues.Paused];
+
+// Indici degli argomenti di ingresso di LoadJob, usati per la diagnostica
+const LOAD_JOB_ARGUMENTS = { jobId: 0, partNumber: 1, targetQuantity: 2, requiredTool: 3, spindleSpeed: 4 };
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+const writeValue = (node, name, dataType, value) => {
+    node.getChildByName(name).setValueFromSource({ dataType, value });
+};
+
+const getJob = (CNCInstance) => CNCInstance.getChildByName("Job");
+
+const jobStateName = (state) => jobStateNames[state] || `Unknown(${state})`;
+
+// Nome tradotto di uno stato della commessa, per i messaggi dei metodi
+const jobStateText = (state) => enumText("JobStateEnum", jobStateName(state));
+
+/**
+ * Commesse (ordini di lavoro) delle CNC: LoadJob, StartJob, PauseJob e AbortJob sul componente Job.
+ *
+ * Una commessa caricata (Loaded) parte solo con la CNC On e l'utensile richiesto montato (Utensile);
+ * all'avvio la velocità del mandrino viene portata a quella della commessa. Mentre è in esecuzione (Running)
+ * i pezzi prodotti dalla CNC vengono contati anche su PartsProduced e, raggiunto TargetQuantity,
+ * la commessa passa a Completed. Se la CNC esce da On o l'utensile richiesto viene smontato,
+ * la commessa viene sospesa (Paused) e può essere ripresa con StartJob.
+ *
+ * Lo stato della commessa è tutto nelle variabili del componente Job, così viene salvato e ripristinato
+ * con le altre variabili della CNC. Ogni operazione restituisce { statusCode, message, argumentIndex }.
+ */
+class JobManager {
+
+    /**
+     * @param {MachineStateMachine} stateMachine
+     * @param {ToolManager} toolManager
+     * @param {{ timeAcceleration: number }} simulationConfig - usato per stimare l'istante di completamento
+     */
+    constructor(stateMachine, toolManager, { timeAcceleration }) {
+        this.stateMachine = stateMachine;
+        this.toolManager = toolManager;
+        this.timeAcceleration = timeAcceleration;
+
+        stateMachine.on("transition", ({ machine, from }) => {
+            if (from === CNCStatusEnumValues.On) this._pauseRunningJob(machine, "la CNC non è più On");
+        });
+        const onToolRemoved = ({ machine }) => {
+            const job = getJob(machine);
+            if (readValue(machine, "Utensile") !== readValue(job, "RequiredTool")) {
+                this._pauseRunningJob(machine, "l'utensile richiesto non è più montato");
+            }
+        };
+        toolManager.on("toolChanged", onToolRemoved);
+        toolManager.on("toolUnloaded", onToolRemoved);
+    }
+
+    /**
+     * Stato corrente della commessa della CNC (valore di JobStateEnum).
+     */
+    getState(CNCInstance) {
+        return readValue(getJob(CNCInstance), "State");
+    }
+
+    /**
+     * Carica una nuova commessa. Non è ammesso se la CNC ne ha già una caricata, in esecuzione o sospesa,
+     * né senza l'utensile richiesto montato (va prima montato con ChangeTool).
+     */
+    loadJob(CNCInstance, { jobId, partNumber, targetQuantity, requiredTool, spindleSpeed }) {
+        const job = getJob(CNCInstance);
+        const invalid = (argument, text) =>
+            ({ statusCode: StatusCodes.BadInvalidArgument, message: text, argumentIndex: LOAD_JOB_ARGUMENTS[argument] });
+
+        if (typeof jobId !== "string" || !jobId.trim()) {
+            return invalid("jobId", message("jobIdEmpty"));
+        }
+        if (typeof partNumber !== "string" || !partNumber.trim()) {
+            return invalid("partNumber", message("partNumberEmpty"));
+        }
+        if (!Number.isInteger(targetQuantity) || targetQuantity <= 0) {
+            return invalid("targetQuantity", message("invalidTargetQuantity", { targetQuantity }));
+        }
+        if (typeof requiredTool !== "string" || !requiredTool.trim()) {
+            return invalid("requiredTool", message("requiredToolEmpty"));
+        }
+        if (!Number.isInteger(spindleSpeed) || spindleSpeed < MIN_SPINDLE_SPEED || spindleSpeed > MAX_SPINDLE_SPEED) {
+            return invalid("spindleSpeed", message("invalidSpindleSpeed", { speed: spindleSpeed, min: MIN_SPINDLE_SPEED, max: MAX_SPINDLE_SPEED }));
+        }
+
+        const state = readValue(job, "State");
+        if (ACTIVE_JOB_STATES.includes(state)) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: message("jobActive", { activeJobId: readValue(job, "JobId"), state: jobStateText(state), jobId }),
+                argumentIndex: LOAD_JOB_ARGUMENTS.jobId
+            };
+        }
+        const mountedTool = readValue(CNCInstance, "Utensile");
+        if (mountedTool !== requiredTool) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: message("jobRequiresTool", { jobId, requiredTool, mountedTool: mountedTool || message("noTool") }),
+                argumentIndex: LOAD_JOB_ARGUMENTS.requiredTool
+            };
+        }
+
+        writeValue(job, "JobId", DataType.String, jobId);
+        writeValue(job, "PartNumber", DataType.String, partNumber);
+        writeValue(job, "TargetQuantity", DataType.UInt32, targetQuantity);
+        writeValue(job, "RequiredTool", DataType.String, requiredTool);
+        writeValue(job, "SpindleSpeed", DataType.Int32, spindleSpeed);
+        writeValue(job, "PartsProduced", DataType.UInt32, 0);
+        writeValue(job, "Progress", DataType.Double, 0);
+        writeValue(job, "EstimatedCompletion", DataType.DateTime, null);
+        this._setState(CNCInstance, JobStateEnumValues.Loaded);
+        console.log(`Commessa ${jobId} caricata su ${CNCInstance.browseName.name}: ${targetQuantity} pezzi ${partNumber}, ` +
+            `utensile ${requiredTool}, velocità ${spindleSpeed}.`);
+        return { statusCode: StatusCodes.Good, message: message("jobLoaded", { jobId }) };
+    }
+
+    /**
+     * Avvia la commessa caricata o riprende quella sospesa.
+     */
+    startJob(CNCInstance) {
+        const job = getJob(CNCInstance);
+        const jobId = readValue(job, "JobId");
+        const state = readValue(job, "State");
+        if (state !== JobStateEnumValues.Loaded && state !== JobStateEnumValues.Paused) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: state === JobStateEnumValues.Running ? message("jobAlreadyInState", { jobId, state: jobStateText(state) })
+                    : message("noJobToStart", { state: jobStateText(state) })
+            };
+        }
+        if (this.stateMachine.getStatus(CNCInstance) !== CNCStatusEnumValues.On) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("jobRequiresOn", { jobId }) };
+        }
+        const requiredTool = readValue(job, "RequiredTool");
+        const mountedTool = readValue(CNCInstance, "Utensile");
+        if (mountedTool !== requiredTool) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: message("jobRequiresTool", { jobId, requiredTool, mountedTool: mountedTool || message("noTool") })
+            };
+        }
+
+        const spindle = this.stateMachine.setSpindleSpeed(CNCInstance, readValue(job, "SpindleSpeed"));
+        if (!spindle.statusCode.isGood()) {
+            return { statusCode: spindle.statusCode, message: message("jobCannotStart", { jobId, reason: spindle.message }) };
+        }
+
+        this._setState(CNCInstance, JobStateEnumValues.Running);
+        this._updateProgress(CNCInstance);
+        console.log(`Commessa ${jobId} ${state === JobStateEnumValues.Paused ? "ripresa" : "avviata"} su ${CNCInstance.browseName.name}.`);
+        return { statusCode: StatusCodes.Good, message: message(state === JobStateEnumValues.Paused ? "jobResumed" : "jobStarted", { jobId }) };
+    }
+
+    /**
+     * Sospende la commessa in esecuzione.
+     */
+    pauseJob(CNCInstance) {
+        const job = getJob(CNCInstance);
+        const jobId = readValue(job, "JobId");
+        const state = readValue(job, "State");
+        if (state !== JobStateEnumValues.Running) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: jobId ? message("jobNotRunning", { jobId, state: jobStateText(state), running: jobStateText(JobStateEnumValues.Running) })
+                    : message("noJobLoaded")
+            };
+        }
+        this._pause(CNCInstance);
+        console.log(`Commessa ${jobId} sospesa su ${CNCInstance.browseName.name}.`);
+        return { statusCode: StatusCodes.Good, message: message("jobPaused", { jobId }) };
+    }
+
+    /**
+     * Annulla la commessa caricata, in esecuzione o sospesa. I pezzi già prodotti restano su PartsProduced.
+     */
+    abortJob(CNCInstance) {
+        const job = getJob(CNCInstance);
+        const jobId = readValue(job, "JobId");
+        const state = readValue(job, "State");
+        if (!ACTIVE_JOB_STATES.includes(state)) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: jobId ? message("jobAlreadyInState", { jobId, state: jobStateText(state) }) : message("noJobLoaded")
+            };
+        }
+        writeValue(job, "EstimatedCompletion", DataType.DateTime, null);
+        this._setState(CNCInstance, JobStateEnumValues.Aborted);
+        console.log(`Commessa ${jobId} annullata su ${CNCInstance.browseName.name} dopo ${readValue(job, "PartsProduced")} pezzi.`);
+        return { statusCode: StatusCodes.Good, message: message("jobAborted", { jobId }) };
+    }
+
+    /**
+     * Conta sulla commessa in esecuzione `parts` pezzi prodotti dalla CNC (evento "parts" della simulazione).
+     * Raggiunto TargetQuantity la commessa viene completata; i pezzi in eccesso non le vengono attribuiti.
+     */
+    recordParts(CNCInstance, parts) {
+        const job = getJob(CNCInstance);
+        if (readValue(job, "State") !== JobStateEnumValues.Running) return;
+
+        const targetQuantity = readValue(job, "TargetQuantity");
+        const partsProduced = Math.min(targetQuantity, readValue(job, "PartsProduced") + parts);
+        writeValue(job, "PartsProduced", DataType.UInt32, partsProduced);
+        if (partsProduced < targetQuantity) {
+            this._updateProgress(CNCInstance);
+            return;
+        }
+
+        writeValue(job, "Progress", DataType.Double, 100);
+        writeValue(job, "EstimatedCompletion", DataType.DateTime, new Date());
+        this._setState(CNCInstance, JobStateEnumValues.Completed);
+        console.log(`Commessa ${readValue(job, "JobId")} completata su ${CNCInstance.browseName.name}: ${targetQuantity} pezzi.`);
+    }
+
+    _setState(CNCInstance, state) {
+        writeValue(getJob(CNCInstance), "State", DataType.Int32, state);
+    }
+
+    _pause(CNCInstance) {
+        writeValue(getJob(CNCInstance), "EstimatedCompletion", DataType.DateTime, null);
+        this._setState(CNCInstance, JobStateEnumValues.Paused);
+    }
+
+    _pauseRunningJob(CNCInstance, reason) {
+        if (this.getState(CNCInstance) !== JobStateEnumValues.Running) return;
+        this._pause(CNCInstance);
+        console.log(`Commessa ${readValue(getJob(CNCInstance), "JobId")} sospesa su ${CNCInstance.browseName.name}: ${reason}.`);
+    }
+
+    // Avanzamento in percentuale e istante di completamento stimato con la velocità corrente del mandrino
+    // (pezzi al minuto della simulazione, riportati al tempo reale con l'accelerazione)
+    _updateProgress(CNCInstance) {
+        const job = getJob(CNCInstance);
+        const targetQuantity = readValue(job, "TargetQuantity");
+        const partsProduced = readValue(job, "PartsProduced");
+        writeValue(job, "Progress", DataType.Double, Math.round(partsProduced / targetQuantity * 1000) / 10);
+
+        const speed = readValue(CNCInstance.getChildByName("Mandrino"), "Velocita");
+        const remainingMs = (targetQuantity - partsProduced) / (PARTS_PER_MINUTE_PER_SPEED_LEVEL * speed) * 60000 / this.timeAcceleration;
+        writeValue(job, "EstimatedCompletion", DataType.DateTime, new Date(Date.now() + remainingMs));
+    }
+}
+
+module.exports = {
+    ACTIVE_JOB_STATES,
+    jobStateName,
+    JobManager
+};
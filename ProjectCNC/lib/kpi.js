@@ -0,0 +1,367 @@
+const { DataType, StatusCodes } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { PARTS_PER_MINUTE_PER_SPEED_LEVEL } = require("./simulation");
+const { DEFAULT_LOCALE_CONFIG, localize, message } = require("./i18n");
+
+/**
+ * Tempo ciclo ideale (s) a un livello di Velocita del mandrino: la cadenza della CNC a quella velocità,
+ * NaN senza una velocità valida.
+ */
+const idealCycleTime = (speed) => speed > 0 ? 60 / (PARTS_PER_MINUTE_PER_SPEED_LEVEL * speed) : NaN;
+
+// Severità dell'evento di riepilogo del turno (informativo)
+const SHIFT_SUMMARY_SEVERITY = 200;
+
+const DEFAULT_KPI_CONFIG = {
+    // Turni del calendario, in ordine di inizio (ora locale): ognuno dura fino all'inizio del successivo
+    shifts: [
+        { name: "Mattino", start: "06:00" },
+        { name: "Pomeriggio", start: "14:00" },
+        { name: "Notte", start: "22:00" }
+    ]
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente dei KPI non sono valide.
+ */
+class KpiConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione dei KPI non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "KpiConfigError";
+        this.errors = errors;
+    }
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const minutesOfDay = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Legge il calendario dei turni dalla variabile d'ambiente CNC_KPI_SHIFTS,
+ * nel formato "Nome=HH:MM,Nome=HH:MM,..." (es. "Mattino=06:00,Pomeriggio=14:00,Notte=22:00").
+ *
+ * @returns {{ shifts: Array<{ name: string, start: string }> }} turni ordinati per ora di inizio
+ * @throws {KpiConfigError} se il calendario non è valido
+ */
+const loadKpiConfig = (env = process.env) => {
+    if (env.CNC_KPI_SHIFTS === undefined) return { shifts: DEFAULT_KPI_CONFIG.shifts.map(shift => ({ ...shift })) };
+
+    const errors = [];
+    const shifts = [];
+    for (const entry of env.CNC_KPI_SHIFTS.split(",")) {
+        const [name, start] = entry.split("=").map(part => part.trim());
+        if (!name || start === undefined || !TIME_PATTERN.test(start)) {
+            errors.push(`CNC_KPI_SHIFTS: turno ${JSON.stringify(entry)} non valido (atteso Nome=HH:MM)`);
+        } else if (shifts.some(shift => shift.name === name)) {
+            errors.push(`CNC_KPI_SHIFTS: turno ${name} ripetuto`);
+        } else if (shifts.some(shift => shift.start === start)) {
+            errors.push(`CNC_KPI_SHIFTS: più turni iniziano alle ${start}`);
+        } else {
+            shifts.push({ name, start });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new KpiConfigError(errors);
+    }
+    return { shifts: shifts.sort((a, b) => minutesOfDay(a.start) - minutesOfDay(b.start)) };
+};
+
+/**
+ * Turno del calendario in corso all'istante `time`.
+ *
+ * @param {Array<{ name: string, start: string }>} shifts - turni restituiti da loadKpiConfig
+ * @param {Date} time
+ * @returns {{ name: string, start: Date, end: Date }}
+ */
+const shiftAt = (shifts, time) => {
+    // Inizi dei turni dal giorno prima al giorno dopo, in ora locale
+    const starts = [];
+    for (const dayOffset of [-1, 0, 1]) {
+        for (const shift of shifts) {
+            const start = new Date(time);
+            start.setDate(start.getDate() + dayOffset);
+            start.setHours(0, minutesOfDay(shift.start), 0, 0);
+            starts.push({ name: shift.name, start });
+        }
+    }
+    const index = starts.findLastIndex(({ start }) => start <= time);
+    return { name: starts[index].name, start: starts[index].start, end: starts[index + 1].start };
+};
+
+/**
+ * Contatori di un periodo di conteggio (un turno, o la parte di turno dopo ResetShiftCounters).
+ */
+const createCounters = (shift, start = shift.start) => ({
+    shiftName: shift.name,
+    shiftStart: start,
+    shiftEnd: shift.end,
+    onHours: 0,
+    offHours: 0,
+    alarmHours: 0,
+    goodParts: 0,
+    rejectedParts: 0,
+    // Pezzi che la CNC avrebbe prodotto nel tempo in On al tempo ciclo ideale della velocità di ogni momento
+    idealParts: 0,
+    energy: 0
+});
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Calcola OEE e KPI energetici dai contatori di un periodo.
+ * Il tempo in Off è fermo pianificato, quello in Alarm fermo non pianificato; l'efficienza confronta i pezzi prodotti
+ * con quelli ideali alla velocità del mandrino. I valori che non si possono ancora calcolare (es. la qualità
+ * senza pezzi prodotti) sono NaN.
+ *
+ * @returns {{ availability: number, performance: number, quality: number, oee: number, energyPerPart: number }}
+ *          percentuali da 0 a 100 ed energia per pezzo buono in kWh
+ */
+const computeKpis = ({ onHours, alarmHours, goodParts, rejectedParts, idealParts, energy }) => {
+    const parts = goodParts + rejectedParts;
+    const availability = onHours + alarmHours > 0 ? onHours / (onHours + alarmHours) : NaN;
+    const performance = idealParts > 0 ? Math.min(1, parts / idealParts) : NaN;
+    const quality = parts > 0 ? goodParts / parts : NaN;
+    return {
+        availability: round(availability * 100, 2),
+        performance: round(performance * 100, 2),
+        quality: round(quality * 100, 2),
+        oee: round(availability * performance * quality * 100, 2),
+        energyPerPart: goodParts > 0 ? round(energy / goodParts, 3) : NaN
+    };
+};
+
+/**
+ * Riepilogo di un periodo di conteggio chiuso all'istante `end`: contatori arrotondati e KPI.
+ */
+const summarize = (counters, end) => ({
+    shiftName: counters.shiftName,
+    shiftStart: counters.shiftStart,
+    shiftEnd: end,
+    onTime: round(counters.onHours, 3),
+    offTime: round(counters.offHours, 3),
+    alarmTime: round(counters.alarmHours, 3),
+    goodParts: counters.goodParts,
+    rejectedParts: counters.rejectedParts,
+    energyConsumed: round(counters.energy, 2),
+    ...computeKpis(counters)
+});
+
+const formatPercent = (value) => Number.isNaN(value) ? "n/a" : `${value}%`;
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+// Scrive solo i valori cambiati, per non notificare i client a ogni passo con lo stesso valore
+const writeValue = (node, name, dataType, value) => {
+    const variable = node.getChildByName(name);
+    const current = variable.readValue().value.value;
+    const unchanged = current instanceof Date && value instanceof Date ? current.getTime() === value.getTime() : Object.is(current, value);
+    if (!unchanged) {
+        variable.setValueFromSource({ dataType, value });
+    }
+};
+
+/**
+ * KPI delle CNC per turno: accumula a ogni tick dell'orologio dei modelli di processo (ProcessClock) il tempo
+ * in On/Off/Alarm e l'energia consumata (ConsumoEnergetico integrato nel tempo), conta i pezzi buoni e scartati
+ * e pubblica contatori, OEE ed energia per pezzo nel componente KPI di ogni CNC.
+ *
+ * L'orologio dei turni parte dall'ora dell'avvio del server e avanza con il tempo reale trascorso. A fine turno,
+ * e a ogni ResetShiftCounters, il periodo di conteggio viene chiuso con un evento ShiftSummaryEventType sulla CNC
+ * e i contatori ripartono da zero.
+ */
+class KpiTracker {
+
+    /**
+     * @param {MachineStateMachine} stateMachine
+     * @param {Object} config - configurazione restituita da loadKpiConfig
+     * @param {{ startTime?: number, locale?: string }} [options] - istante di partenza dell'orologio dei turni (ms)
+     *        e lingua dei messaggi degli eventi di riepilogo, di solito CNC_DEFAULT_LOCALE
+     */
+    constructor(stateMachine, config = DEFAULT_KPI_CONFIG, { startTime = Date.now(), locale = DEFAULT_LOCALE_CONFIG.defaultLocale } = {}) {
+        this.stateMachine = stateMachine;
+        this.shiftSummaryEventType = null;
+        this.config = config;
+        this.locale = locale;
+        this.now = startTime;
+        this.machines = new Map();
+        // Il tempo ciclo ideale segue la velocità del mandrino (riportata a 1 anche da alcune transizioni)
+        const publish = ({ machine }) => {
+            if (this.machines.has(machine)) this._publish(machine);
+        };
+        stateMachine.on("spindleSpeed", publish);
+        stateMachine.on("transition", publish);
+    }
+
+    /**
+     * Inizia a contare i KPI delle CNC della flotta dal turno in corso.
+     *
+     * @param {Array<{ instance: UAObject }>} fleet - istanze restituite da buildFleet
+     * @param {UAObjectType} shiftSummaryEventType - ShiftSummaryEventType del modello
+     */
+    install(fleet, shiftSummaryEventType) {
+        this.shiftSummaryEventType = shiftSummaryEventType;
+        const shift = this.currentShift();
+        for (const { instance } of fleet) {
+            this.machines.set(instance, createCounters(shift));
+            this._publish(instance);
+        }
+    }
+
+    /**
+     * Turno del calendario all'ora corrente dell'orologio dei turni.
+     */
+    currentShift() {
+        return shiftAt(this.config.shifts, new Date(this.now));
+    }
+
+    /**
+     * Conta i pezzi completati da una CNC nel periodo in corso.
+     */
+    recordParts(instance, parts, rejected = 0) {
+        const counters = this.machines.get(instance);
+        if (!counters) return;
+        counters.goodParts += parts - rejected;
+        counters.rejectedParts += rejected;
+        this._publish(instance);
+    }
+
+    /**
+     * Avanza l'orologio dei turni di `elapsedMs` millisecondi, attribuendo il tempo e l'energia allo stato
+     * corrente di ogni CNC e chiudendo i turni che finiscono nel frattempo.
+     */
+    advance(elapsedMs) {
+        let remaining = elapsedMs;
+        while (remaining > 0) {
+            const shift = this.currentShift();
+            const slice = Math.min(remaining, shift.end.getTime() - this.now);
+            for (const [instance, counters] of this.machines) {
+                const hours = slice / 3600000;
+                const status = this.stateMachine.getStatus(instance);
+                if (status === CNCStatusEnumValues.On) {
+                    counters.onHours += hours;
+                    counters.idealParts += hours * 3600 / idealCycleTime(readValue(instance.getChildByName("Mandrino"), "Velocita"));
+                } else if (status === CNCStatusEnumValues.Alarm) counters.alarmHours += hours;
+                else counters.offHours += hours;
+                counters.energy += readValue(instance, "ConsumoEnergetico") * hours;
+            }
+            this.now += slice;
+            remaining -= slice;
+
+            if (this.now >= shift.end.getTime()) {
+                const next = this.currentShift();
+                for (const instance of this.machines.keys()) {
+                    this._closePeriod(instance, "shiftSummaryEnded");
+                    this.machines.set(instance, createCounters(next));
+                }
+            }
+        }
+        for (const instance of this.machines.keys()) {
+            this._publish(instance);
+        }
+    }
+
+    /**
+     * ResetShiftCounters: chiude il periodo di conteggio della CNC e riparte da zero nel turno in corso.
+     *
+     * @returns {{ statusCode: StatusCode, message: LocalizedMessage }}
+     */
+    reset(instance) {
+        const counters = this.machines.get(instance);
+        if (!counters) {
+            return { statusCode: StatusCodes.BadNotFound, message: message("machineWithoutKpi") };
+        }
+        const summary = this._closePeriod(instance, "shiftSummaryCountersReset");
+        this.machines.set(instance, createCounters(this.currentShift(), new Date(this.now)));
+        this._publish(instance);
+        return { statusCode: StatusCodes.Good, message: message("shiftCountersReset", { shiftName: summary.shiftName, oee: formatPercent(summary.oee) }) };
+    }
+
+    /**
+     * Contatori della CNC da salvare tra i riavvii.
+     */
+    saveState(instance) {
+        const counters = this.machines.get(instance);
+        if (!counters) return undefined;
+        return { ...counters, shiftStart: counters.shiftStart.toISOString(), shiftEnd: counters.shiftEnd.toISOString() };
+    }
+
+    /**
+     * Riprende i contatori salvati da saveState, se appartengono al turno in corso
+     * (quelli di un turno finito mentre il server era fermo vengono scartati).
+     */
+    restoreState(instance, state) {
+        const counters = this.machines.get(instance);
+        if (!counters || state.shiftName !== counters.shiftName || Date.parse(state.shiftEnd) !== counters.shiftEnd.getTime()) return;
+        this.machines.set(instance, { idealParts: 0, ...state, shiftStart: new Date(state.shiftStart), shiftEnd: new Date(state.shiftEnd) });
+        this._publish(instance);
+    }
+
+    // Pubblica il riepilogo del periodo con un evento ShiftSummaryEventType sulla CNC;
+    // `messageKey` è il messaggio dell'evento (fine turno o ResetShiftCounters)
+    _closePeriod(instance, messageKey) {
+        const summary = summarize(this.machines.get(instance), new Date(this.now));
+        const machine = instance.browseName.name;
+        const summaryMessage = message(messageKey, { shiftName: summary.shiftName, machine, oee: formatPercent(summary.oee) });
+        console.log(`KPI di ${machine} dal ${summary.shiftStart.toISOString()}: OEE ${formatPercent(summary.oee)}, ` +
+            `${summary.goodParts} pezzi buoni, ${summary.rejectedParts} scarti, ${summary.energyConsumed} kWh (${summaryMessage}).`);
+        const double = (value) => ({ dataType: DataType.Double, value });
+        // Le notifiche degli eventi non hanno la sessione del client: il messaggio è nella lingua predefinita del server
+        instance.raiseEvent(this.shiftSummaryEventType, {
+            sourceName: { dataType: DataType.String, value: machine },
+            message: { dataType: DataType.LocalizedText, value: { locale: this.locale, text: localize(summaryMessage, this.locale) } },
+            severity: { dataType: DataType.UInt16, value: SHIFT_SUMMARY_SEVERITY },
+            shiftName: { dataType: DataType.String, value: summary.shiftName },
+            shiftStart: { dataType: DataType.DateTime, value: summary.shiftStart },
+            shiftEnd: { dataType: DataType.DateTime, value: summary.shiftEnd },
+            onTime: double(summary.onTime),
+            offTime: double(summary.offTime),
+            alarmTime: double(summary.alarmTime),
+            goodParts: { dataType: DataType.UInt32, value: summary.goodParts },
+            rejectedParts: { dataType: DataType.UInt32, value: summary.rejectedParts },
+            energyConsumed: double(summary.energyConsumed),
+            availability: double(summary.availability),
+            performance: double(summary.performance),
+            quality: double(summary.quality),
+            OEE: double(summary.oee),
+            energyPerPart: double(summary.energyPerPart)
+        });
+        return summary;
+    }
+
+    _publish(instance) {
+        const counters = this.machines.get(instance);
+        const summary = summarize(counters, counters.shiftEnd);
+        const kpi = instance.getChildByName("KPI");
+        writeValue(kpi, "IdealCycleTime", DataType.Double, idealCycleTime(readValue(instance.getChildByName("Mandrino"), "Velocita")));
+        writeValue(kpi, "ShiftName", DataType.String, summary.shiftName);
+        writeValue(kpi, "ShiftStart", DataType.DateTime, summary.shiftStart);
+        writeValue(kpi, "ShiftEnd", DataType.DateTime, summary.shiftEnd);
+        writeValue(kpi, "OnTime", DataType.Double, summary.onTime);
+        writeValue(kpi, "OffTime", DataType.Double, summary.offTime);
+        writeValue(kpi, "AlarmTime", DataType.Double, summary.alarmTime);
+        writeValue(kpi, "GoodParts", DataType.UInt32, summary.goodParts);
+        writeValue(kpi, "RejectedParts", DataType.UInt32, summary.rejectedParts);
+        writeValue(kpi, "EnergyConsumed", DataType.Double, summary.energyConsumed);
+        writeValue(kpi, "Availability", DataType.Double, summary.availability);
+        writeValue(kpi, "Performance", DataType.Double, summary.performance);
+        writeValue(kpi, "Quality", DataType.Double, summary.quality);
+        writeValue(kpi, "OEE", DataType.Double, summary.oee);
+        writeValue(kpi, "EnergyPerPart", DataType.Double, summary.energyPerPart);
+    }
+}
+
+module.exports = {
+    idealCycleTime,
+    DEFAULT_KPI_CONFIG,
+    KpiConfigError,
+    loadKpiConfig,
+    shiftAt,
+    createCounters,
+    computeKpis,
+    summarize,
+    KpiTracker
+};
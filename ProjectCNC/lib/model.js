@@ -0,0 +1,603 @@
+const path = require("path");
+const { DataType, NodeClass, VariantArrayType, makeBrowsePath, coerceInt64toInt32 } = require("node-opcua");
+
+/**
+ * Modello informativo CNC del server (NodeSet2 XML), scritto a mano sulla base del progetto UAModeler ma non
+ * esportato da UAModeler: le enumerazioni di stato e velocità differiscono da quelle di cnc.ua.
+ * Il server lo carica all'avvio invece di costruire i tipi a mano. expectedModel lo confronta con il codice:
+ * essendo entrambi scritti a mano, il controllo trova solo le differenze tra i due, non verifica il server
+ * contro il progetto UAModeler (per quello c'è nodeset.js check).
+ */
+const MODEL_NODESET_FILE = path.join(__dirname, "../../UAModeler/CNC/cnc.NodeSet2.xml");
+const MODEL_NAMESPACE_URI = "http://yourorganisation.org/CNC/";
+
+/**
+ * Progetto UAModeler del modello CNC: il riferimento predefinito del controllo di conformità (nodeset.js check).
+ * Le enumerazioni del progetto hanno nomi diversi da quelle del server: DESIGN_TYPE_NAMES li associa,
+ * così il controllo confronta i valori e segnala il nome diverso.
+ */
+const UAMODELER_PROJECT_FILE = path.join(__dirname, "../../UAModeler/CNC/cnc.ua");
+const DESIGN_TYPE_NAMES = {
+    StatusEnum: "CNCTypeEnum",
+    VelocitaEnum: "VelocitaMandrinoEnum"
+};
+
+// Valori dell'enumerazione di stato usati dal codice (confrontati all'avvio con il NodeSet del server)
+const CNCStatusEnumValues = {
+    Off: 0,
+    On: 1,
+    Alarm: 2
+};
+
+// Livelli di velocità del mandrino usati dal codice (confrontati all'avvio con il NodeSet del server)
+const MandrinoVelocitaEnumValues = {
+    1: 1,
+    2: 2,
+    3: 3,
+    4: 4,
+    5: 5
+};
+
+// Stati della commessa usati dal codice (confrontati all'avvio con il NodeSet del server)
+const JobStateEnumValues = {
+    None: 0,
+    Loaded: 1,
+    Running: 2,
+    Paused: 3,
+    Completed: 4,
+    Aborted: 5
+};
+
+/**
+ * Ciò che il codice si aspetta di trovare nel modello.
+ * I tipi di dato sono indicati per browseName (namespace 0 o namespace del modello).
+ */
+const expectedModel = {
+    enumerations: {
+        CNCTypeEnum: CNCStatusEnumValues,
+        VelocitaMandrinoEnum: MandrinoVelocitaEnumValues,
+        JobStateEnum: JobStateEnumValues
+    },
+    // Campi delle strutture, nell'ordine della codifica binaria
+    structures: {
+        OperationResult: {
+            Code: "StatusCode",
+            Message: "String",
+            Timestamp: "DateTime"
+        },
+        MachineSnapshot: {
+            Status: "CNCTypeEnum",
+            Tool: "String",
+            PartsProduced: "UInt32",
+            EnergyConsumption: "Double",
+            SpindleSpeed: "VelocitaMandrinoEnum",
+            StatusAI: "Boolean",
+            Timestamp: "DateTime"
+        },
+        MachineOperationResult: {
+            Machine: "String",
+            Code: "StatusCode",
+            Message: "String",
+            Changed: "Boolean"
+        }
+    },
+    objectTypes: {
+        MandrinoType: {
+            variables: {
+                Velocita: "VelocitaMandrinoEnum",
+                ActualRPM: "Double",
+                TargetRPM: "Double",
+                Load: "Double",
+                BearingTemperature: "Double",
+                Vibration: "Double"
+            },
+            methods: {
+                CambiareVelocita: {
+                    inputArguments: [{ name: "NewSpeed", dataType: "Int32" }],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                }
+            }
+        },
+        ToolPocketType: {
+            variables: {
+                ToolId: "String",
+                ToolType: "String",
+                Diameter: "Double",
+                RemainingLife: "Double",
+                UsageCount: "UInt32"
+            }
+        },
+        ToolMagazineType: {
+            variables: {
+                PocketCount: "UInt32",
+                ActivePocket: "UInt32"
+            },
+            methods: {
+                LoadTool: {
+                    inputArguments: [
+                        { name: "Pocket", dataType: "UInt32" },
+                        { name: "ToolId", dataType: "String" },
+                        { name: "ToolType", dataType: "String" },
+                        { name: "Diameter", dataType: "Double" },
+                        { name: "RemainingLife", dataType: "Double" }
+                    ],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                UnloadTool: {
+                    inputArguments: [{ name: "Pocket", dataType: "UInt32" }],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                ChangeTool: {
+                    inputArguments: [{ name: "Pocket", dataType: "UInt32" }],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                }
+            }
+        },
+        JobType: {
+            variables: {
+                JobId: "String",
+                PartNumber: "String",
+                TargetQuantity: "UInt32",
+                RequiredTool: "String",
+                SpindleSpeed: "VelocitaMandrinoEnum",
+                State: "JobStateEnum",
+                PartsProduced: "UInt32",
+                Progress: "Double",
+                EstimatedCompletion: "DateTime"
+            },
+            methods: {
+                LoadJob: {
+                    inputArguments: [
+                        { name: "JobId", dataType: "String" },
+                        { name: "PartNumber", dataType: "String" },
+                        { name: "TargetQuantity", dataType: "UInt32" },
+                        { name: "RequiredTool", dataType: "String" },
+                        { name: "SpindleSpeed", dataType: "Int32" }
+                    ],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                StartJob: {
+                    inputArguments: [],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                PauseJob: {
+                    inputArguments: [],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                AbortJob: {
+                    inputArguments: [],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                }
+            }
+        },
+        KpiType: {
+            variables: {
+                ShiftName: "String",
+                ShiftStart: "DateTime",
+                ShiftEnd: "DateTime",
+                OnTime: "Double",
+                OffTime: "Double",
+                AlarmTime: "Double",
+                GoodParts: "UInt32",
+                RejectedParts: "UInt32",
+                IdealCycleTime: "Double",
+                EnergyConsumed: "Double",
+                Availability: "Double",
+                Performance: "Double",
+                Quality: "Double",
+                OEE: "Double",
+                EnergyPerPart: "Double"
+            },
+            methods: {
+                ResetShiftCounters: {
+                    inputArguments: [],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                }
+            }
+        },
+        MacchinaCNCType: {
+            variables: {
+                Status: "CNCTypeEnum",
+                Utensile: "String",
+                PezziProdotti: "UInt32",
+                ConsumoEnergetico: "Double",
+                PreviousStatus: "CNCTypeEnum",
+                LastTransitionTime: "DateTime",
+                AlarmReason: "String",
+                AlarmAcknowledged: "Boolean",
+                UsuraUtensile: "Double"
+            },
+            objects: { Mandrino: "MandrinoType", ToolMagazine: "ToolMagazineType", Job: "JobType", KPI: "KpiType" },
+            methods: {
+                ChangeStatus: {
+                    inputArguments: [{ name: "NewStatus", dataType: "Int32" }],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                AcknowledgeAlarm: {
+                    inputArguments: [],
+                    outputArguments: [{ name: "Result", dataType: "OperationResult" }]
+                },
+                GetSnapshot: {
+                    inputArguments: [],
+                    outputArguments: [{ name: "Snapshot", dataType: "MachineSnapshot" }]
+                }
+            }
+        },
+        MacchinaCNCProType: {
+            subtypeOf: "MacchinaCNCType",
+            variables: {
+                StatusAI: "Boolean",
+                OperatingHours: "Double",
+                HealthScore: "Double",
+                EstimatedTimeToMaintenance: "Double",
+                SpindleLoad: "Double",
+                EnergyAnomalyScore: "Double"
+            },
+            methods: {
+                ManutenzionePredittiva: {
+                    inputArguments: [],
+                    outputArguments: [
+                        { name: "Result", dataType: "OperationResult" },
+                        { name: "HealthScore", dataType: "Double" },
+                        { name: "EstimatedTimeToMaintenance", dataType: "Double" },
+                        { name: "TopFactors", dataType: "String" },
+                        { name: "Recommendation", dataType: "String" }
+                    ]
+                }
+            }
+        },
+        MachineGroupType: {
+            subtypeOf: "FolderType",
+            methods: {
+                StartAll: {
+                    inputArguments: [{ name: "DryRun", dataType: "Boolean" }],
+                    outputArguments: [
+                        { name: "Result", dataType: "OperationResult" },
+                        { name: "Results", dataType: "MachineOperationResult" }
+                    ]
+                },
+                StopAll: {
+                    inputArguments: [{ name: "DryRun", dataType: "Boolean" }],
+                    outputArguments: [
+                        { name: "Result", dataType: "OperationResult" },
+                        { name: "Results", dataType: "MachineOperationResult" }
+                    ]
+                },
+                SetSpindleSpeedAll: {
+                    inputArguments: [
+                        { name: "NewSpeed", dataType: "Int32" },
+                        { name: "DryRun", dataType: "Boolean" }
+                    ],
+                    outputArguments: [
+                        { name: "Result", dataType: "OperationResult" },
+                        { name: "Results", dataType: "MachineOperationResult" }
+                    ]
+                }
+            }
+        },
+        CNCMethodAuditEventType: {
+            subtypeOf: "AuditUpdateMethodEventType",
+            properties: { Changes: "String" }
+        },
+        CNCStatusAuditEventType: {
+            subtypeOf: "AuditUpdateStateEventType",
+            properties: { Reason: "String" }
+        },
+        ShiftSummaryEventType: {
+            subtypeOf: "BaseEventType",
+            properties: {
+                ShiftName: "String",
+                ShiftStart: "DateTime",
+                ShiftEnd: "DateTime",
+                OnTime: "Double",
+                OffTime: "Double",
+                AlarmTime: "Double",
+                GoodParts: "UInt32",
+                RejectedParts: "UInt32",
+                EnergyConsumed: "Double",
+                Availability: "Double",
+                Performance: "Double",
+                Quality: "Double",
+                OEE: "Double",
+                EnergyPerPart: "Double"
+            }
+        }
+    }
+};
+
+/**
+ * Errore sollevato quando il modello caricato e il codice non sono allineati.
+ * `problems` contiene l'elenco completo delle differenze trovate.
+ */
+class ModelMismatchError extends Error {
+    constructor(problems) {
+        super(`Il modello CNC non è allineato con il codice del server:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+        this.name = "ModelMismatchError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Restituisce il browseName (senza namespace) del DataType indicato da un NodeId.
+ */
+const dataTypeName = (addressSpace, dataTypeNodeId) => {
+    const dataTypeNode = addressSpace.findNode(dataTypeNodeId);
+    return dataTypeNode ? dataTypeNode.browseName.name : dataTypeNodeId.toString();
+};
+
+const formatArguments = (args) => `(${args.map(a => `${a.name}: ${a.dataType}`).join(", ")})`;
+
+const checkArguments = (addressSpace, label, kind, actualArguments, expectedArguments, problems) => {
+    const actual = actualArguments.map(a => ({ name: a.name, dataType: dataTypeName(addressSpace, a.dataType) }));
+    const sameSignature = actual.length === expectedArguments.length &&
+        actual.every((a, i) => a.name === expectedArguments[i].name && a.dataType === expectedArguments[i].dataType);
+    if (!sameSignature) {
+        problems.push(`${label}: ${kind} attesi ${formatArguments(expectedArguments)}, trovati ${formatArguments(actual)}`);
+    }
+};
+
+const checkEnumeration = (addressSpace, namespaceIndex, enumName, expectedValues, problems) => {
+    const enumType = addressSpace.findDataType(enumName, namespaceIndex);
+    if (!enumType) {
+        problems.push(`Enumerazione '${enumName}' mancante nel modello`);
+        return;
+    }
+    const actualValues = {};
+    for (const field of enumType.getDefinition().fields || []) {
+        actualValues[field.name] = coerceInt64toInt32(field.value);
+    }
+    const names = new Set([...Object.keys(expectedValues), ...Object.keys(actualValues)]);
+    for (const name of names) {
+        if (!(name in actualValues)) {
+            problems.push(`${enumName}: valore '${name}' (${expectedValues[name]}) mancante nel modello`);
+        } else if (!(name in expectedValues)) {
+            problems.push(`${enumName}: valore '${name}' (${actualValues[name]}) presente nel modello ma non gestito dal codice`);
+        } else if (actualValues[name] !== expectedValues[name]) {
+            problems.push(`${enumName}: '${name}' vale ${actualValues[name]} nel modello, ${expectedValues[name]} nel codice`);
+        }
+    }
+};
+
+const checkStructure = (addressSpace, namespaceIndex, structureName, expectedFields, problems) => {
+    const structureType = addressSpace.findDataType(structureName, namespaceIndex);
+    if (!structureType) {
+        problems.push(`Struttura '${structureName}' mancante nel modello`);
+        return;
+    }
+    const actual = (structureType.getDefinition().fields || [])
+        .map(field => `${field.name}: ${dataTypeName(addressSpace, field.dataType)}`);
+    const expected = Object.entries(expectedFields).map(([name, dataType]) => `${name}: ${dataType}`);
+    if (actual.join(", ") !== expected.join(", ")) {
+        problems.push(`${structureName}: campi attesi (${expected.join(", ")}), trovati (${actual.join(", ")})`);
+    }
+    for (const encoding of ["Default Binary", "Default XML"]) {
+        const hasEncoding = structureType.findReferencesExAsObject("HasEncoding")
+            .some(node => node.browseName.name === encoding);
+        if (!hasEncoding) {
+            problems.push(`${structureName}: codifica '${encoding}' mancante`);
+        }
+    }
+};
+
+const checkObjectType = (addressSpace, namespaceIndex, typeName, expected, problems) => {
+    const objectType = addressSpace.findObjectType(typeName, namespaceIndex);
+    if (!objectType) {
+        problems.push(`ObjectType '${typeName}' mancante nel modello`);
+        return;
+    }
+
+    if (expected.subtypeOf) {
+        const baseType = objectType.subtypeOfObj;
+        if (!baseType || baseType.browseName.name !== expected.subtypeOf) {
+            problems.push(`${typeName}: atteso sottotipo di ${expected.subtypeOf}, trovato ${baseType ? baseType.browseName.name : "nessuno"}`);
+        }
+    }
+
+    for (const [varName, expectedDataType] of Object.entries(expected.variables || {})) {
+        const variable = objectType.getComponentByName(varName, namespaceIndex);
+        if (!variable) {
+            problems.push(`${typeName}: variabile '${varName}' mancante`);
+            continue;
+        }
+        const actualDataType = dataTypeName(addressSpace, variable.dataType);
+        if (actualDataType !== expectedDataType) {
+            problems.push(`${typeName}.${varName}: DataType atteso ${expectedDataType}, trovato ${actualDataType}`);
+        }
+    }
+
+    for (const [propertyName, expectedDataType] of Object.entries(expected.properties || {})) {
+        const property = objectType.getPropertyByName(propertyName, namespaceIndex);
+        if (!property) {
+            problems.push(`${typeName}: proprietà '${propertyName}' mancante`);
+            continue;
+        }
+        const actualDataType = dataTypeName(addressSpace, property.dataType);
+        if (actualDataType !== expectedDataType) {
+            problems.push(`${typeName}.${propertyName}: DataType atteso ${expectedDataType}, trovato ${actualDataType}`);
+        }
+    }
+
+    for (const [objName, expectedTypeDefinition] of Object.entries(expected.objects || {})) {
+        const component = objectType.getComponentByName(objName, namespaceIndex);
+        if (!component) {
+            problems.push(`${typeName}: componente '${objName}' mancante`);
+            continue;
+        }
+        const typeDefinition = component.typeDefinitionObj;
+        if (!typeDefinition || typeDefinition.browseName.name !== expectedTypeDefinition) {
+            problems.push(`${typeName}.${objName}: TypeDefinition atteso ${expectedTypeDefinition}, trovato ${typeDefinition ? typeDefinition.browseName.name : "nessuno"}`);
+        }
+    }
+
+    for (const [methodName, signature] of Object.entries(expected.methods || {})) {
+        const method = objectType.getMethodByName(methodName, namespaceIndex);
+        if (!method) {
+            problems.push(`${typeName}: metodo '${methodName}' mancante`);
+            continue;
+        }
+        const label = `${typeName}.${methodName}`;
+        checkArguments(addressSpace, label, "InputArguments", method.getInputArguments(), signature.inputArguments, problems);
+        checkArguments(addressSpace, label, "OutputArguments", method.getOutputArguments(), signature.outputArguments, problems);
+    }
+};
+
+/**
+ * Confronta il modello caricato nell'address space con `expectedModel`.
+ * @returns {string[]} elenco delle differenze (vuoto se il modello è allineato)
+ */
+const verifyModel = (addressSpace, namespaceIndex) => {
+    const problems = [];
+    for (const [enumName, values] of Object.entries(expectedModel.enumerations)) {
+        checkEnumeration(addressSpace, namespaceIndex, enumName, values, problems);
+    }
+    for (const [structureName, fields] of Object.entries(expectedModel.structures)) {
+        checkStructure(addressSpace, namespaceIndex, structureName, fields, problems);
+    }
+    for (const [typeName, expected] of Object.entries(expectedModel.objectTypes)) {
+        checkObjectType(addressSpace, namespaceIndex, typeName, expected, problems);
+    }
+    return problems;
+};
+
+const constructStructure = (addressSpace, structureName, fields) => addressSpace.constructExtensionObject(
+    addressSpace.findDataType(structureName, addressSpace.getNamespaceIndex(MODEL_NAMESPACE_URI)), fields);
+
+/**
+ * Argomento di uscita Result (OperationResult) dei metodi delle CNC: esito, messaggio e istante dell'operazione.
+ */
+const operationResultArgument = (addressSpace, statusCode, message = "") => ({
+    dataType: DataType.ExtensionObject,
+    value: constructStructure(addressSpace, "OperationResult", { code: statusCode, message, timestamp: new Date() })
+});
+
+/**
+ * Valori correnti di una CNC come MachineSnapshot (argomento di uscita di GetSnapshot).
+ */
+const machineSnapshotArgument = (addressSpace, CNCInstance) => {
+    const read = (node, name) => node.getChildByName(name).readValue().value.value;
+    const statusAI = CNCInstance.getChildByName("StatusAI");
+    return {
+        dataType: DataType.ExtensionObject,
+        value: constructStructure(addressSpace, "MachineSnapshot", {
+            status: read(CNCInstance, "Status"),
+            tool: read(CNCInstance, "Utensile"),
+            partsProduced: read(CNCInstance, "PezziProdotti"),
+            energyConsumption: read(CNCInstance, "ConsumoEnergetico"),
+            spindleSpeed: read(CNCInstance.getChildByName("Mandrino"), "Velocita"),
+            statusAI: statusAI ? statusAI.readValue().value.value : false,
+            timestamp: new Date()
+        })
+    };
+};
+
+/**
+ * Argomento di uscita Results dei metodi di gruppo: un MachineOperationResult per ogni CNC del gruppo.
+ *
+ * @param {AddressSpace} addressSpace
+ * @param {Array<{ machine: string, statusCode: StatusCode, message: string, changed: boolean }>} results
+ */
+const machineOperationResultsArgument = (addressSpace, results) => ({
+    dataType: DataType.ExtensionObject,
+    arrayType: VariantArrayType.Array,
+    value: results.map(({ machine, statusCode, message, changed }) =>
+        constructStructure(addressSpace, "MachineOperationResult", { machine, code: statusCode, message, changed }))
+});
+
+/**
+ * Risolve un percorso "Tipo/Figlio/..." (es. "MacchinaCNCType/Mandrino/CambiareVelocita")
+ * partendo dall'ObjectType indicato dal primo elemento.
+ */
+const resolveModelPath = (addressSpace, namespaceIndex, modelPath) => {
+    const [typeName, ...children] = modelPath.split("/");
+    const objectType = addressSpace.findObjectType(typeName, namespaceIndex);
+    if (!objectType) return null;
+    if (children.length === 0) return objectType;
+
+    const relativePath = children.map(name => `/${namespaceIndex}:${name}`).join("");
+    const result = addressSpace.browsePath(makeBrowsePath(objectType.nodeId, relativePath));
+    if (!result.statusCode.isGood() || result.targets.length === 0) return null;
+    return addressSpace.findNode(result.targets[0].targetId);
+};
+
+/**
+ * Carica il modello CNC dall'address space, controlla che il NodeSet scritto a mano sia allineato con il codice
+ * e collega le implementazioni dei metodi ai nodi indicati dai rispettivi browse path.
+ *
+ * @param {AddressSpace} addressSpace - address space già inizializzato con il NodeSet del modello
+ * @param {Object<string, Function>} methodImplementations - browse path del metodo -> implementazione
+ * @returns {{ namespaceIndex: number, CNCType: UAObjectType, CNCProType: UAObjectType, mandrinoType: UAObjectType, toolPocketType: UAObjectType, machineGroupType: UAObjectType, auditEventType: UAObjectType, statusAuditEventType: UAObjectType, shiftSummaryEventType: UAObjectType }}
+ * @throws {ModelMismatchError} se il modello e il codice non concordano
+ */
+const loadCNCModel = (addressSpace, methodImplementations) => {
+    const namespaceIndex = addressSpace.getNamespaceIndex(MODEL_NAMESPACE_URI);
+    if (namespaceIndex < 0) {
+        throw new ModelMismatchError([`Namespace ${MODEL_NAMESPACE_URI} non trovato: il NodeSet ${MODEL_NODESET_FILE} non è stato caricato`]);
+    }
+
+    const problems = verifyModel(addressSpace, namespaceIndex);
+
+    const boundMethods = new Set();
+    for (const [modelPath, implementation] of Object.entries(methodImplementations)) {
+        const method = resolveModelPath(addressSpace, namespaceIndex, modelPath);
+        if (!method || method.nodeClass !== NodeClass.Method) {
+            problems.push(`Metodo '${modelPath}' non trovato nel modello`);
+            continue;
+        }
+        method.bindMethod(implementation);
+        boundMethods.add(method);
+    }
+
+    // Ogni metodo dichiarato nei tipi del modello deve avere un'implementazione
+    for (const [typeName, expected] of Object.entries(expectedModel.objectTypes)) {
+        const objectType = addressSpace.findObjectType(typeName, namespaceIndex);
+        if (!objectType) continue;
+        for (const method of objectType.getMethods()) {
+            if (!boundMethods.has(method)) {
+                problems.push(`${typeName}.${method.browseName.name}: metodo del modello senza implementazione nel server`);
+            }
+        }
+        for (const objName of Object.keys(expected.objects || {})) {
+            const component = objectType.getComponentByName(objName, namespaceIndex);
+            for (const method of component ? component.getMethods() : []) {
+                if (!boundMethods.has(method)) {
+                    problems.push(`${typeName}.${objName}.${method.browseName.name}: metodo del modello senza implementazione nel server`);
+                }
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ModelMismatchError(problems);
+    }
+
+    return {
+        namespaceIndex,
+        CNCType: addressSpace.findObjectType("MacchinaCNCType", namespaceIndex),
+        CNCProType: addressSpace.findObjectType("MacchinaCNCProType", namespaceIndex),
+        mandrinoType: addressSpace.findObjectType("MandrinoType", namespaceIndex),
+        toolPocketType: addressSpace.findObjectType("ToolPocketType", namespaceIndex),
+        machineGroupType: addressSpace.findObjectType("MachineGroupType", namespaceIndex),
+        auditEventType: addressSpace.findObjectType("CNCMethodAuditEventType", namespaceIndex),
+        statusAuditEventType: addressSpace.findObjectType("CNCStatusAuditEventType", namespaceIndex),
+        shiftSummaryEventType: addressSpace.findObjectType("ShiftSummaryEventType", namespaceIndex)
+    };
+};
+
+module.exports = {
+    MODEL_NODESET_FILE,
+    MODEL_NAMESPACE_URI,
+    UAMODELER_PROJECT_FILE,
+    DESIGN_TYPE_NAMES,
+    CNCStatusEnumValues,
+    MandrinoVelocitaEnumValues,
+    JobStateEnumValues,
+    expectedModel,
+    constructStructure,
+    ModelMismatchError,
+    verifyModel,
+    resolveModelPath,
+    loadCNCModel,
+    operationResultArgument,
+    machineSnapshotArgument,
+    machineOperationResultsArgument
+};
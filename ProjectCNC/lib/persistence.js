@@ -0,0 +1,430 @@
+const fs = require("fs");
+const path = require("path");
+const { DataType } = require("node-opcua");
+
+// Variabili salvate per ogni CNC (percorso relativo all'istanza). Le variabili della manutenzione predittiva
+// non sono tra queste: vengono ricalcolate dal modello della macchina, salvato a parte (registerState)
+const PERSISTED_VARIABLES = [
+    "Status",
+    "PreviousStatus",
+    "LastTransitionTime",
+    "AlarmReason",
+    "AlarmAcknowledged",
+    "PezziProdotti",
+    "ConsumoEnergetico",
+    "Utensile",
+    "UsuraUtensile",
+    "Mandrino/Velocita",
+    "Mandrino/ActualRPM",
+    "Mandrino/TargetRPM",
+    "Mandrino/Load",
+    "Mandrino/BearingTemperature",
+    "Mandrino/Vibration",
+    "ToolMagazine/ActivePocket",
+    "Job/JobId",
+    "Job/PartNumber",
+    "Job/TargetQuantity",
+    "Job/RequiredTool",
+    "Job/SpindleSpeed",
+    "Job/State",
+    "Job/PartsProduced",
+    "Job/Progress",
+    "Job/EstimatedCompletion"
+];
+
+// Variabili salvate per ogni tasca del magazzino utensili (ToolMagazine/Pocket1 ... PocketN)
+const PERSISTED_POCKET_VARIABLES = ["ToolId", "ToolType", "Diameter", "RemainingLife", "UsageCount"];
+
+// Telemetria, valori derivati e contatori della produzione: cambiano a ogni passo della simulazione e dei modelli
+// di processo, quindi vanno nel journal solo ai checkpoint periodici (e nello snapshot), non a ogni modifica
+const CHECKPOINTED_VARIABLES = [
+    "PezziProdotti",
+    "ConsumoEnergetico",
+    "UsuraUtensile",
+    "Mandrino/ActualRPM",
+    "Mandrino/TargetRPM",
+    "Mandrino/Load",
+    "Mandrino/BearingTemperature",
+    "Mandrino/Vibration",
+    "Job/PartsProduced",
+    "Job/Progress",
+    "Job/EstimatedCompletion"
+];
+const CHECKPOINTED_POCKET_VARIABLES = ["RemainingLife"];
+
+const DEFAULT_PERSISTENCE_CONFIG = {
+    enabled: true,
+    file: path.join(__dirname, "../data/state.json"), // snapshot; il journal è lo stesso percorso con estensione .journal
+    compactEntries: 1000, // righe del journal oltre le quali viene scritto un nuovo snapshot
+    checkpointMs: 10000, // intervallo dei checkpoint di telemetria, valori derivati e modelli delle CNC
+    clean: false // se true lo stato salvato viene scartato e le macchine partono dalla configurazione della flotta
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente della persistenza non sono valide.
+ */
+class PersistenceConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione della persistenza non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "PersistenceConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione della persistenza dalle variabili d'ambiente:
+ * CNC_STATE ("off" per disattivarla), CNC_STATE_FILE, CNC_STATE_COMPACT_ENTRIES, CNC_STATE_CHECKPOINT_MS
+ * e CNC_STATE_CLEAN ("on" per scartare lo stato salvato all'avvio).
+ *
+ * @returns {{ enabled: boolean, file: string, compactEntries: number, checkpointMs: number, clean: boolean }}
+ * @throws {PersistenceConfigError} se un valore non è valido
+ */
+const loadPersistenceConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_PERSISTENCE_CONFIG };
+
+    const readSwitch = (name, key) => {
+        if (env[name] === undefined) return;
+        if (!["on", "off"].includes(env[name])) {
+            errors.push(`${name}: valore ${JSON.stringify(env[name])} non valido (ammessi: on, off)`);
+        }
+        config[key] = env[name] === "on";
+    };
+    readSwitch("CNC_STATE", "enabled");
+    readSwitch("CNC_STATE_CLEAN", "clean");
+
+    if (env.CNC_STATE_FILE !== undefined) {
+        if (!env.CNC_STATE_FILE.trim()) {
+            errors.push("CNC_STATE_FILE: percorso vuoto");
+        }
+        config.file = path.resolve(env.CNC_STATE_FILE);
+    }
+    if (env.CNC_STATE_COMPACT_ENTRIES !== undefined) {
+        const compactEntries = Number(env.CNC_STATE_COMPACT_ENTRIES);
+        if (!Number.isInteger(compactEntries) || compactEntries <= 0) {
+            errors.push(`CNC_STATE_COMPACT_ENTRIES: valore ${JSON.stringify(env.CNC_STATE_COMPACT_ENTRIES)} non valido (atteso un intero maggiore di 0)`);
+        }
+        config.compactEntries = compactEntries;
+    }
+    if (env.CNC_STATE_CHECKPOINT_MS !== undefined) {
+        const checkpointMs = Number(env.CNC_STATE_CHECKPOINT_MS);
+        if (!Number.isInteger(checkpointMs) || checkpointMs <= 0) {
+            errors.push(`CNC_STATE_CHECKPOINT_MS: valore ${JSON.stringify(env.CNC_STATE_CHECKPOINT_MS)} non valido (atteso un intero maggiore di 0)`);
+        }
+        config.checkpointMs = checkpointMs;
+    }
+
+    if (errors.length > 0) {
+        throw new PersistenceConfigError(errors);
+    }
+    return config;
+};
+
+const resolveVariable = (instance, variablePath) =>
+    variablePath.split("/").reduce((node, name) => node && node.getChildByName(name), instance);
+
+/**
+ * Variabili salvate di una CNC: percorso relativo all'istanza -> UAVariable.
+ */
+const persistedVariables = (instance) => {
+    const magazine = instance.getChildByName("ToolMagazine");
+    const pocketCount = magazine.getChildByName("PocketCount").readValue().value.value;
+    const paths = [...PERSISTED_VARIABLES];
+    for (let pocket = 1; pocket <= pocketCount; pocket++) {
+        paths.push(...PERSISTED_POCKET_VARIABLES.map(name => `ToolMagazine/Pocket${pocket}/${name}`));
+    }
+    return new Map(paths.map(variablePath => [variablePath, resolveVariable(instance, variablePath)]));
+};
+
+const isCheckpointed = (variablePath) => {
+    const pocketVariable = /^ToolMagazine\/Pocket\d+\/(\w+)$/.exec(variablePath);
+    return pocketVariable ? CHECKPOINTED_POCKET_VARIABLES.includes(pocketVariable[1]) : CHECKPOINTED_VARIABLES.includes(variablePath);
+};
+
+// Valore di una Variant in forma JSON ({ dataType, value }) e viceversa
+const encodeVariant = (variant) => ({ dataType: DataType[variant.dataType], value: variant.value });
+
+const decodeVariant = ({ dataType, value }) => ({
+    dataType: DataType[dataType],
+    value: dataType === "DateTime" && value !== null ? new Date(value) : value
+});
+
+// Scrittura durevole: i dati raggiungono il disco prima che la funzione ritorni
+const writeDurably = (file, content) => {
+    const fd = fs.openSync(file, "w");
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+// Rende durevole la rinomina di un file nella cartella (non supportato su Windows, dove la rinomina è già sincrona)
+const syncDirectory = (directory) => {
+    let fd;
+    try {
+        fd = fs.openSync(directory, "r");
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // cartelle non apribili o non sincronizzabili su questo sistema
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+};
+
+/**
+ * Stato persistente delle CNC: uno snapshot JSON e un journal (write-ahead log) delle modifiche successive.
+ *
+ * Ogni modifica dello stato impostato dai metodi (stato e allarme, utensili, velocità, commessa) viene aggiunta
+ * al journal come riga JSON con un numero di sequenza e sincronizzata su disco prima di proseguire.
+ * Telemetria, valori derivati e contatori della produzione (CHECKPOINTED_VARIABLES) e gli stati registrati
+ * con registerState vengono invece scritti tutti insieme, con una sola sincronizzazione, ogni `checkpointMs`:
+ * dopo un arresto improvviso ripartono dall'ultimo checkpoint.
+ * Oltre `compactEntries` righe, all'avvio e all'arresto lo stato completo viene scritto in un file temporaneo,
+ * sincronizzato e rinominato sullo snapshot (operazione atomica), e solo dopo il journal viene svuotato.
+ * All'avvio si applicano allo snapshot le righe del journal con sequenza successiva alla sua: una riga troncata
+ * da un arresto durante la scrittura viene ignorata, quelle già comprese nello snapshot vengono saltate.
+ */
+class MachineStateStore {
+
+    /**
+     * @param {Object} config - configurazione restituita da loadPersistenceConfig
+     */
+    constructor({ file, compactEntries, checkpointMs = DEFAULT_PERSISTENCE_CONFIG.checkpointMs, clean }) {
+        this.file = file;
+        this.journalFile = `${file}.journal`;
+        this.compactEntries = compactEntries;
+        this.checkpointMs = checkpointMs;
+        this.checkpointTimer = null;
+        this.providers = new Map();
+        this.machines = new Map();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (clean) {
+            fs.rmSync(this.file, { force: true });
+            fs.rmSync(this.journalFile, { force: true });
+        }
+        this.saved = this._load();
+        this.seq = this.saved.seq;
+        this.journalEntries = 0;
+        this.journal = fs.openSync(this.journalFile, "a");
+    }
+
+    /**
+     * Registra uno stato aggiuntivo delle CNC, ad esempio il modello predittivo. Viene salvato negli snapshot
+     * e, a ogni checkpoint o chiamata di recordState, nel journal.
+     *
+     * @param {string} name - chiave dello stato nello snapshot
+     * @param {{ save: (instance: UAObject) => any, restore: (instance: UAObject, state: any) => void }} provider -
+     *        save restituisce undefined per le CNC che non hanno questo stato
+     */
+    registerState(name, provider) {
+        this.providers.set(name, provider);
+    }
+
+    /**
+     * Ripristina lo stato salvato delle CNC della flotta e inizia a salvarne le modifiche e i checkpoint.
+     * Va chiamato prima di installare allarmi e storico, così partono dai valori ripristinati.
+     *
+     * @param {Array<{ instance: UAObject }>} fleet - istanze restituite da buildFleet
+     * @returns {string[]} nomi delle macchine ripristinate
+     */
+    install(fleet) {
+        const restored = [];
+        for (const { instance } of fleet) {
+            const name = instance.browseName.name;
+            const variables = persistedVariables(instance);
+            const saved = this.saved.machines[name];
+            if (saved) {
+                this._restoreMachine(name, instance, variables, saved);
+                restored.push(name);
+            }
+
+            // Variabili cambiate dall'ultimo checkpoint (solo quelle scritte ai checkpoint)
+            const changed = new Set();
+            const listeners = new Map();
+            for (const [variablePath, variable] of variables) {
+                const listener = isCheckpointed(variablePath)
+                    ? () => changed.add(variablePath)
+                    : (dataValue) => this._write([this._variableEntry(name, variablePath, dataValue.value)]);
+                variable.on("value_changed", listener);
+                listeners.set(variable, listener);
+            }
+            this.machines.set(name, { instance, variables, listeners, changed });
+        }
+        for (const name of Object.keys(this.saved.machines)) {
+            if (!this.machines.has(name)) {
+                console.warn(`Stato salvato di ${name} ignorato: la macchina non è nella configurazione della flotta.`);
+            }
+        }
+
+        // Lo snapshot iniziale assorbe il journal, compresa un'eventuale riga troncata
+        this.compact();
+        this.checkpointTimer = setInterval(() => this.checkpoint(), this.checkpointMs);
+        return restored;
+    }
+
+    _restoreMachine(name, instance, variables, saved) {
+        for (const [variablePath, value] of Object.entries(saved.variables || {})) {
+            const variable = variables.get(variablePath);
+            if (!variable) {
+                console.warn(`Stato salvato di ${name}: variabile ${variablePath} non più presente, ignorata.`);
+                continue;
+            }
+            variable.setValueFromSource(decodeVariant(value));
+        }
+        for (const [key, provider] of this.providers) {
+            if (saved.state && saved.state[key] !== undefined) {
+                provider.restore(instance, saved.state[key]);
+            }
+        }
+    }
+
+    /**
+     * Aggiunge al journal lo stato `name` (vedi registerState) di tutte le CNC che lo hanno.
+     */
+    recordState(name) {
+        this._write(this._stateEntries(name));
+    }
+
+    /**
+     * Checkpoint: aggiunge al journal, con una sola sincronizzazione, le variabili di CHECKPOINTED_VARIABLES
+     * cambiate dall'ultimo checkpoint e gli stati registrati con registerState.
+     */
+    checkpoint() {
+        const entries = [];
+        for (const [machine, { variables, changed }] of this.machines) {
+            for (const variablePath of changed) {
+                const variant = variables.get(variablePath).readValue().value;
+                if (variant.dataType !== DataType.Null) entries.push(this._variableEntry(machine, variablePath, variant));
+            }
+            changed.clear();
+        }
+        for (const name of this.providers.keys()) {
+            entries.push(...this._stateEntries(name));
+        }
+        this._write(entries);
+    }
+
+    _stateEntries(name) {
+        const provider = this.providers.get(name);
+        const entries = [];
+        for (const [machine, { instance }] of this.machines) {
+            const state = provider.save(instance);
+            if (state !== undefined) entries.push({ seq: ++this.seq, machine, state: name, value: state });
+        }
+        return entries;
+    }
+
+    _variableEntry(machine, variablePath, variant) {
+        return { seq: ++this.seq, machine, variable: variablePath, ...encodeVariant(variant) };
+    }
+
+    _write(entries) {
+        if (entries.length === 0) return;
+        fs.writeSync(this.journal, entries.map(entry => JSON.stringify(entry) + "\n").join(""));
+        fs.fdatasyncSync(this.journal);
+        this.journalEntries += entries.length;
+        if (this.journalEntries >= this.compactEntries) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Scrive lo snapshot dello stato corrente delle CNC e svuota il journal.
+     */
+    compact() {
+        const snapshot = { seq: this.seq, savedAt: new Date().toISOString(), machines: {} };
+        for (const [name, { instance, variables, changed }] of this.machines) {
+            // Lo snapshot comprende anche le variabili in attesa del checkpoint
+            changed.clear();
+            const machine = { variables: {}, state: {} };
+            for (const [variablePath, variable] of variables) {
+                const variant = variable.readValue().value;
+                if (variant.dataType !== DataType.Null) {
+                    machine.variables[variablePath] = encodeVariant(variant);
+                }
+            }
+            for (const [key, provider] of this.providers) {
+                const state = provider.save(instance);
+                if (state !== undefined) machine.state[key] = state;
+            }
+            snapshot.machines[name] = machine;
+        }
+
+        const temporaryFile = `${this.file}.tmp`;
+        writeDurably(temporaryFile, JSON.stringify(snapshot, null, 2));
+        fs.renameSync(temporaryFile, this.file);
+        syncDirectory(path.dirname(this.file));
+
+        fs.ftruncateSync(this.journal, 0);
+        fs.fsyncSync(this.journal);
+        this.journalEntries = 0;
+    }
+
+    /**
+     * Stato salvato: lo snapshot con le righe successive del journal applicate.
+     * @returns {{ seq: number, machines: Object<string, { variables: Object, state: Object }> }}
+     */
+    _load() {
+        let saved = { seq: 0, machines: {} };
+        if (fs.existsSync(this.file)) {
+            try {
+                saved = JSON.parse(fs.readFileSync(this.file, "utf8"));
+            } catch (error) {
+                // Lo snapshot viene sostituito solo per rinomina: se non è leggibile è stato modificato da fuori
+                throw new Error(`Stato salvato ${this.file} non leggibile (${error.message}): ` +
+                    "correggerlo o avviare il server con CNC_STATE_CLEAN=on per ripartire dalla configurazione della flotta");
+            }
+        }
+        if (!fs.existsSync(this.journalFile)) return saved;
+
+        const lines = fs.readFileSync(this.journalFile, "utf8").split("\n");
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Una riga troncata (ad es. per un arresto durante la scrittura) viene ignorata
+                console.warn(`Journal ${this.journalFile}: riga ${index + 1} non valida ignorata (${error.message}).`);
+                return;
+            }
+            if (entry.seq <= saved.seq) return;
+            const machine = saved.machines[entry.machine] = saved.machines[entry.machine] || { variables: {}, state: {} };
+            if (entry.state !== undefined) {
+                machine.state[entry.state] = entry.value;
+            } else {
+                machine.variables[entry.variable] = { dataType: entry.dataType, value: entry.value };
+            }
+            saved.seq = entry.seq;
+        });
+        return saved;
+    }
+
+    /**
+     * Arresto ordinato: snapshot finale (con telemetria e stati registrati correnti) e chiusura del journal.
+     */
+    close() {
+        if (this.journal === null) return;
+        clearInterval(this.checkpointTimer);
+        this.checkpointTimer = null;
+        this.compact();
+        for (const { listeners } of this.machines.values()) {
+            listeners.forEach((listener, variable) => variable.removeListener("value_changed", listener));
+        }
+        fs.closeSync(this.journal);
+        this.journal = null;
+    }
+}
+
+module.exports = {
+    PERSISTED_VARIABLES,
+    PERSISTED_POCKET_VARIABLES,
+    CHECKPOINTED_VARIABLES,
+    CHECKPOINTED_POCKET_VARIABLES,
+    DEFAULT_PERSISTENCE_CONFIG,
+    PersistenceConfigError,
+    loadPersistenceConfig,
+    MachineStateStore
+};
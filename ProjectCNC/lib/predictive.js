@@ -0,0 +1,392 @@
+const { DataType, VariantArrayType } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { computeEnergyConsumption } = require("./stateMachine");
+const { localize, message } = require("./i18n");
+
+// Frazione di campioni di consumo anomali oltre la quale il fattore "anomalie energetiche" è al massimo
+const ANOMALY_RATE_LIMIT = 0.05;
+
+// Costante di tempo (ore) con cui gli allarmi recenti smettono di pesare sull'indice di salute
+const ALARM_DECAY_HOURS = 24;
+
+// Orizzonte (ore di funzionamento) entro cui la manutenzione va pianificata
+const PLAN_HORIZON_HOURS = 8;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Fattori dell'indice di salute: ciascuno ha una severità da 0 a 1 calcolata dal modello della macchina
+ * e un peso; l'indice vale 100 * (1 - somma dei pesi per le severità). I pesi sommano a 1.
+ * La descrizione e l'intervento consigliato sono messaggi tradotti (LocalizedMessage).
+ */
+const HEALTH_FACTORS = [
+    {
+        name: "toolWear",
+        weight: 0.35,
+        // L'usura pesa dal 50% in su (100% = utensile da sostituire)
+        severity: (model) => clamp((model.toolWear - 50) / 50),
+        describe: (model) => message("toolWearFactor", { wear: round(model.toolWear, 0), toolId: model.toolId }),
+        action: message("replaceToolAction")
+    },
+    {
+        name: "energyAnomalies",
+        weight: 0.25,
+        severity: (model) => clamp(model.anomalyRate / ANOMALY_RATE_LIMIT),
+        describe: (model) => message("energyAnomaliesFactor", { rate: round(model.anomalyRate * 100), zScore: round(model.energyZScore) }),
+        action: message("inspectSpindleDriveAction")
+    },
+    {
+        name: "spindleLoad",
+        weight: 0.2,
+        // Il carico pesa dal 50% del nominale in su, al massimo al 100% (oltre la CNC va in Alarm per sovraccarico)
+        severity: (model) => clamp(((model.spindleLoad || 0) - 0.5) / 0.5),
+        describe: (model) => message("spindleLoadFactor", { load: round((model.spindleLoad || 0) * 100, 0) }),
+        action: message("checkSpindleBearingsAction")
+    },
+    {
+        name: "alarms",
+        weight: 0.2,
+        severity: (model) => clamp(model.recentAlarms / 3),
+        describe: (model) => message("recentAlarmsFactor", { alarms: round(model.recentAlarms) }),
+        action: message("investigateAlarmsAction")
+    }
+];
+
+const TOOL_WEAR_FACTOR = HEALTH_FACTORS.find(factor => factor.name === "toolWear");
+
+const DEFAULT_PREDICTIVE_CONFIG = {
+    ewmaAlpha: 0.05, // peso del nuovo campione nelle medie esponenziali
+    zThreshold: 3, // |z| oltre cui un consumo è anomalo
+    warmupSamples: 30, // campioni di consumo prima di valutare gli z-score
+    alertScore: 60 // sotto questo indice di salute la manutenzione è necessaria (StatusAI = true)
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente della manutenzione predittiva non sono valide.
+ */
+class PredictiveConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione della manutenzione predittiva non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "PredictiveConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione della manutenzione predittiva dalle variabili d'ambiente:
+ * CNC_PM_EWMA_ALPHA, CNC_PM_Z_THRESHOLD, CNC_PM_WARMUP_SAMPLES e CNC_PM_ALERT_SCORE.
+ *
+ * @returns {{ ewmaAlpha: number, zThreshold: number, warmupSamples: number, alertScore: number }}
+ * @throws {PredictiveConfigError} se un valore non è valido
+ */
+const loadPredictiveConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_PREDICTIVE_CONFIG };
+
+    const readNumber = (name, key, isValid, expected) => {
+        if (env[name] === undefined) return;
+        const value = Number(env[name]);
+        if (env[name].trim() === "" || !isValid(value)) {
+            errors.push(`${name}: valore ${JSON.stringify(env[name])} non valido (atteso ${expected})`);
+        } else {
+            config[key] = value;
+        }
+    };
+    readNumber("CNC_PM_EWMA_ALPHA", "ewmaAlpha", v => v > 0 && v <= 1, "un numero maggiore di 0 e al massimo 1");
+    readNumber("CNC_PM_Z_THRESHOLD", "zThreshold", v => Number.isFinite(v) && v > 0, "un numero maggiore di 0");
+    readNumber("CNC_PM_WARMUP_SAMPLES", "warmupSamples", v => Number.isInteger(v) && v >= 2, "un intero maggiore o uguale a 2");
+    readNumber("CNC_PM_ALERT_SCORE", "alertScore", v => v >= 0 && v <= 100, "un numero da 0 a 100");
+
+    if (errors.length > 0) {
+        throw new PredictiveConfigError(errors);
+    }
+    return config;
+};
+
+/**
+ * Media e varianza a media mobile esponenziale (EWMA/EWMV) di una serie.
+ */
+class EwmaStatistics {
+    constructor(alpha) {
+        this.alpha = alpha;
+        this.count = 0;
+        this.mean = 0;
+        this.variance = 0;
+    }
+
+    /**
+     * Aggiunge un campione e restituisce il suo z-score rispetto alle statistiche precedenti
+     * (0 finché la varianza non è nota).
+     */
+    update(value) {
+        const deviation = value - this.mean;
+        const zScore = this.count > 1 && this.variance > 0 ? deviation / Math.sqrt(this.variance) : 0;
+        if (this.count === 0) {
+            this.mean = value;
+        } else {
+            this.mean += this.alpha * deviation;
+            this.variance = (1 - this.alpha) * (this.variance + this.alpha * deviation * deviation);
+        }
+        this.count++;
+        return zScore;
+    }
+}
+
+/**
+ * Modello statistico dello stato di salute di una CNC, aggiornato a ogni passo dei modelli di processo:
+ * ore di funzionamento, carico del mandrino (EWMA di Mandrino/Load), anomalie del consumo energetico
+ * (z-score dello scarto relativo dalla formula della macchina a stati rispetto alla sua EWMA),
+ * usura dell'utensile e sua velocità di crescita, allarmi recenti.
+ */
+class MachineHealthModel {
+    constructor(config = DEFAULT_PREDICTIVE_CONFIG) {
+        this.config = config;
+        this.operatingHours = 0;
+        this.spindleLoad = null;
+        this.energy = new EwmaStatistics(config.ewmaAlpha);
+        this.energyZScore = 0;
+        this.anomalyRate = 0;
+        this.toolId = "";
+        this.toolWear = 0;
+        this.toolWearRate = null; // %/ora di funzionamento (EWMA)
+        this.recentAlarms = 0;
+    }
+
+    /**
+     * Aggiunge le letture della macchina dopo `hours` ore.
+     *
+     * @param {{ hours: number, status: number, speed: number, load: number, energyConsumption: number, toolId: string, toolWear: number }} reading
+     *        - `load` è il carico del mandrino in % del nominale
+     */
+    observe({ hours, status, speed, load, energyConsumption, toolId, toolWear }) {
+        const { ewmaAlpha, zThreshold, warmupSamples } = this.config;
+        this.recentAlarms *= Math.exp(-hours / ALARM_DECAY_HOURS);
+
+        if (status === CNCStatusEnumValues.On && hours > 0) {
+            this.operatingHours += hours;
+
+            const loadRatio = load / 100;
+            this.spindleLoad = this.spindleLoad === null ? loadRatio : this.spindleLoad + ewmaAlpha * (loadRatio - this.spindleLoad);
+
+            const expected = computeEnergyConsumption(CNCStatusEnumValues.On, speed);
+            const zScore = this.energy.update(energyConsumption / expected - 1);
+            const warmedUp = this.energy.count > warmupSamples;
+            this.energyZScore = warmedUp ? zScore : 0;
+            const anomalous = warmedUp && Math.abs(zScore) > zThreshold ? 1 : 0;
+            this.anomalyRate += ewmaAlpha * (anomalous - this.anomalyRate);
+
+            // Velocità di usura solo finché resta montato lo stesso utensile
+            if (toolId && toolId === this.toolId && toolWear >= this.toolWear) {
+                const rate = (toolWear - this.toolWear) / hours;
+                this.toolWearRate = this.toolWearRate === null ? rate : this.toolWearRate + ewmaAlpha * (rate - this.toolWearRate);
+            }
+        }
+        this.toolId = toolId;
+        this.toolWear = toolWear;
+    }
+
+    recordAlarm() {
+        this.recentAlarms += 1;
+    }
+
+    /**
+     * Stato del modello in forma JSON (senza la configurazione), da riprendere con restore() dopo un riavvio.
+     */
+    toJSON() {
+        const { count, mean, variance } = this.energy;
+        return {
+            operatingHours: this.operatingHours,
+            spindleLoad: this.spindleLoad,
+            energy: { count, mean, variance },
+            energyZScore: this.energyZScore,
+            anomalyRate: this.anomalyRate,
+            toolId: this.toolId,
+            toolWear: this.toolWear,
+            toolWearRate: this.toolWearRate,
+            recentAlarms: this.recentAlarms
+        };
+    }
+
+    restore({ energy, ...state }) {
+        Object.assign(this, state);
+        Object.assign(this.energy, energy);
+    }
+
+    /**
+     * Stima delle ore di funzionamento prima che l'indice di salute scenda sotto alertScore o che l'utensile
+     * si esaurisca, proiettando l'usura dell'utensile (l'unico fattore con una tendenza misurabile).
+     * 0 se la manutenzione è già necessaria, NaN se la velocità di usura non è ancora nota.
+     */
+    _estimateTimeToMaintenance(healthScore) {
+        const margin = healthScore - this.config.alertScore;
+        if (margin <= 0) return 0;
+        if (!(this.toolWearRate > 0)) return NaN;
+
+        const pointsPerWearPercent = TOOL_WEAR_FACTOR.weight * 100 / 50;
+        const wearAtAlert = Math.max(this.toolWear, 50) + margin / pointsPerWearPercent;
+        return (Math.min(wearAtAlert, 100) - this.toolWear) / this.toolWearRate;
+    }
+
+    /**
+     * Rapporto di manutenzione predittiva. Fattori e raccomandazione sono messaggi tradotti
+     * (in inglese se convertiti in stringa); reportOutputArguments li traduce nella lingua della sessione.
+     *
+     * @returns {{ healthScore: number, estimatedTimeToMaintenance: number, maintenanceRecommended: boolean,
+     *             topFactors: LocalizedMessage[], recommendation: LocalizedMessage }}
+     */
+    assess() {
+        const factors = HEALTH_FACTORS
+            .map(factor => ({ factor, impact: 100 * factor.weight * factor.severity(this) }))
+            .filter(({ impact }) => impact > 0)
+            .sort((a, b) => b.impact - a.impact);
+        const healthScore = round(100 - factors.reduce((sum, { impact }) => sum + impact, 0));
+        const estimatedTimeToMaintenance = round(this._estimateTimeToMaintenance(healthScore));
+        const maintenanceRecommended = healthScore < this.config.alertScore;
+
+        const topFactors = factors.slice(0, 3).map(({ factor, impact }) =>
+            message("healthFactorImpact", { factor: factor.describe(this), impact: round(impact) }));
+        const actions = factors.slice(0, 3).map(({ factor }) => factor.action);
+        let recommendation;
+        if (maintenanceRecommended) {
+            recommendation = message("maintenanceRequired", { actions });
+        } else if (estimatedTimeToMaintenance < PLAN_HORIZON_HOURS) {
+            // La stima proietta l'usura dell'utensile, quindi l'intervento da pianificare è la sua sostituzione
+            recommendation = message("maintenancePlanned", { hours: estimatedTimeToMaintenance, action: TOOL_WEAR_FACTOR.action });
+        } else {
+            // Senza manutenzione in vista, l'intervento del fattore principale resta un consiglio
+            recommendation = Number.isNaN(estimatedTimeToMaintenance)
+                ? message("noMaintenanceNotEstimated", { action: actions[0] })
+                : message("noMaintenanceNeeded", { hours: estimatedTimeToMaintenance, action: actions[0] });
+        }
+
+        return { healthScore, estimatedTimeToMaintenance, maintenanceRecommended, topFactors, recommendation };
+    }
+}
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+// Scrive solo i valori cambiati, per non notificare i client a ogni passo con lo stesso valore
+const writeValue = (node, name, dataType, value) => {
+    const variable = node.getChildByName(name);
+    if (!Object.is(variable.readValue().value.value, value)) {
+        variable.setValueFromSource({ dataType, value });
+    }
+};
+
+/**
+ * Manutenzione predittiva delle CNC Pro: un MachineHealthModel per macchina, aggiornato da advance()
+ * a ogni tick dell'orologio dei modelli di processo (ProcessClock), con i risultati esposti nelle variabili OperatingHours, HealthScore,
+ * EstimatedTimeToMaintenance, SpindleLoad, EnergyAnomalyScore e StatusAI (true se la manutenzione è necessaria).
+ */
+class PredictiveMaintenance {
+
+    /**
+     * @param {MachineStateMachine} stateMachine - gli allarmi delle macchine pesano sull'indice di salute
+     * @param {Object} config - configurazione restituita da loadPredictiveConfig
+     */
+    constructor(stateMachine, config = DEFAULT_PREDICTIVE_CONFIG) {
+        this.stateMachine = stateMachine;
+        this.config = config;
+        this.machines = new Map();
+        stateMachine.on("transition", ({ machine, to }) => {
+            if (to === CNCStatusEnumValues.Alarm && this.machines.has(machine)) {
+                this.machines.get(machine).recordAlarm();
+            }
+        });
+    }
+
+    /**
+     * Inizia a seguire le CNC Pro della flotta.
+     *
+     * @param {Array<{ config: Object, instance: UAObject }>} fleet - istanze restituite da buildFleet
+     */
+    install(fleet) {
+        for (const { config, instance } of fleet) {
+            if (config.type === "pro") {
+                this.machines.set(instance, new MachineHealthModel(this.config));
+                this._publish(instance);
+            }
+        }
+    }
+
+    /**
+     * Aggiorna i modelli dopo `elapsedMs` millisecondi.
+     */
+    advance(elapsedMs) {
+        for (const [instance, model] of this.machines) {
+            const mandrino = instance.getChildByName("Mandrino");
+            model.observe({
+                hours: elapsedMs / 3600000,
+                status: this.stateMachine.getStatus(instance),
+                speed: readValue(mandrino, "Velocita"),
+                load: readValue(mandrino, "Load"),
+                energyConsumption: readValue(instance, "ConsumoEnergetico"),
+                toolId: readValue(instance, "Utensile"),
+                toolWear: readValue(instance, "UsuraUtensile")
+            });
+            this._publish(instance);
+        }
+    }
+
+    /**
+     * Rapporto di manutenzione predittiva di una CNC Pro (vedi MachineHealthModel.assess).
+     */
+    assess(instance) {
+        const model = this.machines.get(instance);
+        if (!model) {
+            throw new Error(`${instance.browseName.name} non è seguita dalla manutenzione predittiva`);
+        }
+        return model.assess();
+    }
+
+    /**
+     * Stato del modello di una CNC Pro da salvare tra i riavvii (undefined per le CNC base).
+     */
+    saveState(instance) {
+        const model = this.machines.get(instance);
+        return model ? model.toJSON() : undefined;
+    }
+
+    /**
+     * Riprende il modello di una CNC Pro da uno stato restituito da saveState.
+     */
+    restoreState(instance, state) {
+        const model = this.machines.get(instance);
+        if (!model) return;
+        model.restore(state);
+        this._publish(instance);
+    }
+
+    _publish(instance) {
+        const model = this.machines.get(instance);
+        const report = model.assess();
+        writeValue(instance, "OperatingHours", DataType.Double, round(model.operatingHours, 2));
+        writeValue(instance, "SpindleLoad", DataType.Double, round((model.spindleLoad || 0) * 100));
+        writeValue(instance, "EnergyAnomalyScore", DataType.Double, round(model.energyZScore, 2));
+        writeValue(instance, "HealthScore", DataType.Double, report.healthScore);
+        writeValue(instance, "EstimatedTimeToMaintenance", DataType.Double, report.estimatedTimeToMaintenance);
+        writeValue(instance, "StatusAI", DataType.Boolean, report.maintenanceRecommended);
+    }
+}
+
+/**
+ * Argomenti di uscita di ManutenzionePredittiva per un rapporto di assess(), con i testi nella lingua `locale`.
+ */
+const reportOutputArguments = (report, locale) => [
+    { dataType: DataType.Double, value: report.healthScore },
+    { dataType: DataType.Double, value: report.estimatedTimeToMaintenance },
+    { dataType: DataType.String, arrayType: VariantArrayType.Array, value: report.topFactors.map(factor => localize(factor, locale)) },
+    { dataType: DataType.String, value: localize(report.recommendation, locale) }
+];
+
+module.exports = {
+    HEALTH_FACTORS,
+    DEFAULT_PREDICTIVE_CONFIG,
+    PredictiveConfigError,
+    loadPredictiveConfig,
+    EwmaStatistics,
+    MachineHealthModel,
+    PredictiveMaintenance,
+    reportOutputArguments
+};
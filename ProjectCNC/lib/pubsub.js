@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const net = require("net");
+const mqtt = require("mqtt");
+const { DataType } = require("node-opcua");
+
+// Variabili pubblicate per ogni CNC: nome nel topic -> percorso relativo all'istanza
+const PUBLISHED_VARIABLES = {
+    Status: "Status",
+    ConsumoEnergetico: "ConsumoEnergetico",
+    PezziProdotti: "PezziProdotti",
+    Velocita: "Mandrino/Velocita",
+    StatusAI: "StatusAI"
+};
+
+// Topic dello stato del publisher di una CNC (messaggio di nascita/morte, retained)
+const STATE_TOPIC = "$state";
+
+// Stati PubSubState (OPC UA Part 14) usati nei messaggi ua-status
+const PubSubState = { Disabled: "Disabled", Operational: "Operational", Error: "Error" };
+
+const DEFAULT_PUBSUB_CONFIG = {
+    url: null, // broker MQTT, es. mqtt://localhost:1883 (null = pubblicazione disattivata)
+    brokerPort: null, // porta del broker MQTT integrato (aedes), per prove senza servizi esterni
+    topicRoot: "plant",
+    intervalMs: 10000 // pubblicazione periodica di tutti i valori (0 = solo al cambiamento)
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente della pubblicazione MQTT non sono valide.
+ */
+class PubSubConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione della pubblicazione MQTT non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "PubSubConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione della pubblicazione MQTT dalle variabili d'ambiente:
+ * CNC_MQTT_URL, CNC_MQTT_BROKER_PORT, CNC_MQTT_TOPIC_ROOT e CNC_MQTT_INTERVAL_MS.
+ * Con il solo CNC_MQTT_BROKER_PORT il server pubblica sul broker integrato.
+ *
+ * @returns {{ enabled: boolean, url: string|null, brokerPort: number|null, topicRoot: string, intervalMs: number }}
+ * @throws {PubSubConfigError} se un valore non è valido
+ */
+const loadPubSubConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_PUBSUB_CONFIG };
+
+    if (env.CNC_MQTT_URL !== undefined) {
+        if (!/^mqtts?:\/\/.+/.test(env.CNC_MQTT_URL)) {
+            errors.push(`CNC_MQTT_URL: valore ${JSON.stringify(env.CNC_MQTT_URL)} non valido (atteso mqtt://host:porta o mqtts://host:porta)`);
+        }
+        config.url = env.CNC_MQTT_URL;
+    }
+    if (env.CNC_MQTT_BROKER_PORT !== undefined) {
+        const port = Number(env.CNC_MQTT_BROKER_PORT);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            errors.push(`CNC_MQTT_BROKER_PORT: valore ${JSON.stringify(env.CNC_MQTT_BROKER_PORT)} non valido (attesa una porta TCP da 1 a 65535)`);
+        }
+        config.brokerPort = port;
+        config.url = config.url || `mqtt://localhost:${port}`;
+    }
+    if (env.CNC_MQTT_TOPIC_ROOT !== undefined) {
+        if (!env.CNC_MQTT_TOPIC_ROOT || /[#+]/.test(env.CNC_MQTT_TOPIC_ROOT)) {
+            errors.push(`CNC_MQTT_TOPIC_ROOT: valore ${JSON.stringify(env.CNC_MQTT_TOPIC_ROOT)} non valido (non vuoto, senza caratteri jolly + e #)`);
+        }
+        config.topicRoot = env.CNC_MQTT_TOPIC_ROOT;
+    }
+    if (env.CNC_MQTT_INTERVAL_MS !== undefined) {
+        const intervalMs = Number(env.CNC_MQTT_INTERVAL_MS);
+        if (env.CNC_MQTT_INTERVAL_MS.trim() === "" || !Number.isInteger(intervalMs) || intervalMs < 0) {
+            errors.push(`CNC_MQTT_INTERVAL_MS: valore ${JSON.stringify(env.CNC_MQTT_INTERVAL_MS)} non valido (atteso un intero maggiore o uguale a 0)`);
+        }
+        config.intervalMs = intervalMs;
+    }
+
+    if (errors.length > 0) {
+        throw new PubSubConfigError(errors);
+    }
+    return { ...config, enabled: config.url !== null };
+};
+
+/**
+ * Valore di un campo nella codifica JSON di OPC UA (Part 6): DataValue con Variant reversibile
+ * ({ Type: id del tipo built-in, Body: valore }).
+ */
+const encodeField = (dataValue) => {
+    const { dataType, value } = dataValue.value;
+    const field = { Value: { Type: dataType, Body: dataType === DataType.DateTime && value ? value.toISOString() : value } };
+    if (!dataValue.statusCode.isGood()) {
+        field.Status = { Code: dataValue.statusCode.value, Symbol: dataValue.statusCode.name };
+    }
+    if (dataValue.sourceTimestamp) {
+        field.SourceTimestamp = dataValue.sourceTimestamp.toISOString();
+    }
+    return field;
+};
+
+/**
+ * Publisher PubSub di una CNC: una connessione MQTT propria, così il Last Will del broker
+ * pubblica il messaggio di morte della singola macchina se il server si interrompe.
+ *
+ * Topic: <root>/<linea>/<macchina>/<variabile> con un NetworkMessage JSON ua-data per valore
+ * (ua-keyframe per la pubblicazione periodica, ua-deltaframe per i cambiamenti)
+ * e <root>/<linea>/<macchina>/$state con il messaggio ua-status retained.
+ */
+class MachinePublisher {
+    constructor({ config, instance }, pubSubConfig) {
+        this.name = instance.browseName.name;
+        this.baseTopic = `${pubSubConfig.topicRoot}/${config.line}/${this.name}`;
+        this.intervalMs = pubSubConfig.intervalMs;
+
+        // Le variabili assenti (es. StatusAI su una CNC base) non vengono pubblicate
+        this.variables = Object.entries(PUBLISHED_VARIABLES)
+            .map(([name, path], index) => ({
+                name,
+                node: path.split("/").reduce((node, child) => node && node.getChildByName(child), instance),
+                dataSetWriterId: index + 1,
+                sequenceNumber: 0
+            }))
+            .filter(variable => variable.node);
+
+        this.client = mqtt.connect(pubSubConfig.url, {
+            clientId: `cnc-${this.name}-${crypto.randomBytes(4).toString("hex")}`,
+            will: { topic: `${this.baseTopic}/${STATE_TOPIC}`, payload: this._statusMessage(PubSubState.Error), qos: 1, retain: true }
+        });
+        this.client.on("connect", () => {
+            console.log(`Publisher MQTT di ${this.name} connesso a ${pubSubConfig.url}.`);
+            this._publishState(PubSubState.Operational).catch(error =>
+                console.warn(`Stato Operational di ${this.name} non pubblicato: ${error.message}`));
+            this.publishAll();
+        });
+        this.client.on("offline", () => console.warn(`Publisher MQTT di ${this.name} non connesso al broker, nuovo tentativo in corso.`));
+        this.client.on("error", () => {}); // gli errori di connessione sono gestiti dalla riconnessione automatica
+
+        this.listeners = this.variables.map(variable => {
+            const listener = (dataValue) => this._publish(variable, dataValue, "ua-deltaframe");
+            variable.node.on("value_changed", listener);
+            return listener;
+        });
+        this.timer = this.intervalMs > 0 ? setInterval(() => this.publishAll(), this.intervalMs) : null;
+    }
+
+    _statusMessage(status) {
+        return JSON.stringify({
+            MessageId: crypto.randomUUID(),
+            MessageType: "ua-status",
+            PublisherId: this.name,
+            Timestamp: new Date().toISOString(),
+            IsCyclic: false,
+            Status: status
+        });
+    }
+
+    _publishState(status) {
+        return this.client.publishAsync(`${this.baseTopic}/${STATE_TOPIC}`, this._statusMessage(status), { qos: 1, retain: true });
+    }
+
+    // Senza connessione i cambiamenti non vengono accodati: alla riconnessione si ripubblicano tutti i valori correnti
+    _publish(variable, dataValue, messageType) {
+        if (!this.client.connected) return;
+        variable.sequenceNumber = (variable.sequenceNumber + 1) % 65536;
+        const networkMessage = {
+            MessageId: crypto.randomUUID(),
+            MessageType: "ua-data",
+            PublisherId: this.name,
+            Messages: [{
+                DataSetWriterId: variable.dataSetWriterId,
+                SequenceNumber: variable.sequenceNumber,
+                MessageType: messageType,
+                Timestamp: new Date().toISOString(),
+                Payload: { [variable.name]: encodeField(dataValue) }
+            }]
+        };
+        this.client.publish(`${this.baseTopic}/${variable.name}`, JSON.stringify(networkMessage), { qos: 0 });
+    }
+
+    /**
+     * Pubblica il valore corrente di tutte le variabili della CNC (ua-keyframe).
+     */
+    publishAll() {
+        for (const variable of this.variables) {
+            this._publish(variable, variable.node.readValue(), "ua-keyframe");
+        }
+    }
+
+    /**
+     * Arresto ordinato: stato Disabled (retained) e chiusura della connessione senza Last Will.
+     */
+    async close() {
+        clearInterval(this.timer);
+        this.variables.forEach((variable, index) => variable.node.removeListener("value_changed", this.listeners[index]));
+        if (this.client.connected) {
+            await this._publishState(PubSubState.Disabled);
+        }
+        await this.client.endAsync(!this.client.connected);
+    }
+}
+
+/**
+ * Broker MQTT integrato (aedes) in ascolto su `port`.
+ *
+ * @returns {Promise<{ close: () => Promise<void> }>}
+ */
+const startEmbeddedBroker = async (port) => {
+    const { Aedes } = require("aedes");
+    const broker = await Aedes.createBroker();
+    const server = net.createServer(broker.handle);
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, resolve);
+    });
+    return {
+        close: async () => {
+            await new Promise(resolve => broker.close(resolve));
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+};
+
+/**
+ * Avvia la pubblicazione MQTT della telemetria di tutte le CNC della flotta
+ * (e il broker integrato se configurato).
+ *
+ * @param {Array<{ config: Object, instance: UAObject }>} fleet - istanze restituite da buildFleet
+ * @param {Object} config - configurazione restituita da loadPubSubConfig
+ * @returns {Promise<{ publishers: MachinePublisher[], close: () => Promise<void> }>}
+ */
+const startPubSub = async (fleet, config) => {
+    const broker = config.brokerPort ? await startEmbeddedBroker(config.brokerPort) : null;
+    const publishers = fleet.map(machine => new MachinePublisher(machine, config));
+    return {
+        publishers,
+        close: async () => {
+            await Promise.all(publishers.map(publisher => publisher.close()));
+            if (broker) await broker.close();
+        }
+    };
+};
+
+module.exports = {
+    PUBLISHED_VARIABLES,
+    STATE_TOPIC,
+    DEFAULT_PUBSUB_CONFIG,
+    PubSubConfigError,
+    MachinePublisher,
+    loadPubSubConfig,
+    startEmbeddedBroker,
+    startPubSub
+};
@@ -0,0 +1,375 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+    MessageSecurityMode,
+    MethodIds,
+    NodeClass,
+    OPCUACertificateManager,
+    SecurityPolicy,
+    WellKnownRoles,
+    makePermissionFlag,
+    makeRoles,
+    resolveNodeId
+} = require("node-opcua");
+
+/**
+ * File degli utenti usato se non viene indicato CNC_USERS_CONFIG.
+ */
+const DEFAULT_USERS_CONFIG_FILE = path.join(__dirname, "../users.json");
+
+// Cartella PKI locale: server/ (certificato del server e client applicativi fidati) e user/ (certificati X.509 degli utenti)
+const DEFAULT_PKI_DIR = path.join(__dirname, "../pki");
+
+// Ruoli applicativi e relativo ruolo OPC UA (WellKnownRoles, OPC 10000-18)
+const ROLES = {
+    operator: WellKnownRoles.Operator,
+    maintenance: WellKnownRoles.Engineer,
+    viewer: WellKnownRoles.Observer
+};
+
+// Ruoli che possono chiamare i metodi del modello (per BrowseName); chi non ha uno di questi ruoli
+// vede il metodo ma riceve BadUserAccessDenied. Il viewer può chiamare solo GetSnapshot, che non modifica la macchina
+const METHOD_ROLES = {
+    GetSnapshot: ["operator", "maintenance", "viewer"],
+    ChangeStatus: ["operator"],
+    CambiareVelocita: ["operator"],
+    AcknowledgeAlarm: ["operator", "maintenance"],
+    LoadTool: ["operator", "maintenance"],
+    UnloadTool: ["operator", "maintenance"],
+    ChangeTool: ["operator", "maintenance"],
+    ManutenzionePredittiva: ["maintenance"],
+    LoadJob: ["operator"],
+    StartJob: ["operator"],
+    PauseJob: ["operator"],
+    AbortJob: ["operator"],
+    ResetShiftCounters: ["operator"],
+    StartAll: ["operator"],
+    StopAll: ["operator"],
+    SetSpindleSpeedAll: ["operator"]
+};
+
+// Metodi Alarms & Conditions degli allarmi delle CNC: i client A&C li chiamano con il MethodId
+// del tipo standard (es. AcknowledgeableConditionType.Acknowledge), quindi i permessi vanno anche sul tipo
+const CONDITION_METHODS = {
+    Acknowledge: MethodIds.AcknowledgeableConditionType_Acknowledge,
+    Confirm: MethodIds.AcknowledgeableConditionType_Confirm,
+    AddComment: MethodIds.ConditionType_AddComment,
+    Enable: MethodIds.ConditionType_Enable,
+    Disable: MethodIds.ConditionType_Disable
+};
+const CONDITION_METHOD_ROLES = ["operator", "maintenance"];
+
+const SECURITY_MODES = {
+    None: MessageSecurityMode.None,
+    Sign: MessageSecurityMode.Sign,
+    SignAndEncrypt: MessageSecurityMode.SignAndEncrypt
+};
+
+// Policy offerte sugli endpoint Sign e SignAndEncrypt
+const SECURITY_POLICIES = [SecurityPolicy.Basic256Sha256, SecurityPolicy.Aes128_Sha256_RsaOaep];
+
+const DEFAULT_SECURITY_CONFIG = {
+    usersFile: DEFAULT_USERS_CONFIG_FILE,
+    pkiDir: DEFAULT_PKI_DIR,
+    securityModes: Object.keys(SECURITY_MODES),
+    autoAcceptCertificates: false
+};
+
+const USERS_KEYS = ["allowAnonymous", "users"];
+const USER_KEYS = ["username", "passwordHash", "roles"];
+
+// Parametri di scrypt per le password degli utenti (formato "scrypt:<salt hex>:<hash hex>")
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_KEY_BYTES = 64;
+
+/**
+ * Errore sollevato quando le variabili d'ambiente della sicurezza non sono valide.
+ */
+class SecurityConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione della sicurezza non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "SecurityConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Errore sollevato quando il file degli utenti non è valido.
+ * `errors` contiene tutti i problemi trovati, ognuno con il percorso del campo coinvolto.
+ */
+class UsersConfigError extends Error {
+    constructor(file, errors) {
+        super(`Configurazione degli utenti non valida (${file}):\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "UsersConfigError";
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Hash di una password da inserire in passwordHash nel file degli utenti.
+ */
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+    const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_BYTES);
+    return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+};
+
+const PASSWORD_HASH_PATTERN = /^scrypt:[0-9a-f]+:[0-9a-f]+$/;
+
+/**
+ * Verifica una password con l'hash generato da hashPassword (confronto a tempo costante).
+ */
+const verifyPassword = (password, passwordHash) => {
+    const [, salt, hash] = passwordHash.split(":");
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, "hex"), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Verifica la struttura del file degli utenti.
+ * @returns {string[]} elenco degli errori (vuoto se la configurazione è valida)
+ */
+const validateUsersConfig = (config) => {
+    const errors = [];
+
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+        return ["la radice deve essere un oggetto con la proprietà 'users'"];
+    }
+    for (const key of Object.keys(config)) {
+        if (!USERS_KEYS.includes(key)) errors.push(`proprietà sconosciuta '${key}' (ammesse: ${USERS_KEYS.join(", ")})`);
+    }
+    if (config.allowAnonymous !== undefined && typeof config.allowAnonymous !== "boolean") {
+        errors.push("'allowAnonymous' deve essere true o false");
+    }
+    if (!Array.isArray(config.users)) {
+        errors.push("'users' deve essere un array");
+        return errors;
+    }
+
+    const usernames = new Map();
+    config.users.forEach((user, index) => {
+        const where = `users[${index}]`;
+        if (user === null || typeof user !== "object" || Array.isArray(user)) {
+            errors.push(`${where}: deve essere un oggetto`);
+            return;
+        }
+        for (const key of Object.keys(user)) {
+            if (!USER_KEYS.includes(key)) {
+                errors.push(`${where}: proprietà sconosciuta '${key}' (ammesse: ${USER_KEYS.join(", ")})`);
+            }
+        }
+
+        if (typeof user.username !== "string" || user.username.trim().length === 0) {
+            errors.push(`${where}.username: obbligatorio, stringa non vuota`);
+        } else if (usernames.has(user.username)) {
+            errors.push(`${where}.username: '${user.username}' già usato da users[${usernames.get(user.username)}]`);
+        } else {
+            usernames.set(user.username, index);
+        }
+
+        // Senza passwordHash l'utente può accedere solo con un certificato X.509 (CN = username)
+        if (user.passwordHash !== undefined &&
+            (typeof user.passwordHash !== "string" || !PASSWORD_HASH_PATTERN.test(user.passwordHash))) {
+            errors.push(`${where}.passwordHash: formato non valido, generarlo con 'node lib/security.js hash-password <password>'`);
+        }
+
+        if (!Array.isArray(user.roles) || user.roles.length === 0) {
+            errors.push(`${where}.roles: deve essere un array non vuoto (ruoli: ${Object.keys(ROLES).join(", ")})`);
+        } else {
+            user.roles.forEach((role, roleIndex) => {
+                if (!(role in ROLES)) {
+                    errors.push(`${where}.roles[${roleIndex}]: ruolo ${JSON.stringify(role)} sconosciuto (ammessi: ${Object.keys(ROLES).join(", ")})`);
+                }
+            });
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Legge e valida il file degli utenti.
+ *
+ * @param {string} file - percorso del file JSON
+ * @returns {{ allowAnonymous: boolean, users: Array<{ username: string, passwordHash?: string, roles: string[] }> }}
+ * @throws {UsersConfigError} con l'elenco completo dei problemi trovati
+ */
+const loadUsersConfig = (file = DEFAULT_USERS_CONFIG_FILE) => {
+    let text;
+    try {
+        text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new UsersConfigError(file, [`impossibile leggere il file: ${error.message}`]);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new UsersConfigError(file, [`JSON non valido: ${error.message}`]);
+    }
+
+    const errors = validateUsersConfig(config);
+    if (errors.length > 0) {
+        throw new UsersConfigError(file, errors);
+    }
+
+    return {
+        allowAnonymous: config.allowAnonymous === true,
+        users: config.users
+    };
+};
+
+/**
+ * Legge la configurazione della sicurezza dalle variabili d'ambiente:
+ * CNC_USERS_CONFIG, CNC_PKI_DIR, CNC_SECURITY_MODES (elenco separato da virgole di None, Sign, SignAndEncrypt)
+ * e CNC_PKI_AUTO_ACCEPT ("on" per fidarsi automaticamente dei certificati sconosciuti, solo per sviluppo).
+ *
+ * @returns {{ usersFile: string, pkiDir: string, securityModes: string[], autoAcceptCertificates: boolean }}
+ * @throws {SecurityConfigError} se un valore non è valido
+ */
+const loadSecurityConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_SECURITY_CONFIG };
+
+    if (env.CNC_USERS_CONFIG !== undefined) {
+        if (!env.CNC_USERS_CONFIG.trim()) {
+            errors.push("CNC_USERS_CONFIG: percorso vuoto");
+        }
+        config.usersFile = path.resolve(env.CNC_USERS_CONFIG);
+    }
+    if (env.CNC_PKI_DIR !== undefined) {
+        if (!env.CNC_PKI_DIR.trim()) {
+            errors.push("CNC_PKI_DIR: percorso vuoto");
+        }
+        config.pkiDir = path.resolve(env.CNC_PKI_DIR);
+    }
+    if (env.CNC_SECURITY_MODES !== undefined) {
+        const modes = env.CNC_SECURITY_MODES.split(",").map(mode => mode.trim()).filter(Boolean);
+        const unknown = modes.filter(mode => !(mode in SECURITY_MODES));
+        if (modes.length === 0 || unknown.length > 0) {
+            errors.push(`CNC_SECURITY_MODES: valore ${JSON.stringify(env.CNC_SECURITY_MODES)} non valido ` +
+                `(atteso un elenco separato da virgole di ${Object.keys(SECURITY_MODES).join(", ")})`);
+        }
+        config.securityModes = [...new Set(modes)];
+    }
+    if (env.CNC_PKI_AUTO_ACCEPT !== undefined) {
+        if (!["on", "off"].includes(env.CNC_PKI_AUTO_ACCEPT)) {
+            errors.push(`CNC_PKI_AUTO_ACCEPT: valore ${JSON.stringify(env.CNC_PKI_AUTO_ACCEPT)} non valido (ammessi: on, off)`);
+        }
+        config.autoAcceptCertificates = env.CNC_PKI_AUTO_ACCEPT === "on";
+    }
+
+    if (errors.length > 0) {
+        throw new SecurityConfigError(errors);
+    }
+    return config;
+};
+
+/**
+ * User manager del server OPC UA: verifica username/password e restituisce i ruoli OPC UA di un utente.
+ * Per gli utenti X.509 node-opcua usa come nome il CN del certificato, quindi i ruoli vengono
+ * cercati con lo stesso username; un certificato fidato senza utente corrispondente ha solo accesso in lettura.
+ */
+const createUserManager = (usersConfig) => {
+    const users = new Map(usersConfig.users.map(user => [user.username, user]));
+    return {
+        isValidUser: (userName, password) => {
+            const user = users.get(userName);
+            const valid = !!user && !!user.passwordHash && verifyPassword(password, user.passwordHash);
+            if (!valid) {
+                console.warn(`Accesso negato all'utente ${JSON.stringify(userName)}: credenziali non valide.`);
+            }
+            return valid;
+        },
+        getUserRoles: (userName) => {
+            const user = users.get(userName);
+            return user ? makeRoles(user.roles.map(role => ROLES[role])) : [];
+        }
+    };
+};
+
+/**
+ * Certificate manager del server (client applicativi, Sign/SignAndEncrypt) e degli utenti X.509,
+ * nelle sottocartelle server/ e user/ della PKI locale. I certificati sconosciuti finiscono in
+ * rejected/ e vanno spostati in trusted/certs/ per essere accettati.
+ */
+const createCertificateManagers = (securityConfig) => ({
+    serverCertificateManager: new OPCUACertificateManager({
+        name: "CNCServerPKI",
+        rootFolder: path.join(securityConfig.pkiDir, "server"),
+        automaticallyAcceptUnknownCertificate: securityConfig.autoAcceptCertificates
+    }),
+    userCertificateManager: new OPCUACertificateManager({
+        name: "CNCUserPKI",
+        rootFolder: path.join(securityConfig.pkiDir, "user"),
+        automaticallyAcceptUnknownCertificate: securityConfig.autoAcceptCertificates
+    })
+});
+
+// Tutti possono vedere i metodi; solo i ruoli indicati possono chiamarli
+const methodRolePermissions = (roles) => [
+    { roleId: WellKnownRoles.Anonymous, permissions: makePermissionFlag("Browse | ReadRolePermissions") },
+    { roleId: WellKnownRoles.AuthenticatedUser, permissions: makePermissionFlag("Browse | ReadRolePermissions") },
+    ...Object.entries(ROLES).map(([role, roleId]) => ({
+        roleId,
+        permissions: makePermissionFlag(roles.includes(role) ? "Browse | ReadRolePermissions | Call" : "Browse | ReadRolePermissions")
+    }))
+];
+
+/**
+ * Applica i permessi METHOD_ROLES ai metodi dei namespace indicati (tipi del modello e istanze della flotta)
+ * e i permessi dei metodi A&C agli allarmi: i metodi dei tipi standard e le loro copie sulle istanze.
+ * Va chiamato dopo aver creato la flotta e gli allarmi, perché i permessi non vengono copiati sulle nuove istanze.
+ *
+ * @param {AddressSpace} addressSpace
+ * @param {number[]} namespaceIndexes - namespace del modello e del server
+ */
+const installMethodPermissions = (addressSpace, namespaceIndexes) => {
+    for (const namespaceIndex of namespaceIndexes) {
+        for (const node of addressSpace.getNamespace(namespaceIndex).nodeIterator()) {
+            if (node.nodeClass !== NodeClass.Method) continue;
+            const name = node.browseName.name;
+            const roles = METHOD_ROLES[name] || (name in CONDITION_METHODS ? CONDITION_METHOD_ROLES : null);
+            if (roles) {
+                node.setRolePermissions(methodRolePermissions(roles));
+            }
+        }
+    }
+    for (const methodId of Object.values(CONDITION_METHODS)) {
+        addressSpace.findNode(resolveNodeId(methodId)).setRolePermissions(methodRolePermissions(CONDITION_METHOD_ROLES));
+    }
+};
+
+module.exports = {
+    DEFAULT_USERS_CONFIG_FILE,
+    DEFAULT_PKI_DIR,
+    ROLES,
+    METHOD_ROLES,
+    SECURITY_MODES,
+    SECURITY_POLICIES,
+    DEFAULT_SECURITY_CONFIG,
+    SecurityConfigError,
+    UsersConfigError,
+    hashPassword,
+    verifyPassword,
+    validateUsersConfig,
+    loadUsersConfig,
+    loadSecurityConfig,
+    createUserManager,
+    createCertificateManagers,
+    installMethodPermissions
+};
+
+// node lib/security.js hash-password <password>: stampa l'hash da copiare in passwordHash
+if (require.main === module) {
+    const [command, password] = process.argv.slice(2);
+    if (command !== "hash-password" || !password) {
+        console.error("Uso: node lib/security.js hash-password <password>");
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
@@ -0,0 +1,288 @@
+const { EventEmitter } = require("events");
+const { DataType } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { message } = require("./i18n");
+const { computeEnergyConsumption } = require("./stateMachine");
+const { TOOL_WORN_REASON } = require("./tools");
+
+// Pezzi prodotti al minuto (tempo simulato) per ogni livello di velocità del mandrino
+const PARTS_PER_MINUTE_PER_SPEED_LEVEL = 2;
+
+// Usura dell'utensile (punti di vita residua, %) per pezzo prodotto alla velocità 1 e incremento relativo per ogni livello oltre il primo
+const WEAR_PER_PART = 0.05;
+const WEAR_INCREASE_PER_SPEED_LEVEL = 0.25;
+
+// Scarti: nessuno finché l'usura dell'utensile resta sotto la soglia (%), poi in proporzione fino alla quota di scarto a usura 100%
+const REJECT_WEAR_THRESHOLD = 50;
+const REJECT_RATE_AT_FULL_WEAR = 0.2;
+
+// Deviazione standard del rumore sul consumo energetico, relativa al valore della formula
+const ENERGY_NOISE = 0.02;
+
+// Guasti che la simulazione può iniettare mentre una CNC è On
+const FAULT_REASONS = [
+    message("simulatedSpindleOverheating"),
+    message("simulatedVibration"),
+    message("simulatedAxisPositioning"),
+    message("simulatedCoolantPressure")
+];
+
+// Intervallo (ms, tempo reale) tra due passi dei modelli di processo: mandrino, KPI e manutenzione predittiva
+const PROCESS_TICK_MS = 1000;
+
+const DEFAULT_SIMULATION_CONFIG = {
+    enabled: false, // attivata con CNC_SIMULATION=on
+    tickMs: 1000,
+    timeAcceleration: 1,
+    faultRate: 0.5 // guasti per ora simulata di funzionamento, per macchina
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente della simulazione non sono valide.
+ */
+class SimulationConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione della simulazione non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "SimulationConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione della simulazione dalle variabili d'ambiente:
+ * CNC_SIMULATION ("on" per attivarla), CNC_SIM_TICK_MS, CNC_SIM_TIME_ACCELERATION,
+ * CNC_SIM_SEED e CNC_SIM_FAULT_RATE. Senza CNC_SIM_SEED viene scelto un seed casuale.
+ *
+ * @returns {{ enabled: boolean, tickMs: number, timeAcceleration: number, seed: number, faultRate: number }}
+ * @throws {SimulationConfigError} se un valore non è valido
+ */
+const loadSimulationConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_SIMULATION_CONFIG, seed: Math.floor(Math.random() * 0x100000000) };
+
+    if (env.CNC_SIMULATION !== undefined) {
+        if (!["on", "off"].includes(env.CNC_SIMULATION)) {
+            errors.push(`CNC_SIMULATION: valore ${JSON.stringify(env.CNC_SIMULATION)} non valido (ammessi: on, off)`);
+        }
+        config.enabled = env.CNC_SIMULATION === "on";
+    }
+
+    const readNumber = (name, key, isValid, expected) => {
+        if (env[name] === undefined) return;
+        const value = Number(env[name]);
+        if (env[name].trim() === "" || !isValid(value)) {
+            errors.push(`${name}: valore ${JSON.stringify(env[name])} non valido (atteso ${expected})`);
+        } else {
+            config[key] = value;
+        }
+    };
+    readNumber("CNC_SIM_TICK_MS", "tickMs", v => Number.isInteger(v) && v > 0, "un intero maggiore di 0");
+    readNumber("CNC_SIM_TIME_ACCELERATION", "timeAcceleration", v => Number.isFinite(v) && v > 0, "un numero maggiore di 0");
+    readNumber("CNC_SIM_SEED", "seed", v => Number.isInteger(v) && v >= 0 && v < 0x100000000, "un intero tra 0 e 4294967295");
+    readNumber("CNC_SIM_FAULT_RATE", "faultRate", v => Number.isFinite(v) && v >= 0, "un numero maggiore o uguale a 0");
+
+    if (errors.length > 0) {
+        throw new SimulationConfigError(errors);
+    }
+    return config;
+};
+
+/**
+ * Generatore pseudo-casuale (mulberry32) con seed: a parità di seed produce sempre la stessa sequenza.
+ * @returns {() => number} funzione che restituisce un numero in [0, 1)
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+};
+
+/**
+ * Quota di pezzi scartati con l'utensile usurato al `toolWear` %.
+ */
+const rejectRate = (toolWear) =>
+    Math.max(0, toolWear - REJECT_WEAR_THRESHOLD) / (100 - REJECT_WEAR_THRESHOLD) * REJECT_RATE_AT_FULL_WEAR;
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+const writeValue = (node, name, dataType, value) => {
+    node.getChildByName(name).setValueFromSource({ dataType, value });
+};
+
+/**
+ * Simulazione della produzione delle CNC.
+ *
+ * A ogni tick avanza il tempo simulato di tickMs * timeAcceleration e, per ogni CNC On:
+ * incrementa PezziProdotti in base alla velocità del mandrino, consuma l'utensile montato
+ * (RemainingLife della tasca attiva), aggiorna ConsumoEnergetico con rumore attorno alla formula
+ * della macchina a stati e a volte inietta un guasto che porta la CNC in Alarm tramite la macchina a stati.
+ * Senza utensile montato non vengono prodotti pezzi; un utensile usurato porta la CNC in Alarm
+ * finché non viene sostituito (ChangeTool o UnloadTool/LoadTool).
+ *
+ * Il passo simulato non dipende dai tempi reali del timer, quindi con lo stesso seed
+ * e le stesse chiamate ai metodi la simulazione si ripete identica.
+ * I pezzi lavorati con un utensile usurato oltre REJECT_WEAR_THRESHOLD sono in parte scarti (PezziProdotti li conta comunque).
+ * Emette "parts" con { machine, parts, rejected } quando una CNC completa dei pezzi, "fault" con { machine, reason }
+ * per ogni allarme iniettato e, alla fine di ogni passo, "step" con { simulatedMs, simulatedTime }.
+ */
+class ProductionSimulation extends EventEmitter {
+
+    /**
+     * @param {Array<{ instance: UAObject }>} fleet - istanze restituite da buildFleet
+     * @param {MachineStateMachine} stateMachine
+     * @param {ToolManager} toolManager
+     * @param {{ tickMs: number, timeAcceleration: number, seed: number, faultRate: number }} config
+     */
+    constructor(fleet, stateMachine, toolManager, config) {
+        super();
+        this.config = config;
+        this.stateMachine = stateMachine;
+        this.toolManager = toolManager;
+        this.random = createRandom(config.seed);
+        this.simulatedTime = 0;
+        this.timer = null;
+        // Frazione del pezzo in lavorazione e degli scarti accumulati per ogni CNC
+        this.machines = fleet.map(({ instance }) => ({ instance, partProgress: 0, rejectProgress: 0 }));
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.config.tickMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick() {
+        this.step(this.config.tickMs * this.config.timeAcceleration);
+    }
+
+    /**
+     * Avanza la simulazione di `simulatedMs` millisecondi di tempo simulato.
+     */
+    step(simulatedMs) {
+        this.simulatedTime += simulatedMs;
+        for (const machine of this.machines) {
+            if (this.stateMachine.getStatus(machine.instance) === CNCStatusEnumValues.On) {
+                this._stepMachine(machine, simulatedMs);
+            }
+        }
+        this.emit("step", { simulatedMs, simulatedTime: this.simulatedTime });
+    }
+
+    _stepMachine(machine, simulatedMs) {
+        const { instance } = machine;
+        const speed = readValue(instance.getChildByName("Mandrino"), "Velocita");
+
+        // Produzione: i pezzi completati vengono aggiunti a PezziProdotti, la frazione resta in lavorazione
+        let toolWorn = false;
+        if (this.toolManager.getActiveTool(instance)) {
+            machine.partProgress += PARTS_PER_MINUTE_PER_SPEED_LEVEL * speed * simulatedMs / 60000;
+            const completedParts = Math.floor(machine.partProgress);
+            machine.partProgress -= completedParts;
+            if (completedParts > 0) {
+                // Scarti senza estrazioni casuali, così la sequenza dei guasti non cambia
+                machine.rejectProgress += completedParts * rejectRate(readValue(instance, "UsuraUtensile"));
+                const rejected = Math.min(Math.floor(machine.rejectProgress), completedParts);
+                machine.rejectProgress -= rejected;
+                writeValue(instance, "PezziProdotti", DataType.UInt32, readValue(instance, "PezziProdotti") + completedParts);
+                this.emit("parts", { machine: instance, parts: completedParts, rejected });
+            }
+
+            // Usura dell'utensile montato, più rapida alle velocità alte
+            const wearPerPart = WEAR_PER_PART * (1 + (speed - 1) * WEAR_INCREASE_PER_SPEED_LEVEL);
+            toolWorn = this.toolManager.wearActiveTool(instance, completedParts, wearPerPart).worn;
+        } else {
+            machine.partProgress = 0;
+        }
+
+        // Consumo energetico: formula della macchina a stati più rumore gaussiano (Box-Muller)
+        const noise = Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+        const energyConsumption = computeEnergyConsumption(CNCStatusEnumValues.On, speed) * (1 + noise * ENERGY_NOISE);
+        writeValue(instance, "ConsumoEnergetico", DataType.Double, Math.round(energyConsumption * 100) / 100);
+
+        if (toolWorn) {
+            this._injectFault(instance, TOOL_WORN_REASON);
+            return;
+        }
+
+        // Guasti casuali: processo di Poisson con faultRate guasti per ora simulata
+        const faultProbability = 1 - Math.exp(-this.config.faultRate * simulatedMs / 3600000);
+        if (this.random() < faultProbability) {
+            this._injectFault(instance, FAULT_REASONS[Math.floor(this.random() * FAULT_REASONS.length)]);
+        }
+    }
+
+    _injectFault(instance, reason) {
+        const { statusCode, message } = this.stateMachine.transition(instance, CNCStatusEnumValues.Alarm, { reason });
+        if (!statusCode.isGood()) {
+            console.warn(`Simulazione: impossibile portare ${instance.browseName.name} in Alarm: ${message}`);
+            return;
+        }
+        this.emit("fault", { machine: instance, reason });
+    }
+}
+
+/**
+ * Orologio dei modelli di processo (mandrino, KPI e manutenzione predittiva), indipendente dalla simulazione
+ * della produzione: i modelli avanzano con il tempo reale anche quando la simulazione è disattivata.
+ *
+ * A ogni tick emette "tick" con { elapsedMs }, il tempo reale trascorso dal tick precedente (misurato,
+ * quindi senza deriva per i ritardi del timer). advance() fa avanzare i modelli di un intervallo a scelta.
+ */
+class ProcessClock extends EventEmitter {
+
+    /**
+     * @param {{ tickMs?: number }} [options] - intervallo tra due tick (ms)
+     */
+    constructor({ tickMs = PROCESS_TICK_MS } = {}) {
+        super();
+        this.tickMs = tickMs;
+        this.timer = null;
+        this.lastTick = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.lastTick = Date.now();
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick() {
+        const now = Date.now();
+        const elapsedMs = now - this.lastTick;
+        this.lastTick = now;
+        if (elapsedMs > 0) this.advance(elapsedMs);
+    }
+
+    /**
+     * Fa avanzare i modelli di `elapsedMs` millisecondi.
+     */
+    advance(elapsedMs) {
+        this.emit("tick", { elapsedMs });
+    }
+}
+
+module.exports = {
+    PARTS_PER_MINUTE_PER_SPEED_LEVEL,
+    PROCESS_TICK_MS,
+    DEFAULT_SIMULATION_CONFIG,
+    SimulationConfigError,
+    loadSimulationConfig,
+    rejectRate,
+    createRandom,
+    ProductionSimulation,
+    ProcessClock
+};
@@ -0,0 +1,237 @@
+const { DataType } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { message } = require("./i18n");
+
+// Giri al minuto obiettivo per ogni livello di Velocita: i livelli 1-5 restano preset del mandrino
+const SPINDLE_RPM_PRESETS = {
+    1: 2000,
+    2: 4000,
+    3: 6000,
+    4: 8000,
+    5: 10000
+};
+const MAX_SPINDLE_RPM = 10000;
+
+// Carico (% del nominale) alla velocità massima, in lavorazione con un utensile montato e a vuoto,
+// e aumento relativo del carico con l'utensile completamente usurato
+const CUTTING_LOAD = 70;
+const IDLE_LOAD = 15;
+const LOAD_INCREASE_AT_FULL_WEAR = 0.5;
+
+// Temperatura di regime dei cuscinetti: ambiente + contributo della velocità (°C alla velocità massima)
+// + contributo del carico (°C per punto di carico); la temperatura la raggiunge con una costante di tempo di 10 minuti
+const TEMPERATURE_RISE_AT_MAX_RPM = 25;
+const TEMPERATURE_RISE_PER_LOAD_POINT = 0.35;
+const THERMAL_TIME_CONSTANT_MS = 10 * 60 * 1000;
+
+// Vibrazione (mm/s RMS): fondo a mandrino fermo + contributo quadratico della velocità, raddoppiato dall'utensile usurato
+const BASE_VIBRATION = 0.5;
+const VIBRATION_AT_MAX_RPM = 3.5;
+
+const DEFAULT_SPINDLE_CONFIG = {
+    rampRate: 500, // RPM al secondo con cui ActualRPM insegue TargetRPM
+    maxLoad: 100, // carico (%) oltre cui la CNC va in Alarm per sovraccarico
+    maxTemperature: 80, // temperatura dei cuscinetti (°C) oltre cui la CNC va in Alarm per surriscaldamento
+    ambientTemperature: 20 // temperatura (°C) del mandrino fermo e freddo
+};
+
+/**
+ * Errore sollevato quando le variabili d'ambiente del mandrino non sono valide.
+ */
+class SpindleConfigError extends Error {
+    constructor(errors) {
+        super(`Configurazione del mandrino non valida:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.name = "SpindleConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Legge la configurazione del mandrino dalle variabili d'ambiente:
+ * CNC_SPINDLE_RAMP_RATE, CNC_SPINDLE_MAX_LOAD, CNC_SPINDLE_MAX_TEMPERATURE e CNC_SPINDLE_AMBIENT_TEMPERATURE.
+ *
+ * @returns {{ rampRate: number, maxLoad: number, maxTemperature: number, ambientTemperature: number }}
+ * @throws {SpindleConfigError} se un valore non è valido
+ */
+const loadSpindleConfig = (env = process.env) => {
+    const errors = [];
+    const config = { ...DEFAULT_SPINDLE_CONFIG };
+
+    const readNumber = (name, key, isValid, expected) => {
+        if (env[name] === undefined) return;
+        const value = Number(env[name]);
+        if (env[name].trim() === "" || !isValid(value)) {
+            errors.push(`${name}: valore ${JSON.stringify(env[name])} non valido (atteso ${expected})`);
+        } else {
+            config[key] = value;
+        }
+    };
+    readNumber("CNC_SPINDLE_RAMP_RATE", "rampRate", v => Number.isFinite(v) && v > 0, "un numero maggiore di 0");
+    readNumber("CNC_SPINDLE_MAX_LOAD", "maxLoad", v => Number.isFinite(v) && v > 0, "un numero maggiore di 0");
+    readNumber("CNC_SPINDLE_MAX_TEMPERATURE", "maxTemperature", Number.isFinite, "un numero");
+    readNumber("CNC_SPINDLE_AMBIENT_TEMPERATURE", "ambientTemperature", Number.isFinite, "un numero");
+
+    if (errors.length === 0 && config.maxTemperature <= config.ambientTemperature) {
+        errors.push(`CNC_SPINDLE_MAX_TEMPERATURE: ${config.maxTemperature} °C non superiore alla temperatura ambiente (${config.ambientTemperature} °C)`);
+    }
+    if (errors.length > 0) {
+        throw new SpindleConfigError(errors);
+    }
+    return config;
+};
+
+/**
+ * RPM obiettivo del mandrino: il preset del livello di Velocita mentre la CNC è On, altrimenti 0 (mandrino fermo).
+ */
+const targetRPM = (status, speed) =>
+    status === CNCStatusEnumValues.On ? SPINDLE_RPM_PRESETS[speed] || 0 : 0;
+
+/**
+ * Avanza il modello del mandrino di `elapsedMs` millisecondi.
+ * ActualRPM insegue TargetRPM con la rampa della configurazione; carico e vibrazione seguono
+ * la velocità effettiva, la temperatura dei cuscinetti tende al valore di regime con un ritardo del primo ordine.
+ *
+ * @param {{ actualRPM: number, bearingTemperature: number }} state - stato corrente del mandrino
+ * @param {{ targetRPM: number, cutting: boolean, toolWear: number }} inputs - RPM obiettivo,
+ *        lavorazione in corso (CNC On con un utensile montato) e usura dell'utensile (%)
+ * @param {number} elapsedMs
+ * @param {Object} config - configurazione restituita da loadSpindleConfig
+ * @returns {{ actualRPM: number, targetRPM: number, load: number, bearingTemperature: number, vibration: number }}
+ */
+const stepSpindle = (state, { targetRPM, cutting, toolWear }, elapsedMs, config = DEFAULT_SPINDLE_CONFIG) => {
+    const maxStep = config.rampRate * elapsedMs / 1000;
+    const delta = Math.max(-maxStep, Math.min(maxStep, targetRPM - state.actualRPM));
+    const actualRPM = state.actualRPM + delta;
+
+    const speedRatio = actualRPM / MAX_SPINDLE_RPM;
+    const wear = Math.min(Math.max(toolWear, 0), 100) / 100;
+    const load = speedRatio * (cutting ? CUTTING_LOAD : IDLE_LOAD) * (1 + wear * LOAD_INCREASE_AT_FULL_WEAR);
+
+    const steadyTemperature = config.ambientTemperature + TEMPERATURE_RISE_AT_MAX_RPM * speedRatio +
+        TEMPERATURE_RISE_PER_LOAD_POINT * load;
+    const bearingTemperature = steadyTemperature +
+        (state.bearingTemperature - steadyTemperature) * Math.exp(-elapsedMs / THERMAL_TIME_CONSTANT_MS);
+
+    const vibration = actualRPM > 0 ? BASE_VIBRATION + VIBRATION_AT_MAX_RPM * speedRatio ** 2 * (1 + wear) : 0;
+
+    return { actualRPM, targetRPM, load, bearingTemperature, vibration };
+};
+
+/**
+ * Motivo dell'allarme per un mandrino in sovraccarico o surriscaldato, null se è nei limiti.
+ */
+const spindleTripReason = ({ load, bearingTemperature }, config = DEFAULT_SPINDLE_CONFIG) => {
+    if (load > config.maxLoad) {
+        return message("spindleOverload", { load, maxLoad: config.maxLoad });
+    }
+    if (bearingTemperature > config.maxTemperature) {
+        return message("spindleOverheating", { temperature: bearingTemperature, maxTemperature: config.maxTemperature });
+    }
+    return null;
+};
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Scrive solo i valori cambiati, per non notificare i client a ogni passo con lo stesso valore
+const writeValue = (node, name, value) => {
+    const variable = node.getChildByName(name);
+    if (!Object.is(variable.readValue().value.value, value)) {
+        variable.setValueFromSource({ dataType: DataType.Double, value });
+    }
+};
+
+/**
+ * Modello fisico del mandrino delle CNC: espone ActualRPM, TargetRPM, Load, BearingTemperature e Vibration
+ * (AnalogItemType) sotto Mandrino e porta la CNC in Alarm per sovraccarico o surriscaldamento.
+ *
+ * TargetRPM cambia subito con Velocita e con lo stato della CNC; il resto avanza con advance()
+ * a ogni tick dell'orologio dei modelli di processo (ProcessClock). Le variabili pubblicano lo stato del modello arrotondato,
+ * da cui il modello riparte dopo un riavvio (sono salvate con le altre variabili della CNC).
+ */
+class SpindleSimulation {
+
+    /**
+     * @param {MachineStateMachine} stateMachine
+     * @param {ToolManager} toolManager - la lavorazione (e quindi il carico) richiede un utensile montato
+     * @param {Object} config - configurazione restituita da loadSpindleConfig
+     */
+    constructor(stateMachine, toolManager, config = DEFAULT_SPINDLE_CONFIG) {
+        this.stateMachine = stateMachine;
+        this.toolManager = toolManager;
+        this.config = config;
+        // Stato non arrotondato del mandrino di ogni CNC: { actualRPM, bearingTemperature }
+        this.machines = new Map();
+        stateMachine.on("transition", ({ machine }) => this._updateTarget(machine));
+        stateMachine.on("spindleSpeed", ({ machine }) => this._updateTarget(machine));
+    }
+
+    /**
+     * Inizia a seguire il mandrino delle CNC della flotta, partendo dai valori correnti delle variabili.
+     *
+     * @param {Array<{ instance: UAObject }>} fleet - istanze restituite da buildFleet
+     */
+    install(fleet) {
+        for (const { instance } of fleet) {
+            const mandrino = instance.getChildByName("Mandrino");
+            // Una temperatura a 0 è il valore iniziale del modello: il mandrino parte freddo
+            const bearingTemperature = readValue(mandrino, "BearingTemperature") || this.config.ambientTemperature;
+            this.machines.set(instance, { actualRPM: readValue(mandrino, "ActualRPM"), bearingTemperature });
+            writeValue(mandrino, "BearingTemperature", round(bearingTemperature, 2));
+            this._updateTarget(instance);
+        }
+    }
+
+    /**
+     * Aggiorna il mandrino di ogni CNC dopo `elapsedMs` millisecondi
+     * e porta in Alarm le CNC On con il mandrino fuori dai limiti.
+     */
+    advance(elapsedMs) {
+        for (const [instance, previous] of this.machines) {
+            const mandrino = instance.getChildByName("Mandrino");
+            const status = this.stateMachine.getStatus(instance);
+            const state = stepSpindle(previous, {
+                targetRPM: readValue(mandrino, "TargetRPM"),
+                cutting: status === CNCStatusEnumValues.On && Boolean(this.toolManager.getActiveTool(instance)),
+                toolWear: readValue(instance, "UsuraUtensile")
+            }, elapsedMs, this.config);
+            this.machines.set(instance, state);
+            const published = {
+                actualRPM: round(state.actualRPM, 0),
+                load: round(state.load, 1),
+                bearingTemperature: round(state.bearingTemperature, 2),
+                vibration: round(state.vibration, 2)
+            };
+            writeValue(mandrino, "ActualRPM", published.actualRPM);
+            writeValue(mandrino, "Load", published.load);
+            writeValue(mandrino, "BearingTemperature", published.bearingTemperature);
+            writeValue(mandrino, "Vibration", published.vibration);
+
+            const reason = status === CNCStatusEnumValues.On ? spindleTripReason(published, this.config) : null;
+            if (reason) {
+                const { statusCode, message } = this.stateMachine.transition(instance, CNCStatusEnumValues.Alarm, { reason });
+                if (!statusCode.isGood()) {
+                    console.warn(`Mandrino: impossibile portare ${instance.browseName.name} in Alarm: ${message}`);
+                }
+            }
+        }
+    }
+
+    _updateTarget(instance) {
+        const mandrino = instance.getChildByName("Mandrino");
+        writeValue(mandrino, "TargetRPM", targetRPM(this.stateMachine.getStatus(instance), readValue(mandrino, "Velocita")));
+    }
+}
+
+module.exports = {
+    SPINDLE_RPM_PRESETS,
+    MAX_SPINDLE_RPM,
+    DEFAULT_SPINDLE_CONFIG,
+    SpindleConfigError,
+    loadSpindleConfig,
+    targetRPM,
+    stepSpindle,
+    spindleTripReason,
+    SpindleSimulation
+};
@@ -0,0 +1,274 @@
+const { EventEmitter } = require("events");
+const { DataType, StatusCodes } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { enumText, message } = require("./i18n");
+
+const statusNames = Object.fromEntries(Object.entries(CNCStatusEnumValues).map(([name, value]) => [value, name]));
+
+/**
+ * Transizioni ammesse per ogni stato.
+ * `requiresAcknowledge` indica che la transizione è possibile solo dopo AcknowledgeAlarm:
+ * da Alarm non si esce, né verso On né verso Off, senza aver riconosciuto l'allarme.
+ */
+const allowedTransitions = {
+    [CNCStatusEnumValues.Off]: [
+        { to: CNCStatusEnumValues.On }
+    ],
+    [CNCStatusEnumValues.On]: [
+        { to: CNCStatusEnumValues.Off },
+        { to: CNCStatusEnumValues.Alarm }
+    ],
+    [CNCStatusEnumValues.Alarm]: [
+        { to: CNCStatusEnumValues.Off, requiresAcknowledge: true },
+        { to: CNCStatusEnumValues.On, requiresAcknowledge: true }
+    ]
+};
+
+// Consumo energetico (kW) per stato e incremento per ogni livello di velocità del mandrino oltre il primo
+const BASE_CONSUMPTION = {
+    [CNCStatusEnumValues.Off]: 0.0,
+    [CNCStatusEnumValues.On]: 150.5, // Consumo normale in operazione
+    [CNCStatusEnumValues.Alarm]: 25.0 // Consumo in standby/allarme
+};
+const CONSUMPTION_PER_SPEED_LEVEL = 10;
+
+// Livelli di velocità del mandrino ammessi
+const MIN_SPINDLE_SPEED = 1;
+const MAX_SPINDLE_SPEED = 5;
+
+/**
+ * Calcola il consumo energetico di una CNC in base allo stato e alla velocità del mandrino.
+ * Il contributo del mandrino conta solo quando la CNC è On.
+ */
+const computeEnergyConsumption = (status, speed) => {
+    if (status !== CNCStatusEnumValues.On) return BASE_CONSUMPTION[status];
+    return BASE_CONSUMPTION[status] + (speed - 1) * CONSUMPTION_PER_SPEED_LEVEL;
+};
+
+const statusName = (status) => statusNames[status] || `Unknown(${status})`;
+
+/**
+ * Nome tradotto di uno stato, per i messaggi dei metodi.
+ */
+const statusText = (status) => enumText("CNCTypeEnum", statusName(status));
+
+/**
+ * Descrive le transizioni ammesse da uno stato, es. ["Off", "On (after AcknowledgeAlarm)"] in inglese.
+ */
+const describeAllowedTransitions = (status) =>
+    (allowedTransitions[status] || [])
+        .map(t => t.requiresAcknowledge ? message("afterAcknowledge", { status: statusText(t.to) }) : statusText(t.to));
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+const writeValue = (node, name, dataType, value) => {
+    node.getChildByName(name).setValueFromSource({ dataType, value });
+};
+
+/**
+ * Macchina a stati delle CNC (Off/On/Alarm).
+ *
+ * Ogni transizione accettata aggiorna Status, PreviousStatus, LastTransitionTime e i dati di allarme,
+ * applica gli effetti collaterali (reset del mandrino su Off, ricalcolo del consumo energetico)
+ * ed emette l'evento "transition" con { machine, from, to, reason }.
+ * Il motivo dell'allarme è un testo traducibile (LocalizedMessage): AlarmReason ne contiene il testo nella lingua
+ * del NodeSet e alarmReason lo restituisce, per servirlo nella lingua di ogni sessione.
+ * AcknowledgeAlarm emette l'evento "acknowledged" con { machine, reason } e setSpindleSpeed
+ * l'evento "spindleSpeed" con { machine, from, to }.
+ *
+ * check e checkSpindleSpeed validano un'operazione senza applicarla (usati anche dalle prove delle
+ * operazioni di gruppo): `changed` indica se l'operazione modificherebbe la CNC.
+ */
+class MachineStateMachine extends EventEmitter {
+    constructor() {
+        super();
+        // Motivo tradotto dell'allarme corrente di ogni CNC (non c'è per un allarme ripristinato dopo un riavvio)
+        this._alarmReasons = new WeakMap();
+    }
+
+    /**
+     * Stato corrente della CNC.
+     */
+    getStatus(CNCInstance) {
+        return readValue(CNCInstance, "Status");
+    }
+
+    /**
+     * Motivo dell'allarme della CNC: il testo traducibile impostato con la transizione, o il valore di AlarmReason
+     * se non c'è (allarme ripristinato dopo un riavvio) o non corrisponde più.
+     *
+     * @returns {LocalizedMessage|string}
+     */
+    alarmReason(CNCInstance) {
+        const value = readValue(CNCInstance, "AlarmReason");
+        const reason = this._alarmReasons.get(CNCInstance);
+        return reason !== undefined && String(reason) === value ? reason : value;
+    }
+
+    /**
+     * Verifica se la CNC può passare allo stato richiesto, senza modificarla.
+     *
+     * @param {UAObject} CNCInstance - istanza di MacchinaCNCType
+     * @param {number} newStatus - valore di CNCTypeEnum
+     * @returns {{ statusCode: StatusCode, message: LocalizedMessage, changed: boolean }}
+     */
+    check(CNCInstance, newStatus) {
+        if (!(newStatus in statusNames)) {
+            return {
+                statusCode: StatusCodes.BadInvalidArgument,
+                message: message("invalidStatus", {
+                    status: newStatus,
+                    expected: Object.entries(CNCStatusEnumValues).map(([n, v]) => message("enumValue", { value: v, name: enumText("CNCTypeEnum", n) }))
+                }),
+                changed: false
+            };
+        }
+
+        const currentStatus = this.getStatus(CNCInstance);
+        if (currentStatus === newStatus) {
+            return { statusCode: StatusCodes.Good, message: message("alreadyInStatus", { status: statusText(newStatus) }), changed: false };
+        }
+
+        const rule = (allowedTransitions[currentStatus] || []).find(t => t.to === newStatus);
+        const transition = { from: statusText(currentStatus), to: statusText(newStatus), allowed: describeAllowedTransitions(currentStatus) };
+        if (!rule) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: message("transitionNotAllowed", transition),
+                changed: false
+            };
+        }
+        if (rule.requiresAcknowledge && !readValue(CNCInstance, "AlarmAcknowledged")) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: message("transitionRequiresAcknowledge", transition),
+                changed: false
+            };
+        }
+
+        return { statusCode: StatusCodes.Good, message: message("transition", transition), changed: true };
+    }
+
+    /**
+     * Porta la CNC nello stato richiesto, se la transizione è ammessa.
+     *
+     * @param {UAObject} CNCInstance - istanza di MacchinaCNCType
+     * @param {number} newStatus - valore di CNCTypeEnum
+     * @param {{ reason?: LocalizedMessage|string }} [options] - motivo dell'allarme quando newStatus è Alarm
+     * @returns {{ statusCode: StatusCode, message: LocalizedMessage, changed: boolean }}
+     */
+    transition(CNCInstance, newStatus, { reason } = {}) {
+        const result = this.check(CNCInstance, newStatus);
+        if (result.changed) {
+            this._applyTransition(CNCInstance, this.getStatus(CNCInstance), newStatus, reason);
+        }
+        return result;
+    }
+
+    /**
+     * Verifica se la velocità del mandrino della CNC può essere portata a `newSpeed`, senza modificarla.
+     * La velocità può cambiare solo mentre la CNC è On.
+     *
+     * @returns {{ statusCode: StatusCode, message: LocalizedMessage, changed: boolean }}
+     */
+    checkSpindleSpeed(CNCInstance, newSpeed) {
+        if (!Number.isInteger(newSpeed) || newSpeed < MIN_SPINDLE_SPEED || newSpeed > MAX_SPINDLE_SPEED) {
+            return {
+                statusCode: StatusCodes.BadInvalidArgument,
+                message: message("invalidSpindleSpeed", { speed: newSpeed, min: MIN_SPINDLE_SPEED, max: MAX_SPINDLE_SPEED }),
+                changed: false
+            };
+        }
+        if (this.getStatus(CNCInstance) !== CNCStatusEnumValues.On) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("spindleSpeedRequiresOn"), changed: false };
+        }
+        const currentSpeed = readValue(CNCInstance.getChildByName("Mandrino"), "Velocita");
+        if (currentSpeed === newSpeed) {
+            return { statusCode: StatusCodes.Good, message: message("spindleSpeedAlready", { speed: newSpeed }), changed: false };
+        }
+        return { statusCode: StatusCodes.Good, message: message("spindleSpeedChanged", { from: currentSpeed, to: newSpeed }), changed: true };
+    }
+
+    /**
+     * Imposta la velocità del mandrino della CNC e ricalcola il consumo energetico, se ammesso da checkSpindleSpeed.
+     *
+     * @returns {{ statusCode: StatusCode, message: LocalizedMessage, changed: boolean }}
+     */
+    setSpindleSpeed(CNCInstance, newSpeed) {
+        const result = this.checkSpindleSpeed(CNCInstance, newSpeed);
+        if (result.changed) {
+            const mandrino = CNCInstance.getChildByName("Mandrino");
+            const currentSpeed = readValue(mandrino, "Velocita");
+            writeValue(mandrino, "Velocita", DataType.Int32, newSpeed);
+            const energyConsumption = computeEnergyConsumption(CNCStatusEnumValues.On, newSpeed);
+            writeValue(CNCInstance, "ConsumoEnergetico", DataType.Double, energyConsumption);
+            console.log(`Velocità del mandrino di ${CNCInstance.browseName.name}: ${currentSpeed} -> ${newSpeed}, ` +
+                `consumo energetico ${energyConsumption} kW`);
+            this.emit("spindleSpeed", { machine: CNCInstance, from: currentSpeed, to: newSpeed });
+        }
+        return result;
+    }
+
+    /**
+     * Riconosce l'allarme corrente della CNC.
+     * @returns {{ statusCode: StatusCode, message: LocalizedMessage }}
+     */
+    acknowledge(CNCInstance) {
+        if (this.getStatus(CNCInstance) !== CNCStatusEnumValues.Alarm) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("noActiveAlarm") };
+        }
+        if (readValue(CNCInstance, "AlarmAcknowledged")) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("alarmAlreadyAcknowledged") };
+        }
+
+        writeValue(CNCInstance, "AlarmAcknowledged", DataType.Boolean, true);
+        const reason = this.alarmReason(CNCInstance);
+        console.log(`Allarme di ${CNCInstance.browseName.name} riconosciuto (${reason}).`);
+        this.emit("acknowledged", { machine: CNCInstance, reason });
+        return { statusCode: StatusCodes.Good, message: message("alarmAcknowledged") };
+    }
+
+    _applyTransition(CNCInstance, from, to, reason) {
+        writeValue(CNCInstance, "PreviousStatus", DataType.Int32, from);
+        writeValue(CNCInstance, "Status", DataType.Int32, to);
+        writeValue(CNCInstance, "LastTransitionTime", DataType.DateTime, new Date());
+
+        // Dati di allarme: impostati all'ingresso in Alarm, azzerati solo all'uscita da un allarme riconosciuto
+        let alarmReason = "";
+        if (to === CNCStatusEnumValues.Alarm) {
+            alarmReason = reason || message("alarmSetByChangeStatus");
+            this._alarmReasons.set(CNCInstance, alarmReason);
+            writeValue(CNCInstance, "AlarmReason", DataType.String, String(alarmReason));
+            writeValue(CNCInstance, "AlarmAcknowledged", DataType.Boolean, false);
+        } else if (from !== CNCStatusEnumValues.Alarm || readValue(CNCInstance, "AlarmAcknowledged")) {
+            this._alarmReasons.delete(CNCInstance);
+            writeValue(CNCInstance, "AlarmReason", DataType.String, "");
+            writeValue(CNCInstance, "AlarmAcknowledged", DataType.Boolean, false);
+        }
+
+        // Spegnendo la CNC il mandrino torna alla velocità minima
+        const mandrino = CNCInstance.getChildByName("Mandrino");
+        if (to === CNCStatusEnumValues.Off) {
+            writeValue(mandrino, "Velocita", DataType.Int32, 1);
+        }
+
+        const energyConsumption = computeEnergyConsumption(to, readValue(mandrino, "Velocita"));
+        writeValue(CNCInstance, "ConsumoEnergetico", DataType.Double, energyConsumption);
+
+        console.log(`Stato di ${CNCInstance.browseName.name}: ${statusName(from)} -> ${statusName(to)}` +
+            (alarmReason ? ` (motivo: ${alarmReason})` : "") + `, consumo energetico ${energyConsumption} kW`);
+
+        this.emit("transition", { machine: CNCInstance, from, to, reason: alarmReason });
+    }
+}
+
+module.exports = {
+    MIN_SPINDLE_SPEED,
+    MAX_SPINDLE_SPEED,
+    allowedTransitions,
+    computeEnergyConsumption,
+    describeAllowedTransitions,
+    statusName,
+    statusText,
+    MachineStateMachine
+};
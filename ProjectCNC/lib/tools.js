@@ -0,0 +1,276 @@
+const { EventEmitter } = require("events");
+const { DataType, StatusCodes } = require("node-opcua");
+const { CNCStatusEnumValues } = require("./model");
+const { message } = require("./i18n");
+
+const TOOL_WORN_REASON = message("toolWorn");
+
+// Con la CNC On il cambio utensile è ammesso solo fino a questa velocità del mandrino
+const MAX_TOOL_CHANGE_SPEED = 1;
+
+// Indici degli argomenti di ingresso di LoadTool, usati per la diagnostica
+const LOAD_TOOL_ARGUMENTS = { pocket: 0, toolId: 1, toolType: 2, diameter: 3, remainingLife: 4 };
+
+const readValue = (node, name) => node.getChildByName(name).readValue().value.value;
+
+const writeValue = (node, name, dataType, value) => {
+    node.getChildByName(name).setValueFromSource({ dataType, value });
+};
+
+const pocketName = (pocket) => `Pocket${pocket}`;
+
+const getMagazine = (CNCInstance) => CNCInstance.getChildByName("ToolMagazine");
+
+const getPocket = (magazine, pocket) => magazine.getChildByName(pocketName(pocket));
+
+/**
+ * Utensile contenuto in una tasca, o null se la tasca è libera.
+ */
+const readTool = (pocketNode) => {
+    const toolId = readValue(pocketNode, "ToolId");
+    if (!toolId) return null;
+    return {
+        toolId,
+        toolType: readValue(pocketNode, "ToolType"),
+        diameter: readValue(pocketNode, "Diameter"),
+        remainingLife: readValue(pocketNode, "RemainingLife"),
+        usageCount: readValue(pocketNode, "UsageCount")
+    };
+};
+
+const writeTool = (pocketNode, tool) => {
+    writeValue(pocketNode, "ToolId", DataType.String, tool ? tool.toolId : "");
+    writeValue(pocketNode, "ToolType", DataType.String, tool ? tool.toolType : "");
+    writeValue(pocketNode, "Diameter", DataType.Double, tool ? tool.diameter : 0);
+    writeValue(pocketNode, "RemainingLife", DataType.Double, tool ? tool.remainingLife : 0);
+    writeValue(pocketNode, "UsageCount", DataType.UInt32, tool ? tool.usageCount : 0);
+};
+
+/**
+ * Allinea Utensile e UsuraUtensile della CNC all'utensile montato sul mandrino (tasca ActivePocket).
+ */
+const syncActiveTool = (CNCInstance) => {
+    const magazine = getMagazine(CNCInstance);
+    const activePocket = readValue(magazine, "ActivePocket");
+    const tool = activePocket ? readTool(getPocket(magazine, activePocket)) : null;
+    writeValue(CNCInstance, "Utensile", DataType.String, tool ? tool.toolId : "");
+    writeValue(CNCInstance, "UsuraUtensile", DataType.Double, tool ? 100 - tool.remainingLife : 0);
+};
+
+/**
+ * Crea le tasche Pocket1..PocketN del magazzino di una CNC e carica gli utensili iniziali.
+ *
+ * @param {UAObject} CNCInstance - istanza di MacchinaCNCType
+ * @param {UAObjectType} pocketType - ToolPocketType restituito da loadCNCModel
+ * @param {{ pockets: number, tools: Array<{ pocket: number, id: string, type: string, diameter: number, remainingLife: number }>, activePocket: number }} magazineConfig
+ */
+const installToolMagazine = (CNCInstance, pocketType, { pockets, tools, activePocket }) => {
+    const magazine = getMagazine(CNCInstance);
+    for (let pocket = 1; pocket <= pockets; pocket++) {
+        pocketType.instantiate({ browseName: pocketName(pocket), componentOf: magazine });
+    }
+    writeValue(magazine, "PocketCount", DataType.UInt32, pockets);
+
+    for (const tool of tools) {
+        writeTool(getPocket(magazine, tool.pocket), {
+            toolId: tool.id,
+            toolType: tool.type,
+            diameter: tool.diameter,
+            remainingLife: tool.remainingLife,
+            usageCount: 0
+        });
+    }
+    writeValue(magazine, "ActivePocket", DataType.UInt32, activePocket);
+    syncActiveTool(CNCInstance);
+};
+
+/**
+ * Gestione dei magazzini utensili delle CNC: carico, scarico e cambio utensile, usura dell'utensile montato.
+ *
+ * Ogni operazione restituisce { statusCode, message, argumentIndex }, dove argumentIndex
+ * indica l'argomento di ingresso a cui si riferisce un eventuale rifiuto.
+ * Emette "toolLoaded", "toolUnloaded" con { machine, pocket, toolId }
+ * e "toolChanged" con { machine, fromPocket, toPocket, toolId }.
+ */
+class ToolManager extends EventEmitter {
+
+    /**
+     * @param {MachineStateMachine} stateMachine
+     */
+    constructor(stateMachine) {
+        super();
+        this.stateMachine = stateMachine;
+    }
+
+    /**
+     * Utensile montato sul mandrino della CNC, o null se non ce n'è nessuno.
+     */
+    getActiveTool(CNCInstance) {
+        const magazine = getMagazine(CNCInstance);
+        const activePocket = readValue(magazine, "ActivePocket");
+        return activePocket ? readTool(getPocket(magazine, activePocket)) : null;
+    }
+
+    /**
+     * Carica un utensile in una tasca libera.
+     */
+    loadTool(CNCInstance, { pocket, toolId, toolType, diameter, remainingLife }) {
+        const magazine = getMagazine(CNCInstance);
+        const invalid = (argument, text) =>
+            ({ statusCode: StatusCodes.BadInvalidArgument, message: text, argumentIndex: LOAD_TOOL_ARGUMENTS[argument] });
+
+        const pocketError = this._checkPocket(magazine, pocket);
+        if (pocketError) return pocketError;
+        if (typeof toolId !== "string" || !toolId.trim()) {
+            return invalid("toolId", message("toolIdEmpty"));
+        }
+        const loadedIn = this._findTool(magazine, toolId);
+        if (loadedIn) {
+            return invalid("toolId", message("toolAlreadyLoaded", { toolId, pocket: loadedIn }));
+        }
+        if (typeof toolType !== "string" || !toolType.trim()) {
+            return invalid("toolType", message("toolTypeEmpty"));
+        }
+        if (!(diameter > 0)) {
+            return invalid("diameter", message("invalidDiameter", { diameter }));
+        }
+        if (!(remainingLife >= 0 && remainingLife <= 100)) {
+            return invalid("remainingLife", message("invalidRemainingLife", { remainingLife }));
+        }
+
+        const pocketNode = getPocket(magazine, pocket);
+        const current = readTool(pocketNode);
+        if (current) {
+            return {
+                statusCode: StatusCodes.BadInvalidState,
+                message: message("pocketOccupied", { pocket, toolId: current.toolId }),
+                argumentIndex: LOAD_TOOL_ARGUMENTS.pocket
+            };
+        }
+
+        writeTool(pocketNode, { toolId, toolType, diameter, remainingLife, usageCount: 0 });
+        console.log(`Utensile ${toolId} (${toolType}, Ø${diameter} mm, vita residua ${remainingLife}%) caricato nella tasca ${pocket} di ${CNCInstance.browseName.name}.`);
+        this.emit("toolLoaded", { machine: CNCInstance, pocket, toolId });
+        return { statusCode: StatusCodes.Good, message: message("toolLoaded", { toolId, pocket }) };
+    }
+
+    /**
+     * Scarica l'utensile di una tasca. Se è l'utensile montato, il mandrino resta senza utensile.
+     */
+    unloadTool(CNCInstance, pocket) {
+        const magazine = getMagazine(CNCInstance);
+        const pocketError = this._checkPocket(magazine, pocket);
+        if (pocketError) return pocketError;
+
+        const pocketNode = getPocket(magazine, pocket);
+        const tool = readTool(pocketNode);
+        if (!tool) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("pocketEmpty", { pocket }), argumentIndex: 0 };
+        }
+
+        const isActive = readValue(magazine, "ActivePocket") === pocket;
+        if (isActive) {
+            const spindleError = this._checkSpindleStopped(CNCInstance, message("unloadMountedTool", { toolId: tool.toolId }));
+            if (spindleError) return spindleError;
+            writeValue(magazine, "ActivePocket", DataType.UInt32, 0);
+        }
+
+        writeTool(pocketNode, null);
+        syncActiveTool(CNCInstance);
+        console.log(`Utensile ${tool.toolId} scaricato dalla tasca ${pocket} di ${CNCInstance.browseName.name}.`);
+        this.emit("toolUnloaded", { machine: CNCInstance, pocket, toolId: tool.toolId });
+        return { statusCode: StatusCodes.Good, message: message("toolUnloaded", { toolId: tool.toolId, pocket }) };
+    }
+
+    /**
+     * Monta sul mandrino l'utensile della tasca indicata (0 = nessun utensile).
+     */
+    changeTool(CNCInstance, pocket) {
+        const magazine = getMagazine(CNCInstance);
+        const activePocket = readValue(magazine, "ActivePocket");
+        if (pocket !== 0) {
+            const pocketError = this._checkPocket(magazine, pocket);
+            if (pocketError) return pocketError;
+        }
+        if (pocket === activePocket) {
+            return { statusCode: StatusCodes.Good, message: pocket ? message("toolAlreadyMounted", { pocket }) : message("noToolMounted") };
+        }
+
+        const tool = pocket ? readTool(getPocket(magazine, pocket)) : null;
+        if (pocket && !tool) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("pocketEmpty", { pocket }), argumentIndex: 0 };
+        }
+        if (tool && tool.remainingLife <= 0) {
+            return { statusCode: StatusCodes.BadInvalidState, message: message("toolWornOut", { toolId: tool.toolId, pocket }), argumentIndex: 0 };
+        }
+        const spindleError = this._checkSpindleStopped(CNCInstance, message("changeToolOperation"));
+        if (spindleError) return spindleError;
+
+        writeValue(magazine, "ActivePocket", DataType.UInt32, pocket);
+        syncActiveTool(CNCInstance);
+        console.log(`Cambio utensile su ${CNCInstance.browseName.name}: tasca ${activePocket} -> ${pocket}` +
+            (tool ? ` (utensile ${tool.toolId})` : " (nessun utensile)") + ".");
+        this.emit("toolChanged", { machine: CNCInstance, fromPocket: activePocket, toPocket: pocket, toolId: tool ? tool.toolId : "" });
+        return { statusCode: StatusCodes.Good, message: tool ? message("toolMounted", { toolId: tool.toolId }) : message("toolRemoved") };
+    }
+
+    /**
+     * Registra la lavorazione di `parts` pezzi con l'utensile montato, riducendone la vita residua
+     * di `wearPerPart` punti percentuali per pezzo.
+     * @returns {{ mounted: boolean, worn: boolean }} worn è true quando l'utensile montato è usurato
+     */
+    wearActiveTool(CNCInstance, parts, wearPerPart) {
+        const magazine = getMagazine(CNCInstance);
+        const activePocket = readValue(magazine, "ActivePocket");
+        const pocketNode = activePocket ? getPocket(magazine, activePocket) : null;
+        const tool = pocketNode ? readTool(pocketNode) : null;
+        if (!tool) return { mounted: false, worn: false };
+
+        if (parts > 0) {
+            tool.remainingLife = Math.max(0, Math.round((tool.remainingLife - parts * wearPerPart) * 10000) / 10000);
+            tool.usageCount += parts;
+            writeTool(pocketNode, tool);
+            syncActiveTool(CNCInstance);
+        }
+        return { mounted: true, worn: tool.remainingLife <= 0 };
+    }
+
+    _checkPocket(magazine, pocket) {
+        const pocketCount = readValue(magazine, "PocketCount");
+        if (!Number.isInteger(pocket) || pocket < 1 || pocket > pocketCount) {
+            return {
+                statusCode: StatusCodes.BadInvalidArgument,
+                message: message("invalidPocket", { pocket, pocketCount }),
+                argumentIndex: 0
+            };
+        }
+        return null;
+    }
+
+    _findTool(magazine, toolId) {
+        const pocketCount = readValue(magazine, "PocketCount");
+        for (let pocket = 1; pocket <= pocketCount; pocket++) {
+            if (readValue(getPocket(magazine, pocket), "ToolId") === toolId) return pocket;
+        }
+        return 0;
+    }
+
+    // Il mandrino deve essere fermo o alla velocità minima per togliere o montare un utensile
+    _checkSpindleStopped(CNCInstance, operation) {
+        if (this.stateMachine.getStatus(CNCInstance) !== CNCStatusEnumValues.On) return null;
+        const speed = readValue(CNCInstance.getChildByName("Mandrino"), "Velocita");
+        if (speed <= MAX_TOOL_CHANGE_SPEED) return null;
+        return {
+            statusCode: StatusCodes.BadInvalidState,
+            message: message("spindleTurning", { operation, speed, max: MAX_TOOL_CHANGE_SPEED }),
+            argumentIndex: 0
+        };
+    }
+}
+
+module.exports = {
+    TOOL_WORN_REASON,
+    MAX_TOOL_CHANGE_SPEED,
+    installToolMagazine,
+    ToolManager
+};
@@ -0,0 +1,904 @@
+/**
+ * Traduzioni italiano/inglese del modello CNC e dei messaggi dei metodi.
+ *
+ * MODEL_TEXTS contiene, per ogni tipo del modello (ObjectType, EventType, DataType), DisplayName e Description
+ * nelle due lingue ([DisplayName, Description]) e, in `children`, quelli delle sue dichiarazioni di istanza
+ * (variabili, proprietà, componenti e metodi) per browseName. I componenti non ripetono i figli del proprio tipo:
+ * MacchinaCNCType/Mandrino/Velocita usa il testo di MandrinoType/Velocita.
+ * I metodi hanno in `arguments` la descrizione dei loro argomenti di ingresso e di uscita, le enumerazioni
+ * in `values` il nome di ogni valore (EnumStrings o DisplayName di EnumValues).
+ *
+ * MESSAGES contiene i messaggi restituiti dai metodi (Result e diagnostica degli argomenti), i motivi degli
+ * allarmi (AlarmReason) e i messaggi degli eventi degli allarmi: stringhe o funzioni dei parametri del messaggio,
+ * già tradotti nella stessa lingua.
+ */
+
+// Result (OperationResult) dei metodi delle singole CNC
+const RESULT_ARGUMENT = {
+    en: "Result of the operation: StatusCode, message and time",
+    it: "Esito dell'operazione: StatusCode, messaggio e istante"
+};
+
+// Argomenti comuni ai metodi di gruppo
+const GROUP_ARGUMENTS = {
+    DryRun: {
+        en: "If true the method reports what would change on each CNC without changing it",
+        it: "Se true il metodo riporta cosa cambierebbe su ogni CNC senza modificarla"
+    },
+    Result: {
+        en: "Overall result: StatusCode, summary and time",
+        it: "Esito complessivo: StatusCode, riepilogo e istante"
+    },
+    Results: {
+        en: "Result on each CNC of the group, in the order of the fleet configuration",
+        it: "Esito su ogni CNC del gruppo, nell'ordine della configurazione della flotta"
+    }
+};
+
+// Indicatori del turno, comuni a KpiType e a ShiftSummaryEventType
+const SHIFT_KPI_TEXTS = {
+    ShiftName: {
+        en: ["ShiftName", "Current shift of the calendar"],
+        it: ["NomeTurno", "Turno del calendario in corso"]
+    },
+    ShiftStart: {
+        en: ["ShiftStart", "Start of the counting period: start of the shift or last ResetShiftCounters"],
+        it: ["InizioTurno", "Inizio del periodo di conteggio: inizio del turno o ultimo ResetShiftCounters"]
+    },
+    ShiftEnd: {
+        en: ["ShiftEnd", "End of the current shift"],
+        it: ["FineTurno", "Fine del turno in corso"]
+    },
+    OnTime: {
+        en: ["OnTime", "Hours On in the shift"],
+        it: ["TempoAcceso", "Ore in stato Acceso nel turno"]
+    },
+    OffTime: {
+        en: ["OffTime", "Hours Off in the shift (planned downtime)"],
+        it: ["TempoSpento", "Ore in stato Spento nel turno (fermo pianificato)"]
+    },
+    AlarmTime: {
+        en: ["AlarmTime", "Hours in Alarm in the shift (unplanned downtime)"],
+        it: ["TempoAllarme", "Ore in stato Allarme nel turno (fermo non pianificato)"]
+    },
+    GoodParts: {
+        en: ["GoodParts", "Good parts produced in the shift"],
+        it: ["PezziBuoni", "Pezzi buoni prodotti nel turno"]
+    },
+    RejectedParts: {
+        en: ["RejectedParts", "Parts rejected in the shift"],
+        it: ["PezziScartati", "Pezzi scartati nel turno"]
+    },
+    EnergyConsumed: {
+        en: ["EnergyConsumed", "Energy consumed in the shift in kWh"],
+        it: ["EnergiaConsumata", "Energia consumata nel turno in kWh"]
+    },
+    Availability: {
+        en: ["Availability", "Availability in percent: OnTime / (OnTime + AlarmTime)"],
+        it: ["Disponibilità", "Disponibilità in percentuale: OnTime / (OnTime + AlarmTime)"]
+    },
+    Performance: {
+        en: ["Performance", "Performance in percent: parts produced / parts at the IdealCycleTime of the spindle speed in OnTime"],
+        it: ["Efficienza", "Efficienza in percentuale: pezzi prodotti / pezzi al IdealCycleTime della velocità del mandrino in OnTime"]
+    },
+    Quality: {
+        en: ["Quality", "Quality in percent: GoodParts / parts produced"],
+        it: ["Qualità", "Qualità in percentuale: GoodParts / pezzi prodotti"]
+    },
+    OEE: {
+        en: ["OEE", "Overall Equipment Effectiveness in percent: Availability × Performance × Quality"],
+        it: ["OEE", "Overall Equipment Effectiveness in percentuale: Availability × Performance × Quality"]
+    },
+    EnergyPerPart: {
+        en: ["EnergyPerPart", "Energy per good part in kWh"],
+        it: ["EnergiaPerPezzo", "Energia per pezzo buono in kWh"]
+    }
+};
+
+const MODEL_TEXTS = {
+    // --- DataType ---
+    CNCTypeEnum: {
+        en: ["CNCTypeEnum", "Status of the CNC machine"],
+        it: ["CNCTypeEnum", "Stato della macchina CNC"],
+        values: {
+            Off: { en: "Off", it: "Spento" },
+            On: { en: "On", it: "Acceso" },
+            Alarm: { en: "Alarm", it: "Allarme" }
+        }
+    },
+    VelocitaMandrinoEnum: {
+        en: ["SpindleSpeedEnum", "Spindle speed levels (1-5)"],
+        it: ["VelocitàMandrinoEnum", "Livelli di velocità del mandrino (1-5)"],
+        values: {
+            1: { en: "Speed 1", it: "Velocità 1" },
+            2: { en: "Speed 2", it: "Velocità 2" },
+            3: { en: "Speed 3", it: "Velocità 3" },
+            4: { en: "Speed 4", it: "Velocità 4" },
+            5: { en: "Speed 5", it: "Velocità 5" }
+        }
+    },
+    JobStateEnum: {
+        en: ["JobStateEnum", "State of the job loaded on a CNC"],
+        it: ["StatoCommessaEnum", "Stato della commessa caricata su una CNC"],
+        values: {
+            None: { en: "None", it: "Nessuna" },
+            Loaded: { en: "Loaded", it: "Caricata" },
+            Running: { en: "Running", it: "In esecuzione" },
+            Paused: { en: "Paused", it: "Sospesa" },
+            Completed: { en: "Completed", it: "Completata" },
+            Aborted: { en: "Aborted", it: "Annullata" }
+        }
+    },
+    OperationResult: {
+        en: ["OperationResult", "Result of a CNC method: StatusCode, message and time of the operation"],
+        it: ["EsitoOperazione", "Esito di un metodo delle CNC: StatusCode, messaggio e istante dell'operazione"]
+    },
+    MachineSnapshot: {
+        en: ["MachineSnapshot", "Current values of a CNC, read together by the GetSnapshot method"],
+        it: ["SnapshotMacchina", "Valori correnti di una CNC, letti insieme dal metodo GetSnapshot"]
+    },
+    MachineOperationResult: {
+        en: ["MachineOperationResult", "Result of a group operation (StartAll, StopAll, SetSpindleSpeedAll) on one of the CNCs of the group"],
+        it: ["EsitoOperazioneMacchina", "Esito di un'operazione di gruppo (StartAll, StopAll, SetSpindleSpeedAll) su una delle CNC del gruppo"]
+    },
+
+    // --- ObjectType ---
+    MandrinoType: {
+        en: ["SpindleType", "Spindle of a CNC: speed preset, RPM, load, bearing temperature and vibration"],
+        it: ["MandrinoType", "Mandrino di una CNC: preset di velocità, giri, carico, temperatura dei cuscinetti e vibrazione"],
+        children: {
+            Velocita: {
+                en: ["Speed", "Speed preset of the spindle (1-5)"],
+                it: ["Velocità", "Preset di velocità del mandrino (1-5)"]
+            },
+            ActualRPM: {
+                en: ["ActualRPM", "Actual rotation speed of the spindle"],
+                it: ["GiriEffettivi", "Velocità di rotazione effettiva del mandrino"]
+            },
+            TargetRPM: {
+                en: ["TargetRPM", "Target rotation speed of the spindle (preset of Velocita, 0 while the CNC is not working)"],
+                it: ["GiriObiettivo", "Velocità di rotazione obiettivo del mandrino (preset di Velocita, 0 con la CNC non in lavorazione)"]
+            },
+            Load: {
+                en: ["Load", "Spindle load in percent of the rated load"],
+                it: ["Carico", "Carico del mandrino in percentuale del carico nominale"]
+            },
+            BearingTemperature: {
+                en: ["BearingTemperature", "Temperature of the spindle bearings"],
+                it: ["TemperaturaCuscinetti", "Temperatura dei cuscinetti del mandrino"]
+            },
+            Vibration: {
+                en: ["Vibration", "RMS vibration velocity of the spindle"],
+                it: ["Vibrazione", "Velocità di vibrazione efficace del mandrino"]
+            },
+            CambiareVelocita: {
+                en: ["ChangeSpeed", "Changes the speed preset of the spindle (CNC On only)"],
+                it: ["CambiaVelocità", "Cambia il preset di velocità del mandrino (solo con la CNC accesa)"],
+                arguments: {
+                    NewSpeed: { en: "New speed for the spindle (1-5)", it: "Nuova velocità per il Mandrino (1-5)" },
+                    Result: RESULT_ARGUMENT
+                }
+            }
+        }
+    },
+    ToolPocketType: {
+        en: ["ToolPocketType", "Pocket of the tool magazine; an empty ToolId means a free pocket"],
+        it: ["TascaUtensileType", "Tasca del magazzino utensili; ToolId vuoto indica una tasca libera"],
+        children: {
+            ToolId: {
+                en: ["ToolId", "Identifier of the tool (empty if the pocket is free)"],
+                it: ["IdUtensile", "Identificativo dell'utensile (vuoto se la tasca è libera)"]
+            },
+            ToolType: {
+                en: ["ToolType", "Type of tool"],
+                it: ["TipoUtensile", "Tipo di utensile"]
+            },
+            Diameter: {
+                en: ["Diameter", "Diameter of the tool in mm"],
+                it: ["Diametro", "Diametro dell'utensile in mm"]
+            },
+            RemainingLife: {
+                en: ["RemainingLife", "Remaining life of the tool in percent (0 = worn out)"],
+                it: ["VitaResidua", "Vita residua dell'utensile in percentuale (0 = usurato)"]
+            },
+            UsageCount: {
+                en: ["UsageCount", "Number of parts machined with the tool"],
+                it: ["NumeroUtilizzi", "Numero di pezzi lavorati con l'utensile"]
+            }
+        }
+    },
+    ToolMagazineType: {
+        en: ["ToolMagazineType", "Tool magazine of a CNC"],
+        it: ["MagazzinoUtensiliType", "Magazzino utensili di una CNC"],
+        children: {
+            PocketCount: {
+                en: ["PocketCount", "Number of pockets of the magazine"],
+                it: ["NumeroTasche", "Numero di tasche del magazzino"]
+            },
+            ActivePocket: {
+                en: ["ActivePocket", "Pocket of the tool mounted on the spindle (0 = none)"],
+                it: ["TascaAttiva", "Tasca dell'utensile montato sul mandrino (0 = nessuno)"]
+            },
+            LoadTool: {
+                en: ["LoadTool", "Loads a tool in a free pocket of the magazine"],
+                it: ["CaricaUtensile", "Carica un utensile in una tasca libera del magazzino"],
+                arguments: {
+                    Pocket: { en: "Number of the pocket (1 to PocketCount)", it: "Numero della tasca (da 1 a PocketCount)" },
+                    ToolId: { en: "Unique identifier of the tool", it: "Identificativo univoco dell'utensile" },
+                    ToolType: { en: "Type of tool (e.g. Mill, Drill, Tap)", it: "Tipo di utensile (es. Fresa, Punta, Maschio)" },
+                    Diameter: { en: "Diameter of the tool in mm", it: "Diametro dell'utensile in mm" },
+                    RemainingLife: { en: "Remaining life of the tool in percent (0-100)", it: "Vita residua dell'utensile in percentuale (0-100)" },
+                    Result: RESULT_ARGUMENT
+                }
+            },
+            UnloadTool: {
+                en: ["UnloadTool", "Unloads the tool from a pocket of the magazine"],
+                it: ["ScaricaUtensile", "Scarica l'utensile da una tasca del magazzino"],
+                arguments: {
+                    Pocket: { en: "Number of the pocket (1 to PocketCount)", it: "Numero della tasca (da 1 a PocketCount)" },
+                    Result: RESULT_ARGUMENT
+                }
+            },
+            ChangeTool: {
+                en: ["ChangeTool", "Mounts the tool of the given pocket on the spindle"],
+                it: ["CambiaUtensile", "Monta sul mandrino l'utensile della tasca indicata"],
+                arguments: {
+                    Pocket: { en: "Pocket of the tool to mount", it: "Tasca dell'utensile da montare" },
+                    Result: RESULT_ARGUMENT
+                }
+            },
+            "<Pocket>": {
+                en: ["<Pocket>", "Pockets of the magazine (Pocket1 ... PocketN)"],
+                it: ["<Tasca>", "Tasche del magazzino (Pocket1 ... PocketN)"]
+            }
+        }
+    },
+    JobType: {
+        en: ["JobType", "Job (work order) running on a CNC"],
+        it: ["CommessaType", "Commessa (ordine di lavoro) in esecuzione su una CNC"],
+        children: {
+            JobId: {
+                en: ["JobId", "Identifier of the loaded job (empty if none)"],
+                it: ["IdCommessa", "Identificativo della commessa caricata (vuoto se nessuna)"]
+            },
+            PartNumber: {
+                en: ["PartNumber", "Code of the part to produce"],
+                it: ["CodicePezzo", "Codice del pezzo da produrre"]
+            },
+            TargetQuantity: {
+                en: ["TargetQuantity", "Number of parts to produce"],
+                it: ["QuantitàObiettivo", "Numero di pezzi da produrre"]
+            },
+            RequiredTool: {
+                en: ["RequiredTool", "Tool required by the job (it must be mounted to start the job)"],
+                it: ["UtensileRichiesto", "Utensile richiesto dalla commessa (deve essere montato per avviarla)"]
+            },
+            SpindleSpeed: {
+                en: ["SpindleSpeed", "Spindle speed set when the job starts"],
+                it: ["VelocitàMandrino", "Velocità del mandrino impostata all'avvio della commessa"]
+            },
+            State: {
+                en: ["State", "State of the job"],
+                it: ["Stato", "Stato della commessa"]
+            },
+            PartsProduced: {
+                en: ["PartsProduced", "Parts produced for the job"],
+                it: ["PezziProdotti", "Pezzi prodotti per la commessa"]
+            },
+            Progress: {
+                en: ["Progress", "Progress of the job in percent (PartsProduced / TargetQuantity)"],
+                it: ["Avanzamento", "Avanzamento della commessa in percentuale (PartsProduced / TargetQuantity)"]
+            },
+            EstimatedCompletion: {
+                en: ["EstimatedCompletion", "Estimated completion time while the job is running, completion time once the job is completed"],
+                it: ["CompletamentoStimato", "Istante stimato di completamento con la commessa in esecuzione, istante di completamento con la commessa completata"]
+            },
+            LoadJob: {
+                en: ["LoadJob", "Loads a job on the CNC"],
+                it: ["CaricaCommessa", "Carica una commessa sulla CNC"],
+                arguments: {
+                    JobId: { en: "Identifier of the job", it: "Identificativo della commessa" },
+                    PartNumber: { en: "Code of the part to produce", it: "Codice del pezzo da produrre" },
+                    TargetQuantity: { en: "Number of parts to produce (greater than 0)", it: "Numero di pezzi da produrre (maggiore di 0)" },
+                    RequiredTool: { en: "Required tool (ToolId)", it: "Utensile richiesto (ToolId)" },
+                    SpindleSpeed: { en: "Spindle speed for the job (1-5)", it: "Velocità del mandrino per la commessa (1-5)" },
+                    Result: RESULT_ARGUMENT
+                }
+            },
+            StartJob: {
+                en: ["StartJob", "Starts the loaded job or resumes the paused one"],
+                it: ["AvviaCommessa", "Avvia la commessa caricata o riprende quella sospesa"],
+                arguments: { Result: RESULT_ARGUMENT }
+            },
+            PauseJob: {
+                en: ["PauseJob", "Pauses the running job"],
+                it: ["SospendiCommessa", "Sospende la commessa in esecuzione"],
+                arguments: { Result: RESULT_ARGUMENT }
+            },
+            AbortJob: {
+                en: ["AbortJob", "Aborts the loaded, running or paused job"],
+                it: ["AnnullaCommessa", "Annulla la commessa caricata, in esecuzione o sospesa"],
+                arguments: { Result: RESULT_ARGUMENT }
+            }
+        }
+    },
+    KpiType: {
+        en: ["KpiType", "OEE and energy indicators of a CNC in the current shift"],
+        it: ["KpiType", "Indicatori OEE ed energetici di una CNC nel turno in corso"],
+        children: {
+            ...SHIFT_KPI_TEXTS,
+            IdealCycleTime: {
+                en: ["IdealCycleTime", "Ideal cycle time in seconds at the current spindle speed"],
+                it: ["TempoCicloIdeale", "Tempo ciclo ideale in secondi alla velocità corrente del mandrino"]
+            },
+            ResetShiftCounters: {
+                en: ["ResetShiftCounters", "Closes the KPI counting period of the shift and restarts it from zero"],
+                it: ["AzzeraContatoriTurno", "Chiude il periodo di conteggio dei KPI del turno e lo fa ripartire da zero"],
+                arguments: { Result: RESULT_ARGUMENT }
+            }
+        }
+    },
+    MacchinaCNCType: {
+        en: ["CNCMachineType", "CNC machine: status, tool, parts, energy consumption, spindle, tool magazine, job and KPIs"],
+        it: ["MacchinaCNCType", "Macchina CNC: stato, utensile, pezzi, consumo energetico, mandrino, magazzino utensili, commessa e KPI"],
+        children: {
+            Status: {
+                en: ["Status", "Current status of the CNC"],
+                it: ["Stato", "Stato corrente della CNC"]
+            },
+            Utensile: {
+                en: ["Tool", "ToolId of the tool mounted on the spindle (ToolMagazine/ActivePocket), empty if none"],
+                it: ["Utensile", "ToolId dell'utensile montato sul mandrino (ToolMagazine/ActivePocket), vuoto se nessuno"]
+            },
+            PezziProdotti: {
+                en: ["PartsProduced", "Parts produced by the CNC"],
+                it: ["PezziProdotti", "Pezzi prodotti dalla CNC"]
+            },
+            ConsumoEnergetico: {
+                en: ["EnergyConsumption", "Energy consumption in kW"],
+                it: ["ConsumoEnergetico", "Consumo energetico in kW"]
+            },
+            PreviousStatus: {
+                en: ["PreviousStatus", "Status of the CNC before the last transition"],
+                it: ["StatoPrecedente", "Stato della CNC prima dell'ultima transizione"]
+            },
+            LastTransitionTime: {
+                en: ["LastTransitionTime", "Time of the last status transition"],
+                it: ["UltimaTransizione", "Istante dell'ultima transizione di stato"]
+            },
+            AlarmReason: {
+                en: ["AlarmReason", "Reason of the current alarm (empty if the CNC is not in Alarm)"],
+                it: ["MotivoAllarme", "Motivo dell'allarme corrente (vuoto se la CNC non è in Allarme)"]
+            },
+            AlarmAcknowledged: {
+                en: ["AlarmAcknowledged", "Whether the current alarm has been acknowledged"],
+                it: ["AllarmeRiconosciuto", "Indica se l'allarme corrente è stato riconosciuto"]
+            },
+            UsuraUtensile: {
+                en: ["ToolWear", "Wear of the mounted tool in percent (100 = tool to be replaced)"],
+                it: ["UsuraUtensile", "Usura dell'utensile montato in percentuale (100 = utensile da sostituire)"]
+            },
+            Mandrino: {
+                en: ["Spindle", "Spindle of the CNC"],
+                it: ["Mandrino", "Mandrino della CNC"]
+            },
+            ToolMagazine: {
+                en: ["ToolMagazine", "Tool magazine of the CNC"],
+                it: ["MagazzinoUtensili", "Magazzino utensili della CNC"]
+            },
+            Job: {
+                en: ["Job", "Job (work order) of the CNC"],
+                it: ["Commessa", "Commessa (ordine di lavoro) della CNC"]
+            },
+            KPI: {
+                en: ["KPI", "OEE and energy indicators of the CNC in the current shift"],
+                it: ["KPI", "Indicatori OEE ed energetici della CNC nel turno in corso"]
+            },
+            ChangeStatus: {
+                en: ["ChangeStatus", "Changes the status of the CNC (Off, On, Alarm)"],
+                it: ["CambiaStato", "Cambia lo stato della CNC (Spento, Acceso, Allarme)"],
+                arguments: {
+                    NewStatus: { en: "New status for the CNC (0=Off, 1=On, 2=Alarm)", it: "Nuovo stato per la CNC (0=Spento, 1=Acceso, 2=Allarme)" },
+                    Result: RESULT_ARGUMENT
+                }
+            },
+            AcknowledgeAlarm: {
+                en: ["AcknowledgeAlarm", "Acknowledges the current alarm of the CNC"],
+                it: ["RiconosciAllarme", "Riconosce l'allarme corrente della CNC"],
+                arguments: { Result: RESULT_ARGUMENT }
+            },
+            GetSnapshot: {
+                en: ["GetSnapshot", "Reads the current values of the CNC at the same instant"],
+                it: ["LeggiSnapshot", "Legge i valori correnti della CNC nello stesso istante"],
+                arguments: {
+                    Snapshot: { en: "Current values of the CNC", it: "Valori correnti della CNC" }
+                }
+            }
+        }
+    },
+    MacchinaCNCProType: {
+        en: ["CNCProMachineType", "CNC machine with the predictive maintenance model"],
+        it: ["MacchinaCNCProType", "Macchina CNC con il modello di manutenzione predittiva"],
+        children: {
+            StatusAI: {
+                en: ["StatusAI", "Maintenance recommended by the predictive model"],
+                it: ["StatoAI", "Manutenzione raccomandata dal modello predittivo"]
+            },
+            OperatingHours: {
+                en: ["OperatingHours", "Operating hours (time in status On)"],
+                it: ["OreFunzionamento", "Ore di funzionamento (tempo in stato Acceso)"]
+            },
+            HealthScore: {
+                en: ["HealthScore", "Health score of the machine from 0 (urgent maintenance) to 100"],
+                it: ["IndiceSalute", "Indice di salute della macchina da 0 (manutenzione urgente) a 100"]
+            },
+            EstimatedTimeToMaintenance: {
+                en: ["EstimatedTimeToMaintenance", "Estimated operating hours before maintenance (NaN if not yet estimable)"],
+                it: ["TempoStimatoManutenzione", "Ore di funzionamento stimate prima della manutenzione (NaN se non ancora stimabile)"]
+            },
+            SpindleLoad: {
+                en: ["SpindleLoad", "Average spindle load (EWMA of the speed relative to the maximum, %)"],
+                it: ["CaricoMedioMandrino", "Carico medio del mandrino (EWMA della velocità rispetto alla massima, %)"]
+            },
+            EnergyAnomalyScore: {
+                en: ["EnergyAnomalyScore", "Z-score of the last energy consumption against the EWMA mean of the deviation from the formula"],
+                it: ["AnomaliaEnergetica", "Z-score dell'ultimo consumo energetico rispetto alla media EWMA dello scarto dalla formula"]
+            },
+            ManutenzionePredittiva: {
+                en: ["PredictiveMaintenance", "Report of the predictive maintenance model: health score, hours to maintenance, main factors and recommendation"],
+                it: ["ManutenzionePredittiva", "Rapporto del modello di manutenzione predittiva: indice di salute, ore alla manutenzione, fattori principali e raccomandazione"],
+                arguments: {
+                    Result: RESULT_ARGUMENT,
+                    HealthScore: { en: "Health score from 0 to 100", it: "Indice di salute da 0 a 100" },
+                    EstimatedTimeToMaintenance: {
+                        en: "Estimated operating hours before maintenance (NaN if not estimable)",
+                        it: "Ore di funzionamento stimate prima della manutenzione (NaN se non stimabile)"
+                    },
+                    TopFactors: {
+                        en: "Factors that lower the health score the most, most influential first",
+                        it: "Fattori che riducono di più l'indice di salute, dal più influente"
+                    },
+                    Recommendation: { en: "Maintenance recommendation", it: "Raccomandazione di manutenzione" }
+                }
+            }
+        }
+    },
+    MachineGroupType: {
+        en: ["MachineGroupType", "Folder of CNCs (Plant, Line, Cell or tag group) with operations on all the machines of the group"],
+        it: ["GruppoMacchineType", "Cartella di CNC (Plant, Line, Cell o gruppo per tag) con operazioni su tutte le macchine del gruppo"],
+        children: {
+            StartAll: {
+                en: ["StartAll", "Switches On every machine of the group"],
+                it: ["AvviaTutte", "Accende tutte le macchine del gruppo"],
+                arguments: GROUP_ARGUMENTS
+            },
+            StopAll: {
+                en: ["StopAll", "Switches Off every machine of the group"],
+                it: ["FermaTutte", "Spegne tutte le macchine del gruppo"],
+                arguments: GROUP_ARGUMENTS
+            },
+            SetSpindleSpeedAll: {
+                en: ["SetSpindleSpeedAll", "Sets the spindle speed of every machine of the group"],
+                it: ["ImpostaVelocitàTutte", "Imposta la velocità del mandrino di tutte le macchine del gruppo"],
+                arguments: {
+                    NewSpeed: { en: "New spindle speed (1-5)", it: "Nuova velocità del mandrino (1-5)" },
+                    ...GROUP_ARGUMENTS
+                }
+            }
+        }
+    },
+
+    // --- EventType ---
+    CNCMethodAuditEventType: {
+        en: ["CNCMethodAuditEventType", "Audit event of a call to a method of a CNC, with the values of the variables before and after the call"],
+        it: ["CNCMethodAuditEventType", "Evento di audit di una chiamata a un metodo di una CNC, con i valori delle variabili prima e dopo la chiamata"],
+        children: {
+            Changes: {
+                en: ["Changes", "Variables changed by the call, in JSON: [{ \"variable\", \"before\", \"after\" }]"],
+                it: ["Modifiche", "Variabili modificate dalla chiamata, in JSON: [{ \"variable\", \"before\", \"after\" }]"]
+            }
+        }
+    },
+    CNCStatusAuditEventType: {
+        en: ["CNCStatusAuditEventType", "Audit event of a status change of a CNC not caused by a method call (simulation fault, spindle protection)"],
+        it: ["CNCStatusAuditEventType", "Evento di audit di un cambio di stato di una CNC non causato da una chiamata a un metodo (guasto della simulazione, protezione del mandrino)"],
+        children: {
+            Reason: {
+                en: ["Reason", "Reason of the status change (the alarm reason when entering Alarm), empty when not given"],
+                it: ["Motivo", "Motivo del cambio di stato (il motivo dell'allarme per un passaggio in Alarm), vuoto se non indicato"]
+            }
+        }
+    },
+    ShiftSummaryEventType: {
+        en: ["ShiftSummaryEventType", "Summary of the KPIs of a CNC at the end of a shift or on ResetShiftCounters"],
+        it: ["RiepilogoTurnoEventType", "Riepilogo dei KPI di una CNC alla fine di un turno o a un ResetShiftCounters"],
+        children: SHIFT_KPI_TEXTS
+    }
+};
+
+const MESSAGES = {
+    // Macchina a stati
+    enumValue: {
+        en: ({ value, name }) => `${value}=${name}`,
+        it: ({ value, name }) => `${value}=${name}`
+    },
+    invalidStatus: {
+        en: ({ status, expected }) => `Invalid status ${status}: expected one of ${expected.join(", ")}`,
+        it: ({ status, expected }) => `Stato ${status} non valido: atteso uno tra ${expected.join(", ")}`
+    },
+    alreadyInStatus: {
+        en: ({ status }) => `Already ${status}`,
+        it: ({ status }) => `Già ${status}`
+    },
+    afterAcknowledge: {
+        en: ({ status }) => `${status} (after AcknowledgeAlarm)`,
+        it: ({ status }) => `${status} (dopo AcknowledgeAlarm)`
+    },
+    transitionNotAllowed: {
+        en: ({ from, to, allowed }) => `Transition ${from} -> ${to} not allowed. Allowed from ${from}: ${allowed.join(", ")}`,
+        it: ({ from, to, allowed }) => `Transizione ${from} -> ${to} non ammessa. Ammesse da ${from}: ${allowed.join(", ")}`
+    },
+    transitionRequiresAcknowledge: {
+        en: ({ from, to, allowed }) => `Transition ${from} -> ${to} requires the alarm to be acknowledged first (AcknowledgeAlarm). ` +
+            `Allowed from ${from}: ${allowed.join(", ")}`,
+        it: ({ from, to, allowed }) => `La transizione ${from} -> ${to} richiede prima il riconoscimento dell'allarme (AcknowledgeAlarm). ` +
+            `Ammesse da ${from}: ${allowed.join(", ")}`
+    },
+    transition: {
+        en: ({ from, to }) => `${from} -> ${to}`,
+        it: ({ from, to }) => `${from} -> ${to}`
+    },
+    invalidSpindleSpeed: {
+        en: ({ speed, min, max }) => `Invalid spindle speed ${speed}, expected ${min} to ${max}`,
+        it: ({ speed, min, max }) => `Velocità del mandrino ${speed} non valida, attesa da ${min} a ${max}`
+    },
+    spindleSpeedRequiresOn: {
+        en: "CNC is not ON to change spindle speed",
+        it: "La CNC deve essere accesa per cambiare la velocità del mandrino"
+    },
+    spindleSpeedAlready: {
+        en: ({ speed }) => `Spindle speed already ${speed}`,
+        it: ({ speed }) => `Velocità del mandrino già ${speed}`
+    },
+    spindleSpeedChanged: {
+        en: ({ from, to }) => `Spindle speed ${from} -> ${to}`,
+        it: ({ from, to }) => `Velocità del mandrino ${from} -> ${to}`
+    },
+    noActiveAlarm: {
+        en: "No active alarm to acknowledge",
+        it: "Nessun allarme attivo da riconoscere"
+    },
+    alarmAlreadyAcknowledged: {
+        en: "Alarm already acknowledged",
+        it: "Allarme già riconosciuto"
+    },
+    alarmAcknowledged: {
+        en: "Alarm acknowledged",
+        it: "Allarme riconosciuto"
+    },
+
+    // Motivi degli allarmi (AlarmReason)
+    alarmSetByChangeStatus: {
+        en: "Alarm set with ChangeStatus",
+        it: "Allarme impostato tramite ChangeStatus"
+    },
+    toolWorn: {
+        en: "Tool worn out",
+        it: "Utensile usurato"
+    },
+    simulatedSpindleOverheating: {
+        en: "Simulated fault: spindle overheating",
+        it: "Guasto simulato: surriscaldamento del mandrino"
+    },
+    simulatedVibration: {
+        en: "Simulated fault: abnormal vibration",
+        it: "Guasto simulato: vibrazioni anomale"
+    },
+    simulatedAxisPositioning: {
+        en: "Simulated fault: axis positioning error",
+        it: "Guasto simulato: errore di posizionamento asse"
+    },
+    simulatedCoolantPressure: {
+        en: "Simulated fault: coolant pressure too low",
+        it: "Guasto simulato: pressione del refrigerante insufficiente"
+    },
+    spindleOverload: {
+        en: ({ load, maxLoad }) => `Spindle overload: load ${load}% above the limit of ${maxLoad}%`,
+        it: ({ load, maxLoad }) => `Sovraccarico del mandrino: carico ${load}% oltre il limite di ${maxLoad}%`
+    },
+    spindleOverheating: {
+        en: ({ temperature, maxTemperature }) => `Spindle overheating: bearings at ${temperature} °C above the limit of ${maxTemperature} °C`,
+        it: ({ temperature, maxTemperature }) => `Surriscaldamento del mandrino: cuscinetti a ${temperature} °C oltre il limite di ${maxTemperature} °C`
+    },
+
+    // Eventi degli allarmi (StatusAlarm, EnergyAlarm)
+    statusAlarmActive: {
+        en: ({ machine, reason }) => `${machine} in Alarm: ${reason}`,
+        it: ({ machine, reason }) => `${machine} in allarme: ${reason}`
+    },
+    statusAlarmInactive: {
+        en: ({ machine, status }) => `${machine} left Alarm (now ${status})`,
+        it: ({ machine, status }) => `${machine} uscita dall'allarme (ora ${status})`
+    },
+    acknowledgedBeforeRestart: {
+        en: "Acknowledged before the server restart",
+        it: "Riconosciuto prima del riavvio del server"
+    },
+    acknowledgedWithMethod: {
+        en: "Acknowledged with AcknowledgeAlarm",
+        it: "Riconosciuto con AcknowledgeAlarm"
+    },
+    energyAlarmActive: {
+        en: ({ machine, value, threshold }) => `${machine} energy consumption ${value} kW above threshold ${threshold} kW`,
+        it: ({ machine, value, threshold }) => `Consumo energetico di ${machine} ${value} kW oltre la soglia di ${threshold} kW`
+    },
+    energyAlarmInactive: {
+        en: ({ machine, value, threshold }) => `${machine} energy consumption back to ${value} kW (threshold ${threshold} kW)`,
+        it: ({ machine, value, threshold }) => `Consumo energetico di ${machine} rientrato a ${value} kW (soglia ${threshold} kW)`
+    },
+
+    // Magazzino utensili
+    toolIdEmpty: {
+        en: "ToolId must not be empty",
+        it: "ToolId non può essere vuoto"
+    },
+    toolAlreadyLoaded: {
+        en: ({ toolId, pocket }) => `Tool ${toolId} is already loaded in pocket ${pocket}`,
+        it: ({ toolId, pocket }) => `L'utensile ${toolId} è già caricato nella tasca ${pocket}`
+    },
+    toolTypeEmpty: {
+        en: "ToolType must not be empty",
+        it: "ToolType non può essere vuoto"
+    },
+    invalidDiameter: {
+        en: ({ diameter }) => `Invalid diameter ${diameter}: expected a value greater than 0 mm`,
+        it: ({ diameter }) => `Diametro ${diameter} non valido: atteso un valore maggiore di 0 mm`
+    },
+    invalidRemainingLife: {
+        en: ({ remainingLife }) => `Invalid remaining life ${remainingLife}: expected a value between 0 and 100 %`,
+        it: ({ remainingLife }) => `Vita residua ${remainingLife} non valida: atteso un valore tra 0 e 100 %`
+    },
+    pocketOccupied: {
+        en: ({ pocket, toolId }) => `Pocket ${pocket} is occupied by tool ${toolId}`,
+        it: ({ pocket, toolId }) => `La tasca ${pocket} è occupata dall'utensile ${toolId}`
+    },
+    toolLoaded: {
+        en: ({ toolId, pocket }) => `Tool ${toolId} loaded in pocket ${pocket}`,
+        it: ({ toolId, pocket }) => `Utensile ${toolId} caricato nella tasca ${pocket}`
+    },
+    pocketEmpty: {
+        en: ({ pocket }) => `Pocket ${pocket} is empty`,
+        it: ({ pocket }) => `La tasca ${pocket} è vuota`
+    },
+    toolUnloaded: {
+        en: ({ toolId, pocket }) => `Tool ${toolId} unloaded from pocket ${pocket}`,
+        it: ({ toolId, pocket }) => `Utensile ${toolId} scaricato dalla tasca ${pocket}`
+    },
+    toolAlreadyMounted: {
+        en: ({ pocket }) => `Tool of pocket ${pocket} already mounted`,
+        it: ({ pocket }) => `Utensile della tasca ${pocket} già montato`
+    },
+    noToolMounted: {
+        en: "No tool mounted",
+        it: "Nessun utensile montato"
+    },
+    toolWornOut: {
+        en: ({ toolId, pocket }) => `Tool ${toolId} in pocket ${pocket} is worn out`,
+        it: ({ toolId, pocket }) => `L'utensile ${toolId} nella tasca ${pocket} è usurato`
+    },
+    toolMounted: {
+        en: ({ toolId }) => `Tool ${toolId} mounted`,
+        it: ({ toolId }) => `Utensile ${toolId} montato`
+    },
+    toolRemoved: {
+        en: "Tool removed from the spindle",
+        it: "Utensile tolto dal mandrino"
+    },
+    invalidPocket: {
+        en: ({ pocket, pocketCount }) => `Invalid pocket ${pocket}: expected a value between 1 and ${pocketCount}`,
+        it: ({ pocket, pocketCount }) => `Tasca ${pocket} non valida: atteso un valore tra 1 e ${pocketCount}`
+    },
+    unloadMountedTool: {
+        en: ({ toolId }) => `unload tool ${toolId} from the spindle`,
+        it: ({ toolId }) => `scaricare l'utensile ${toolId} dal mandrino`
+    },
+    changeToolOperation: {
+        en: "change tool",
+        it: "cambiare utensile"
+    },
+    spindleTurning: {
+        en: ({ operation, speed, max }) =>
+            `Cannot ${operation} while the spindle is turning at speed ${speed}: reduce the speed to ${max} or turn the CNC off`,
+        it: ({ operation, speed, max }) =>
+            `Impossibile ${operation} mentre il mandrino gira alla velocità ${speed}: ridurre la velocità a ${max} o spegnere la CNC`
+    },
+
+    // Commesse
+    jobIdEmpty: {
+        en: "JobId must not be empty",
+        it: "JobId non può essere vuoto"
+    },
+    partNumberEmpty: {
+        en: "PartNumber must not be empty",
+        it: "PartNumber non può essere vuoto"
+    },
+    requiredToolEmpty: {
+        en: "RequiredTool must not be empty",
+        it: "RequiredTool non può essere vuoto"
+    },
+    invalidTargetQuantity: {
+        en: ({ targetQuantity }) => `Invalid target quantity ${targetQuantity}: expected at least 1 part`,
+        it: ({ targetQuantity }) => `Quantità obiettivo ${targetQuantity} non valida: atteso almeno 1 pezzo`
+    },
+    jobActive: {
+        en: ({ activeJobId, state, jobId }) => `Job ${activeJobId} is ${state}: abort it before loading job ${jobId}`,
+        it: ({ activeJobId, state, jobId }) => `La commessa ${activeJobId} è ${state}: annullarla prima di caricare la commessa ${jobId}`
+    },
+    noTool: {
+        en: "none",
+        it: "nessuno"
+    },
+    jobLoaded: {
+        en: ({ jobId }) => `Job ${jobId} loaded`,
+        it: ({ jobId }) => `Commessa ${jobId} caricata`
+    },
+    jobAlreadyInState: {
+        en: ({ jobId, state }) => `Job ${jobId} is already ${state}`,
+        it: ({ jobId, state }) => `La commessa ${jobId} è già ${state}`
+    },
+    noJobToStart: {
+        en: ({ state }) => `No job to start (job state ${state}): LoadJob first`,
+        it: ({ state }) => `Nessuna commessa da avviare (stato della commessa ${state}): prima LoadJob`
+    },
+    jobRequiresOn: {
+        en: ({ jobId }) => `CNC is not ON to start job ${jobId}`,
+        it: ({ jobId }) => `La CNC deve essere accesa per avviare la commessa ${jobId}`
+    },
+    jobRequiresTool: {
+        en: ({ jobId, requiredTool, mountedTool }) => `Job ${jobId} requires tool ${requiredTool}, mounted tool is ${mountedTool} (ChangeTool first)`,
+        it: ({ jobId, requiredTool, mountedTool }) =>
+            `La commessa ${jobId} richiede l'utensile ${requiredTool}, l'utensile montato è ${mountedTool} (prima ChangeTool)`
+    },
+    jobCannotStart: {
+        en: ({ jobId, reason }) => `Cannot start job ${jobId}: ${reason}`,
+        it: ({ jobId, reason }) => `Impossibile avviare la commessa ${jobId}: ${reason}`
+    },
+    jobStarted: {
+        en: ({ jobId }) => `Job ${jobId} started`,
+        it: ({ jobId }) => `Commessa ${jobId} avviata`
+    },
+    jobResumed: {
+        en: ({ jobId }) => `Job ${jobId} resumed`,
+        it: ({ jobId }) => `Commessa ${jobId} ripresa`
+    },
+    jobNotRunning: {
+        en: ({ jobId, state, running }) => `Job ${jobId} is ${state}, not ${running}`,
+        it: ({ jobId, state, running }) => `La commessa ${jobId} è ${state}, non ${running}`
+    },
+    noJobLoaded: {
+        en: "No job loaded",
+        it: "Nessuna commessa caricata"
+    },
+    jobPaused: {
+        en: ({ jobId }) => `Job ${jobId} paused`,
+        it: ({ jobId }) => `Commessa ${jobId} sospesa`
+    },
+    jobAborted: {
+        en: ({ jobId }) => `Job ${jobId} aborted`,
+        it: ({ jobId }) => `Commessa ${jobId} annullata`
+    },
+
+    // Operazioni di gruppo
+    groupSummary: {
+        en: ({ changed, total, refused }) => `${changed} of ${total} machine${total === 1 ? "" : "s"} changed` +
+            (refused > 0 ? `, ${refused} refused` : ""),
+        it: ({ changed, total, refused }) => `Modificate ${changed} CNC su ${total}` +
+            (refused > 0 ? `, ${refused} rifiutate` : "")
+    },
+    groupDryRunSummary: {
+        en: ({ changed, total, refused }) => `Dry run: ${changed} of ${total} machine${total === 1 ? "" : "s"} would change` +
+            (refused > 0 ? `, ${refused} would be refused` : ""),
+        it: ({ changed, total, refused }) => `Prova: cambierebbero ${changed} CNC su ${total}` +
+            (refused > 0 ? `, ${refused} verrebbero rifiutate` : "")
+    },
+
+    // KPI
+    machineWithoutKpi: {
+        en: "Machine without KPI counters",
+        it: "Macchina senza contatori KPI"
+    },
+    shiftCountersReset: {
+        en: ({ shiftName, oee }) => `Shift ${shiftName} counters reset (OEE ${oee})`,
+        it: ({ shiftName, oee }) => `Contatori del turno ${shiftName} azzerati (OEE ${oee})`
+    },
+    shiftSummaryEnded: {
+        en: ({ shiftName, machine, oee }) => `Shift ${shiftName} ended on ${machine}: OEE ${oee}`,
+        it: ({ shiftName, machine, oee }) => `Turno ${shiftName} terminato su ${machine}: OEE ${oee}`
+    },
+    shiftSummaryCountersReset: {
+        en: ({ shiftName, machine, oee }) => `Shift ${shiftName} counters reset on ${machine}: OEE ${oee}`,
+        it: ({ shiftName, machine, oee }) => `Contatori del turno ${shiftName} azzerati su ${machine}: OEE ${oee}`
+    },
+
+    // Audit trail
+    methodAudit: {
+        en: ({ method, machine, user, statusCode }) => `${method} on ${machine} by ${user}: ${statusCode}`,
+        it: ({ method, machine, user, statusCode }) => `${method} su ${machine} da ${user}: ${statusCode}`
+    },
+    statusAudit: {
+        en: ({ machine, from, to, reason }) => `${machine}: ${from} -> ${to}` + (reason ? ` (${reason})` : ""),
+        it: ({ machine, from, to, reason }) => `${machine}: da ${from} a ${to}` + (reason ? ` (motivo: ${reason})` : "")
+    },
+
+    // Manutenzione predittiva: fattori dell'indice di salute, interventi e raccomandazioni
+    toolWearFactor: {
+        en: ({ wear, toolId }) => `Tool wear ${wear}%` + (toolId ? ` on ${toolId}` : ""),
+        it: ({ wear, toolId }) => `Usura utensile ${wear}%` + (toolId ? ` su ${toolId}` : "")
+    },
+    energyAnomaliesFactor: {
+        en: ({ rate, zScore }) => `Energy anomalies in ${rate}% of samples (last z-score ${zScore})`,
+        it: ({ rate, zScore }) => `Anomalie energetiche nel ${rate}% dei campioni (ultimo z-score ${zScore})`
+    },
+    spindleLoadFactor: {
+        en: ({ load }) => `Spindle load ${load}%`,
+        it: ({ load }) => `Carico del mandrino ${load}%`
+    },
+    recentAlarmsFactor: {
+        en: ({ alarms }) => `${alarms} recent alarms`,
+        it: ({ alarms }) => `${alarms} allarmi recenti`
+    },
+    healthFactorImpact: {
+        en: ({ factor, impact }) => `${factor} (-${impact} points)`,
+        it: ({ factor, impact }) => `${factor} (-${impact} punti)`
+    },
+    replaceToolAction: {
+        en: "replace the tool",
+        it: "sostituire l'utensile"
+    },
+    inspectSpindleDriveAction: {
+        en: "inspect spindle drive and power supply",
+        it: "controllare l'azionamento del mandrino e l'alimentazione"
+    },
+    checkSpindleBearingsAction: {
+        en: "check spindle bearings and reduce the spindle speed",
+        it: "controllare i cuscinetti del mandrino e ridurre la velocità"
+    },
+    investigateAlarmsAction: {
+        en: "investigate the causes of the recent alarms",
+        it: "indagare sulle cause degli allarmi recenti"
+    },
+    maintenanceRequired: {
+        en: ({ actions }) => `Maintenance required: ${actions.join("; ")}`,
+        it: ({ actions }) => `Manutenzione necessaria: ${actions.join("; ")}`
+    },
+    maintenancePlanned: {
+        en: ({ hours, action }) => `Plan maintenance within ${hours} operating hours: ${action}`,
+        it: ({ hours, action }) => `Pianificare la manutenzione entro ${hours} ore di funzionamento: ${action}`
+    },
+    noMaintenanceNotEstimated: {
+        en: ({ action }) => "No maintenance needed (not enough operating data to estimate the next one)" +
+            (action ? `; meanwhile ${action}` : ""),
+        it: ({ action }) => "Nessuna manutenzione necessaria (dati di funzionamento insufficienti per stimare la prossima)" +
+            (action ? `; nel frattempo ${action}` : "")
+    },
+    noMaintenanceNeeded: {
+        en: ({ hours, action }) => `No maintenance needed in the next ${hours} operating hours` + (action ? `; meanwhile ${action}` : ""),
+        it: ({ hours, action }) => `Nessuna manutenzione necessaria nelle prossime ${hours} ore di funzionamento` +
+            (action ? `; nel frattempo ${action}` : "")
+    },
+
+    // Metodi del server
+    healthScore: {
+        en: ({ healthScore }) => `Health score ${healthScore}`,
+        it: ({ healthScore }) => `Indice di salute ${healthScore}`
+    },
+    parentCncNotFound: {
+        en: "Parent CNC not found",
+        it: "CNC del mandrino non trovata"
+    }
+};
+
+module.exports = {
+    MODEL_TEXTS,
+    MESSAGES
+};
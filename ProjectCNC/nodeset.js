@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const { MODEL_NAMESPACE_URI, UAMODELER_PROJECT_FILE } = require("./lib/model");
+const { DEFAULT_ENDPOINT_URL, SecurityModes, CncClient, userIdentityFromEnv } = require("./lib/cncClient");
+const { describeModel, describeNodeSet, describeReference, conformanceReport, formatReport } = require("./lib/conformance");
+
+const pkiDir = path.join(process.env.CNC_PKI_DIR || path.join(__dirname, "pki"), "client");
+
+// Exit codes: 1 when the target drifts from the reference model, so the check can gate a build
+const ExitCodes = {
+    Conforming: 0,
+    Drift: 1,
+    Usage: 2,
+    ConnectionFailed: 3,
+    Error: 4
+};
+
+const Usage = "Usage: node nodeset.js <command> [options]\n" +
+    "  export [--output <file>] [--namespace model|server]\n" +
+    "      build the address space of server.js in-process and write one of its namespaces as NodeSet2 XML\n" +
+    "      (model: the CNC types, the default; server: the machine instances of the fleet)\n" +
+    "  check [--endpoint <url> | --nodeset <file>] [--reference <file>] [--json]\n" +
+    "      compare the CNC types of a running server (default CNC_ENDPOINT) or of an exported NodeSet\n" +
+    `      with the reference model: the UAModeler design (default ${path.relative(process.cwd(), UAMODELER_PROJECT_FILE)},\n` +
+    "      of which only the DataTypes can be read), an OPC Binary dictionary (.bsd) or a NodeSet2 XML file\n" +
+    "  The connection to a running server uses CNC_SECURITY_MODE, CNC_USER and CNC_PASSWORD (or CNC_USER_CERT and CNC_USER_KEY)\n" +
+    "  and CNC_ACCEPT_UNKNOWN_CERTIFICATE (on to trust any server certificate, development only).";
+
+/**
+ * Wrong command line: printed with the usage and mapped to exit code 2.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+const parseOptions = (args, flags) => {
+    const options = { json: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--json" && flags.includes("--json")) {
+            options.json = true;
+            continue;
+        }
+        if (!flags.includes(args[i])) throw new UsageError(`Unknown option ${args[i]}\n${Usage}`);
+        if (args[i + 1] === undefined) throw new UsageError(`Missing value for ${args[i]}\n${Usage}`);
+        options[args[i].slice(2)] = args[++i];
+    }
+    return options;
+};
+
+// The server is started on a free port with the simulation, the saved state and MQTT off, exported and shut down
+const exportNodeSet = async (args) => {
+    const options = parseOptions(args, ["--output", "--namespace"]);
+    const namespace = options.namespace || "model";
+    if (!["model", "server"].includes(namespace)) throw new UsageError(`Unknown namespace ${namespace}, expected model or server`);
+    const output = options.output || (namespace === "model" ? "cnc.live.NodeSet2.xml" : "cnc.instances.NodeSet2.xml");
+
+    const { startServer } = require("./server");
+    const env = { ...process.env, CNC_SIMULATION: "off", CNC_STATE: "off", CNC_HISTORY_STORAGE: "memory" };
+    delete env.CNC_MQTT_URL;
+    const { server, shutdown } = await startServer({ env, port: 0 });
+    try {
+        const addressSpace = server.engine.addressSpace;
+        const exported = namespace === "model" ? addressSpace.getNamespace(MODEL_NAMESPACE_URI) : addressSpace.getOwnNamespace();
+        fs.writeFileSync(output, exported.toNodeset2XML());
+        console.log(`Namespace ${exported.namespaceUri} exported to ${output}.`);
+    } finally {
+        await shutdown();
+    }
+    return ExitCodes.Conforming;
+};
+
+const checkConformance = async (args) => {
+    const options = parseOptions(args, ["--endpoint", "--nodeset", "--reference", "--json"]);
+    if (options.endpoint && options.nodeset) throw new UsageError(`Use either --endpoint or --nodeset, not both\n${Usage}`);
+    const referenceFile = options.reference || UAMODELER_PROJECT_FILE;
+    const reference = { label: referenceFile, model: await describeReference(referenceFile) };
+
+    let target;
+    if (options.nodeset) {
+        target = { label: options.nodeset, model: await describeNodeSet(options.nodeset) };
+    } else {
+        const endpointUrl = options.endpoint || process.env.CNC_ENDPOINT || DEFAULT_ENDPOINT_URL;
+        const securityMode = process.env.CNC_SECURITY_MODE || "None";
+        if (!(securityMode in SecurityModes)) throw new UsageError(`Unknown security mode ${securityMode}`);
+        const cnc = new CncClient({
+            endpointUrl,
+            securityMode,
+            userIdentity: userIdentityFromEnv(process.env),
+            pkiDir,
+            acceptUnknownCertificate: process.env.CNC_ACCEPT_UNKNOWN_CERTIFICATE === "on",
+            connectionStrategy: { maxRetry: 3, initialDelay: 500, maxDelay: 2000 },
+            // The model of UAModeler is in English: compare the texts of the same locale
+            locale: "en"
+        });
+        try {
+            await cnc.connect();
+        } catch (err) {
+            console.error(`Connection failed: ${err.message}`);
+            return ExitCodes.ConnectionFailed;
+        }
+        try {
+            target = { label: endpointUrl, model: await describeModel(cnc.session) };
+        } finally {
+            await cnc.disconnect();
+        }
+    }
+
+    const report = conformanceReport(reference, target);
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+    return report.conforming ? ExitCodes.Conforming : ExitCodes.Drift;
+};
+
+const Commands = {
+    export: exportNodeSet,
+    check: checkConformance
+};
+
+(async () => {
+    const [command, ...args] = process.argv.slice(2);
+    if (command === "help" || command === "--help") {
+        console.log(Usage);
+        return ExitCodes.Conforming;
+    }
+    if (!(command in Commands)) throw new UsageError(`${command ? `Unknown command ${command}` : "Missing command"}\n${Usage}`);
+    return Commands[command](args);
+})().then((exitCode) => {
+    process.exit(exitCode);
+}).catch((err) => {
+    console.error(err instanceof UsageError ? err.message : `Error: ${err.message}`);
+    process.exit(err instanceof UsageError ? ExitCodes.Usage : ExitCodes.Error);
+});
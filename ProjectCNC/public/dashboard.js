@@ -0,0 +1,156 @@
+// Live dashboard of the CNC fleet: REST calls to the gateway and live updates from its WebSocket stream
+"use strict";
+
+const SPARKLINE_POINTS = 60;
+const RECONNECT_DELAY_MS = 3000;
+const DisplayedFields = ["spindleSpeed", "energyConsumption", "partsProduced", "tool", "statusAI", "healthScore"];
+
+const machinesElement = document.getElementById("machines");
+const connectionElement = document.getElementById("connection");
+const cards = new Map();
+
+const formatField = (field, value) =>
+    field === "statusAI" ? (value ? "Recommended" : "Not needed") :
+    field === "tool" ? value || "—" :
+    field === "energyConsumption" ? Number(value).toFixed(1) :
+    String(value);
+
+const setConnection = (text, online) => {
+    connectionElement.textContent = text;
+    connectionElement.classList.toggle("offline", !online);
+};
+
+// Calls a gateway endpoint; rejects with the error message (and diagnostics) of the server.
+// POSTs always carry a JSON body, as the gateway requires; the browser asks for the credentials on the first 401
+const request = async (method, path, body) => {
+    const response = await fetch(path, method === "POST" ? {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body || {})
+    } : { method });
+    const result = await response.json();
+    if (!response.ok) {
+        const detail = result.diagnostics ? result.diagnostics.join("; ") : result.error;
+        throw new Error(result.statusCode ? `${result.statusCode}: ${detail}` : detail);
+    }
+    return result;
+};
+
+const drawSparkline = (card) => {
+    const values = card.energy;
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const step = 200 / (SPARKLINE_POINTS - 1);
+    const offset = SPARKLINE_POINTS - values.length;
+    card.sparkline.setAttribute("points", values
+        .map((value, i) => `${((offset + i) * step).toFixed(1)},${(38 - ((value - min) / range) * 36).toFixed(1)}`)
+        .join(" "));
+};
+
+const setField = (card, field, value) => {
+    if (field === "status") {
+        card.element.classList.remove("Off", "On", "Alarm");
+        card.element.classList.add(value);
+        card.element.querySelector(".status").textContent = value;
+        return;
+    }
+    if (field === "alarmReason") {
+        card.element.querySelector(".alarm").textContent = value;
+        return;
+    }
+    const element = card.element.querySelector(`.${field}`);
+    if (element) element.textContent = formatField(field, value);
+    if (field === "spindleSpeed") card.element.querySelector(".speed").value = String(value);
+    if (field === "energyConsumption") {
+        card.energy.push(value);
+        if (card.energy.length > SPARKLINE_POINTS) card.energy.shift();
+        drawSparkline(card);
+    }
+};
+
+const showResult = (card, text, isError) => {
+    card.result.textContent = text;
+    card.result.classList.toggle("error", isError);
+};
+
+// Runs a method call from a button, showing the outcome (or the server's error) inline on the card
+const callMethod = async (card, path, body) => {
+    showResult(card, "…", false);
+    try {
+        const result = await request("POST", `/machines/${encodeURIComponent(card.name)}/${path}`, body);
+        if (result.report) {
+            const { healthScore, topFactors, recommendation } = result.report;
+            showResult(card, [`Health ${healthScore}: ${recommendation}`, ...topFactors].join("\n"), false);
+            return;
+        }
+        showResult(card, `${result.method}: ${result.success ? "done" : "not done"}`, !result.success);
+    } catch (error) {
+        showResult(card, error.message, true);
+    }
+};
+
+const createCard = (machine) => {
+    const element = document.getElementById("machine-card").content.firstElementChild.cloneNode(true);
+    const card = {
+        name: machine.name,
+        element,
+        energy: [],
+        sparkline: element.querySelector(".sparkline polyline"),
+        result: element.querySelector(".result")
+    };
+    element.querySelector(".name").textContent = machine.name;
+    element.querySelector(".type").textContent = machine.type;
+    element.querySelector(".path").textContent = machine.path;
+    element.classList.toggle("pro", machine.type === "MacchinaCNCProType");
+
+    for (const button of element.querySelectorAll("[data-status]")) {
+        button.addEventListener("click", () => callMethod(card, "status", { status: button.dataset.status }));
+    }
+    element.querySelector(".set-speed").addEventListener("click", () =>
+        callMethod(card, "spindle/speed", { speed: Number(element.querySelector(".speed").value) }));
+    element.querySelector(".maintenance").addEventListener("click", () => callMethod(card, "maintenance"));
+
+    machinesElement.appendChild(element);
+    cards.set(machine.name, card);
+    return card;
+};
+
+// Current values of every machine (also after a reconnection, as changes may have been missed)
+const loadSnapshots = async () => {
+    const machines = await request("GET", "/machines");
+    await Promise.all(machines.map(async (machine) => {
+        const card = cards.get(machine.name) || createCard(machine);
+        const snapshot = await request("GET", `/machines/${encodeURIComponent(machine.name)}`);
+        for (const field of ["status", "alarmReason", ...DisplayedFields]) {
+            if (snapshot[field] !== null) setField(card, field, snapshot[field]);
+        }
+    }));
+};
+
+const connectStream = () => {
+    const socket = new WebSocket(`${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/stream`);
+    socket.addEventListener("open", async () => {
+        setConnection("Live", true);
+        try {
+            await loadSnapshots();
+        } catch (error) {
+            setConnection(`Gateway error: ${error.message}`, false);
+        }
+    });
+    socket.addEventListener("message", (message) => {
+        const event = JSON.parse(message.data);
+        const card = cards.get(event.machine);
+        if (!card) return;
+        if (event.type === "change") {
+            setField(card, event.field, event.value);
+        } else if (event.type === "alarm") {
+            card.element.querySelector(".alarm").textContent = `${event.message} (${event.active}, ${event.acked})`;
+        }
+    });
+    socket.addEventListener("close", () => {
+        setConnection("Disconnected, retrying…", false);
+        setTimeout(connectStream, RECONNECT_DELAY_MS);
+    });
+};
+
+connectStream();
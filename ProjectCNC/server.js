@@ -1,149 +1,173 @@
-const os = require("os");
-const { OPCUAServer, Variant, DataType, StatusCodes, s } = require("node-opcua");
+const { OPCUAServer, StatusCodes, DiagnosticInfo, nodesets } = require("node-opcua");
+const {
+    MODEL_NODESET_FILE,
+    loadCNCModel,
+    operationResultArgument,
+    machineSnapshotArgument,
+    machineOperationResultsArgument
+} = require("./lib/model");
+const { DEFAULT_FLEET_CONFIG_FILE, loadFleetConfig, buildFleet } = require("./lib/fleet");
+const { MIN_SPINDLE_SPEED, MAX_SPINDLE_SPEED, MachineStateMachine } = require("./lib/stateMachine");
+const { MachineGroupOperations, summarizeGroupResults } = require("./lib/groups");
+const { installMachineAlarms } = require("./lib/alarms");
+const { ToolManager } = require("./lib/tools");
+const { JobManager } = require("./lib/jobs");
+const { loadSimulationConfig, ProcessClock, ProductionSimulation } = require("./lib/simulation");
+const { loadHistoryConfig, createHistoryStorage, installMachineHistory } = require("./lib/history");
+const {
+    SECURITY_MODES,
+    SECURITY_POLICIES,
+    loadSecurityConfig,
+    loadUsersConfig,
+    createUserManager,
+    createCertificateManagers,
+    installMethodPermissions
+} = require("./lib/security");
+const { loadAuditConfig, AuditLog, installAuditTrail } = require("./lib/audit");
+const { loadPubSubConfig, startPubSub } = require("./lib/pubsub");
+const { loadPredictiveConfig, PredictiveMaintenance, reportOutputArguments } = require("./lib/predictive");
+const { loadPersistenceConfig, MachineStateStore } = require("./lib/persistence");
+const { loadSpindleConfig, SpindleSimulation } = require("./lib/spindle");
+const { loadKpiConfig, KpiTracker } = require("./lib/kpi");
+const { SUPPORTED_LOCALES, loadLocaleConfig, message: localizedMessage, Localization } = require("./lib/i18n");
+
+// Porta TCP predefinita dell'endpoint opc.tcp://<host>:4334/UA/CNC
+const DEFAULT_PORT = 4334;
 
 /**
- * Funzione principale asincrona per avviare il server OPC UA.
+ * Avvia il server OPC UA delle CNC.
+ * La configurazione viene letta da `env` (le variabili d'ambiente CNC_* descritte nel README), così il server
+ * può essere avviato anche all'interno di un altro processo, ad esempio dai test, con una configurazione isolata.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - variabili d'ambiente da cui leggere la configurazione
+ * @param {number} [options.port] - porta TCP dell'endpoint
+ * @returns {Promise<{ server: OPCUAServer, endpointUrl: string, fleet: Array, stateMachine: MachineStateMachine, simulation: ProductionSimulation, processClock: ProcessClock, kpiTracker: KpiTracker, stateStore: MachineStateStore|null, shutdown: () => Promise<void> }>}
  */
-(async () => {
+const startServer = async ({ env = process.env, port = DEFAULT_PORT } = {}) => {
+
+    // --- Configurazione della Flotta ---
+    // ==================================
+    // Le macchine da creare e la loro posizione (Plant/Line/Cell) sono descritte in un file JSON.
+    // La configurazione viene validata prima di avviare il server.
+    const fleetConfigFile = env.CNC_FLEET_CONFIG || DEFAULT_FLEET_CONFIG_FILE;
+    const fleetConfig = loadFleetConfig(fleetConfigFile);
+    console.log(`Configurazione flotta caricata da ${fleetConfigFile}: ${fleetConfig.machines.length} macchine.`);
+
+    // Parametri della simulazione di produzione (variabili d'ambiente CNC_SIMULATION e CNC_SIM_*)
+    const simulationConfig = loadSimulationConfig(env);
+
+    // Parametri del modello di manutenzione predittiva delle CNC Pro (variabili d'ambiente CNC_PM_*)
+    const predictiveConfig = loadPredictiveConfig(env);
+
+    // Rampa e limiti di carico e temperatura del mandrino (variabili d'ambiente CNC_SPINDLE_*)
+    const spindleConfig = loadSpindleConfig(env);
+
+    // Calendario dei turni per i KPI (variabile d'ambiente CNC_KPI_SHIFTS)
+    const kpiConfig = loadKpiConfig(env);
+
+    // Lingua predefinita dei testi del modello e dei messaggi dei metodi (variabile d'ambiente CNC_DEFAULT_LOCALE)
+    const localization = new Localization(loadLocaleConfig(env));
+
+    // Stato delle macchine salvato tra i riavvii (variabili d'ambiente CNC_STATE*)
+    const persistenceConfig = loadPersistenceConfig(env);
+
+    // Storage dello storico (variabili d'ambiente CNC_HISTORY_*)
+    const historyConfig = loadHistoryConfig(env);
+
+    // Log dell'audit trail e relativa rotazione (variabili d'ambiente CNC_AUDIT_*)
+    const auditConfig = loadAuditConfig(env);
+
+    // Pubblicazione MQTT della telemetria (variabili d'ambiente CNC_MQTT_*)
+    const pubSubConfig = loadPubSubConfig(env);
+
+    // Utenti, ruoli, modalità di sicurezza e PKI locale (variabili d'ambiente CNC_USERS_CONFIG, CNC_PKI_DIR,
+    // CNC_SECURITY_MODES e CNC_PKI_AUTO_ACCEPT)
+    const securityConfig = loadSecurityConfig(env);
+    const usersConfig = loadUsersConfig(securityConfig.usersFile);
+    console.log(`Utenti caricati da ${securityConfig.usersFile}: ${usersConfig.users.length} utenti` +
+        (usersConfig.allowAnonymous ? ", accesso anonimo in sola lettura consentito." : ", accesso anonimo disabilitato."));
 
     // --- Configurazione e Inizializzazione del Server OPC UA ---
     // ==========================================================
     const server = new OPCUAServer({
-        port: 4334, // Porta su cui il server OPC UA sarà in ascolto
+        port, // Porta su cui il server OPC UA sarà in ascolto
         resourcePath: "/UA/CNC", // Percorso della risorsa per il server (endpoint URL)
         buildInfo: {
             productName: "CNC", // Nome del prodotto
             buildNumber: "7658", // Numero di build
             buildDate: new Date(2025, 5, 30) // Data di build
-        }
+        },
+        // Il modello CNC viene caricato dal NodeSet2 del server (scritto a mano, non esportato da UAModeler)
+        nodeset_filename: [nodesets.standard, MODEL_NODESET_FILE],
+        // Endpoint None/Sign/SignAndEncrypt e autenticazione con username/password o certificato X.509
+        securityModes: securityConfig.securityModes.map(mode => SECURITY_MODES[mode]),
+        securityPolicies: SECURITY_POLICIES,
+        allowAnonymous: usersConfig.allowAnonymous,
+        userManager: createUserManager(usersConfig),
+        ...createCertificateManagers(securityConfig)
     });
 
     console.log("Inizializzazione del server OPC UA...");
     await server.initialize();
     console.log("Server OPC UA inizializzato.");
 
-    // Ottenere l'address space e il namespace predefinito
+    // Ottenere l'address space
     const addressSpace = server.engine.addressSpace;
-    const namespace = addressSpace.getOwnNamespace();
 
-    // --- Definizione degli ObjectType ---
-    // ===================================
-    // Gli ObjectType sono le "classi" o "modelli" dei nostri oggetti OPC UA.
-ì
-    const CNCType = namespace.addObjectType({
-        browseName: "MacchinaCNCType" // Nome visualizzato nel browser OPC UA
-    });
+    // --- Implementazione dei Metodi ---
+    // =================================
+    // ObjectType, variabili, enumerazioni e firme dei metodi sono definiti nel modello
+    // (UAModeler/CNC/cnc.NodeSet2.xml); qui si trovano solo le implementazioni.
 
+    // Macchina a stati delle CNC: transizioni ammesse, dati di allarme ed effetti collaterali
+    const stateMachine = new MachineStateMachine();
 
-    const CNCProType = namespace.addObjectType({
-        browseName: "MacchinaCNCProType",
-        subtypeOf: CNCType // CNCProType eredita tutte le caratteristiche di CNCType
-    });
+    // Magazzini utensili: carico, scarico e cambio utensile con i relativi vincoli
+    const toolManager = new ToolManager(stateMachine);
 
-    const mandrinoType = namespace.addObjectType({
-        browseName: "MandrinoType"
-    });
+    // Commesse delle CNC: carico, avvio, sospensione e annullamento, con il controllo dell'utensile richiesto
+    const jobManager = new JobManager(stateMachine, toolManager, simulationConfig);
 
-    // --- Definizione delle Enumerazioni ---
-    // ====================================
+    // Manutenzione predittiva delle CNC Pro: indice di salute e tempo stimato alla manutenzione
+    const predictiveMaintenance = new PredictiveMaintenance(stateMachine, predictiveConfig);
 
-    // Enumerazione per lo stato delle macchine CNC (Off, On, Alarm)
-    const CNCStatusEnumValues = {
-        Off: 0,
-        On: 1,
-        Alarm: 2
-    };
+    // Mandrino: RPM effettivi in rampa verso il preset di Velocita, carico, temperatura dei cuscinetti e vibrazione,
+    // con allarme per sovraccarico o surriscaldamento
+    const spindleSimulation = new SpindleSimulation(stateMachine, toolManager, spindleConfig);
 
-    /**
-     * @type {NodeId} CNCTypeNodeId - NodeId dell'enumerazione per lo stato CNC.
-     * Utilizzato come DataType per la variabile 'SystemStatus'.
-     */
-    const CNCTypeEnumNodeId = namespace.addEnumerationType({ // Rinominato per maggiore chiarezza
-        browseName: "CNCTypeEnum",
-        enumeration: [
-            { displayName: "Off", value: CNCStatusEnumValues.Off },
-            { displayName: "On", value: CNCStatusEnumValues.On },
-            { displayName: "Alarm", value: CNCStatusEnumValues.Alarm },
-        ],
-    });
-
-    // Enumerazione per la velocità del mandrino (livelli da 1 a 5)
-    /**
-     * @type {NodeId} MandrinoVelocitaEnumNodeId - NodeId dell'enumerazione per la velocità del mandrino.
-     * Utilizzato come DataType per la variabile 'Velocita'.
-     */
-    const MandrinoVelocitaEnumNodeId = namespace.addEnumerationType({
-        browseName: "VelocitaMandrinoEnum",
-        enumeration: [
-            { displayName: "1", value: 1 },
-            { displayName: "2", value: 2 },
-            { displayName: "3", value: 3 },
-            { displayName: "4", value: 4 },
-            { displayName: "5", value: 5 }
-        ],
-    });
-
-    // --- Variabili e Metodi per CNCType (MacchinaCNCType) ---
-    // =======================================================
+    // KPI per turno: tempi in On/Off/Alarm, pezzi buoni e scartati, energia, OEE ed energia per pezzo
+    const kpiTracker = new KpiTracker(stateMachine, kpiConfig, { locale: localization.config.defaultLocale });
 
-    // Variabile 'SystemStatus' (Stato del sistema)
-    namespace.addVariable({
-        componentOf: CNCType, // Questa variabile fa parte di CNCType
-        browseName: "Status", // Nome visualizzato come da diagramma
-        dataType: CNCTypeEnumNodeId, // Utilizza l'enumerazione definita
-        value: { dataType: DataType.Int32, value: CNCStatusEnumValues.Off }, // Valore iniziale
-        modellingRule: "Mandatory" // Indica che questa variabile è obbligatoria per le istanze di CNCType
-    });
-
-    // Variabile 'Utensile'
-    namespace.addVariable({
-        componentOf: CNCType,
-        browseName: "Utensile",
-        dataType: DataType.String,
-        value: { dataType: DataType.String, value: "Default Utensile" },
-        modellingRule: "Mandatory"
-    });
+    // Operazioni sui gruppi di CNC (cartelle Plant/Line/Cell e gruppi per tag): StartAll, StopAll, SetSpindleSpeedAll
+    const groupOperations = new MachineGroupOperations(stateMachine);
 
-    // Variabile 'PezziProdotti'
-    namespace.addVariable({
-        componentOf: CNCType,
-        browseName: "PezziProdotti",
-        dataType: DataType.UInt32,
-        value: { dataType: DataType.UInt32, value: 0 },
-        modellingRule: "Mandatory"
-    });
+    // Argomento di uscita Result (OperationResult) dei metodi: StatusCode, messaggio e istante dell'operazione.
+    // Il messaggio è tradotto nella lingua della sessione che ha chiamato il metodo (`context`)
+    const operationResult = (context, statusCode, message) =>
+        operationResultArgument(addressSpace, statusCode, localization.localize(message, context));
 
-    // Variabile 'ConsumoEnergetico'
-    namespace.addVariable({
-        componentOf: CNCType,
-        browseName: "ConsumoEnergetico",
-        dataType: DataType.Double,
-        value: { dataType: DataType.Double, value: 0.0 },
-        modellingRule: "Mandatory"
+    // Errore imprevisto nell'implementazione di un metodo
+    const internalError = (context, message) => ({
+        statusCode: StatusCodes.BadInternalError,
+        outputArguments: [operationResult(context, StatusCodes.BadInternalError, message)]
     });
 
-    // Metodo 'ChangeStatus' per cambiare lo stato della CNC
-    const ChangeStatusCNCMethod = namespace.addMethod(CNCType, {
-        browseName: "ChangeStatus", // Nome visualizzato come da diagramma
-        inputArguments: [
-            {
-                name: "NewStatus",
-                dataType: DataType.Int32,
-                description: { text: "Nuovo stato per la CNC (0=Off, 1=On, 2=Alarm)" },
-            },
-        ],
-        outputArguments: [
-            {
-                name: "Success",
-                dataType: DataType.Boolean,
-                description: { text: "Indica se l'operazione ha avuto successo" },
-            },
-        ],
-        modellingRule: "Mandatory",
+    // Risultato di un metodo con `argumentCount` argomenti di ingresso; quando l'operazione viene rifiutata
+    // il messaggio diagnostico è associato all'argomento `argumentIndex` (il primo, se non indicato)
+    const methodResultWithDiagnostic = (context, statusCode, message, argumentCount = 1, argumentIndex = 0) => ({
+        statusCode,
+        outputArguments: [operationResult(context, statusCode, message)],
+        ...(statusCode.isGood() ? {} : {
+            inputArgumentResults: Array.from({ length: argumentCount },
+                (_, i) => i === argumentIndex ? statusCode : StatusCodes.Good),
+            inputArgumentDiagnosticInfos: Array.from({ length: argumentCount },
+                (_, i) => new DiagnosticInfo(i === argumentIndex ? { additionalInfo: localization.localize(message, context) } : {}))
+        })
     });
 
-    // Binding del metodo ChangeStatusCNCMethod
-    ChangeStatusCNCMethod.bindMethod(async (inputArguments, context, callback) => {
+    // Implementazione del metodo ChangeStatus
+    const changeStatus = async (inputArguments, context, callback) => {
         try {
             // L'istanza della CNC su cui è stato chiamato il metodo
             const CNCInstance = context.object;
@@ -151,101 +175,42 @@ const { OPCUAServer, Variant, DataType, StatusCodes, s } = require("node-opcua")
 
             console.log(`Chiamato ChangeStatus su ${CNCInstance.browseName.toString()} con NewStatus: ${newStatus}`);
 
-            // Validazione del nuovo valore di stato
-            if (newStatus < 0 || newStatus > 2) {
-                console.warn(`Tentativo di impostare uno stato non valido: ${newStatus}`);
-                return callback(null, {
-                    statusCode: StatusCodes.BadInvalidArgument,
-                    outputArguments: [{ dataType: DataType.Boolean, value: false }]
-                });
+            // La macchina a stati valida il valore e la transizione, poi applica gli effetti collaterali
+            const { statusCode, message } = stateMachine.transition(CNCInstance, newStatus);
+            if (!statusCode.isGood()) {
+                console.warn(`ChangeStatus rifiutato su ${CNCInstance.browseName.toString()}: ${message}`);
             }
+            callback(null, methodResultWithDiagnostic(context, statusCode, message));
 
-            const systemStatusVariable = CNCInstance.getChildByName("Status"); // "Status" come da diagramma
-            if (!systemStatusVariable) {
-                console.error("Variabile 'Status' non trovata per l'istanza CNC.");
-                return callback(null, {
-                    statusCode: StatusCodes.BadInternalError,
-                    outputArguments: [{ dataType: DataType.Boolean, value: false }]
-                });
-            }
+        } catch (error) {
+            console.error("Errore nel metodo ChangeStatusCNC:", error);
+            callback(null, internalError(context, error.message));
+        }
+    };
 
-            // Aggiorna lo stato del sistema
-            systemStatusVariable.setValueFromSource({
-                dataType: DataType.Int32,
-                value: newStatus
-            });
-            console.log(`Stato di ${CNCInstance.browseName.toString()} aggiornato a: ${newStatus}`);
-
-            // Aggiorna il consumo energetico basato sullo stato
-            const consumoEnergeticoVariable = CNCInstance.getChildByName("ConsumoEnergetico");
-            if (consumoEnergeticoVariable) {
-                let energyConsumption = 0.0;
-                switch (newStatus) {
-                    case CNCStatusEnumValues.Off:
-                        energyConsumption = 0.0;
-                        break;
-                    case CNCStatusEnumValues.On:
-                        energyConsumption = 150.5; // Consumo normale in operazione
-                        break;
-                    case CNCStatusEnumValues.Alarm:
-                        energyConsumption = 25.0; // Consumo in standby/allarme
-                        break;
-                }
-                consumoEnergeticoVariable.setValueFromSource({
-                    dataType: DataType.Double,
-                    value: energyConsumption
-                });
-                console.log(`Consumo energetico di ${CNCInstance.browseName.toString()} aggiornato a: ${energyConsumption}`);
-            }
+    // Implementazione del metodo AcknowledgeAlarm
+    const acknowledgeAlarm = async (inputArguments, context, callback) => {
+        try {
+            const CNCInstance = context.object;
+            console.log(`Chiamato AcknowledgeAlarm su ${CNCInstance.browseName.toString()}.`);
 
+            const { statusCode, message } = stateMachine.acknowledge(CNCInstance);
+            if (!statusCode.isGood()) {
+                console.warn(`AcknowledgeAlarm rifiutato su ${CNCInstance.browseName.toString()}: ${message}`);
+            }
             callback(null, {
-                statusCode: StatusCodes.Good,
-                outputArguments: [{ dataType: DataType.Boolean, value: true }]
+                statusCode,
+                outputArguments: [operationResult(context, statusCode, message)]
             });
 
         } catch (error) {
-            console.error("Errore nel metodo ChangeStatusCNC:", error);
-            callback(null, {
-                statusCode: StatusCodes.BadInternalError,
-                outputArguments: [{ dataType: DataType.Boolean, value: false }]
-            });
+            console.error("Errore nel metodo AcknowledgeAlarm:", error);
+            callback(null, internalError(context, error.message));
         }
-    });
-
-    // --- Variabili e Metodi per MandrinoType ---
-    // =========================================
-
-    // Variabile 'Velocita' per il mandrino
-    namespace.addVariable({
-        componentOf: mandrinoType,
-        browseName: "Velocita", // Nome visualizzato come da diagramma
-        dataType: MandrinoVelocitaEnumNodeId, // Utilizza l'enumerazione definita
-        value: { dataType: DataType.Int32, value: 1 }, // Velocità iniziale
-        modellingRule: "Mandatory"
-    });
-
-    // Metodo 'CambiareVelocita' per il mandrino
-    const ChangeMandrinoSpeedMethod = namespace.addMethod(mandrinoType, {
-        browseName: "CambiareVelocita", // Nome visualizzato come da diagramma
-        inputArguments: [
-            {
-                name: "NewSpeed",
-                dataType: DataType.Int32,
-                description: { text: "Nuova velocità per il Mandrino (1-5)" },
-            },
-        ],
-        outputArguments: [
-            {
-                name: "Success",
-                dataType: DataType.Boolean,
-                description: { text: "Indica se l'operazione ha avuto successo" },
-            },
-        ],
-        modellingRule: "Mandatory",
-    });
+    };
 
-    // Binding del metodo ChangeMandrinoSpeedMethod
-    ChangeMandrinoSpeedMethod.bindMethod(async (inputArguments, context, callback) => {
+    // Implementazione del metodo CambiareVelocita del mandrino
+    const cambiareVelocita = async (inputArguments, context, callback) => {
         try {
             // L'istanza del mandrino su cui è stato chiamato il metodo
             const MandrinoInstance = context.object;
@@ -255,222 +220,392 @@ const { OPCUAServer, Variant, DataType, StatusCodes, s } = require("node-opcua")
             const parentCNC = MandrinoInstance.parent;
             if (!parentCNC) {
                 console.error("Istanza CNC genitore del mandrino non trovata. Il mandrino deve essere un componente di una CNC.");
-                return callback(null, {
-                    statusCode: StatusCodes.BadInternalError,
-                    outputArguments: [{ dataType: DataType.Boolean, value: false, description: { text: "Parent CNC not found" } }]
-                });
+                return callback(null, internalError(context, localizedMessage("parentCncNotFound")));
             }
 
             console.log(`Chiamato CambiareVelocita su Mandrino di ${parentCNC.browseName.toString()} con NewSpeed: ${newSpeed}`);
 
-            // Validazione del nuovo valore di velocità (1-5)
-            if (newSpeed < 1 || newSpeed > 5) {
-                console.warn(`Tentativo di impostare una velocità mandrino non valida: ${newSpeed}`);
-                return callback(null, {
-                    statusCode: StatusCodes.BadInvalidArgument,
-                    outputArguments: [{ dataType: DataType.Boolean, value: false }]
-                });
+            // La macchina a stati valida la velocità (1-5) e lo stato On della CNC, poi aggiorna
+            // la velocità del mandrino e il consumo energetico della CNC
+            const { statusCode, message } = stateMachine.setSpindleSpeed(parentCNC, newSpeed);
+            if (!statusCode.isGood()) {
+                console.warn(`CambiareVelocita rifiutato su ${parentCNC.browseName.toString()}: ${message}`);
             }
+            callback(null, methodResultWithDiagnostic(context, statusCode, message));
 
-            // Verifica se la CNC è "On" prima di cambiare la velocità del mandrino
-            const systemStatusVariable = parentCNC.getChildByName("Status"); // "Status" come da diagramma
-            if (systemStatusVariable) {
-                const currentStatus = systemStatusVariable.readValue().value.value;
-                if (currentStatus !== CNCStatusEnumValues.On) {
-                    console.warn(`Impossibile cambiare velocità mandrino: la CNC ${parentCNC.browseName.toString()} non è ON (stato attuale: ${currentStatus}).`);
-                    return callback(null, {
-                        statusCode: StatusCodes.BadInvalidState,
-                        outputArguments: [{ dataType: DataType.Boolean, value: false, description: { text: "CNC is not ON to change spindle speed" } }]
-                    });
-                }
-            } else {
-                console.error("Variabile 'Status' non trovata sulla CNC genitore.");
-                return callback(null, {
-                    statusCode: StatusCodes.BadInternalError,
-                    outputArguments: [{ dataType: DataType.Boolean, value: false, description: { text: "SystemStatus variable not found on parent CNC" } }]
-                });
-            }
+        } catch (error) {
+            console.error("Errore nel metodo ChangeMandrinoSpeed:", error);
+            callback(null, internalError(context, error.message));
+        }
+    };
 
-            const velocitaMandrinoVariable = MandrinoInstance.getChildByName("Velocita");
-            if (!velocitaMandrinoVariable) {
-                console.error("Variabile 'Velocita' non trovata per l'istanza del mandrino.");
-                return callback(null, {
-                    statusCode: StatusCodes.BadInternalError,
-                    outputArguments: [{ dataType: DataType.Boolean, value: false }]
-                });
-            }
+    // Implementazione del metodo ManutenzionePredittiva: rapporto del modello predittivo della CNC Pro
+    // (indice di salute, ore stimate alla manutenzione, fattori principali e raccomandazione)
+    const manutenzionePredittiva = async (inputArguments, context, callback) => {
+        try {
+            const CNCProInstance = context.object;
+            const report = predictiveMaintenance.assess(CNCProInstance);
+            const timeToMaintenance = Number.isNaN(report.estimatedTimeToMaintenance)
+                ? "tempo alla manutenzione non ancora stimabile"
+                : `manutenzione tra ${report.estimatedTimeToMaintenance} ore di funzionamento`;
+            console.log(`ManutenzionePredittiva su ${CNCProInstance.browseName.toString()}: indice di salute ${report.healthScore}, ` +
+                `${timeToMaintenance}. ${report.recommendation}`);
 
-            // Aggiorna la velocità del mandrino
-            velocitaMandrinoVariable.setValueFromSource({
-                dataType: DataType.Int32,
-                value: newSpeed
+            callback(null, {
+                statusCode: StatusCodes.Good,
+                outputArguments: [
+                    operationResult(context, StatusCodes.Good, localizedMessage("healthScore", { healthScore: report.healthScore })),
+                    ...reportOutputArguments(report, localization.locale(context))
+                ]
             });
-            console.log(`Velocità di Mandrino di ${parentCNC.browseName.toString()} aggiornata a: ${newSpeed}`);
 
+        } catch (error) {
+            console.error("Errore nel metodo ManutenzionePredittiva:", error);
+            callback(null, internalError(context, error.message));
+        }
+    };
 
-            // Aggiorna il consumo energetico della CNC genitore in base alla velocità del mandrino
-            const consumoEnergeticoVariable = parentCNC.getChildByName("ConsumoEnergetico");
-            if (consumoEnergeticoVariable) {
-                const baseConsumption = 150.5; // Consumo base quando la CNC è ON
-                const additionalConsumption = (newSpeed - 1) * 10; // Consumo aggiuntivo (10kW per livello di velocità oltre il primo)
-                const totalConsumption = baseConsumption + additionalConsumption;
+    // Implementazione del metodo GetSnapshot: i valori correnti della CNC in un'unica chiamata
+    const getSnapshot = async (inputArguments, context, callback) => {
+        try {
+            callback(null, {
+                statusCode: StatusCodes.Good,
+                outputArguments: [machineSnapshotArgument(addressSpace, context.object)]
+            });
+
+        } catch (error) {
+            console.error("Errore nel metodo GetSnapshot:", error);
+            callback(null, { statusCode: StatusCodes.BadInternalError, outputArguments: [] });
+        }
+    };
 
-                consumoEnergeticoVariable.setValueFromSource({
-                    dataType: DataType.Double,
-                    value: totalConsumption
+    // Implementazione dei metodi di gruppo (StartAll, StopAll, SetSpindleSpeedAll): l'operazione viene tentata su ogni CNC
+    // del gruppo e Results riporta l'esito di ognuna; con DryRun le CNC vengono solo verificate.
+    // Il metodo riesce anche se alcune CNC rifiutano: in quel caso Result ha codice UncertainSubNormal.
+    const groupMethod = (methodName, argumentCount, operation) => async (inputArguments, context, callback) => {
+        try {
+            const groupNode = context.object;
+            const values = inputArguments.map(argument => argument.value);
+            const dryRun = Boolean(values[argumentCount - 1]);
+            const groupPath = groupOperations.groupPath(groupNode);
+            console.log(`Chiamato ${methodName} sul gruppo ${groupPath} con argomenti: ${values.join(", ")}`);
+
+            const { results, statusCode: argumentStatusCode, message: argumentMessage } = operation(groupNode, values, { dryRun });
+            if (!results) {
+                console.warn(`${methodName} rifiutato sul gruppo ${groupPath}: ${argumentMessage}`);
+                return callback(null, {
+                    ...methodResultWithDiagnostic(context, argumentStatusCode, argumentMessage, argumentCount),
+                    outputArguments: [operationResult(context, argumentStatusCode, argumentMessage), machineOperationResultsArgument(addressSpace, [])]
                 });
-                console.log(`Consumo energetico di ${parentCNC.browseName.toString()} (dopo cambio velocità mandrino) aggiornato a: ${totalConsumption}`);
             }
 
+            const { statusCode, message } = summarizeGroupResults(results, { dryRun });
+            console.log(`${methodName} sul gruppo ${groupPath}: ${message}.` +
+                results.filter(result => !result.statusCode.isGood()).map(result => ` ${result.machine}: ${result.message}.`).join(""));
+            // Anche i messaggi delle singole CNC vanno nella lingua della sessione
+            const localizedResults = results.map(result => ({ ...result, message: localization.localize(result.message, context) }));
             callback(null, {
                 statusCode: StatusCodes.Good,
-                outputArguments: [{ dataType: DataType.Boolean, value: true }]
+                outputArguments: [operationResult(context, statusCode, message), machineOperationResultsArgument(addressSpace, localizedResults)]
             });
 
         } catch (error) {
-            console.error("Errore nel metodo ChangeMandrinoSpeed:", error);
+            console.error(`Errore nel metodo ${methodName}:`, error);
             callback(null, {
                 statusCode: StatusCodes.BadInternalError,
-                outputArguments: [{ dataType: DataType.Boolean, value: false }]
+                outputArguments: [operationResult(context, StatusCodes.BadInternalError, error.message), machineOperationResultsArgument(addressSpace, [])]
             });
         }
-    });
+    };
 
-    // --- Definizione della Relazione tra CNCType e MandrinoType ---
-    // ===========================================================
-    // Ogni istanza di CNCType (e di CNCProType, dato che eredita) avrà un Mandrino.
-    // Dobbiamo usare namespace.addObject per definire un componente Object all'interno di un ObjectType.
-    namespace.addObject({
-        componentOf: CNCType, // Questo oggetto è un componente di CNCType
-        browseName: "Mandrino", // Nome visualizzato come da diagramma per l'istanza del mandrino
-        typeDefinition: mandrinoType, // Specifica che questo componente è un'istanza di MandrinoType
-        modellingRule: "Mandatory" // Ogni CNC deve avere un Mandrino
-    });
+    const startAll = groupMethod("StartAll", 1, (groupNode, values, options) =>
+        ({ results: groupOperations.startAll(groupNode, options) }));
+    const stopAll = groupMethod("StopAll", 1, (groupNode, values, options) =>
+        ({ results: groupOperations.stopAll(groupNode, options) }));
+    // Una velocità fuori intervallo è un errore dell'argomento, non un rifiuto delle singole CNC
+    const setSpindleSpeedAll = groupMethod("SetSpindleSpeedAll", 2, (groupNode, [newSpeed], options) =>
+        newSpeed < MIN_SPINDLE_SPEED || newSpeed > MAX_SPINDLE_SPEED
+            ? {
+                statusCode: StatusCodes.BadInvalidArgument,
+                message: localizedMessage("invalidSpindleSpeed", { speed: newSpeed, min: MIN_SPINDLE_SPEED, max: MAX_SPINDLE_SPEED })
+            }
+            : { results: groupOperations.setSpindleSpeedAll(groupNode, newSpeed, options) });
 
-    // --- Variabili e Metodi Aggiuntivi per CNCProType ---
-    // ==================================================
+    // Implementazione dei metodi del magazzino utensili (LoadTool, UnloadTool, ChangeTool).
+    // Il metodo è chiamato sul ToolMagazine: l'operazione riceve la CNC che lo contiene e i valori degli argomenti.
+    const toolMagazineMethod = (methodName, argumentCount, operation) => async (inputArguments, context, callback) => {
+        try {
+            const parentCNC = context.object.parent;
+            const values = inputArguments.map(argument => argument.value);
+            console.log(`Chiamato ${methodName} su ToolMagazine di ${parentCNC.browseName.toString()} con argomenti: ${values.join(", ")}`);
 
-    // Variabile 'StatusAI' per CNCProType
-    namespace.addVariable({
-        componentOf: CNCProType,
-        browseName: "StatusAI",
-        dataType: DataType.Boolean,
-        value: { dataType: DataType.Boolean, value: false },
-        modellingRule: "Mandatory"
-    });
+            const { statusCode, message, argumentIndex } = operation(parentCNC, values);
+            if (!statusCode.isGood()) {
+                console.warn(`${methodName} rifiutato su ${parentCNC.browseName.toString()}: ${message}`);
+            }
+            callback(null, methodResultWithDiagnostic(context, statusCode, message, argumentCount, argumentIndex));
 
-    // Metodo 'ManutenzionePredittiva' per CNCProType
-    const ManutenzionePredittivaMethod = namespace.addMethod(CNCProType, {
-        browseName: "ManutenzionePredittiva",
-        modellingRule: "Mandatory",
-        outputArguments: [
-            {
-                name: "Success",
-                dataType: DataType.Boolean,
-                description: { text: "Indica se l'operazione ha avuto successo" },
-            },
-        ],
-    });
-    
-    // Binding del metodo ManutenzionePredittiva
-    ManutenzionePredittivaMethod.bindMethod(async (inputArguments, context, callback) => {
+        } catch (error) {
+            console.error(`Errore nel metodo ${methodName}:`, error);
+            callback(null, internalError(context, error.message));
+        }
+    };
+
+    const loadTool = toolMagazineMethod("LoadTool", 5, (CNCInstance, [pocket, toolId, toolType, diameter, remainingLife]) =>
+        toolManager.loadTool(CNCInstance, { pocket, toolId, toolType, diameter, remainingLife }));
+    const unloadTool = toolMagazineMethod("UnloadTool", 1, (CNCInstance, [pocket]) =>
+        toolManager.unloadTool(CNCInstance, pocket));
+    const changeTool = toolMagazineMethod("ChangeTool", 1, (CNCInstance, [pocket]) =>
+        toolManager.changeTool(CNCInstance, pocket));
+
+    // Implementazione dei metodi della commessa (LoadJob, StartJob, PauseJob, AbortJob), chiamati sul componente Job.
+    // StartJob, PauseJob e AbortJob non hanno argomenti di ingresso: un rifiuto viene riportato solo in Result.
+    const jobMethod = (methodName, argumentCount, operation) => async (inputArguments, context, callback) => {
         try {
-            const CNCProInstance = context.object;
-            console.log(`Chiamato ManutenzionePredittiva su ${CNCProInstance.browseName.toString()}.`);
-            
-            // Accede alla variabile 'StatusAI' dell'istanza CNCPro corrente
-            const statusAIVariable = CNCProInstance.getChildByName("StatusAI");
-            if (statusAIVariable) {
-                const currentStatusAI = statusAIVariable.readValue().value.value;
-                const newStatusAI = !currentStatusAI; // Inverte lo stato corrente
-                
-                statusAIVariable.setValueFromSource({
-                    dataType: DataType.Boolean,
-                    value: newStatusAI
-                });
-                console.log(`Variabile 'StatusAI' di ${CNCProInstance.browseName.toString()} aggiornata a: ${newStatusAI}`);
-            } else {
-                console.warn(`Variabile 'StatusAI' non trovata sull'istanza ${CNCProInstance.browseName.toString()}.`);
+            const parentCNC = context.object.parent;
+            const values = inputArguments.map(argument => argument.value);
+            console.log(`Chiamato ${methodName} su Job di ${parentCNC.browseName.toString()}` +
+                (values.length > 0 ? ` con argomenti: ${values.join(", ")}` : "."));
+
+            const { statusCode, message, argumentIndex } = operation(parentCNC, values);
+            if (!statusCode.isGood()) {
+                console.warn(`${methodName} rifiutato su ${parentCNC.browseName.toString()}: ${message}`);
             }
+            callback(null, argumentCount > 0
+                ? methodResultWithDiagnostic(context, statusCode, message, argumentCount, argumentIndex)
+                : { statusCode, outputArguments: [operationResult(context, statusCode, message)] });
+
+        } catch (error) {
+            console.error(`Errore nel metodo ${methodName}:`, error);
+            callback(null, internalError(context, error.message));
+        }
+    };
+
+    // Implementazione del metodo ResetShiftCounters del componente KPI
+    const resetShiftCounters = async (inputArguments, context, callback) => {
+        try {
+            const parentCNC = context.object.parent;
+            console.log(`Chiamato ResetShiftCounters su KPI di ${parentCNC.browseName.toString()}.`);
 
+            const { statusCode, message } = kpiTracker.reset(parentCNC);
+            if (!statusCode.isGood()) {
+                console.warn(`ResetShiftCounters rifiutato su ${parentCNC.browseName.toString()}: ${message}`);
+            }
             callback(null, {
-                statusCode: StatusCodes.Good,
-                outputArguments: [{ dataType: DataType.Boolean, value: true }]
+                statusCode,
+                outputArguments: [operationResult(context, statusCode, message)]
             });
 
         } catch (error) {
-            console.error("Errore nel metodo ManutenzionePredittiva:", error);
-            callback(null, {
-                statusCode: StatusCodes.BadInternalError,
-                outputArguments: [{ dataType: DataType.Boolean, value: false }]
-            });
+            console.error("Errore nel metodo ResetShiftCounters:", error);
+            callback(null, internalError(context, error.message));
         }
+    };
+
+    const loadJob = jobMethod("LoadJob", 5, (CNCInstance, [jobId, partNumber, targetQuantity, requiredTool, spindleSpeed]) =>
+        jobManager.loadJob(CNCInstance, { jobId, partNumber, targetQuantity, requiredTool, spindleSpeed }));
+    const startJob = jobMethod("StartJob", 0, (CNCInstance) => jobManager.startJob(CNCInstance));
+    const pauseJob = jobMethod("PauseJob", 0, (CNCInstance) => jobManager.pauseJob(CNCInstance));
+    const abortJob = jobMethod("AbortJob", 0, (CNCInstance) => jobManager.abortJob(CNCInstance));
+
+    // --- Caricamento del Modello e Binding dei Metodi ---
+    // ===================================================
+    // I metodi vengono collegati ai nodi del modello tramite browse path.
+    // Se modello e codice non concordano (tipi, valori delle enumerazioni, firme dei metodi)
+    // loadCNCModel solleva un ModelMismatchError con l'elenco completo delle differenze.
+    const model = loadCNCModel(addressSpace, {
+        "MacchinaCNCType/ChangeStatus": changeStatus,
+        "MacchinaCNCType/AcknowledgeAlarm": acknowledgeAlarm,
+        "MacchinaCNCType/GetSnapshot": getSnapshot,
+        "MandrinoType/CambiareVelocita": cambiareVelocita,
+        "MacchinaCNCType/Mandrino/CambiareVelocita": cambiareVelocita,
+        "ToolMagazineType/LoadTool": loadTool,
+        "ToolMagazineType/UnloadTool": unloadTool,
+        "ToolMagazineType/ChangeTool": changeTool,
+        "MacchinaCNCType/ToolMagazine/LoadTool": loadTool,
+        "MacchinaCNCType/ToolMagazine/UnloadTool": unloadTool,
+        "MacchinaCNCType/ToolMagazine/ChangeTool": changeTool,
+        "JobType/LoadJob": loadJob,
+        "JobType/StartJob": startJob,
+        "JobType/PauseJob": pauseJob,
+        "JobType/AbortJob": abortJob,
+        "MacchinaCNCType/Job/LoadJob": loadJob,
+        "MacchinaCNCType/Job/StartJob": startJob,
+        "MacchinaCNCType/Job/PauseJob": pauseJob,
+        "MacchinaCNCType/Job/AbortJob": abortJob,
+        "KpiType/ResetShiftCounters": resetShiftCounters,
+        "MacchinaCNCType/KPI/ResetShiftCounters": resetShiftCounters,
+        "MacchinaCNCProType/ManutenzionePredittiva": manutenzionePredittiva,
+        "MachineGroupType/StartAll": startAll,
+        "MachineGroupType/StopAll": stopAll,
+        "MachineGroupType/SetSpindleSpeedAll": setSpindleSpeedAll
     });
+    console.log(`Modello CNC caricato da ${MODEL_NODESET_FILE} (scritto a mano, allineato con il codice; non è un export di UAModeler).`);
 
     // --- Creazione delle Istanze degli Oggetti CNC ---
     // ================================================
 
     console.log("Creazione istanze delle macchine CNC...");
 
-    // Istanza di CNCType: CNC1
-    const CNC1 = CNCType.instantiate({
-        browseName: "CNC1",
-        nodeId: "s=CNC1", // NodeId personalizzato
-        organizedBy: addressSpace.rootFolder.objects // Organizzato sotto la cartella Objects
-    });
-    console.log("Istanza CNC1 creata.");
-
-    // Istanza di CNCType: CNC2
-    const CNC2 = CNCType.instantiate({
-        browseName: "CNC2",
-        nodeId: "s=CNC2",
-        organizedBy: addressSpace.rootFolder.objects
-    });
-    console.log("Istanza CNC2 creata.");
+    // Cartelle Plant/Line/Cell e istanze di MacchinaCNCType/MacchinaCNCProType (con il magazzino utensili) dalla configurazione
+    const fleet = buildFleet(addressSpace, model, fleetConfig);
+    for (const { instance, folderPath } of fleet) {
+        console.log(`Istanza ${instance.browseName.name} (${instance.nodeId.toString()}) creata in ${folderPath}.`);
+    }
+    predictiveMaintenance.install(fleet);
+    kpiTracker.install(fleet, model.shiftSummaryEventType);
 
-    // Istanza di CNCType: CNC3
-    const CNC3 = CNCType.instantiate({
-        browseName: "CNC3",
-        nodeId: "s=CNC3",
-        organizedBy: addressSpace.rootFolder.objects
-    });
-    console.log("Istanza CNC3 creata.");
+    // Gruppi di CNC: le cartelle Plant/Line/Cell e un gruppo Groups/<tag> per ogni tag della configurazione
+    const groups = groupOperations.install(addressSpace, model, fleet);
+    for (const { path, machines } of groups.values()) {
+        console.log(`Gruppo ${path}: ${machines.map(machine => machine.browseName.name).join(", ")}.`);
+    }
 
-    // Istanza di CNCProType: CNCPro1
-    const CNCPro1 = CNCProType.instantiate({
-        browseName: "CNCPro1",
-        nodeId: "s=CNCPro1",
-        organizedBy: addressSpace.rootFolder.objects
+    // Testi italiano/inglese del modello e delle CNC: DisplayName, Description, argomenti dei metodi e valori
+    // delle enumerazioni vengono serviti nella lingua chiesta dalla sessione (localeIds di ActivateSession)
+    localization.install(server, [model.namespaceIndex, addressSpace.getOwnNamespace().index]);
+    // Il motivo dell'allarme (AlarmReason) viene letto nella lingua della sessione
+    for (const { instance } of fleet) {
+        localization.localizeValue(instance.getChildByName("AlarmReason"), () => stateMachine.alarmReason(instance));
+    }
+    console.log(`Testi del modello in ${localization.config.defaultLocale} e nelle lingue chieste dalle sessioni (${SUPPORTED_LOCALES.join(", ")}).`);
+
+    // Persistenza dello stato: i valori salvati (stato, mandrino, pezzi, magazzino utensili, commessa, modello predittivo, KPI del turno)
+    // vengono ripristinati prima di installare allarmi e storico e di avviare il server; poi le modifiche dei metodi vanno
+    // subito nel journal, telemetria, contatori e modelli a ogni checkpoint (CNC_STATE_CHECKPOINT_MS) e all'arresto
+    let stateStore = null;
+    if (persistenceConfig.enabled) {
+        stateStore = new MachineStateStore(persistenceConfig);
+        stateStore.registerState("predictive", {
+            save: (instance) => predictiveMaintenance.saveState(instance),
+            restore: (instance, state) => predictiveMaintenance.restoreState(instance, state)
+        });
+        stateStore.registerState("kpi", {
+            save: (instance) => kpiTracker.saveState(instance),
+            restore: (instance, state) => kpiTracker.restoreState(instance, state)
+        });
+        const restored = stateStore.install(fleet);
+        if (restored.length > 0) {
+            console.log(`Stato delle macchine ripristinato da ${persistenceConfig.file}: ${restored.join(", ")}.`);
+        } else {
+            console.log(`Nessuno stato salvato in ${persistenceConfig.file}` +
+                (persistenceConfig.clean ? " (scartato con CNC_STATE_CLEAN=on)" : "") + ": le macchine partono dalla configurazione della flotta.");
+        }
+    } else {
+        console.log("Persistenza dello stato disattivata (CNC_STATE=off).");
+    }
+    // Il mandrino parte dai valori ripristinati (stato, Velocita, RPM e temperatura)
+    spindleSimulation.install(fleet);
+
+    // Allarmi OPC UA (Alarms & Conditions): StatusAlarm legato allo stato Alarm e EnergyAlarm sulla soglia di consumo
+    installMachineAlarms(addressSpace, fleet, stateMachine, { locale: localization.config.defaultLocale });
+    console.log("Allarmi StatusAlarm e EnergyAlarm installati sulle macchine CNC.");
+
+    // Permessi dei metodi per ruolo (operator, maintenance, viewer): a chi non ha il ruolo richiesto
+    // il server risponde BadUserAccessDenied senza chiamare l'implementazione
+    installMethodPermissions(addressSpace, [model.namespaceIndex, addressSpace.getOwnNamespace().index]);
+    console.log("Permessi dei metodi per ruolo installati.");
+
+    // Audit trail: ogni chiamata ai metodi delle CNC (anche se rifiutata) viene scritta nel log
+    // e pubblicata come evento CNCMethodAuditEventType (AuditUpdateMethodEventType); i cambi di stato
+    // che non vengono da un metodo (guasti, protezione del mandrino) come evento CNCStatusAuditEventType
+    const auditLog = new AuditLog(auditConfig);
+    installAuditTrail(server, fleet, model.auditEventType, auditLog, groups, {
+        stateMachine,
+        statusAuditEventType: model.statusAuditEventType,
+        locale: localization.config.defaultLocale
     });
-    console.log("Istanza CNCPro1 creata.");
+    console.log(`Audit trail attivo: ${auditConfig.file} (rotazione oltre ${auditConfig.maxBytes} byte, ${auditConfig.maxFiles} file conservati).`);
 
+    // Historical Access su Status, ConsumoEnergetico, PezziProdotti e Mandrino/Velocita
+    const historyStorage = createHistoryStorage(historyConfig);
+    installMachineHistory(addressSpace, fleet, historyStorage);
+    console.log(`Storico abilitato (storage ${historyConfig.storage}` +
+        (historyConfig.storage === "file" ? `: ${historyConfig.file}` : "") + `, ${historyConfig.maxValues} valori per variabile).`);
 
-    // Esempio di accesso al Mandrino di una specifica CNC
-    // Il mandrino viene automaticamente creato all'interno di ogni istanza CNC.
-    const cnc1Mandrino = CNC1.getChildByName("Mandrino");
-    if (cnc1Mandrino) {
-        console.log(`CNC1 ha un Mandrino con browseName: ${cnc1Mandrino.browseName.toString()}`);
-        const velocitaCnc1Mandrino = cnc1Mandrino.getChildByName("Velocita");
-        if(velocitaCnc1Mandrino) {
-            console.log(`Velocità iniziale di Mandrino di CNC1: ${velocitaCnc1Mandrino.readValue().value.value}`);
-        }
-    }
+    // --- Simulazione della Produzione ---
+    // ===================================
+    // Mentre una CNC è On la simulazione fa avanzare PezziProdotti, l'usura dell'utensile
+    // e il consumo energetico, e a volte inietta guasti che la portano in Alarm.
+    const simulation = new ProductionSimulation(fleet, stateMachine, toolManager, simulationConfig);
+    // I pezzi prodotti contano anche sulla commessa in esecuzione, che si completa al raggiungimento del target
+    simulation.on("parts", ({ machine, parts }) => jobManager.recordParts(machine, parts));
+    // e sui KPI del turno, distinguendo i pezzi buoni dagli scarti
+    simulation.on("parts", ({ machine, parts, rejected }) => kpiTracker.recordParts(machine, parts, rejected));
+
+    // --- Modelli di Processo ---
+    // ==========================
+    // Mandrino, KPI e manutenzione predittiva avanzano con il tempo reale, anche a simulazione disattivata
+    const processClock = new ProcessClock();
+    // Rampa degli RPM, carico, temperatura e vibrazione del mandrino; sovraccarico e surriscaldamento portano in Alarm
+    processClock.on("tick", ({ elapsedMs }) => spindleSimulation.advance(elapsedMs));
+    // Il modello predittivo delle CNC Pro osserva le macchine a ogni passo, con il carico del mandrino appena aggiornato
+    processClock.on("tick", ({ elapsedMs }) => predictiveMaintenance.advance(elapsedMs));
+    // Tempi, energia e OEE del turno; a fine turno il riepilogo viene pubblicato come evento ShiftSummaryEventType
+    processClock.on("tick", ({ elapsedMs }) => kpiTracker.advance(elapsedMs));
 
     // --- Avvio del Server OPC UA ---
     await server.start();
-    const endpointUrl = server.endpoints[0].endpointUrl; 
+    const endpointUrl = server.getEndpointUrl();
     console.log(`Server OPC UA avviato e in ascolto su: ${endpointUrl}`);
-    console.log("Per connettersi, utilizzare un client OPC UA e l'URL sopra indicato.");
-    console.log("Per terminare, premere Ctrl+C.");
+    console.log(`Modalità di sicurezza: ${securityConfig.securityModes.join(", ")}; PKI in ${securityConfig.pkiDir}.`);
+
+    // --- Pubblicazione MQTT (OPC UA PubSub JSON) ---
+    // Status, ConsumoEnergetico, PezziProdotti, Velocita e StatusAI di ogni CNC, al cambiamento e a intervalli
+    let pubSub = null;
+    if (pubSubConfig.enabled) {
+        pubSub = await startPubSub(fleet, pubSubConfig);
+        console.log(`Pubblicazione MQTT su ${pubSubConfig.url}` +
+            (pubSubConfig.brokerPort ? ` (broker integrato sulla porta ${pubSubConfig.brokerPort})` : "") +
+            `, topic ${pubSubConfig.topicRoot}/<linea>/<macchina>/<variabile>, ` +
+            (pubSubConfig.intervalMs > 0 ? `ogni ${pubSubConfig.intervalMs} ms e ` : "") + "a ogni cambiamento.");
+    } else {
+        console.log("Pubblicazione MQTT disattivata (CNC_MQTT_URL non impostato).");
+    }
 
-    process.once("SIGINT", async () => {
-        console.log("Segnale SIGINT ricevuto. Spegnimento del server...");
+    processClock.start();
+    if (simulationConfig.enabled) {
+        simulation.start();
+        // Il seed va annotato per poter ripetere la stessa simulazione (CNC_SIM_SEED)
+        console.log(`Simulazione avviata: tick ${simulationConfig.tickMs} ms, accelerazione x${simulationConfig.timeAcceleration}, ` +
+            `guasti ${simulationConfig.faultRate}/h, seed ${simulationConfig.seed}.`);
+    } else {
+        console.log("Simulazione disattivata (CNC_SIMULATION=on per attivarla).");
+    }
+
+    // Arresto ordinato: simulazione e modelli di processo, stato, storico, audit trail e pubblicazione MQTT prima del server
+    const shutdown = async () => {
+        simulation.stop();
+        processClock.stop();
+        if (stateStore) stateStore.close();
+        historyStorage.close();
+        auditLog.close();
+        if (pubSub) await pubSub.close();
         await server.shutdown();
-        console.log("Server OPC UA spento.");
-        process.exit(0);
+    };
+
+    return { server, endpointUrl, fleet, stateMachine, simulation, processClock, kpiTracker, stateStore, shutdown };
+};
+
+// Avvio da riga di comando (node server.js); con require("./server") si usa startServer
+if (require.main === module) {
+    startServer().then(({ shutdown }) => {
+        console.log("Per connettersi, utilizzare un client OPC UA e l'URL sopra indicato.");
+        console.log("Per terminare, premere Ctrl+C.");
+
+        process.once("SIGINT", async () => {
+            console.log("Segnale SIGINT ricevuto. Spegnimento del server...");
+            await shutdown();
+            console.log("Server OPC UA spento.");
+            process.exit(0);
+        });
+    }).catch((error) => {
+        console.error("Errore critico durante l'avvio del server OPC UA:", error);
+        process.exit(1);
     });
+}
 
-})().catch((error) => {
-    console.error("Errore critico durante l'avvio del server OPC UA:", error);
-    process.exit(1);
-});
+module.exports = {
+    DEFAULT_PORT,
+    startServer
+};
@@ -0,0 +1,225 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const { AttributeIds, UserTokenType, makeBrowsePath } = require("node-opcua");
+const { startServer } = require("../server");
+const { startAggregator } = require("../aggregator");
+const { DEFAULT_AGGREGATOR_CONFIG, AggregatorConfigError, loadAggregatorConfig } = require("../lib/aggregator");
+const { CncClient, CncMethodError } = require("../lib/cncClient");
+
+// Free TCP port for a server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const connectAs = async (endpointUrl, pkiDir, userName) => {
+    const cnc = new CncClient({
+        endpointUrl,
+        pkiDir,
+        userIdentity: { type: UserTokenType.UserName, userName, password: userName },
+        connectionStrategy: { maxRetry: 1, initialDelay: 500, maxDelay: 1000 }
+    });
+    await cnc.connect();
+    return cnc;
+};
+
+// Polls `read` until `predicate` accepts its result
+const eventually = async (read, predicate, timeoutMs = 20000) => {
+    const deadline = Date.now() + timeoutMs;
+    let value = await read();
+    while (!predicate(value) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        value = await read();
+    }
+    assert.ok(predicate(value), `unexpected value ${JSON.stringify(value)}`);
+    return value;
+};
+
+const rejectsWith = (promise, statusCodeName) =>
+    assert.rejects(promise, (error) => {
+        assert.ok(error instanceof CncMethodError, `expected a CncMethodError, got ${error}`);
+        assert.equal(error.statusCode.name, statusCodeName);
+        return true;
+    });
+
+describe("aggregator configuration", () => {
+    it("reads the upstream CNC servers from CNC_AGGREGATOR_UPSTREAMS", () => {
+        const config = loadAggregatorConfig({
+            CNC_AGGREGATOR_UPSTREAMS: "Cella1=opc.tcp://cell1:4334/UA/CNC, Cella2=opc.tcp://cell2:4334/UA/CNC",
+            CNC_AGGREGATOR_USER: "operatore",
+            CNC_AGGREGATOR_PASSWORD: "operatore"
+        });
+        assert.deepEqual(config, {
+            ...DEFAULT_AGGREGATOR_CONFIG,
+            upstreams: [
+                { name: "Cella1", endpointUrl: "opc.tcp://cell1:4334/UA/CNC" },
+                { name: "Cella2", endpointUrl: "opc.tcp://cell2:4334/UA/CNC" }
+            ],
+            user: "operatore",
+            password: "operatore"
+        });
+        assert.equal(config.acceptUnknownCertificate, false);
+        assert.throws(() => loadAggregatorConfig({}), AggregatorConfigError);
+        assert.throws(() => loadAggregatorConfig({
+            CNC_AGGREGATOR_UPSTREAMS: "Cella 1=opc.tcp://a:4334,B=http://b,C=opc.tcp://c:4334,C=opc.tcp://d:4334,D=opc.tcp://c:4334",
+            CNC_AGGREGATOR_STALE_TIMEOUT: "-1",
+            CNC_AGGREGATOR_SECURITY_MODE: "Encrypt",
+            CNC_AGGREGATOR_ACCEPT_UNKNOWN_CERTIFICATE: "yes"
+        }), (error) => {
+            assert.ok(error instanceof AggregatorConfigError);
+            assert.equal(error.errors.length, 7);
+            return true;
+        });
+    });
+});
+
+describe("CNC aggregator", () => {
+    let tempDir;
+    let env;
+    let cell1;
+    let cell2;
+    let cell2Port;
+    let aggregator;
+    let operator;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        // The second cell has its own machine names, so the machines stay addressable by name on the aggregator
+        const cell2Fleet = path.join(tempDir, "fleet2.json");
+        fs.writeFileSync(cell2Fleet, JSON.stringify({
+            machines: [
+                { name: "CNC21", type: "base", nodeId: "s=CNC21", plant: "Stabilimento", line: "Linea2", cell: "Cella2" },
+                { name: "CNCPro21", type: "pro", nodeId: "s=CNCPro21", plant: "Stabilimento", line: "Linea2", cell: "Cella2" }
+            ]
+        }));
+        env = {
+            CNC_SIMULATION: "off",
+            CNC_SIM_FAULT_RATE: "0",
+            CNC_STATE: "off",
+            CNC_PKI_DIR: path.join(tempDir, "pki"),
+            CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+        };
+        cell1 = await startServer({ env, port: await findFreePort() });
+        cell2Port = await findFreePort();
+        cell2 = await startServer({ env: { ...env, CNC_FLEET_CONFIG: cell2Fleet }, port: cell2Port });
+        aggregator = await startAggregator({
+            env: {
+                ...env,
+                CNC_AGGREGATOR_UPSTREAMS: `Cella1=${cell1.endpointUrl},Cella2=${cell2.endpointUrl}`,
+                CNC_AGGREGATOR_USER: "operatore",
+                CNC_AGGREGATOR_PASSWORD: "operatore",
+                CNC_AGGREGATOR_SAMPLING_INTERVAL: "100",
+                CNC_AGGREGATOR_STALE_TIMEOUT: "2000"
+            },
+            port: await findFreePort()
+        });
+        await Promise.all(aggregator.upstreams.map(upstream => upstream.ready));
+        operator = await connectAs(aggregator.endpointUrl, path.join(tempDir, "client"), "operatore");
+    });
+
+    after(async () => {
+        if (operator) await operator.disconnect();
+        if (aggregator) await aggregator.shutdown();
+        if (cell1) await cell1.shutdown();
+        if (cell2) await cell2.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("mirrors the machines of every upstream server under a folder per server", async () => {
+        const machines = await operator.listMachines();
+        assert.deepEqual(machines.map(({ name, type, path }) => ({ name, type, path })), [
+            { name: "CNC1", type: "MacchinaCNCType", path: "Cella1" },
+            { name: "CNC2", type: "MacchinaCNCType", path: "Cella1" },
+            { name: "CNC3", type: "MacchinaCNCType", path: "Cella1" },
+            { name: "CNCPro1", type: "MacchinaCNCProType", path: "Cella1" },
+            { name: "CNC21", type: "MacchinaCNCType", path: "Cella2" },
+            { name: "CNCPro21", type: "MacchinaCNCProType", path: "Cella2" }
+        ]);
+
+        // The tool magazine pockets, created on the upstream server from its fleet configuration, are mirrored too
+        const snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.tool, "T01");
+        assert.ok(await operator.resolve("CNC1", "ToolMagazine/Pocket8"));
+        assert.equal(await operator.resolve("CNC1", "ToolMagazine/Pocket9"), null);
+        const endpointUrlId = (await operator.session.translateBrowsePath(makeBrowsePath("ns=1;s=Cella2", "/1:EndpointUrl"))).targets[0].targetId;
+        const endpointUrl = await operator.session.read({ nodeId: endpointUrlId, attributeId: AttributeIds.Value });
+        assert.equal(endpointUrl.value.value, cell2.endpointUrl);
+    });
+
+    it("forwards the method calls to the upstream server of the machine", async () => {
+        const result = await operator.setStatus("CNC1", "On");
+        assert.equal(result.message, "Off -> On");
+        assert.equal(cell1.stateMachine.getStatus(cell1.fleet[0].instance), 1);
+        await eventually(() => operator.getSnapshot("CNC1"), snapshot => snapshot.status === "On");
+
+        await operator.setSpindleSpeed("CNC1", 4);
+        await eventually(() => operator.getSnapshot("CNC1"), snapshot => snapshot.spindleSpeed === 4 && snapshot.spindleTargetRPM === 8000);
+
+        // Refusals of the upstream server come back with their StatusCode and diagnostics
+        await assert.rejects(operator.setSpindleSpeed("CNC21", 3), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["CNC is not ON to change spindle speed"]);
+            return true;
+        });
+        // The roles are checked by the aggregator: ManutenzionePredittiva needs the maintenance role
+        await rejectsWith(operator.runPredictiveMaintenance("CNCPro21"), "BadUserAccessDenied");
+        const maintenance = await connectAs(aggregator.endpointUrl, path.join(tempDir, "client"), "manutentore");
+        try {
+            await rejectsWith(maintenance.setStatus("CNC21", "On"), "BadUserAccessDenied");
+        } finally {
+            await maintenance.disconnect();
+        }
+        await operator.setStatus("CNC1", "Off");
+    });
+
+    it("marks the mirrored variables while an upstream server is down and recovers when it is back, retrying a failed copy", async () => {
+        const browsePath = await operator.session.translateBrowsePath(makeBrowsePath("ns=1;s=Cella2", "/1:CNC21.2:Status"));
+        const statusId = browsePath.targets[0].targetId;
+        const readStatus = async () => (await operator.session.read({ nodeId: statusId, attributeId: AttributeIds.Value })).statusCode.name;
+        const connectedId = (await operator.session.translateBrowsePath(makeBrowsePath("ns=1;s=Cella2", "/1:Connected"))).targets[0].targetId;
+        const readConnected = async () => (await operator.session.read({ nodeId: connectedId, attributeId: AttributeIds.Value })).value.value;
+        assert.equal(await readStatus(), "Good");
+        assert.equal(await readConnected(), true);
+
+        await cell2.shutdown();
+        cell2 = null;
+        await eventually(readStatus, status => status === "UncertainLastUsableValue");
+        assert.equal(await readConnected(), false);
+        await rejectsWith(operator.setStatus("CNC21", "On"), "BadNotConnected");
+        // The other cell keeps working
+        assert.equal((await operator.setStatus("CNC2", "On")).message, "Off -> On");
+        await operator.setStatus("CNC2", "Off");
+
+        // After CNC_AGGREGATOR_STALE_TIMEOUT the last values are no longer usable
+        await eventually(readStatus, status => status === "BadNotConnected");
+
+        // The first copy after the reconnection fails and is retried; CNCPro21 is no longer on the restarted server
+        const mirror = aggregator.upstreams.find(upstream => upstream.name === "Cella2");
+        const listMachines = mirror.cnc.listMachines;
+        let failedCopies = 0;
+        mirror.cnc.listMachines = async () => {
+            mirror.cnc.listMachines = listMachines;
+            failedCopies++;
+            throw new Error("copy interrupted");
+        };
+        const cell2Fleet = path.join(tempDir, "fleet2-restarted.json");
+        fs.writeFileSync(cell2Fleet, JSON.stringify({
+            machines: [{ name: "CNC21", type: "base", nodeId: "s=CNC21", plant: "Stabilimento", line: "Linea2", cell: "Cella2" }]
+        }));
+        cell2 = await startServer({ env: { ...env, CNC_FLEET_CONFIG: cell2Fleet }, port: cell2Port });
+        await eventually(readConnected, connected => connected === true, 30000);
+        assert.equal(failedCopies, 1);
+        assert.equal(await readStatus(), "Good");
+        assert.equal((await operator.setStatus("CNC21", "On")).message, "Off -> On");
+        operator.invalidateCache();
+        assert.deepEqual((await operator.listMachines()).filter(machine => machine.path === "Cella2").map(machine => machine.name), ["CNC21"]);
+    });
+});
@@ -0,0 +1,172 @@
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const { UserTokenType } = require("node-opcua");
+const { startServer } = require("../server");
+const { MODEL_NODESET_FILE, MODEL_NAMESPACE_URI, UAMODELER_PROJECT_FILE } = require("../lib/model");
+const { CncClient } = require("../lib/cncClient");
+const { describeModel, describeNodeSet, describeTypeDictionary, describeReference, compareModels, conformanceReport, formatReport } = require("../lib/conformance");
+
+// Free TCP port for the server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Replaces one occurrence of `search` in `text`, failing if the reference model no longer contains it
+const replaceOnce = (text, search, replacement, from = 0) => {
+    const index = text.indexOf(search, from);
+    assert.ok(index >= 0, `${search} not found in the reference model`);
+    return text.slice(0, index) + replacement + text.slice(index + search.length);
+};
+
+describe("model conformance", () => {
+    let tempDir;
+    let handle;
+    let viewer;
+    let reference;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        handle = await startServer({
+            env: {
+                CNC_SIMULATION: "off",
+                CNC_STATE: "off",
+                CNC_PKI_DIR: path.join(tempDir, "pki"),
+                CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+            },
+            port: await findFreePort()
+        });
+        // Browsing and reading the types is enough: a viewer can check the server
+        viewer = new CncClient({
+            endpointUrl: handle.endpointUrl,
+            pkiDir: path.join(tempDir, "client"),
+            userIdentity: { type: UserTokenType.UserName, userName: "osservatore", password: "osservatore" },
+            connectionStrategy: { maxRetry: 1, initialDelay: 500, maxDelay: 1000 }
+        });
+        await viewer.connect();
+        reference = await describeNodeSet(MODEL_NODESET_FILE);
+    });
+
+    after(async () => {
+        if (viewer) await viewer.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("describes the types of the reference model by browse path", () => {
+        assert.equal(reference.namespaceUri, MODEL_NAMESPACE_URI);
+        assert.deepEqual(reference.nodes.MacchinaCNCProType, { nodeClass: "ObjectType", subtypeOf: "MacchinaCNCType", isAbstract: false });
+        assert.deepEqual(reference.nodes.CNCTypeEnum.enumValues, { Off: 0, On: 1, Alarm: 2 });
+        assert.deepEqual(reference.nodes.OperationResult.encodings, ["Default Binary", "Default XML"]);
+        assert.deepEqual(reference.nodes["MacchinaCNCType/Status"], {
+            nodeClass: "Variable",
+            typeDefinition: "BaseDataVariableType",
+            modellingRule: "Mandatory",
+            dataType: "CNCTypeEnum",
+            valueRank: -1
+        });
+        assert.equal(reference.nodes["ToolMagazineType/<Pocket>"].modellingRule, "OptionalPlaceholder");
+        assert.deepEqual(reference.nodes["MachineGroupType/StartAll"].outputArguments, [
+            { name: "Result", valueRank: -1, dataType: "OperationResult" },
+            { name: "Results", valueRank: 1, dataType: "MachineOperationResult" }
+        ]);
+        assert.deepEqual(compareModels(reference, reference), []);
+    });
+
+    it("finds no drift between the running server, its NodeSet export and the reference model", async () => {
+        const live = await describeModel(viewer.session);
+        const report = conformanceReport({ label: "reference", model: reference }, { label: handle.endpointUrl, model: live });
+        assert.deepEqual(report.differences, []);
+        assert.equal(report.conforming, true);
+        assert.equal(report.target.nodes, report.reference.nodes);
+
+        const exportFile = path.join(tempDir, "cnc.live.NodeSet2.xml");
+        fs.writeFileSync(exportFile, handle.server.engine.addressSpace.getNamespace(MODEL_NAMESPACE_URI).toNodeset2XML());
+        assert.deepEqual(compareModels(reference, await describeNodeSet(exportFile)), []);
+    });
+
+    it("reports missing and extra nodes, modelling rule, DataType, enum value and method argument differences", async () => {
+        // A re-export from UAModeler that went back to the old design
+        let drifted = fs.readFileSync(MODEL_NODESET_FILE, "utf8");
+        drifted = replaceOnce(drifted, "<uax:Text>Off</uax:Text></uax:LocalizedText>\n        <uax:LocalizedText><uax:Text>On</uax:Text>",
+            "<uax:Text>On</uax:Text></uax:LocalizedText>\n        <uax:LocalizedText><uax:Text>Off</uax:Text>");
+        drifted = replaceOnce(drifted, 'BrowseName="1:Utensile"', 'BrowseName="1:Tool"');
+        drifted = replaceOnce(drifted, "i=78", "i=80", drifted.indexOf('BrowseName="1:PezziProdotti"'));
+        drifted = replaceOnce(drifted, "<uax:Name>NewStatus</uax:Name>\n              <uax:DataType><uax:Identifier>i=6<",
+            "<uax:Name>NewStatus</uax:Name>\n              <uax:DataType><uax:Identifier>i=7<");
+        drifted = replaceOnce(drifted, 'BrowseName="1:AlarmReason" ParentNodeId="ns=1;i=1002" DataType="String"',
+            'BrowseName="1:AlarmReason" ParentNodeId="ns=1;i=1002" DataType="LocalizedText"');
+        drifted = replaceOnce(drifted, "<Value><uax:String></uax:String></Value>",
+            "<Value><uax:LocalizedText><uax:Text></uax:Text></uax:LocalizedText></Value>", drifted.indexOf('BrowseName="1:AlarmReason"'));
+        const driftedFile = path.join(tempDir, "drifted.NodeSet2.xml");
+        fs.writeFileSync(driftedFile, drifted);
+
+        const report = conformanceReport(
+            { label: driftedFile, model: await describeNodeSet(driftedFile) },
+            { label: handle.endpointUrl, model: await describeModel(viewer.session) });
+        assert.equal(report.conforming, false);
+        assert.deepEqual(report.differences.map(({ kind, path, message }) => `${kind} ${path}: ${message}`).sort(), [
+            "dataType MacchinaCNCType/AlarmReason: DataType expected LocalizedText, found String",
+            "enumValue CNCTypeEnum: Off expected 1, found 0",
+            "enumValue CNCTypeEnum: On expected 0, found 1",
+            "extra MacchinaCNCType/Utensile: Variable not in the reference",
+            "methodArguments MacchinaCNCType/ChangeStatus: InputArguments expected (NewStatus: UInt32), found (NewStatus: Int32)",
+            "missing MacchinaCNCType/Tool: Variable missing",
+            "modellingRule MacchinaCNCType/PezziProdotti: ModellingRule expected Optional, found Mandatory"
+        ]);
+    });
+
+    it("reads the DataTypes of the UAModeler design from the dictionary embedded in cnc.ua", async () => {
+        const design = await describeReference(UAMODELER_PROJECT_FILE);
+        assert.deepEqual(design.nodeClasses, ["DataType"]);
+        assert.deepEqual(design.nodes, {
+            CNCTypeEnum: { nodeClass: "DataType", browseName: "StatusEnum", subtypeOf: "Enumeration", enumValues: { on: 0, off: 1, alarm: 2 } },
+            VelocitaMandrinoEnum: {
+                nodeClass: "DataType",
+                browseName: "VelocitaEnum",
+                subtypeOf: "Enumeration",
+                enumValues: { 1: 0, 2: 1, 3: 2, 4: 3, 5: 4 }
+            }
+        });
+        // The dictionary of the server NodeSet describes the same types with the values of the code
+        const dictionary = await describeTypeDictionary(path.join(path.dirname(UAMODELER_PROJECT_FILE), "cnc.bsd"), { namespaceUri: MODEL_NAMESPACE_URI });
+        assert.deepEqual(dictionary.nodes.CNCTypeEnum.enumValues, reference.nodes.CNCTypeEnum.enumValues);
+    });
+
+    it("reports the enum drift of the server from the UAModeler design with exit code 1", () => {
+        const exportFile = path.join(tempDir, "cnc.live.NodeSet2.xml");
+        fs.writeFileSync(exportFile, handle.server.engine.addressSpace.getNamespace(MODEL_NAMESPACE_URI).toNodeset2XML());
+        const check = spawnSync(process.execPath, [path.join(__dirname, "..", "nodeset.js"), "check", "--nodeset", exportFile, "--json"],
+            { encoding: "utf8", timeout: 60000 });
+        assert.equal(check.status, 1, check.stderr);
+        const report = JSON.parse(check.stdout);
+        assert.equal(report.reference.source, UAMODELER_PROJECT_FILE);
+        assert.deepEqual(report.reference.nodeClasses, ["DataType"]);
+        assert.equal(report.conforming, false);
+        const differences = report.differences.map(({ kind, path, message }) => `${kind} ${path}: ${message}`);
+        for (const expected of [
+            "browseName CNCTypeEnum: BrowseName expected StatusEnum, found CNCTypeEnum",
+            "enumValue CNCTypeEnum: value on (0) missing",
+            "enumValue CNCTypeEnum: value Off (0) not in the reference",
+            "browseName VelocitaMandrinoEnum: BrowseName expected VelocitaEnum, found VelocitaMandrinoEnum",
+            "enumValue VelocitaMandrinoEnum: 1 expected 0, found 1",
+            "enumValue VelocitaMandrinoEnum: 5 expected 4, found 5",
+            "extra OperationResult: DataType not in the reference"
+        ]) {
+            assert.ok(differences.includes(expected), `${expected} not reported:\n${differences.join("\n")}`);
+        }
+        // Only the DataTypes are in the design: the ObjectTypes of the server are not reported as extra
+        assert.ok(!differences.some(difference => difference.includes("MacchinaCNCType")));
+        // and the text report says that the rest of the model is not compared
+        assert.match(formatReport(report), /^Scope: {5}only the DataType nodes are compared/m);
+    });
+});
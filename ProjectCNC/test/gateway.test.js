@@ -0,0 +1,143 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const { UserTokenType } = require("node-opcua");
+const { startServer } = require("../server");
+const { CncClient } = require("../lib/cncClient");
+const { loadGatewayConfig, createGateway } = require("../lib/gateway");
+
+// Free TCP port for the server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const basic = (userName, password = userName) => `Basic ${Buffer.from(`${userName}:${password}`).toString("base64")}`;
+
+describe("REST gateway", () => {
+    let tempDir;
+    let handle;
+    let viewer;
+    let gateway;
+    let baseUrl;
+    // Clients opened by the gateway, the per-user ones included
+    const clients = [];
+
+    const connectAs = async (userIdentity) => {
+        const cnc = new CncClient({
+            endpointUrl: handle.endpointUrl,
+            pkiDir: path.join(tempDir, "client"),
+            userIdentity,
+            connectionStrategy: { maxRetry: 1, initialDelay: 500, maxDelay: 1000 }
+        });
+        await cnc.connect();
+        clients.push(cnc);
+        return cnc;
+    };
+
+    const post = (pathname, { authorization, contentType = "application/json", body = {} } = {}) =>
+        fetch(`${baseUrl}${pathname}`, {
+            method: "POST",
+            headers: { ...(authorization ? { Authorization: authorization } : {}), "Content-Type": contentType },
+            body: JSON.stringify(body)
+        });
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        handle = await startServer({
+            env: {
+                CNC_SIMULATION: "off",
+                CNC_STATE: "off",
+                CNC_PKI_DIR: path.join(tempDir, "pki"),
+                CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+            },
+            port: await findFreePort()
+        });
+        // The gateway's own session only reads: the methods are called with the user of each request
+        viewer = await connectAs({ type: UserTokenType.UserName, userName: "osservatore", password: "osservatore" });
+        gateway = createGateway(viewer, { connectAs });
+        await new Promise(resolve => gateway.server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${gateway.server.address().port}`;
+    });
+
+    after(async () => {
+        if (gateway) await gateway.close();
+        if (viewer) await viewer.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("listens on the local interface only by default", () => {
+        assert.deepEqual(loadGatewayConfig({}), { host: "127.0.0.1", port: 8080 });
+        assert.equal(loadGatewayConfig({ CNC_GATEWAY_HOST: "0.0.0.0" }).host, "0.0.0.0");
+    });
+
+    it("reads the machines without credentials", async () => {
+        const response = await fetch(`${baseUrl}/machines/CNC1`);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).status, "Off");
+    });
+
+    it("asks for credentials and a JSON body before calling a method", async () => {
+        let response = await post("/machines/CNC1/status", { body: { status: "On" } });
+        assert.equal(response.status, 401);
+        assert.match(response.headers.get("www-authenticate"), /^Basic realm="CNC gateway"/);
+
+        response = await post("/machines/CNC1/status", { authorization: basic("operatore", "wrong"), body: { status: "On" } });
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).statusCode, "BadIdentityTokenRejected");
+
+        // A cross-site form or "simple" fetch cannot send application/json
+        for (const contentType of ["text/plain", "application/x-www-form-urlencoded"]) {
+            response = await post("/machines/CNC1/status", { authorization: basic("operatore"), contentType, body: { status: "On" } });
+            assert.equal(response.status, 415, contentType);
+        }
+        response = await fetch(`${baseUrl}/machines/CNCPro1/maintenance`, { method: "POST", headers: { Authorization: basic("manutentore") } });
+        assert.equal(response.status, 415);
+        assert.equal((await viewer.getSnapshot("CNC1")).status, "Off");
+    });
+
+    it("calls the methods with the roles of the user of the request", async () => {
+        let response = await post("/machines/CNC1/status", { authorization: basic("osservatore"), body: { status: "On" } });
+        assert.equal(response.status, 403);
+        assert.equal((await response.json()).statusCode, "BadUserAccessDenied");
+        response = await post("/machines/CNCPro1/maintenance", { authorization: basic("operatore") });
+        assert.equal(response.status, 403);
+
+        response = await post("/machines/CNC1/status", { authorization: basic("operatore"), body: { status: "On" } });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).message, "Off -> On");
+        response = await post("/machines/CNCPro1/maintenance", { authorization: basic("manutentore") });
+        assert.equal(response.status, 200);
+
+        response = await post("/machines/CNC1/status", { authorization: basic("operatore"), body: { status: "Off" } });
+        assert.equal(response.status, 200);
+        assert.equal((await viewer.getSnapshot("CNC1")).status, "Off");
+    });
+
+    it("reopens the session of a user after its connection closes or a call finds it lost", async () => {
+        const operators = () => clients.filter(cnc => cnc.userIdentity.userName === "operatore");
+        const setStatus = (status) => post("/machines/CNC2/status", { authorization: basic("operatore"), body: { status } });
+        assert.equal((await setStatus("On")).status, 200);
+        assert.equal(operators().length, 1);
+
+        // The connection of the session closes: the next request opens a new session
+        await operators()[0].client.disconnect();
+        assert.equal((await setStatus("Off")).status, 200);
+        assert.equal(operators().length, 2);
+
+        // A call fails with BadNotConnected: the session is reopened and the call repeated
+        operators()[1].session = null;
+        assert.equal((await setStatus("On")).status, 200);
+        assert.equal(operators().length, 3);
+        assert.equal((await viewer.getSnapshot("CNC2")).status, "On");
+        assert.equal((await setStatus("Off")).status, 200);
+    });
+});
@@ -0,0 +1,205 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const { AggregateFunction, DataType, DataValue, UserTokenType, Variant } = require("node-opcua");
+const { startServer } = require("../server");
+const { CncClient } = require("../lib/cncClient");
+const {
+    DEFAULT_HISTORY_CONFIG,
+    HistoryConfigError,
+    MemoryHistoryStorage,
+    FileHistoryStorage,
+    loadHistoryConfig
+} = require("../lib/history");
+
+// Free TCP port for the server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// One value per second from 10:00:00 UTC
+const valueAt = (second, value = second) => new DataValue({
+    value: new Variant({ dataType: DataType.Double, value }),
+    sourceTimestamp: new Date(Date.UTC(2024, 0, 10, 10, 0, second)),
+    serverTimestamp: new Date(Date.UTC(2024, 0, 10, 10, 0, second))
+});
+const at = (second) => new Date(Date.UTC(2024, 0, 10, 10, 0, second));
+const values = (dataValues) => dataValues.map(dataValue => dataValue.value.value);
+
+describe("history storage", () => {
+    let tempDir;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-history-"));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("reads the storage configuration from the environment", () => {
+        assert.deepEqual(loadHistoryConfig({}), DEFAULT_HISTORY_CONFIG);
+        assert.deepEqual(loadHistoryConfig({ CNC_HISTORY_STORAGE: "file", CNC_HISTORY_FILE: "history.jsonl", CNC_HISTORY_MAX_VALUES: "50" }),
+            { storage: "file", file: path.resolve("history.jsonl"), maxValues: 50 });
+        assert.throws(() => loadHistoryConfig({ CNC_HISTORY_STORAGE: "sql", CNC_HISTORY_FILE: " ", CNC_HISTORY_MAX_VALUES: "0" }), (error) => {
+            assert.ok(error instanceof HistoryConfigError);
+            assert.equal(error.errors.length, 3);
+            return true;
+        });
+    });
+
+    it("keeps the last values of each variable in a circular buffer", () => {
+        const storage = new MemoryHistoryStorage({ maxValues: 5 });
+        for (let second = 0; second < 12; second++) {
+            storage.append("a", valueAt(second));
+        }
+        storage.append("b", valueAt(0, 100));
+
+        assert.deepEqual(values(storage.read("a", null, null, 0, false)), [7, 8, 9, 10, 11]);
+        assert.deepEqual(values(storage.read("a", null, null, 0, true)), [11, 10, 9, 8, 7]);
+        assert.deepEqual(values(storage.read("a", at(8), at(10), 0, false)), [8, 9, 10]);
+        assert.deepEqual(values(storage.read("a", at(8), null, 2, false)), [8, 9]);
+        assert.deepEqual(values(storage.read("a", null, at(9), 2, true)), [9, 8]);
+        assert.deepEqual(values(storage.read("b", null, null, 0, false)), [100]);
+        assert.deepEqual(storage.read("c", null, null, 0, false), []);
+        assert.equal(storage.size, 6);
+    });
+
+    it("reloads the file after a restart, compacting it to the last values of each variable", () => {
+        const file = path.join(tempDir, "compact.jsonl");
+        const lines = () => fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line));
+
+        let storage = new FileHistoryStorage({ file, maxValues: 10 });
+        for (let second = 0; second < 25; second++) {
+            storage.append("a", valueAt(second));
+            storage.append("b", valueAt(second, -second));
+            // The file never holds more than twice the values kept in memory
+            assert.ok(lines().length < 2 * storage.size, `${lines().length} lines for ${storage.size} values`);
+        }
+        storage.close();
+
+        storage = new FileHistoryStorage({ file, maxValues: 10 });
+        assert.deepEqual(values(storage.read("a", null, null, 0, false)), [15, 16, 17, 18, 19, 20, 21, 22, 23, 24]);
+        assert.deepEqual(values(storage.read("b", null, null, 3, true)), [-24, -23, -22]);
+        assert.deepEqual(storage.read("a", at(20), null, 1, false)[0].sourceTimestamp, at(20));
+        storage.compact();
+        assert.equal(lines().length, 20);
+        assert.ok(!fs.existsSync(`${file}.tmp`));
+
+        // A smaller maxValues shrinks the file at the next start
+        storage = new FileHistoryStorage({ file, maxValues: 3 });
+        assert.deepEqual(values(storage.read("a", null, null, 0, false)), [22, 23, 24]);
+        assert.equal(lines().length, 6);
+    });
+
+    it("drops a truncated last line of the file, keeping the values before it", () => {
+        const file = path.join(tempDir, "truncated.jsonl");
+        let storage = new FileHistoryStorage({ file, maxValues: 10 });
+        for (let second = 0; second < 3; second++) {
+            storage.append("a", valueAt(second));
+        }
+        fs.appendFileSync(file, '{"node":"a","dataType":"Dou');
+
+        storage = new FileHistoryStorage({ file, maxValues: 10 });
+        storage.append("a", valueAt(3));
+        assert.deepEqual(values(storage.read("a", null, null, 0, false)), [0, 1, 2, 3]);
+        storage = new FileHistoryStorage({ file, maxValues: 10 });
+        assert.deepEqual(values(storage.read("a", null, null, 0, false)), [0, 1, 2, 3]);
+    });
+});
+
+describe("HistoryRead", () => {
+    let tempDir;
+    let env;
+    let handle;
+    let operator;
+    let start;
+
+    const connect = async () => {
+        const cnc = new CncClient({
+            endpointUrl: handle.endpointUrl,
+            pkiDir: path.join(tempDir, "client"),
+            userIdentity: { type: UserTokenType.UserName, userName: "operatore", password: "operatore" },
+            connectionStrategy: { maxRetry: 1, initialDelay: 500, maxDelay: 1000 }
+        });
+        await cnc.connect();
+        return cnc;
+    };
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        env = {
+            CNC_SIMULATION: "off",
+            CNC_SIM_FAULT_RATE: "0",
+            CNC_STATE: "off",
+            CNC_HISTORY_STORAGE: "file",
+            CNC_HISTORY_FILE: path.join(tempDir, "history.jsonl"),
+            CNC_PKI_DIR: path.join(tempDir, "pki"),
+            CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+        };
+        handle = await startServer({ env, port: await findFreePort() });
+        handle.processClock.stop();
+        operator = await connect();
+
+        start = new Date();
+        await operator.setStatus("CNC1", "On");
+        await operator.setSpindleSpeed("CNC1", 3);
+        await operator.setSpindleSpeed("CNC1", 5);
+        await operator.setStatus("CNC1", "Off");
+    });
+
+    after(async () => {
+        if (operator) await operator.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const readRaw = async (variable, end = new Date()) => {
+        const result = await operator.session.readHistoryValue({ nodeId: await operator.resolve("CNC1", variable) }, start, end);
+        assert.equal(result.statusCode.name, "Good");
+        return values(result.historyData.dataValues);
+    };
+
+    const readProcessed = async (variable, aggregate) => {
+        const end = new Date();
+        const [result] = await operator.session.readAggregateValue(
+            [{ nodeId: await operator.resolve("CNC1", variable) }], start, end, [aggregate], end.getTime() - start.getTime());
+        assert.equal(result.statusCode.name, "Good");
+        return values(result.historyData.dataValues);
+    };
+
+    it("returns the raw values of the historized variables", async () => {
+        assert.deepEqual(await readRaw("Status"), [1, 0]);
+        assert.deepEqual(await readRaw("Mandrino/Velocita"), [3, 5, 1]);
+        assert.deepEqual(await readRaw("ConsumoEnergetico"), [150.5, 170.5, 190.5, 0]);
+    });
+
+    it("computes the aggregates of the processed reads", async () => {
+        assert.deepEqual(await readProcessed("ConsumoEnergetico", AggregateFunction.Count), [4]);
+        assert.deepEqual(await readProcessed("ConsumoEnergetico", AggregateFunction.Maximum), [190.5]);
+        assert.deepEqual(await readProcessed("Mandrino/Velocita", AggregateFunction.Minimum), [1]);
+    });
+
+    it("serves the history of the file storage after a restart", async () => {
+        await operator.disconnect();
+        operator = null;
+        const { port } = new URL(handle.endpointUrl.replace("opc.tcp:", "http:"));
+        await handle.shutdown();
+        const stopped = new Date();
+        handle = null;
+        handle = await startServer({ env, port: Number(port) });
+        handle.processClock.stop();
+        operator = await connect();
+        // The restarted server adds the current values after the ones read back from the file
+        assert.deepEqual(await readRaw("Status", stopped), [1, 0]);
+        assert.deepEqual(await readRaw("Mandrino/Velocita", stopped), [3, 5, 1]);
+    });
+});
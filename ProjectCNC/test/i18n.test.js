@@ -0,0 +1,193 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const { AttributeIds, NodeClass, UserTokenType } = require("node-opcua");
+const { startServer } = require("../server");
+const { MODEL_NAMESPACE_URI } = require("../lib/model");
+const { CncClient, CncMethodError } = require("../lib/cncClient");
+const { LocaleConfigError, loadLocaleConfig, negotiateLocale, message } = require("../lib/i18n");
+const { MODEL_TEXTS, MESSAGES } = require("../lib/translations");
+
+// Free TCP port for the server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const TYPE_NODE_CLASSES = [NodeClass.ObjectType, NodeClass.VariableType, NodeClass.DataType];
+
+// Both languages of a catalog entry, non-empty
+const assertBilingual = (texts, label) => {
+    for (const locale of ["en", "it"]) {
+        const text = Array.isArray(texts[locale]) ? texts[locale][0] : texts[locale];
+        assert.ok(text, `${label}: missing ${locale} text`);
+    }
+};
+
+describe("locale configuration", () => {
+    it("defaults to English and accepts CNC_DEFAULT_LOCALE=it", () => {
+        assert.deepEqual(loadLocaleConfig({}), { defaultLocale: "en" });
+        assert.deepEqual(loadLocaleConfig({ CNC_DEFAULT_LOCALE: " it " }), { defaultLocale: "it" });
+        assert.throws(() => loadLocaleConfig({ CNC_DEFAULT_LOCALE: "de" }), LocaleConfigError);
+    });
+
+    it("negotiates the first supported locale of the session, also by language prefix", () => {
+        assert.equal(negotiateLocale(["de-DE", "it-IT", "en"]), "it");
+        assert.equal(negotiateLocale(["en_US"], "it"), "en");
+        assert.equal(negotiateLocale(["fr"], "it"), "it");
+        assert.equal(negotiateLocale([]), "en");
+    });
+
+    it("translates the messages and their parameters, in English when converted to a string", () => {
+        const text = message("transitionNotAllowed", { from: "Off", to: "Alarm", allowed: ["On"] });
+        assert.equal(String(text), text.localize("en"));
+        assert.notEqual(text.localize("it"), text.localize("en"));
+        for (const [key, texts] of Object.entries(MESSAGES)) assertBilingual(texts, key);
+    });
+});
+
+describe("bilingual model", () => {
+    let tempDir;
+    let handle;
+    const clients = {};
+
+    const connect = (locale) => {
+        const client = new CncClient({
+            endpointUrl: handle.endpointUrl,
+            pkiDir: path.join(tempDir, "client"),
+            userIdentity: { type: UserTokenType.UserName, userName: "operatore", password: "operatore" },
+            connectionStrategy: { maxRetry: 1, initialDelay: 500, maxDelay: 1000 },
+            locale
+        });
+        return client.connect().then(() => client);
+    };
+
+    const readTexts = async (client, nodeId) => {
+        const [displayName, description] = await client.session.read([
+            { nodeId, attributeId: AttributeIds.DisplayName },
+            { nodeId, attributeId: AttributeIds.Description }
+        ]);
+        return [displayName.value.value.text, description.value.value.text];
+    };
+
+    const inputArgumentDescriptions = async (client, machine, method) => {
+        const methodNodeId = await client.resolve(machine, method);
+        const inputArguments = (await client._browse(methodNodeId)).find(ref => ref.browseName.name === "InputArguments");
+        const dataValue = await client.session.read({ nodeId: inputArguments.nodeId, attributeId: AttributeIds.Value });
+        return dataValue.value.value.map(argument => argument.description.text);
+    };
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        handle = await startServer({
+            env: {
+                CNC_SIMULATION: "off",
+                CNC_STATE: "off",
+                CNC_PKI_DIR: path.join(tempDir, "pki"),
+                CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+            },
+            port: await findFreePort()
+        });
+        clients.it = await connect("it");
+        clients.en = await connect("en");
+        clients.default = await connect(undefined);
+    });
+
+    after(async () => {
+        for (const client of Object.values(clients)) await client.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("has Italian and English texts for every type of the model and the server", () => {
+        const addressSpace = handle.server.engine.addressSpace;
+        const namespaces = [addressSpace.getNamespace(MODEL_NAMESPACE_URI), addressSpace.getOwnNamespace()];
+        const types = namespaces.flatMap(namespace => [...namespace.nodeIterator()])
+            .filter(node => TYPE_NODE_CLASSES.includes(node.nodeClass))
+            .map(node => node.browseName.name);
+        assert.ok(types.includes("MacchinaCNCType"));
+        for (const type of types) {
+            assert.ok(MODEL_TEXTS[type], `${type} missing from the catalog`);
+            assertBilingual(MODEL_TEXTS[type], type);
+            for (const [name, child] of Object.entries(MODEL_TEXTS[type].children || {})) {
+                assertBilingual(child, `${type}/${name}`);
+                for (const [argument, texts] of Object.entries(child.arguments || {})) assertBilingual(texts, `${type}/${name}/${argument}`);
+            }
+            for (const [value, texts] of Object.entries(MODEL_TEXTS[type].values || {})) assertBilingual(texts, `${type}.${value}`);
+        }
+    });
+
+    it("serves display names and descriptions in the locale of the session", async () => {
+        const status = await clients.it.resolve("CNC1", "Status");
+        assert.deepEqual(await readTexts(clients.it, status), ["Stato", "Stato corrente della CNC"]);
+        const [displayName, description] = await readTexts(clients.en, status);
+        assert.equal(displayName, "Status");
+        assert.ok(description && description !== "Stato corrente della CNC");
+        assert.deepEqual(await readTexts(clients.default, status), [displayName, description]);
+
+        const machine = (await clients.it.listMachines()).find(m => m.name === "CNC1");
+        const browsed = async (client) => (await client._browse(machine.nodeId)).map(ref => ref.displayName.text);
+        assert.ok((await browsed(clients.it)).includes("CambiaStato"));
+        assert.ok((await browsed(clients.en)).includes("ChangeStatus"));
+    });
+
+    it("describes method arguments and enumeration values in the locale of the session", async () => {
+        assert.deepEqual(await inputArgumentDescriptions(clients.it, "CNC1", "ChangeStatus"),
+            ["Nuovo stato per la CNC (0=Spento, 1=Acceso, 2=Allarme)"]);
+        const [english] = await inputArgumentDescriptions(clients.en, "CNC1", "ChangeStatus");
+        assert.match(english, /0=Off, 1=On, 2=Alarm/);
+
+        const italian = await clients.it.getEnumLabels();
+        assert.deepEqual(italian.status, { Off: "Spento", On: "Acceso", Alarm: "Allarme" });
+        assert.equal(italian.jobState.Running, "In esecuzione");
+        assert.equal(italian.spindleSpeed[3], "Velocità 3");
+        const labels = await clients.en.getEnumLabels();
+        assert.deepEqual(labels.status, { Off: "Off", On: "On", Alarm: "Alarm" });
+        assert.equal(labels.spindleSpeed[3], "Speed 3");
+    });
+
+    it("localizes the method results and the diagnostics of refused calls", async () => {
+        const refusal = (client) => client.setSpindleSpeed("CNC2", 3).then(
+            () => assert.fail("CambiareVelocita accepted while the CNC is Off"),
+            (err) => {
+                assert.ok(err instanceof CncMethodError);
+                return err.diagnostics;
+            });
+        assert.deepEqual(await refusal(clients.it), ["La CNC deve essere accesa per cambiare la velocità del mandrino"]);
+        assert.deepEqual(await refusal(clients.en), ["CNC is not ON to change spindle speed"]);
+
+        assert.match((await clients.it.setStatus("CNC2", "On")).message, /Spento -> Acceso/);
+        assert.match((await clients.en.setStatus("CNC2", "Off")).message, /On -> Off/);
+    });
+
+    it("serves the alarm reason in the locale of the session and the alarm events in the default locale", async () => {
+        await clients.en.watch(["CNC3"]);
+        const alarmEvent = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error("No alarm event within 10000 ms")), 10000);
+            clients.en.on("alarm", (event) => {
+                if (event.machine !== "CNC3" || !event.active) return;
+                clearTimeout(timer);
+                resolve(event);
+            });
+        });
+        await clients.it.setStatus("CNC3", "On");
+        await clients.it.setStatus("CNC3", "Alarm");
+        try {
+            assert.equal((await clients.it.getSnapshot("CNC3")).alarmReason, "Allarme impostato tramite ChangeStatus");
+            assert.equal((await clients.en.getSnapshot("CNC3")).alarmReason, "Alarm set with ChangeStatus");
+            assert.equal((await clients.default.getSnapshot("CNC3")).alarmReason, "Alarm set with ChangeStatus");
+            assert.equal((await alarmEvent).message, "CNC3 in Alarm: Alarm set with ChangeStatus");
+        } finally {
+            await clients.en.unwatch();
+            await clients.it.call("CNC3", "AcknowledgeAlarm");
+            await clients.it.setStatus("CNC3", "Off");
+        }
+    });
+});
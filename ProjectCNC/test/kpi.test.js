@@ -0,0 +1,78 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { rejectRate } = require("../lib/simulation");
+const {
+    idealCycleTime,
+    DEFAULT_KPI_CONFIG,
+    KpiConfigError,
+    loadKpiConfig,
+    shiftAt,
+    createCounters,
+    computeKpis,
+    summarize
+} = require("../lib/kpi");
+
+// Local time, as the shift calendar
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+describe("kpi", () => {
+    it("reads the shift calendar from CNC_KPI_SHIFTS", () => {
+        assert.deepEqual(loadKpiConfig({}), DEFAULT_KPI_CONFIG);
+        assert.deepEqual(loadKpiConfig({ CNC_KPI_SHIFTS: "Notte=20:00, Giorno=08:00" }),
+            { shifts: [{ name: "Giorno", start: "08:00" }, { name: "Notte", start: "20:00" }] });
+        assert.throws(() => loadKpiConfig({ CNC_KPI_SHIFTS: "Giorno=8:00,Notte,Sera=20:00,Sera=21:00,Festivo=20:00" }), (error) => {
+            assert.ok(error instanceof KpiConfigError);
+            assert.equal(error.errors.length, 4);
+            return true;
+        });
+        assert.throws(() => loadKpiConfig({ CNC_KPI_SHIFTS: "A=06:00,B=06:00" }), KpiConfigError);
+    });
+
+    it("finds the shift in progress, including the one across midnight", () => {
+        const { shifts } = DEFAULT_KPI_CONFIG;
+        assert.deepEqual(shiftAt(shifts, at(10, 9, 30)), { name: "Mattino", start: at(10, 6), end: at(10, 14) });
+        assert.deepEqual(shiftAt(shifts, at(10, 14)), { name: "Pomeriggio", start: at(10, 14), end: at(10, 22) });
+        assert.deepEqual(shiftAt(shifts, at(10, 23)), { name: "Notte", start: at(10, 22), end: at(11, 6) });
+        assert.deepEqual(shiftAt(shifts, at(11, 5, 59)), { name: "Notte", start: at(10, 22), end: at(11, 6) });
+        assert.deepEqual(shiftAt([{ name: "Unico", start: "00:00" }], at(10, 12)), { name: "Unico", start: at(10, 0), end: at(11, 0) });
+    });
+
+    it("computes availability, performance, quality, OEE and energy per part", () => {
+        // 6 h On at the top speed and 2 h in Alarm; 2880 parts in 6 h are 80% of the ideal 3600
+        const counters = { ...createCounters({ name: "Mattino", start: at(10, 6), end: at(10, 14) }),
+            onHours: 6, alarmHours: 2, goodParts: 2736, rejectedParts: 144, idealParts: 3600, energy: 54.72 };
+        assert.deepEqual(computeKpis(counters),
+            { availability: 75, performance: 80, quality: 95, oee: 57, energyPerPart: 0.02 });
+        assert.deepEqual(summarize(counters, at(10, 14)), {
+            shiftName: "Mattino", shiftStart: at(10, 6), shiftEnd: at(10, 14),
+            onTime: 6, offTime: 0, alarmTime: 2, goodParts: 2736, rejectedParts: 144, energyConsumed: 54.72,
+            availability: 75, performance: 80, quality: 95, oee: 57, energyPerPart: 0.02
+        });
+        // The performance does not exceed 100%
+        assert.equal(computeKpis({ ...counters, goodParts: 5000, rejectedParts: 0 }).performance, 100);
+    });
+
+    it("derives the ideal cycle time from the spindle speed", () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(idealCycleTime), [30, 15, 10, 7.5, 6]);
+        assert.ok(Number.isNaN(idealCycleTime(0)));
+        // The same 2880 parts in 6 h On are the full performance at speed 4 (7.5 s per part)
+        const counters = { ...createCounters({ name: "Mattino", start: at(10, 6), end: at(10, 14) }),
+            onHours: 6, goodParts: 2880, idealParts: 6 * 3600 / idealCycleTime(4) };
+        assert.equal(computeKpis(counters).performance, 100);
+    });
+
+    it("leaves the KPIs that cannot be computed yet as NaN", () => {
+        const idle = createCounters({ name: "Notte", start: at(10, 22), end: at(11, 6) });
+        assert.deepEqual(computeKpis({ ...idle, offHours: 8 }),
+            { availability: NaN, performance: NaN, quality: NaN, oee: NaN, energyPerPart: NaN });
+        assert.deepEqual(computeKpis({ ...idle, onHours: 1, idealParts: 600, energy: 5 }),
+            { availability: 100, performance: 0, quality: NaN, oee: NaN, energyPerPart: NaN });
+    });
+
+    it("rejects more parts as the tool wears out", () => {
+        assert.equal(rejectRate(0), 0);
+        assert.equal(rejectRate(50), 0);
+        assert.equal(rejectRate(75), 0.1);
+        assert.equal(rejectRate(100), 0.2);
+    });
+});
@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { CNCStatusEnumValues } = require("../lib/model");
+const { localize } = require("../lib/i18n");
+const {
+    DEFAULT_PREDICTIVE_CONFIG,
+    PredictiveConfigError,
+    loadPredictiveConfig,
+    EwmaStatistics,
+    MachineHealthModel
+} = require("../lib/predictive");
+
+const On = CNCStatusEnumValues.On;
+
+// One operating hour per sample at the given speed, with the nominal energy consumption
+// and the spindle load of a new tool cutting at speed 1 unless given
+const reading = (overrides = {}) => ({
+    hours: 1,
+    status: On,
+    speed: 1,
+    load: 14,
+    energyConsumption: 150.5,
+    toolId: "T01",
+    toolWear: 0,
+    ...overrides
+});
+
+describe("predictive maintenance", () => {
+    it("reads its configuration from CNC_PM_* variables", () => {
+        assert.deepEqual(loadPredictiveConfig({}), DEFAULT_PREDICTIVE_CONFIG);
+        assert.deepEqual(loadPredictiveConfig({ CNC_PM_ALERT_SCORE: "70", CNC_PM_EWMA_ALPHA: "0.2" }),
+            { ...DEFAULT_PREDICTIVE_CONFIG, alertScore: 70, ewmaAlpha: 0.2 });
+        assert.throws(() => loadPredictiveConfig({ CNC_PM_EWMA_ALPHA: "0", CNC_PM_WARMUP_SAMPLES: "1.5" }), (error) => {
+            assert.ok(error instanceof PredictiveConfigError);
+            assert.equal(error.errors.length, 2);
+            return true;
+        });
+    });
+
+    it("computes z-scores against the previous EWMA statistics", () => {
+        const statistics = new EwmaStatistics(0.1);
+        for (let i = 0; i < 100; i++) statistics.update(i % 2 === 0 ? 9 : 11);
+        assert.ok(Math.abs(statistics.mean - 10) < 0.2, `mean ${statistics.mean}`);
+        assert.ok(Math.abs(statistics.update(10)) < 0.5);
+        assert.ok(statistics.update(20) > 5);
+    });
+
+    it("starts healthy and counts operating hours only while On", () => {
+        const model = new MachineHealthModel();
+        const { recommendation, ...report } = model.assess();
+        assert.deepEqual(report, {
+            healthScore: 100,
+            estimatedTimeToMaintenance: NaN,
+            maintenanceRecommended: false,
+            topFactors: []
+        });
+        assert.equal(String(recommendation), "No maintenance needed (not enough operating data to estimate the next one)");
+
+        model.observe(reading({ hours: 2 }));
+        model.observe(reading({ hours: 3, status: CNCStatusEnumValues.Off, energyConsumption: 0 }));
+        assert.equal(model.operatingHours, 2);
+    });
+
+    it("projects the time to maintenance from the tool wear rate", () => {
+        const model = new MachineHealthModel();
+        for (let hour = 0; hour <= 6; hour++) model.observe(reading({ toolWear: hour * 10 }));
+
+        // 60% wear: -7 points; wear alone would reach the alert score (60) only past 100%,
+        // so the limit is the worn out tool: 40% more wear at 10%/hour
+        const report = model.assess();
+        assert.equal(report.healthScore, 93);
+        assert.equal(report.estimatedTimeToMaintenance, 4);
+        assert.deepEqual(report.topFactors.map(String), ["Tool wear 60% on T01 (-7 points)"]);
+        assert.equal(String(report.recommendation), "Plan maintenance within 4 operating hours: replace the tool");
+
+        // A new tool resets the wear without counting as a negative rate
+        model.observe(reading({ toolId: "T02", toolWear: 0 }));
+        assert.equal(model.assess().healthScore, 100);
+        assert.equal(model.toolWearRate, 10);
+    });
+
+    it("recommends maintenance below the alert score", () => {
+        const model = new MachineHealthModel();
+        model.observe(reading({ speed: 5, load: 105, energyConsumption: 190.5, toolWear: 100 }));
+        for (let i = 0; i < 3; i++) model.recordAlarm();
+
+        const report = model.assess();
+        assert.equal(report.healthScore, 25);
+        assert.equal(report.maintenanceRecommended, true);
+        assert.equal(report.estimatedTimeToMaintenance, 0);
+        assert.equal(report.topFactors.length, 3);
+        assert.equal(String(report.recommendation),
+            "Maintenance required: replace the tool; check spindle bearings and reduce the spindle speed; investigate the causes of the recent alarms");
+        // The factors and the recommendation are translated messages
+        assert.deepEqual(report.topFactors.map(factor => localize(factor, "it")),
+            ["Usura utensile 100% su T01 (-35 punti)", "Carico del mandrino 105% (-20 punti)", "3 allarmi recenti (-20 punti)"]);
+        assert.equal(localize(report.recommendation, "it"), "Manutenzione necessaria: sostituire l'utensile; " +
+            "controllare i cuscinetti del mandrino e ridurre la velocità; indagare sulle cause degli allarmi recenti");
+    });
+
+    it("weighs the spindle load read from Mandrino/Load", () => {
+        const model = new MachineHealthModel();
+        // Cutting at the top speed with a new tool: 70% of the nominal load
+        model.observe(reading({ speed: 5, load: 70, energyConsumption: 190.5 }));
+        assert.equal(model.spindleLoad, 0.7);
+        const report = model.assess();
+        assert.equal(report.healthScore, 92);
+        assert.deepEqual(report.topFactors.map(String), ["Spindle load 70% (-8 points)"]);
+
+        // The same speed idling loads the spindle too little to count
+        const idle = new MachineHealthModel();
+        idle.observe(reading({ speed: 5, load: 15, energyConsumption: 190.5 }));
+        assert.equal(idle.assess().healthScore, 100);
+    });
+
+    it("forgets alarms as time goes by", () => {
+        const model = new MachineHealthModel();
+        model.recordAlarm();
+        assert.ok(model.assess().healthScore < 100);
+        model.observe(reading({ hours: 24 * 7, status: CNCStatusEnumValues.Off, energyConsumption: 0 }));
+        assert.equal(model.assess().healthScore, 100);
+    });
+
+    it("detects energy consumption anomalies after the warm-up", () => {
+        const model = new MachineHealthModel();
+        const noise = [0.01, -0.01, 0.005, -0.005];
+        for (let i = 0; i < 40; i++) {
+            model.observe(reading({ hours: 0.1, energyConsumption: 150.5 * (1 + noise[i % noise.length]) }));
+        }
+        assert.equal(model.anomalyRate, 0);
+        assert.equal(model.assess().healthScore, 100);
+
+        // A 30% consumption spike is far outside the 1% noise
+        model.observe(reading({ hours: 0.1, energyConsumption: 150.5 * 1.3 }));
+        assert.ok(model.energyZScore > DEFAULT_PREDICTIVE_CONFIG.zThreshold, `z-score ${model.energyZScore}`);
+        const report = model.assess();
+        assert.equal(report.healthScore, 75);
+        assert.match(String(report.topFactors[0]), /^Energy anomalies in 5% of samples/);
+        assert.equal(String(report.recommendation),
+            "No maintenance needed (not enough operating data to estimate the next one); meanwhile inspect spindle drive and power supply");
+    });
+});
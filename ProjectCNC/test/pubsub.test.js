@@ -0,0 +1,179 @@
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const mqtt = require("mqtt");
+const { DataType } = require("node-opcua");
+const { startServer } = require("../server");
+const { DEFAULT_PUBSUB_CONFIG, PubSubConfigError, STATE_TOPIC, loadPubSubConfig, startPubSub } = require("../lib/pubsub");
+
+// Free TCP port for a server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// MQTT subscriber that keeps every message it receives, so the tests can wait for the ones they expect
+const subscribe = async (url, topic) => {
+    const client = await mqtt.connectAsync(url, { clientId: `cnc-test-${crypto.randomBytes(4).toString("hex")}` });
+    const messages = [];
+    const waiters = [];
+    client.on("message", (topic, payload, packet) => {
+        messages.push({ topic, payload: JSON.parse(payload.toString()), retain: packet.retain });
+        waiters.forEach(check => check());
+    });
+    await client.subscribeAsync(topic, { qos: 1 });
+
+    // Resolves with the first message, already received or to come, accepted by `predicate`
+    const waitFor = (predicate, timeoutMs = 10000) => new Promise((resolve, reject) => {
+        const check = () => {
+            const found = messages.find(predicate);
+            if (!found) return;
+            clearTimeout(timer);
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(found);
+        };
+        const timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(check), 1);
+            reject(new Error(`no matching MQTT message in ${timeoutMs} ms (received ${messages.map(m => m.topic).join(", ")})`));
+        }, timeoutMs);
+        waiters.push(check);
+        check();
+    });
+    return { client, messages, waitFor };
+};
+
+describe("PubSub configuration", () => {
+    it("is disabled by default and publishes on the embedded broker with CNC_MQTT_BROKER_PORT", () => {
+        assert.deepEqual(loadPubSubConfig({}), { ...DEFAULT_PUBSUB_CONFIG, enabled: false });
+        assert.deepEqual(loadPubSubConfig({ CNC_MQTT_BROKER_PORT: "1884", CNC_MQTT_INTERVAL_MS: "0" }), {
+            ...DEFAULT_PUBSUB_CONFIG,
+            url: "mqtt://localhost:1884",
+            brokerPort: 1884,
+            intervalMs: 0,
+            enabled: true
+        });
+        assert.throws(() => loadPubSubConfig({
+            CNC_MQTT_URL: "http://broker:1883",
+            CNC_MQTT_BROKER_PORT: "70000",
+            CNC_MQTT_TOPIC_ROOT: "plant/#",
+            CNC_MQTT_INTERVAL_MS: "-1"
+        }), (error) => {
+            assert.ok(error instanceof PubSubConfigError);
+            assert.equal(error.errors.length, 4);
+            return true;
+        });
+    });
+});
+
+describe("CNC PubSub publishers", () => {
+    let tempDir;
+    let handle;
+    let pubSubConfig;
+    let pubSub;
+    let subscriber;
+
+    const publisherOf = (name) => pubSub.publishers.find(publisher => publisher.name === name);
+    const machineOf = (name) => handle.fleet.find(({ instance }) => instance.browseName.name === name);
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        handle = await startServer({
+            env: {
+                CNC_SIMULATION: "off",
+                CNC_STATE: "off",
+                CNC_PKI_DIR: path.join(tempDir, "pki"),
+                CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+            },
+            port: await findFreePort()
+        });
+        // Publishers on the embedded broker, started on the fleet of the server, with no periodic publication
+        pubSubConfig = loadPubSubConfig({ CNC_MQTT_BROKER_PORT: String(await findFreePort()), CNC_MQTT_INTERVAL_MS: "0" });
+        pubSub = await startPubSub(handle.fleet, pubSubConfig);
+        subscriber = await subscribe(pubSubConfig.url, `${pubSubConfig.topicRoot}/#`);
+    });
+
+    after(async () => {
+        if (subscriber) await subscriber.client.endAsync();
+        if (pubSub) await pubSub.close();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("announces every publisher with a retained Operational state", async () => {
+        for (const { config, instance } of handle.fleet) {
+            const { payload } = await subscriber.waitFor(({ topic, payload }) =>
+                topic === `plant/${config.line}/${instance.browseName.name}/${STATE_TOPIC}` && payload.Status === "Operational");
+            assert.equal(payload.MessageType, "ua-status");
+            assert.equal(payload.PublisherId, instance.browseName.name);
+        }
+    });
+
+    it("publishes the variables as PubSub JSON on plant/<line>/<machine>/<variable>", async () => {
+        publisherOf("CNC1").publishAll();
+        publisherOf("CNCPro1").publishAll();
+        const keyframe = ({ topic, payload }, expectedTopic) =>
+            topic === expectedTopic && payload.Messages[0].MessageType === "ua-keyframe";
+        for (const variable of ["Status", "ConsumoEnergetico", "PezziProdotti", "Velocita"]) {
+            await subscriber.waitFor(message => keyframe(message, `plant/Linea1/CNC1/${variable}`));
+        }
+        await subscriber.waitFor(message => keyframe(message, "plant/Linea1/CNCPro1/StatusAI"));
+        // StatusAI exists only on the Pro machines
+        assert.equal(subscriber.messages.some(({ topic }) => topic === "plant/Linea1/CNC1/StatusAI"), false);
+
+        const { payload } = await subscriber.waitFor(message => keyframe(message, "plant/Linea1/CNC1/Velocita"));
+        assert.equal(payload.MessageType, "ua-data");
+        assert.equal(payload.PublisherId, "CNC1");
+        assert.equal(payload.Messages.length, 1);
+        const [dataSetMessage] = payload.Messages;
+        assert.equal(dataSetMessage.DataSetWriterId, 4);
+        assert.deepEqual(Object.keys(dataSetMessage.Payload), ["Velocita"]);
+        assert.deepEqual(dataSetMessage.Payload.Velocita.Value, { Type: DataType.Int32, Body: 1 });
+        assert.equal(dataSetMessage.Payload.Velocita.Status, undefined);
+
+        // A change of state is published right away as a delta frame
+        const cnc1 = machineOf("CNC1").instance;
+        assert.equal(handle.stateMachine.transition(cnc1, 1).changed, true);
+        try {
+            const delta = await subscriber.waitFor(({ topic, payload }) =>
+                topic === "plant/Linea1/CNC1/Status" && payload.Messages[0].MessageType === "ua-deltaframe");
+            assert.deepEqual(delta.payload.Messages[0].Payload.Status.Value, { Type: DataType.Int32, Body: 1 });
+            assert.ok(delta.payload.Messages[0].SequenceNumber > 1);
+        } finally {
+            handle.stateMachine.transition(cnc1, 0);
+        }
+    });
+
+    it("leaves the Last Will on $state when a publisher drops its connection", async () => {
+        const publisher = publisherOf("CNC2");
+        // No reconnection, then the connection is cut without an MQTT DISCONNECT, as on a crash of the server
+        publisher.client.options.reconnectPeriod = 0;
+        publisher.client.stream.destroy();
+        const { payload } = await subscriber.waitFor(({ topic, payload }) =>
+            topic === `plant/Linea1/CNC2/${STATE_TOPIC}` && payload.Status === "Error");
+        assert.equal(payload.MessageType, "ua-status");
+        assert.equal(payload.PublisherId, "CNC2");
+
+        // A new subscriber gets the Last Will as the retained state of the machine
+        const late = await subscribe(pubSubConfig.url, `plant/Linea1/CNC2/${STATE_TOPIC}`);
+        try {
+            const retained = await late.waitFor(({ retain }) => retain);
+            assert.equal(retained.payload.Status, "Error");
+        } finally {
+            await late.client.endAsync();
+        }
+    });
+
+    it("sets the state to Disabled on an orderly shutdown", async () => {
+        await publisherOf("CNC3").close();
+        await subscriber.waitFor(({ topic, payload }) =>
+            topic === `plant/Linea1/CNC3/${STATE_TOPIC}` && payload.Status === "Disabled");
+    });
+});
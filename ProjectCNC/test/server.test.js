@@ -0,0 +1,1021 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, it } = require("node:test");
+const {
+    AttributeIds, BrowseDirection, DataType, ObjectIds, ObjectTypeIds, TimestampsToReturn, UserTokenType, coerceInt64toInt32, constructEventFilter, ofType
+} = require("node-opcua");
+const { startServer } = require("../server");
+const { DEFAULT_ENERGY_THRESHOLD, loadFleetConfig } = require("../lib/fleet");
+const { MachineStateStore } = require("../lib/persistence");
+const { SimulationConfigError, loadSimulationConfig } = require("../lib/simulation");
+const { CncClient, CncMethodError } = require("../lib/cncClient");
+
+const MODEL_DIR = path.join(__dirname, "../../UAModeler/CNC");
+
+const MachineTypes = { base: "MacchinaCNCType", pro: "MacchinaCNCProType" };
+
+// Free TCP port for the server endpoint (the OS picks it, then the probe releases it)
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const connectAs = async (endpointUrl, pkiDir, userName, locale) => {
+    const cnc = new CncClient({
+        endpointUrl,
+        pkiDir,
+        userIdentity: { type: UserTokenType.UserName, userName, password: userName },
+        connectionStrategy: { maxRetry: 1, initialDelay: 500, maxDelay: 1000 },
+        locale
+    });
+    await cnc.connect();
+    return cnc;
+};
+
+const browse = async (session, nodeId, referenceTypeId) => {
+    const result = await session.browse({
+        nodeId,
+        referenceTypeId,
+        browseDirection: BrowseDirection.Forward,
+        includeSubtypes: true,
+        resultMask: 63
+    });
+    return result.references;
+};
+
+const readAttribute = async (session, nodeId, attributeId) =>
+    (await session.read({ nodeId, attributeId })).value.value;
+
+// Value -> name of an enumeration DataType, from its EnumStrings or EnumValues property
+const readEnumeration = async (session, dataTypeId) => {
+    const properties = await browse(session, dataTypeId, "HasProperty");
+    const property = properties.find(ref => ["EnumStrings", "EnumValues"].includes(ref.browseName.name));
+    const values = await readAttribute(session, property.nodeId, AttributeIds.Value);
+    return property.browseName.name === "EnumStrings"
+        ? Object.fromEntries(values.map((text, index) => [index, text.text]))
+        : Object.fromEntries(values.map(value => [coerceInt64toInt32(value.value), value.displayName.text]));
+};
+
+// Resolves with the first "change" event matching `predicate`
+const waitForChange = (cnc, predicate, timeoutMs = 10000) => new Promise((resolve, reject) => {
+    const listener = (change) => {
+        if (!predicate(change)) return;
+        clearTimeout(timer);
+        cnc.off("change", listener);
+        resolve(change);
+    };
+    const timer = setTimeout(() => {
+        cnc.off("change", listener);
+        reject(new Error(`No matching change notification within ${timeoutMs} ms`));
+    }, timeoutMs);
+    cnc.on("change", listener);
+});
+
+const rejectsWith = (promise, statusCodeName) =>
+    assert.rejects(promise, (error) => {
+        assert.ok(error instanceof CncMethodError, `expected a CncMethodError, got ${error}`);
+        assert.equal(error.statusCode.name, statusCodeName);
+        return true;
+    });
+
+// Advances the production simulation and the process models (spindle, KPI, predictive maintenance) by `ms`:
+// the suites stop the real-time clock of the models, so their values only change when a test moves them
+const advance = (handle, ms) => {
+    handle.simulation.step(ms);
+    handle.processClock.advance(ms);
+};
+
+describe("simulation configuration", () => {
+    it("is off unless CNC_SIMULATION=on", () => {
+        assert.equal(loadSimulationConfig({}).enabled, false);
+        assert.equal(loadSimulationConfig({ CNC_SIMULATION: "off" }).enabled, false);
+        assert.equal(loadSimulationConfig({ CNC_SIMULATION: "on" }).enabled, true);
+        assert.throws(() => loadSimulationConfig({ CNC_SIMULATION: "yes" }), SimulationConfigError);
+    });
+});
+
+describe("CNC server", () => {
+    const fleetConfig = loadFleetConfig();
+    let tempDir;
+    let handle;
+    let operator;
+    let maintenance;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        // Isolated configuration: no simulation timer (the tests step it) nor random faults, no MQTT,
+        // PKI, audit log and saved state in a temporary folder
+        const env = {
+            CNC_SIMULATION: "off",
+            CNC_SIM_FAULT_RATE: "0",
+            CNC_PKI_DIR: path.join(tempDir, "pki"),
+            CNC_AUDIT_FILE: path.join(tempDir, "audit.log"),
+            CNC_STATE_FILE: path.join(tempDir, "state.json")
+        };
+        handle = await startServer({ env, port: await findFreePort() });
+        handle.processClock.stop();
+        operator = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "operatore");
+        maintenance = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "manutentore");
+    });
+
+    after(async () => {
+        if (operator) await operator.disconnect();
+        if (maintenance) await maintenance.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("exposes the CNC ObjectTypes", async () => {
+        const objectTypes = await browse(operator.session, "i=58", "HasSubtype");
+        const machineType = objectTypes.find(ref => ref.browseName.name === "MacchinaCNCType");
+        assert.ok(machineType, "MacchinaCNCType is a subtype of BaseObjectType");
+        for (const name of ["MandrinoType", "ToolMagazineType"]) {
+            assert.ok(objectTypes.some(ref => ref.browseName.name === name), `${name} is a subtype of BaseObjectType`);
+        }
+
+        const machineSubtypes = await browse(operator.session, machineType.nodeId, "HasSubtype");
+        assert.deepEqual(machineSubtypes.map(ref => ref.browseName.name), ["MacchinaCNCProType"]);
+    });
+
+    it("creates one instance per configured machine", async () => {
+        const machines = await operator.listMachines();
+        assert.deepEqual(
+            machines.map(({ name, type, path }) => ({ name, type, path })),
+            fleetConfig.machines.map(machine => ({
+                name: machine.name,
+                type: MachineTypes[machine.type],
+                path: `${machine.plant}/${machine.line}/${machine.cell}`
+            }))
+        );
+
+        for (const machine of machines) {
+            for (const component of ["Status", "ConsumoEnergetico", "PezziProdotti", "Mandrino/Velocita", "ToolMagazine", "ChangeStatus"]) {
+                assert.ok(await operator.resolve(machine.name, component), `${machine.name} has ${component}`);
+            }
+            const isPro = machine.type === "MacchinaCNCProType";
+            assert.equal(Boolean(await operator.resolve(machine.name, "StatusAI")), isPro, `StatusAI only on Pro machines (${machine.name})`);
+            assert.equal(Boolean(await operator.resolve(machine.name, "ManutenzionePredittiva")), isPro, `ManutenzionePredittiva only on Pro machines (${machine.name})`);
+            for (const variable of ["OperatingHours", "HealthScore", "EstimatedTimeToMaintenance", "SpindleLoad", "EnergyAnomalyScore"]) {
+                assert.equal(Boolean(await operator.resolve(machine.name, variable)), isPro, `${variable} only on Pro machines (${machine.name})`);
+            }
+        }
+    });
+
+    it("uses enumeration DataTypes for Status and Mandrino/Velocita", async () => {
+        const session = operator.session;
+
+        const statusType = await readAttribute(session, await operator.resolve("CNC1", "Status"), AttributeIds.DataType);
+        assert.equal((await readAttribute(session, statusType, AttributeIds.BrowseName)).name, "CNCTypeEnum");
+        assert.deepEqual(await readEnumeration(session, statusType), { 0: "Off", 1: "On", 2: "Alarm" });
+
+        const speedType = await readAttribute(session, await operator.resolve("CNC1", "Mandrino/Velocita"), AttributeIds.DataType);
+        assert.equal((await readAttribute(session, speedType, AttributeIds.BrowseName)).name, "VelocitaMandrinoEnum");
+        assert.deepEqual(Object.keys(await readEnumeration(session, speedType)).map(Number), [1, 2, 3, 4, 5]);
+    });
+
+    it("registers OperationResult and MachineSnapshot with binary and XML encodings", async () => {
+        const session = operator.session;
+        const structures = await browse(session, "i=22", "HasSubtype");
+        const expectedFields = {
+            OperationResult: ["Code", "Message", "Timestamp"],
+            MachineSnapshot: ["Status", "Tool", "PartsProduced", "EnergyConsumption", "SpindleSpeed", "StatusAI", "Timestamp"]
+        };
+        for (const [name, fields] of Object.entries(expectedFields)) {
+            const structure = structures.find(ref => ref.browseName.name === name);
+            assert.ok(structure, `${name} is a subtype of Structure`);
+            const definition = await readAttribute(session, structure.nodeId, AttributeIds.DataTypeDefinition);
+            assert.deepEqual(definition.fields.map(field => field.name), fields);
+            const encodings = await browse(session, structure.nodeId, "HasEncoding");
+            assert.deepEqual(encodings.map(ref => ref.browseName.name).sort(), ["Default Binary", "Default XML"]);
+        }
+
+        // Type dictionaries of the OPC Binary (i=93) and XML Schema (i=92) type systems hold cnc.bsd and cnc.xsd
+        for (const [typeSystem, file] of [["i=93", "cnc.bsd"], ["i=92", "cnc.xsd"]]) {
+            const dictionary = (await browse(session, typeSystem, "HasComponent")).find(ref => ref.browseName.name === "CNC");
+            assert.ok(dictionary, `${file} dictionary in ${typeSystem}`);
+            const value = await readAttribute(session, dictionary.nodeId, AttributeIds.Value);
+            assert.equal(value.toString("utf8"), fs.readFileSync(path.join(MODEL_DIR, file), "utf8"));
+        }
+    });
+
+    it("returns an OperationResult from the methods, also when they refuse the call", async () => {
+        const result = await operator.setStatus("CNC2", "On");
+        assert.equal(result.success, true);
+        assert.equal(result.message, "Off -> On");
+        assert.ok(result.timestamp instanceof Date);
+
+        // AcknowledgeAlarm has no input arguments to attach diagnostics to: the message comes from the OperationResult
+        await assert.rejects(operator.call("CNC2", "AcknowledgeAlarm"), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["No active alarm to acknowledge"]);
+            return true;
+        });
+        await operator.setStatus("CNC2", "Off");
+    });
+
+    it("leaves Alarm, towards On or Off, only after AcknowledgeAlarm, keeping the alarm data until then", async () => {
+        await operator.setStatus("CNC3", "On");
+        await operator.setStatus("CNC3", "Alarm");
+        for (const status of ["Off", "On"]) {
+            await assert.rejects(operator.setStatus("CNC3", status), (error) => {
+                assert.equal(error.statusCode.name, "BadInvalidState");
+                assert.match(error.diagnostics[0], new RegExp(`^Transition Alarm -> ${status} requires the alarm to be acknowledged first`));
+                return true;
+            });
+        }
+        let snapshot = await operator.getSnapshot("CNC3");
+        assert.equal(snapshot.status, "Alarm");
+        assert.equal(snapshot.alarmReason, "Alarm set with ChangeStatus");
+        assert.equal(snapshot.alarmAcknowledged, false);
+
+        await operator.call("CNC3", "AcknowledgeAlarm");
+        assert.equal((await operator.getSnapshot("CNC3")).alarmAcknowledged, true);
+        await operator.setStatus("CNC3", "Off");
+        snapshot = await operator.getSnapshot("CNC3");
+        assert.equal(snapshot.alarmReason, "");
+        assert.equal(snapshot.alarmAcknowledged, false);
+    });
+
+    it("allows only the transitions of the state machine and a single acknowledge per alarm", async () => {
+        // Off -> Alarm is not a transition: Alarm is reached only from On
+        await assert.rejects(operator.setStatus("CNC3", "Alarm"), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["Transition Off -> Alarm not allowed. Allowed from Off: On"]);
+            return true;
+        });
+        assert.equal((await operator.setStatus("CNC3", "Off")).message, "Already Off");
+
+        await operator.setStatus("CNC3", "On");
+        await operator.setStatus("CNC3", "Alarm");
+        await operator.call("CNC3", "AcknowledgeAlarm");
+        await assert.rejects(operator.call("CNC3", "AcknowledgeAlarm"), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["Alarm already acknowledged"]);
+            return true;
+        });
+        // An acknowledged alarm can go back to On directly
+        assert.equal((await operator.setStatus("CNC3", "On")).message, "Alarm -> On");
+        const snapshot = await operator.getSnapshot("CNC3");
+        assert.equal(snapshot.previousStatus, "Alarm");
+        assert.equal(snapshot.alarmReason, "");
+        await operator.setStatus("CNC3", "Off");
+    });
+
+    it("denies the methods outside the roles of the user with BadUserAccessDenied", async () => {
+        const viewer = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "osservatore");
+        try {
+            // The viewer role only reads: GetSnapshot is its only method
+            await rejectsWith(viewer.setStatus("CNC2", "On"), "BadUserAccessDenied");
+            await rejectsWith(viewer.call("CNC2", "AcknowledgeAlarm"), "BadUserAccessDenied");
+            await rejectsWith(viewer.call("CNC2", "ToolMagazine/UnloadTool", [{ dataType: DataType.UInt32, value: 1 }]), "BadUserAccessDenied");
+            assert.equal((await viewer.getSnapshot("CNC2")).status, "Off");
+        } finally {
+            await viewer.disconnect();
+        }
+        // The maintenance role handles tools and alarms, but does not run the machines
+        await rejectsWith(maintenance.setStatus("CNC2", "On"), "BadUserAccessDenied");
+        await rejectsWith(maintenance.call("CNC2", "KPI/ResetShiftCounters"), "BadUserAccessDenied");
+        assert.equal((await operator.getSnapshot("CNC2")).status, "Off");
+    });
+
+    it("connects with Sign only once the server certificate is trusted", async () => {
+        const pkiDir = path.join(tempDir, "signed");
+        const connectSigned = async () => {
+            const cnc = new CncClient({
+                endpointUrl: handle.endpointUrl,
+                securityMode: "Sign",
+                pkiDir,
+                userIdentity: { type: UserTokenType.UserName, userName: "operatore", password: "operatore" },
+                connectionStrategy: { maxRetry: 0, initialDelay: 100, maxDelay: 200 }
+            });
+            await cnc.connect();
+            return cnc;
+        };
+        // Unknown server certificates are refused and stored in rejected/
+        await assert.rejects(connectSigned(), /BadCertificateUntrusted/);
+        const [serverCertificate] = fs.readdirSync(path.join(pkiDir, "rejected"));
+        assert.ok(serverCertificate, "server certificate not stored in rejected/");
+
+        // Trusted on both sides: the server certificate by the client, the client certificate by the server
+        fs.mkdirSync(path.join(pkiDir, "trusted", "certs"), { recursive: true });
+        fs.renameSync(path.join(pkiDir, "rejected", serverCertificate), path.join(pkiDir, "trusted", "certs", serverCertificate));
+        fs.mkdirSync(path.join(tempDir, "pki", "server", "trusted", "certs"), { recursive: true });
+        fs.copyFileSync(path.join(pkiDir, "own", "certs", "client_certificate.pem"), path.join(tempDir, "pki", "server", "trusted", "certs", "signed-client.pem"));
+        const signed = await connectSigned();
+        try {
+            assert.equal((await signed.getSnapshot("CNC1")).machine, "CNC1");
+        } finally {
+            await signed.disconnect();
+        }
+    });
+
+    it("browses each node once when reading snapshots", async () => {
+        const viewer = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "osservatore");
+        try {
+            const browsed = [];
+            const browse = viewer.session.browse.bind(viewer.session);
+            viewer.session.browse = (nodeToBrowse, ...args) => {
+                browsed.push(`${nodeToBrowse.referenceTypeId}:${nodeToBrowse.nodeId.toString()}`);
+                return browse(nodeToBrowse, ...args);
+            };
+            await viewer.getSnapshot("CNCPro1");
+            await viewer.getSnapshot("CNCPro1");
+            assert.ok(browsed.length > 0);
+            assert.deepEqual(browsed.filter((key, i) => browsed.indexOf(key) !== i), []);
+        } finally {
+            await viewer.disconnect();
+        }
+    });
+
+    it("finds the CNC event types by browse name", async () => {
+        const addressSpace = handle.server.engine.addressSpace;
+        const auditEventType = addressSpace.findObjectType("CNCMethodAuditEventType", addressSpace.getNamespaceIndex("http://yourorganisation.org/CNC/"));
+        assert.equal((await operator.findObjectType("CNCMethodAuditEventType", ObjectTypeIds.AuditUpdateMethodEventType)).toString(),
+            auditEventType.nodeId.toString());
+        await assert.rejects(operator.findObjectType("CNCMethodAuditEventType"), (error) => error.statusCode.name === "BadNotFound");
+        assert.equal((await operator.findObjectType("CNCStatusAuditEventType", ObjectTypeIds.AuditUpdateStateEventType)).toString(),
+            addressSpace.findObjectType("CNCStatusAuditEventType", auditEventType.nodeId.namespace).nodeId.toString());
+        assert.equal((await operator.findObjectType("ShiftSummaryEventType")).toString(),
+            addressSpace.findObjectType("ShiftSummaryEventType", auditEventType.nodeId.namespace).nodeId.toString());
+    });
+
+    it("reads the values of a machine in one call with GetSnapshot, also as viewer", async () => {
+        const viewer = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "osservatore");
+        try {
+            const snapshot = await viewer.getMachineSnapshot("CNC1");
+            const values = await viewer.getSnapshot("CNC1");
+            assert.deepEqual(
+                { ...snapshot, timestamp: undefined },
+                {
+                    machine: "CNC1",
+                    status: values.status,
+                    tool: values.tool,
+                    partsProduced: values.partsProduced,
+                    energyConsumption: values.energyConsumption,
+                    spindleSpeed: values.spindleSpeed,
+                    statusAI: false,
+                    timestamp: undefined
+                }
+            );
+            assert.ok(snapshot.timestamp instanceof Date);
+            assert.equal((await viewer.getMachineSnapshot("CNCPro1")).statusAI, false);
+        } finally {
+            await viewer.disconnect();
+        }
+    });
+
+    it("rejects ChangeStatus values outside CNCTypeEnum with BadInvalidArgument", async () => {
+        for (const value of [-1, 3, 7]) {
+            await rejectsWith(operator.call("CNC3", "ChangeStatus", [{ dataType: DataType.Int32, value }]), "BadInvalidArgument");
+        }
+        assert.equal((await operator.getSnapshot("CNC3")).status, "Off");
+    });
+
+    it("refuses CambiareVelocita with BadInvalidState while the CNC is not On", async () => {
+        assert.equal((await operator.getSnapshot("CNC2")).status, "Off");
+        await assert.rejects(operator.setSpindleSpeed("CNC2", 3), (error) => {
+            assert.ok(error instanceof CncMethodError);
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["CNC is not ON to change spindle speed"]);
+            return true;
+        });
+        assert.equal((await operator.getSnapshot("CNC2")).spindleSpeed, 1);
+    });
+
+    it("updates ConsumoEnergetico after each spindle speed change", async () => {
+        await operator.setStatus("CNC1", "On");
+        for (const speed of [1, 2, 3, 4, 5, 2]) {
+            await operator.setSpindleSpeed("CNC1", speed);
+            const snapshot = await operator.getSnapshot("CNC1");
+            assert.equal(snapshot.spindleSpeed, speed);
+            assert.equal(snapshot.energyConsumption, 150.5 + (speed - 1) * 10, `energy at speed ${speed}`);
+        }
+        // The default threshold of EnergyAlarm leaves room over the consumption at the top speed
+        assert.equal(DEFAULT_ENERGY_THRESHOLD, 210);
+        await operator.setSpindleSpeed("CNC1", 5);
+        const activeStateId = await operator.resolve("CNC1", "EnergyAlarm/ActiveState/Id");
+        assert.equal((await operator.session.read({ nodeId: activeStateId, attributeId: AttributeIds.Value })).value.value, false);
+        await operator.setStatus("CNC1", "Off");
+        assert.equal((await operator.getSnapshot("CNC1")).energyConsumption, 0);
+    });
+
+    it("reports the health of a Pro machine with ManutenzionePredittiva for the maintenance role only", async () => {
+        const initial = await maintenance.runPredictiveMaintenance("CNCPro1");
+        assert.equal(initial.success, true);
+        assert.deepEqual(initial.report, {
+            healthScore: 100,
+            estimatedTimeToMaintenance: null,
+            topFactors: [],
+            recommendation: "No maintenance needed (not enough operating data to estimate the next one)"
+        });
+        assert.equal((await maintenance.getSnapshot("CNCPro1")).statusAI, false);
+
+        // Half an hour cutting at full speed: tool P01 at 30% wear, Mandrino/Load from 70% to 80.5% with the wear
+        await operator.setStatus("CNCPro1", "On");
+        await operator.setSpindleSpeed("CNCPro1", 5);
+        for (let minute = 0; minute < 30; minute++) advance(handle, 60000);
+        await operator.setStatus("CNCPro1", "Off");
+
+        const snapshot = await maintenance.getSnapshot("CNCPro1");
+        assert.equal(snapshot.operatingHours, 0.5);
+        assert.equal(snapshot.spindleLoad, 75.4);
+        assert.equal(snapshot.toolWear, 30);
+        assert.equal(snapshot.healthScore, 89.8);
+        assert.equal(snapshot.statusAI, false);
+
+        const { report } = await maintenance.runPredictiveMaintenance("CNCPro1");
+        assert.equal(report.healthScore, 89.8);
+        assert.ok(report.estimatedTimeToMaintenance > 0 && report.estimatedTimeToMaintenance < 2, `${report.estimatedTimeToMaintenance} hours`);
+        assert.deepEqual(report.topFactors, ["Spindle load 75% (-10.2 points)"]);
+        assert.match(report.recommendation, /^Plan maintenance within [\d.]+ operating hours: replace the tool$/);
+
+        // The factors and the recommendation in the locale of the session
+        const italian = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "manutentore", "it");
+        try {
+            const { report: italianReport } = await italian.runPredictiveMaintenance("CNCPro1");
+            assert.deepEqual(italianReport.topFactors, ["Carico del mandrino 75% (-10.2 punti)"]);
+            assert.match(italianReport.recommendation, /^Pianificare la manutenzione entro [\d.]+ ore di funzionamento: sostituire l'utensile$/);
+        } finally {
+            await italian.disconnect();
+        }
+
+        await rejectsWith(operator.runPredictiveMaintenance("CNCPro1"), "BadUserAccessDenied");
+        await rejectsWith(maintenance.runPredictiveMaintenance("CNC1"), "BadMethodInvalid");
+    });
+
+    it("notifies subscriptions of status and energy changes", async () => {
+        await operator.watch(["CNC3"], { samplingInterval: 100 });
+        const statusChange = waitForChange(operator, c => c.machine === "CNC3" && c.field === "status" && c.value === "On");
+        const energyChange = waitForChange(operator, c => c.machine === "CNC3" && c.field === "energyConsumption" && c.value === 150.5);
+
+        await operator.setStatus("CNC3", "On");
+        const [status, energy] = await Promise.all([statusChange, energyChange]);
+        assert.equal(status.variable, "Status");
+        assert.equal(energy.variable, "ConsumoEnergetico");
+        assert.ok(status.sourceTimestamp instanceof Date);
+
+        await operator.unwatch();
+        await operator.setStatus("CNC3", "Off");
+    });
+
+    it("exposes the Plant/Line/Cell folders and the tags as machine groups", async () => {
+        const groups = await operator.listGroups();
+        assert.deepEqual(groups.map(({ path, machines }) => ({ path, machines })), [
+            { path: "Stabilimento", machines: ["CNC1", "CNC2", "CNC3", "CNCPro1"] },
+            { path: "Stabilimento/Linea1", machines: ["CNC1", "CNC2", "CNC3", "CNCPro1"] },
+            { path: "Stabilimento/Linea1/Cella1", machines: ["CNC1", "CNC2"] },
+            { path: "Stabilimento/Linea1/Cella2", machines: ["CNC3", "CNCPro1"] },
+            { path: "Groups/Fresatrici", machines: ["CNC1", "CNCPro1"] }
+        ]);
+    });
+
+    it("runs group operations on every machine, reporting each one, with a dry run that changes nothing", async () => {
+        await operator.setStatus("CNC2", "On");
+        await operator.setStatus("CNC2", "Alarm");
+
+        const dryRun = await operator.startAll("Stabilimento/Linea1", { dryRun: true });
+        assert.equal(dryRun.success, false);
+        assert.equal(dryRun.message, "Dry run: 3 of 4 machines would change, 1 would be refused");
+        assert.deepEqual(dryRun.results.map(({ machine, statusCode, changed }) => ({ machine, statusCode, changed })), [
+            { machine: "CNC1", statusCode: "Good", changed: true },
+            { machine: "CNC2", statusCode: "BadInvalidState", changed: false },
+            { machine: "CNC3", statusCode: "Good", changed: true },
+            { machine: "CNCPro1", statusCode: "Good", changed: true }
+        ]);
+        assert.equal(dryRun.results[0].message, "Off -> On");
+        for (const machine of ["CNC1", "CNC3", "CNCPro1"]) {
+            assert.equal((await operator.getSnapshot(machine)).status, "Off", `${machine} after the dry run`);
+        }
+
+        // The machine in Alarm refuses, the others start anyway
+        const started = await operator.startAll("Stabilimento/Linea1");
+        assert.equal(started.message, "3 of 4 machines changed, 1 refused");
+        assert.deepEqual((await operator.listMachines()).map(({ name }) => name), ["CNC1", "CNC2", "CNC3", "CNCPro1"]);
+
+        const speed = await operator.setSpindleSpeedAll("Groups/Fresatrici", 3);
+        assert.equal(speed.success, true);
+        assert.deepEqual(speed.results.map(({ machine, message }) => ({ machine, message })), [
+            { machine: "CNC1", message: "Spindle speed 1 -> 3" },
+            { machine: "CNCPro1", message: "Spindle speed 1 -> 3" }
+        ]);
+        assert.equal((await operator.getSnapshot("CNCPro1")).energyConsumption, 170.5);
+        assert.equal((await operator.getSnapshot("CNC3")).spindleSpeed, 1);
+        await assert.rejects(operator.callGroup("Groups/Fresatrici", "SetSpindleSpeedAll",
+            [{ dataType: DataType.Int32, value: 7 }, { dataType: DataType.Boolean, value: false }]), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidArgument");
+            assert.deepEqual(error.diagnostics, ["Invalid spindle speed 7, expected 1 to 5"]);
+            return true;
+        });
+
+        await rejectsWith(maintenance.stopAll("Stabilimento"), "BadUserAccessDenied");
+        await operator.call("CNC2", "AcknowledgeAlarm");
+        const stopped = await operator.stopAll("Stabilimento");
+        assert.equal(stopped.success, true);
+        assert.equal(stopped.message, "4 of 4 machines changed");
+        for (const machine of ["CNC1", "CNC2", "CNC3", "CNCPro1"]) {
+            assert.equal((await operator.getSnapshot(machine)).status, "Off", `${machine} after StopAll`);
+        }
+
+        // One audit entry per machine of the group, with its own outcome and changes
+        const entries = fs.readFileSync(path.join(tempDir, "audit.log"), "utf8").trim().split("\n").map(line => JSON.parse(line))
+            .filter(entry => entry.method === "StopAll" && entry.user === "operatore");
+        assert.deepEqual(entries.map(({ machine, group, statusCode }) => ({ machine, group, statusCode })),
+            ["CNC1", "CNC2", "CNC3", "CNCPro1"].map(machine => ({ machine, group: "Stabilimento", statusCode: "Good" })));
+        assert.ok(entries[1].changes.some(change => change.variable === "Status" && change.before === 2 && change.after === 0));
+    });
+
+    it("runs a job to completion, counting its parts and refusing to load or start it without the required tool", async () => {
+        // The job needs T02 while T01 is mounted
+        const job = { jobId: "J1", partNumber: "PN-100", targetQuantity: 10, requiredTool: "T02", spindleSpeed: 2 };
+        await assert.rejects(operator.loadJob("CNC1", job), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["Job J1 requires tool T02, mounted tool is T01 (ChangeTool first)"]);
+            return true;
+        });
+        assert.equal((await operator.getSnapshot("CNC1")).jobId, "");
+        await operator.call("CNC1", "ToolMagazine/ChangeTool", [{ dataType: DataType.UInt32, value: 2 }]);
+        assert.equal((await operator.loadJob("CNC1", job)).message, "Job J1 loaded");
+        await assert.rejects(operator.call("CNC1", "Job/LoadJob", [
+            { dataType: DataType.String, value: "J2" },
+            { dataType: DataType.String, value: "PN-100" },
+            { dataType: DataType.UInt32, value: 0 },
+            { dataType: DataType.String, value: "T02" },
+            { dataType: DataType.Int32, value: 2 }
+        ]), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidArgument");
+            assert.deepEqual(error.diagnostics, ["Invalid target quantity 0: expected at least 1 part"]);
+            return true;
+        });
+        await rejectsWith(operator.loadJob("CNC1", { jobId: "J2", partNumber: "PN-200", targetQuantity: 5, requiredTool: "T01", spindleSpeed: 1 }), "BadInvalidState");
+        await rejectsWith(maintenance.startJob("CNC1"), "BadUserAccessDenied");
+        await rejectsWith(operator.startJob("CNC1"), "BadInvalidState");
+
+        // T02 unmounted after loading the job
+        await operator.call("CNC1", "ToolMagazine/ChangeTool", [{ dataType: DataType.UInt32, value: 1 }]);
+        await operator.setStatus("CNC1", "On");
+        await assert.rejects(operator.startJob("CNC1"), (error) => {
+            assert.equal(error.statusCode.name, "BadInvalidState");
+            assert.deepEqual(error.diagnostics, ["Job J1 requires tool T02, mounted tool is T01 (ChangeTool first)"]);
+            return true;
+        });
+        await operator.call("CNC1", "ToolMagazine/ChangeTool", [{ dataType: DataType.UInt32, value: 2 }]);
+        assert.equal((await operator.startJob("CNC1")).message, "Job J1 started");
+
+        // Speed 2: 4 parts per minute, 10 parts in 2.5 minutes
+        let snapshot = await operator.getSnapshot("CNC1");
+        const partsBefore = snapshot.partsProduced;
+        assert.equal(snapshot.spindleSpeed, 2);
+        assert.equal(snapshot.jobState, "Running");
+        const remainingMs = snapshot.jobEstimatedCompletion.getTime() - Date.now();
+        assert.ok(remainingMs > 140000 && remainingMs <= 150000, `${remainingMs} ms to completion`);
+
+        advance(handle, 60000);
+        snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.partsProduced, partsBefore + 4);
+        assert.equal(snapshot.jobPartsProduced, 4);
+        assert.equal(snapshot.jobProgress, 40);
+
+        // Switching the machine off pauses the job; StartJob resumes it at the job speed
+        await operator.setStatus("CNC1", "Off");
+        snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.jobState, "Paused");
+        assert.equal(snapshot.jobEstimatedCompletion, null);
+        advance(handle, 60000);
+        await operator.setStatus("CNC1", "On");
+        assert.equal((await operator.startJob("CNC1")).message, "Job J1 resumed");
+        assert.equal((await operator.getSnapshot("CNC1")).spindleSpeed, 2);
+
+        // The job completes at its target; the machine keeps counting the extra parts
+        advance(handle, 120000);
+        snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.partsProduced, partsBefore + 12);
+        assert.equal(snapshot.jobPartsProduced, 10);
+        assert.equal(snapshot.jobProgress, 100);
+        assert.equal(snapshot.jobState, "Completed");
+        await rejectsWith(operator.pauseJob("CNC1"), "BadInvalidState");
+        await rejectsWith(operator.abortJob("CNC1"), "BadInvalidState");
+
+        await operator.loadJob("CNC1", { jobId: "J2", partNumber: "PN-200", targetQuantity: 5, requiredTool: "T02", spindleSpeed: 1 });
+        assert.equal((await operator.abortJob("CNC1")).message, "Job J2 aborted");
+        assert.equal((await operator.getSnapshot("CNC1")).jobState, "Aborted");
+        await operator.setStatus("CNC1", "Off");
+    });
+});
+
+describe("CNC spindle", () => {
+    let tempDir;
+    let handle;
+    let operator;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        // Bearings limited to 50 °C, reached after about 9 minutes at full speed
+        const env = {
+            CNC_SIMULATION: "off",
+            CNC_SIM_FAULT_RATE: "0",
+            CNC_STATE: "off",
+            CNC_SPINDLE_MAX_TEMPERATURE: "50",
+            CNC_PKI_DIR: path.join(tempDir, "pki"),
+            CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+        };
+        handle = await startServer({ env, port: await findFreePort() });
+        handle.processClock.stop();
+        operator = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "operatore");
+    });
+
+    after(async () => {
+        if (operator) await operator.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("exposes the spindle measurements as analog items with range and units", async () => {
+        for (const [name, high, unit] of [["ActualRPM", 10000, "r/min"], ["TargetRPM", 10000, "r/min"], ["Load", 150, "%"],
+            ["BearingTemperature", 120, "°C"], ["Vibration", 20, "mm/s"]]) {
+            const variable = await operator.resolve("CNC1", `Mandrino/${name}`);
+            const [typeDefinition] = await browse(operator.session, variable, "HasTypeDefinition");
+            assert.equal(typeDefinition.browseName.name, "AnalogItemType", name);
+            const range = await readAttribute(operator.session, await operator.resolve("CNC1", `Mandrino/${name}/EURange`), AttributeIds.Value);
+            assert.deepEqual({ low: range.low, high: range.high }, { low: 0, high }, name);
+            const units = await readAttribute(operator.session, await operator.resolve("CNC1", `Mandrino/${name}/EngineeringUnits`), AttributeIds.Value);
+            assert.equal(units.displayName.text, unit, name);
+        }
+        const snapshot = await operator.getSnapshot("CNC1");
+        assert.deepEqual([snapshot.spindleRPM, snapshot.spindleTargetRPM, snapshot.spindleCurrentLoad, snapshot.spindleBearingTemperature],
+            [0, 0, 0, 20]);
+    });
+
+    it("ramps to the RPM preset of the speed level and trips the machine into Alarm when the bearings overheat", async () => {
+        // Status audit events of the trip: { machine, message, oldStatus, newStatus, reason }
+        const namespaceArray = await readAttribute(operator.session, "ns=0;i=2255", AttributeIds.Value);
+        const ns = namespaceArray.indexOf("http://yourorganisation.org/CNC/");
+        const statusAudits = [];
+        const subscription = await operator.session.createSubscription2({
+            requestedPublishingInterval: 100, maxNotificationsPerPublish: 100, publishingEnabled: true
+        });
+        const item = await subscription.monitor(
+            { nodeId: ObjectIds.Server, attributeId: AttributeIds.EventNotifier },
+            {
+                samplingInterval: 0,
+                queueSize: 100,
+                filter: constructEventFilter(["SourceName", "Message", "OldStateId", "NewStateId", `${ns}:Reason`],
+                    ofType(await operator.findObjectType("CNCStatusAuditEventType", ObjectTypeIds.AuditUpdateStateEventType)))
+            },
+            TimestampsToReturn.Neither
+        );
+        item.on("changed", ([machine, message, oldStatus, newStatus, reason]) => statusAudits.push({
+            machine: machine.value, message: message.value.text, oldStatus: oldStatus.value, newStatus: newStatus.value, reason: reason.value
+        }));
+        const auditFile = path.join(tempDir, "audit.log");
+        const readAudit = () => fs.existsSync(auditFile)
+            ? fs.readFileSync(auditFile, "utf8").trim().split("\n").map(line => JSON.parse(line)) : [];
+        const auditEntries = readAudit().length;
+
+        await operator.setStatus("CNC1", "On");
+        assert.equal((await operator.getSnapshot("CNC1")).spindleTargetRPM, 2000);
+        await operator.setSpindleSpeed("CNC1", 5);
+        let snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.spindleTargetRPM, 10000);
+        assert.equal(snapshot.spindleRPM, 0);
+
+        // 500 RPM per second
+        advance(handle, 1000);
+        assert.equal((await operator.getSnapshot("CNC1")).spindleRPM, 500);
+        advance(handle, 19000);
+        snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.spindleRPM, 10000);
+        assert.ok(snapshot.spindleCurrentLoad > 60, `load ${snapshot.spindleCurrentLoad}%`);
+
+        let minutes = 0;
+        while (snapshot.status === "On" && minutes < 20) {
+            advance(handle, 60000);
+            minutes++;
+            snapshot = await operator.getSnapshot("CNC1");
+        }
+        assert.equal(snapshot.status, "Alarm");
+        assert.ok(minutes >= 8 && minutes <= 11, `tripped after ${minutes} minutes`);
+        assert.match(snapshot.alarmReason, /^Spindle overheating: bearings at [\d.]+ °C above the limit of 50 °C$/);
+        assert.equal(snapshot.spindleTargetRPM, 0);
+
+        // The trip is audited without user nor method, the transitions made by ChangeStatus only as method calls
+        const transitions = readAudit().slice(auditEntries).filter(entry => entry.method === null);
+        assert.deepEqual(transitions.map(({ user, machine, reason, statusCode, changes }) => ({ user, machine, reason, statusCode, changes })), [{
+            user: null,
+            machine: "CNC1",
+            reason: snapshot.alarmReason,
+            statusCode: "Good",
+            changes: [{ variable: "Status", before: 1, after: 2 }]
+        }]);
+        const deadline = Date.now() + 10000;
+        while (statusAudits.length === 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await subscription.terminate();
+        assert.deepEqual(statusAudits, [{
+            machine: "CNC1",
+            message: `CNC1: On -> Alarm (${snapshot.alarmReason})`,
+            oldStatus: 1,
+            newStatus: 2,
+            reason: snapshot.alarmReason
+        }]);
+
+        // The spindle coasts down and cools while the alarm is active
+        advance(handle, 60000);
+        snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.spindleRPM, 0);
+        assert.ok(snapshot.spindleBearingTemperature < 50, `${snapshot.spindleBearingTemperature} °C`);
+        await operator.call("CNC1", "AcknowledgeAlarm");
+        await operator.setStatus("CNC1", "Off");
+    });
+});
+
+describe("CNC process models", () => {
+    let tempDir;
+    let handle;
+    let operator;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        // Default configuration (the production simulation is off), with the files in a temporary folder
+        const env = {
+            CNC_PKI_DIR: path.join(tempDir, "pki"),
+            CNC_AUDIT_FILE: path.join(tempDir, "audit.log"),
+            CNC_STATE_FILE: path.join(tempDir, "state.json")
+        };
+        handle = await startServer({ env, port: await findFreePort() });
+        operator = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "operatore");
+    });
+
+    after(async () => {
+        if (operator) await operator.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("ramps the spindle in real time without the production simulation", async () => {
+        assert.equal(handle.simulation.timer, null);
+        await operator.setStatus("CNC1", "On");
+        let snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.spindleTargetRPM, 2000);
+        const deadline = Date.now() + 5000;
+        while (snapshot.spindleRPM === 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            snapshot = await operator.getSnapshot("CNC1");
+        }
+        assert.ok(snapshot.spindleRPM > 0 && snapshot.spindleRPM <= 2000, `${snapshot.spindleRPM} RPM`);
+        assert.ok(snapshot.spindleCurrentLoad > 0, `load ${snapshot.spindleCurrentLoad}%`);
+        await operator.setStatus("CNC1", "Off");
+    });
+});
+
+describe("CNC KPI", () => {
+    let tempDir;
+    let handle;
+    let operator;
+    // ShiftSummaryEventType events received by the operator: { machine, message, shiftName, goodParts, oee }
+    const summaries = [];
+
+    const waitForSummaries = async (count, timeoutMs = 10000) => {
+        const deadline = Date.now() + timeoutMs;
+        while (summaries.length < count && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        assert.equal(summaries.length, count, "shift summary events");
+    };
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+        const env = {
+            CNC_SIMULATION: "off",
+            CNC_SIM_FAULT_RATE: "0",
+            CNC_STATE: "off",
+            CNC_KPI_SHIFTS: "Giorno=06:00,Notte=18:00",
+            CNC_PKI_DIR: path.join(tempDir, "pki"),
+            CNC_AUDIT_FILE: path.join(tempDir, "audit.log")
+        };
+        handle = await startServer({ env, port: await findFreePort() });
+        handle.processClock.stop();
+        operator = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "operatore");
+
+        const namespaceArray = await readAttribute(operator.session, "ns=0;i=2255", AttributeIds.Value);
+        const ns = namespaceArray.indexOf("http://yourorganisation.org/CNC/");
+        const fields = ["SourceName", "Message", `${ns}:ShiftName`, `${ns}:GoodParts`, `${ns}:OEE`];
+        const subscription = await operator.session.createSubscription2({
+            requestedPublishingInterval: 100, maxNotificationsPerPublish: 100, publishingEnabled: true
+        });
+        const item = await subscription.monitor(
+            { nodeId: ObjectIds.Server, attributeId: AttributeIds.EventNotifier },
+            { samplingInterval: 0, queueSize: 100, filter: constructEventFilter(fields, ofType(await operator.findObjectType("ShiftSummaryEventType"))) },
+            TimestampsToReturn.Neither
+        );
+        item.on("changed", ([machine, message, shiftName, goodParts, oee]) => summaries.push({
+            machine: machine.value, message: message.value.text, shiftName: shiftName.value, goodParts: goodParts.value, oee: oee.value
+        }));
+    });
+
+    after(async () => {
+        if (operator) await operator.disconnect();
+        if (handle) await handle.shutdown();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("counts time, parts and energy of the shift and computes OEE", async () => {
+        let snapshot = await operator.getSnapshot("CNC1");
+        assert.ok(["Giorno", "Notte"].includes(snapshot.shiftName), snapshot.shiftName);
+        assert.deepEqual([snapshot.availability, snapshot.quality, snapshot.oee, snapshot.goodParts], [null, null, null, 0]);
+        const idealCycleTime = async () =>
+            readAttribute(operator.session, await operator.resolve("CNC1", "KPI/IdealCycleTime"), AttributeIds.Value);
+
+        const partsBefore = snapshot.partsProduced;
+        await operator.setStatus("CNC1", "On");
+        await operator.setSpindleSpeed("CNC1", 2);
+        assert.equal(await idealCycleTime(), 15);
+        await operator.setSpindleSpeed("CNC1", 5);
+        assert.equal(await idealCycleTime(), 6);
+        advance(handle, 10 * 60000);
+        snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.goodParts + snapshot.rejectedParts, snapshot.partsProduced - partsBefore);
+        assert.ok(snapshot.goodParts > 0);
+        assert.equal(snapshot.availability, 100);
+        assert.ok(snapshot.performance > 0 && snapshot.performance <= 100, `performance ${snapshot.performance}%`);
+        assert.equal(snapshot.oee, Math.round(snapshot.availability * snapshot.performance * snapshot.quality / 100) / 100);
+        assert.ok(snapshot.shiftEnergy > 0);
+        assert.equal(snapshot.energyPerPart, Math.round(snapshot.shiftEnergy / snapshot.goodParts * 1000) / 1000);
+        const onTime = await readAttribute(operator.session, await operator.resolve("CNC1", "KPI/OnTime"), AttributeIds.Value);
+        assert.equal(onTime, 0.167);
+    });
+
+    it("resets the shift counters with ResetShiftCounters, raising a shift summary event", async () => {
+        const viewer = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "osservatore");
+        try {
+            await rejectsWith(viewer.resetShiftCounters("CNC1"), "BadUserAccessDenied");
+        } finally {
+            await viewer.disconnect();
+        }
+
+        const before = await operator.getSnapshot("CNC1");
+        const result = await operator.resetShiftCounters("CNC1");
+        assert.equal(result.message, `Shift ${before.shiftName} counters reset (OEE ${before.oee}%)`);
+        await waitForSummaries(1);
+        assert.deepEqual(summaries[0], {
+            machine: "CNC1", message: `Shift ${before.shiftName} counters reset on CNC1: OEE ${before.oee}%`,
+            shiftName: before.shiftName, goodParts: before.goodParts, oee: before.oee
+        });
+
+        const after = await operator.getSnapshot("CNC1");
+        assert.equal(after.shiftName, before.shiftName);
+        assert.ok(after.shiftStart > before.shiftStart);
+        assert.deepEqual([after.goodParts, after.rejectedParts, after.oee], [0, 0, null]);
+    });
+
+    it("closes the shift at its end and starts counting the next one", async () => {
+        const { shiftName, shiftStart } = await operator.getSnapshot("CNC1");
+        const shiftEnd = await readAttribute(operator.session, await operator.resolve("CNC1", "KPI/ShiftEnd"), AttributeIds.Value);
+        advance(handle, 60000);
+        await operator.setStatus("CNC1", "Off");
+        advance(handle, shiftEnd.getTime() - handle.kpiTracker.now);
+
+        // One event per machine of the fleet
+        const machines = (await operator.listMachines()).length;
+        await waitForSummaries(1 + machines);
+        const ended = summaries.slice(1).find(summary => summary.machine === "CNC1");
+        assert.equal(ended.message, `Shift ${shiftName} ended on CNC1: OEE ${ended.oee}%`);
+        assert.equal(ended.shiftName, shiftName);
+        assert.ok(ended.goodParts > 0 && ended.oee > 0, `${ended.goodParts} parts, OEE ${ended.oee}%`);
+
+        const snapshot = await operator.getSnapshot("CNC1");
+        assert.equal(snapshot.shiftName, shiftName === "Giorno" ? "Notte" : "Giorno");
+        assert.equal(snapshot.shiftStart.getTime(), shiftEnd.getTime());
+        assert.ok(snapshot.shiftStart > shiftStart);
+    });
+});
+
+describe("CNC server state persistence", () => {
+    // Values compared across restarts (LastTransitionTime included: it is restored, not reset)
+    const persistedFields = ["status", "previousStatus", "lastTransitionTime", "alarmReason", "alarmAcknowledged", "tool", "toolWear",
+        "partsProduced", "energyConsumption", "spindleSpeed", "spindleRPM", "spindleBearingTemperature", "operatingHours", "healthScore"];
+    let tempDir;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "cnc-test-"));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    // Starts a server with the state in `stateFile`, runs `use` with an operator session, then shuts the server down
+    const withServer = async (stateFile, use, env = {}) => {
+        const handle = await startServer({
+            env: {
+                CNC_SIMULATION: "off",
+                CNC_SIM_FAULT_RATE: "0",
+                CNC_PKI_DIR: path.join(tempDir, "pki"),
+                CNC_AUDIT_FILE: path.join(tempDir, "audit.log"),
+                CNC_STATE_FILE: stateFile,
+                // Checkpoints only when a test asks for one
+                CNC_STATE_CHECKPOINT_MS: "3600000",
+                ...env
+            },
+            port: await findFreePort()
+        });
+        handle.processClock.stop();
+        let operator;
+        try {
+            operator = await connectAs(handle.endpointUrl, path.join(tempDir, "client"), "operatore");
+            return await use(operator, handle);
+        } finally {
+            if (operator) await operator.disconnect();
+            await handle.shutdown();
+        }
+    };
+
+    const readMachines = async (operator) => {
+        const machines = {};
+        for (const name of ["CNC1", "CNC2", "CNCPro1"]) {
+            const snapshot = await operator.getSnapshot(name);
+            machines[name] = Object.fromEntries(persistedFields.map(field => [field, snapshot[field]]));
+        }
+        const pocket2 = await operator.resolve("CNC1", "ToolMagazine/Pocket2/ToolId");
+        machines.CNC1.pocket2 = await readAttribute(operator.session, pocket2, AttributeIds.Value);
+        const statusAlarm = await operator.resolve("CNC2", "StatusAlarm/ActiveState/Id");
+        machines.CNC2.statusAlarmActive = await readAttribute(operator.session, statusAlarm, AttributeIds.Value);
+        return machines;
+    };
+
+    it("restores the machines after a restart, also after a crash in the middle of a write, unless started clean", async () => {
+        const stateFile = path.join(tempDir, "state.json");
+        const crashedStateFile = path.join(tempDir, "crashed", "state.json");
+        const journal = () => fs.readFileSync(`${stateFile}.journal`, "utf8").trim().split("\n").map(line => JSON.parse(line));
+
+        const saved = await withServer(stateFile, async (operator, handle) => {
+            await operator.setStatus("CNC1", "On");
+            await operator.setSpindleSpeed("CNC1", 3);
+            await operator.call("CNC1", "ToolMagazine/UnloadTool", [{ dataType: DataType.UInt32, value: 2 }]);
+            await operator.setStatus("CNCPro1", "On");
+            advance(handle, 10 * 60 * 1000);
+            await operator.setStatus("CNC2", "On");
+            await operator.setStatus("CNC2", "Alarm");
+
+            // The method changes are in the journal right away; telemetry and models wait for the checkpoint
+            assert.ok(journal().some(entry => entry.machine === "CNC1" && entry.variable === "Mandrino/Velocita"));
+            assert.ok(!journal().some(entry => entry.variable === "Mandrino/ActualRPM" || entry.state !== undefined));
+            handle.stateStore.checkpoint();
+            assert.ok(journal().some(entry => entry.machine === "CNC1" && entry.variable === "Mandrino/ActualRPM"));
+            assert.ok(journal().some(entry => entry.machine === "CNCPro1" && entry.state === "predictive"));
+
+            // The files as a crash after the checkpoint would leave them: the changes are in the journal, the last line cut short
+            fs.mkdirSync(path.dirname(crashedStateFile));
+            fs.copyFileSync(stateFile, crashedStateFile);
+            fs.copyFileSync(`${stateFile}.journal`, `${crashedStateFile}.journal`);
+            fs.appendFileSync(`${crashedStateFile}.journal`, '{"seq":100000,"machine":"CNC1","variable":"Sta');
+
+            return readMachines(operator);
+        });
+        assert.equal(saved.CNC1.status, "On");
+        assert.ok(saved.CNC1.partsProduced > 0);
+        assert.ok(saved.CNCPro1.operatingHours > 0);
+        assert.equal(saved.CNC2.statusAlarmActive, true);
+
+        assert.deepEqual(await withServer(stateFile, readMachines), saved);
+        assert.deepEqual(await withServer(crashedStateFile, readMachines), saved);
+
+        const clean = await withServer(stateFile, readMachines, { CNC_STATE_CLEAN: "on" });
+        assert.equal(clean.CNC1.status, "Off");
+        assert.equal(clean.CNC1.partsProduced, 0);
+        assert.equal(clean.CNC1.pocket2, "T02");
+        assert.equal(clean.CNCPro1.operatingHours, 0);
+    });
+
+    it("replays the journal over the snapshot, skipping the lines it already holds and a truncated last line", () => {
+        const file = path.join(tempDir, "replay", "state.json");
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, JSON.stringify({
+            seq: 2,
+            machines: { CNC1: { variables: { Status: { dataType: DataType.Int32, value: 0 } }, state: {} } }
+        }));
+        fs.writeFileSync(`${file}.journal`, [
+            { seq: 2, machine: "CNC1", variable: "PezziProdotti", dataType: DataType.UInt32, value: 7 },
+            { seq: 3, machine: "CNC1", variable: "Status", dataType: DataType.Int32, value: 1 },
+            { seq: 4, machine: "CNC1", state: "kpi", value: { parts: 3 } }
+        ].map(entry => JSON.stringify(entry) + "\n").join("") + '{"seq":5,"machine":"CNC1","variable":"Sta');
+
+        const store = new MachineStateStore({ file, compactEntries: 1000, clean: false });
+        try {
+            assert.deepEqual(store.saved, {
+                seq: 4,
+                machines: { CNC1: { variables: { Status: { dataType: DataType.Int32, value: 1 } }, state: { kpi: { parts: 3 } } } }
+            });
+            assert.equal(store.seq, 4);
+        } finally {
+            store.close();
+        }
+    });
+});
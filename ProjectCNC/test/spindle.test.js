@@ -0,0 +1,96 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { CNCStatusEnumValues } = require("../lib/model");
+const {
+    SPINDLE_RPM_PRESETS,
+    DEFAULT_SPINDLE_CONFIG,
+    SpindleConfigError,
+    loadSpindleConfig,
+    targetRPM,
+    stepSpindle,
+    spindleTripReason
+} = require("../lib/spindle");
+
+// Cold spindle at standstill
+const standstill = { actualRPM: 0, bearingTemperature: DEFAULT_SPINDLE_CONFIG.ambientTemperature };
+
+// Runs the spindle model for `minutes` simulated minutes, one second per step
+const run = (state, inputs, minutes) => {
+    let current = state;
+    for (let second = 0; second < minutes * 60; second++) {
+        current = stepSpindle(current, inputs, 1000);
+    }
+    return current;
+};
+
+const assertNear = (actual, expected, tolerance = 0.1) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual}, expected ${expected}`);
+
+describe("spindle", () => {
+    it("reads its configuration from CNC_SPINDLE_* variables", () => {
+        assert.deepEqual(loadSpindleConfig({}), DEFAULT_SPINDLE_CONFIG);
+        assert.deepEqual(loadSpindleConfig({ CNC_SPINDLE_RAMP_RATE: "1000", CNC_SPINDLE_MAX_TEMPERATURE: "60" }),
+            { ...DEFAULT_SPINDLE_CONFIG, rampRate: 1000, maxTemperature: 60 });
+        assert.throws(() => loadSpindleConfig({ CNC_SPINDLE_RAMP_RATE: "0", CNC_SPINDLE_MAX_LOAD: "" }), (error) => {
+            assert.ok(error instanceof SpindleConfigError);
+            assert.equal(error.errors.length, 2);
+            return true;
+        });
+        assert.throws(() => loadSpindleConfig({ CNC_SPINDLE_MAX_TEMPERATURE: "15" }), SpindleConfigError);
+    });
+
+    it("maps the speed levels to target RPM presets while On", () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(speed => targetRPM(CNCStatusEnumValues.On, speed)), [2000, 4000, 6000, 8000, 10000]);
+        assert.equal(targetRPM(CNCStatusEnumValues.Off, 3), 0);
+        assert.equal(targetRPM(CNCStatusEnumValues.Alarm, 3), 0);
+    });
+
+    it("ramps the actual RPM towards the target instead of jumping", () => {
+        const inputs = { targetRPM: SPINDLE_RPM_PRESETS[3], cutting: false, toolWear: 0 };
+        let state = stepSpindle(standstill, inputs, 1000);
+        assert.equal(state.actualRPM, 500);
+        assert.equal(state.targetRPM, 6000);
+        state = stepSpindle(state, inputs, 10000);
+        assert.equal(state.actualRPM, 5500);
+        state = stepSpindle(state, inputs, 10000);
+        assert.equal(state.actualRPM, 6000);
+
+        state = stepSpindle(state, { ...inputs, targetRPM: 0 }, 4000);
+        assert.equal(state.actualRPM, 4000);
+        state = stepSpindle(state, { ...inputs, targetRPM: 0 }, 60000);
+        assert.equal(state.actualRPM, 0);
+        assert.equal(state.load, 0);
+        assert.equal(state.vibration, 0);
+    });
+
+    it("loads and heats the spindle more while cutting and with a worn tool", () => {
+        const idle = run(standstill, { targetRPM: 10000, cutting: false, toolWear: 0 }, 120);
+        const cutting = run(standstill, { targetRPM: 10000, cutting: true, toolWear: 0 }, 120);
+        const worn = run(standstill, { targetRPM: 10000, cutting: true, toolWear: 80 }, 120);
+
+        assertNear(idle.load, 15);
+        assertNear(cutting.load, 70);
+        assertNear(worn.load, 98);
+        assertNear(idle.bearingTemperature, 50.25);
+        assertNear(cutting.bearingTemperature, 69.5);
+        assertNear(worn.bearingTemperature, 79.3);
+        assertNear(cutting.vibration, 4);
+        assertNear(worn.vibration, 6.8);
+
+        // The bearings heat up gradually: about 63% of the way after one time constant (10 minutes)
+        const tenMinutes = run({ actualRPM: 10000, bearingTemperature: 20 }, { targetRPM: 10000, cutting: true, toolWear: 0 }, 10);
+        assertNear(tenMinutes.bearingTemperature, 20 + 49.5 * (1 - Math.exp(-1)));
+    });
+
+    it("reports overload and overheating", () => {
+        assert.equal(spindleTripReason({ load: 100, bearingTemperature: 80 }), null);
+        // The reason is translated when it is read, in English when converted to a string
+        const overload = spindleTripReason({ load: 100.5, bearingTemperature: 60 });
+        assert.equal(String(overload), "Spindle overload: load 100.5% above the limit of 100%");
+        assert.equal(overload.localize("it"), "Sovraccarico del mandrino: carico 100.5% oltre il limite di 100%");
+        assert.equal(spindleTripReason({ load: 70, bearingTemperature: 80.2 }).localize("it"),
+            "Surriscaldamento del mandrino: cuscinetti a 80.2 °C oltre il limite di 80 °C");
+        assert.equal(spindleTripReason({ load: 70, bearingTemperature: 65 }, { ...DEFAULT_SPINDLE_CONFIG, maxTemperature: 60 }).localize("it"),
+            "Surriscaldamento del mandrino: cuscinetti a 65 °C oltre il limite di 60 °C");
+    });
+});